@@ -6,6 +6,44 @@
 (function() {
   'use strict';
 
+  // ============================================
+  // MFA RECOVERY CODES
+  // Shown once when generated; only SHA-256 hashes are stored (mfa_recovery_codes)
+  // and redeemed by the mfa-recovery edge function.
+  // ============================================
+  const RECOVERY_CODE_COUNT = 10;
+  // No 0/O or 1/I/L, so codes survive being written down
+  const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+  function generateRecoveryCode() {
+    const chars = [];
+    // Rejection sampling keeps every character equally likely
+    const limit = 256 - (256 % RECOVERY_CODE_ALPHABET.length);
+    while (chars.length < 10) {
+      for (const byte of crypto.getRandomValues(new Uint8Array(16))) {
+        if (byte < limit && chars.length < 10) {
+          chars.push(RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+        }
+      }
+    }
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  }
+
+  // Case-insensitive, dashes and spaces ignored (matches the mfa-recovery function)
+  async function hashRecoveryCode(code) {
+    const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Security.AuditLog is loaded after auth.js on most pages, so look it up at call time
+  function audit(actionKey, metadata = {}) {
+    const auditLog = window.Security?.AuditLog;
+    if (!auditLog) return Promise.resolve();
+    return auditLog.log(auditLog.ACTIONS[actionKey], { resourceType: 'mfa', ...metadata })
+      .catch(error => console.debug('Audit log failed (non-critical):', error));
+  }
+
   // ============================================
   // AUTH SERVICE
   // ============================================
@@ -206,6 +244,10 @@
         await this.loadUserProfile();
       }
 
+      // Users with an authenticator must still pass verifyMfa() before the session
+      // reaches aal2; login.html shows the code step when this is set
+      data.mfaRequired = await this.needsMfaChallenge();
+
       return data;
     },
 
@@ -290,6 +332,180 @@
     // Check if user is owner/admin
     checkIsOwner() {
       return this.isOwner;
+    },
+
+    // ============================================
+    // MULTI-FACTOR AUTHENTICATION (TOTP)
+    // ============================================
+
+    // { currentLevel, nextLevel }: 'aal1' after a password, 'aal2' after a TOTP code.
+    // nextLevel is 'aal2' when the user has a verified authenticator.
+    async getAssuranceLevel() {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase || !this.session) return { currentLevel: null, nextLevel: null };
+
+      const { data, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+      if (error) {
+        console.error('MFA assurance level error:', error);
+        return { currentLevel: null, nextLevel: null };
+      }
+      return { currentLevel: data.currentLevel, nextLevel: data.nextLevel };
+    },
+
+    // True when the user has an authenticator but hasn't entered a code this session
+    async needsMfaChallenge() {
+      const { currentLevel, nextLevel } = await this.getAssuranceLevel();
+      return nextLevel === 'aal2' && currentLevel !== 'aal2';
+    },
+
+    // The user's verified TOTP factors
+    async listMfaFactors() {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase) throw new Error('Supabase not initialized');
+
+      const { data, error } = await supabase.auth.mfa.listFactors();
+      if (error) throw error;
+      return data?.totp || [];
+    },
+
+    // Start TOTP enrollment. Returns { factorId, qrCode, secret, uri }; the factor only
+    // becomes active once verifyTotpEnrollment() succeeds.
+    async enrollTotp(friendlyName = 'Authenticator app') {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase) throw new Error('Supabase not initialized');
+
+      // Drop abandoned enrollments so they don't count against the factor limit
+      const { data: existing } = await supabase.auth.mfa.listFactors();
+      const stale = (existing?.all || []).filter(factor => factor.factor_type === 'totp' && factor.status !== 'verified');
+      for (const factor of stale) {
+        await supabase.auth.mfa.unenroll({ factorId: factor.id });
+      }
+
+      const { data, error } = await supabase.auth.mfa.enroll({
+        factorType: 'totp',
+        friendlyName: `${friendlyName} (${new Date().toLocaleDateString()})`
+      });
+      if (error) throw error;
+
+      return {
+        factorId: data.id,
+        qrCode: data.totp.qr_code,
+        secret: data.totp.secret,
+        uri: data.totp.uri
+      };
+    },
+
+    // Confirm enrollment with the first code from the app. The session is now aal2;
+    // returns a fresh set of recovery codes to show the user once.
+    async verifyTotpEnrollment(factorId, code) {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase) throw new Error('Supabase not initialized');
+
+      const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId, code: String(code).trim() });
+      if (error) {
+        await audit('MFA_FAILED', { stage: 'enroll' });
+        throw error;
+      }
+
+      await audit('MFA_ENROLLED', { factorId });
+      return this.generateRecoveryCodes();
+    },
+
+    // Complete the sign-in challenge with a code from the authenticator app
+    async verifyMfa(code) {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase) throw new Error('Supabase not initialized');
+
+      const [factor] = await this.listMfaFactors();
+      if (!factor) throw new Error('No authenticator is set up for this account');
+
+      const { data, error } = await supabase.auth.mfa.challengeAndVerify({ factorId: factor.id, code: String(code).trim() });
+      if (error) {
+        await audit('MFA_FAILED', { stage: 'challenge' });
+        throw error;
+      }
+
+      await audit('MFA_VERIFIED', { factorId: factor.id });
+      return data;
+    },
+
+    // Replace the user's recovery codes. Needs an aal2 session; returns the new codes.
+    async generateRecoveryCodes() {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase || !this.user) throw new Error('Supabase not initialized');
+
+      const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+      const hashes = await Promise.all(codes.map(hashRecoveryCode));
+
+      // Old codes are only removed if the new ones are stored
+      const { error } = await supabase.rpc('replace_mfa_recovery_codes', { p_code_hashes: hashes });
+      if (error) throw error;
+
+      await audit('MFA_RECOVERY_CODES_GENERATED', { count: codes.length });
+      return codes;
+    },
+
+    // Number of unused recovery codes
+    async countRecoveryCodes() {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase || !this.user) return 0;
+
+      const { count, error } = await supabase
+        .from('mfa_recovery_codes')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', this.user.id)
+        .is('used_at', null);
+
+      if (error) {
+        console.error('Recovery code count error:', error);
+        return 0;
+      }
+      return count || 0;
+    },
+
+    // Sign in without the authenticator: a recovery code removes the user's TOTP factors
+    // (they should enroll a new one straight away). Logged by the edge function.
+    async useRecoveryCode(code) {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase) throw new Error('Supabase not initialized');
+
+      const { data, error } = await supabase.functions.invoke('mfa-recovery', { body: { code } });
+      if (error) {
+        let message = 'Invalid or already used recovery code';
+        try {
+          message = (await error.context?.json())?.error || message;
+        } catch (_error) {
+          // Keep the default message
+        }
+        throw new Error(message);
+      }
+
+      // Pick up the new assurance level now the factors are gone
+      await supabase.auth.refreshSession();
+      return data;
+    },
+
+    // Turn off MFA. Requires a current code, which also satisfies Supabase's aal2
+    // requirement for removing a verified factor.
+    async disableTotp(code) {
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase || !this.user) throw new Error('Supabase not initialized');
+
+      const factors = await this.listMfaFactors();
+      if (factors.length === 0) return;
+
+      await this.verifyMfa(code);
+
+      const { error: deleteError } = await supabase.from('mfa_recovery_codes').delete().eq('user_id', this.user.id);
+      if (deleteError) throw deleteError;
+
+      for (const factor of factors) {
+        const { error } = await supabase.auth.mfa.unenroll({ factorId: factor.id });
+        if (error) throw error;
+      }
+
+      await supabase.auth.refreshSession();
+      await audit('MFA_DISABLED', { factorsRemoved: factors.length });
     }
   };
 
@@ -359,6 +575,22 @@
         }
       }
 
+      // Anyone with an authenticator must enter a code; owner pages also require one
+      if (this.protectedPages.includes(currentPage) || this.ownerPages.includes(currentPage)) {
+        const { currentLevel, nextLevel } = await AuthService.getAssuranceLevel();
+
+        if (nextLevel === 'aal2' && currentLevel !== 'aal2') {
+          this.redirectToMfaChallenge(currentPage);
+          return false;
+        }
+
+        if (this.ownerPages.includes(currentPage) && currentLevel !== 'aal2') {
+          audit('MFA_REQUIRED', { page: currentPage });
+          this.redirectToMfaEnrollment(currentPage);
+          return false;
+        }
+      }
+
       // Check if page requires paid subscription
       if (this.paidPages.includes(currentPage)) {
         const tier = AuthService.getSubscriptionTier();
@@ -377,6 +609,16 @@
       window.location.href = `login.html?redirect=${returnUrl}`;
     },
 
+    // Ask for the authenticator code, then come back
+    redirectToMfaChallenge(returnTo) {
+      window.location.href = `login.html?mfa=1&redirect=${encodeURIComponent(returnTo)}`;
+    },
+
+    // Owner pages need MFA set up first
+    redirectToMfaEnrollment(returnTo) {
+      window.location.href = `settings.html?tab=security&mfa=required&redirect=${encodeURIComponent(returnTo)}`;
+    },
+
     // Redirect to unauthorized page
     redirectToUnauthorized() {
       window.location.href = 'creator-dashboard.html?error=unauthorized';
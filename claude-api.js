@@ -10,145 +10,62 @@ const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
 
 // Claude API Service
 window.ClaudeAPI = {
+    name: 'Claude',
+    keyName: 'Claude API Key',
+
     /**
      * Call Claude API with a prompt
-     * @param {string} prompt - The prompt text
+     * @param {string|null} prompt - The prompt text (optional when options.messages is set)
      * @param {Object} options - Additional options
-     * @param {string} options.model - Model to use (default: 'claude-3-5-sonnet-20241022')
+     * @param {string} options.model - Model to use (default: 'claude-4-5-sonnet-20250514')
      * @param {number} options.maxTokens - Max tokens in response (default: 4096)
      * @param {number} options.temperature - Temperature (0-1, default: 1)
-     * @returns {Promise<Object>} API response
+     * @param {string} options.system - System prompt, sent as Anthropic's top-level `system` (optional)
+     * @param {Array<Object>} options.messages - Prior turns as [{ role: 'user'|'assistant', content }] (optional)
+     * @param {Object} options.schema - JSON Schema for structured output, forced via a tool call (optional)
+     * @param {string} options.schemaName - Name for the schema/tool (default: 'response')
+     * @param {Array<Object>} options.tools - Provider-neutral tools [{ name, description, parameters }] (optional)
+     * @param {string|Object} options.toolChoice - 'auto', 'required', 'none' or { name } (optional)
+     * @param {AbortSignal} options.signal - Abort signal to cancel the request (optional)
+     * @returns {Promise<Object>} { text, usage, model, finishReason, toolCalls, raw } plus `data` when options.schema is set
+     * @throws {StructuredOutputError} When the reply doesn't match options.schema
      */
     async call(prompt, options = {}) {
-        const {
-            model = 'claude-4-5-sonnet-20250514',
-            maxTokens = 4096,
-            temperature = 1,
-            systemPrompt = null
-        } = options;
+        const request = await this.buildRequest(prompt, options);
 
-        // Handle model name variations - map to Anthropic API format
-        // Anthropic uses: claude-{version}-{model}-{date} format
-        // For 4.5: claude-4-5-{model}-{date} or claude-{model}-4-{date}
-        let apiModel = model;
-        
-        // Map various formats to Anthropic's API format
-        if (model === 'claude-opus-4-20250514' || model === 'claude-4-5-opus-20250514') {
-            apiModel = 'claude-4-5-opus-20250514'; // Try Anthropic's standard format first
-        } else if (model === 'claude-sonnet-4-20250514' || model === 'claude-4-5-sonnet-20250514') {
-            apiModel = 'claude-4-5-sonnet-20250514';
-        } else if (model === 'claude-haiku-4-20250514' || model === 'claude-4-5-haiku-20250514') {
-            apiModel = 'claude-4-5-haiku-20250514';
-        } else if (model.startsWith('claude-4-5-')) {
-            // Already in correct format
-            apiModel = model;
-        } else if (model.startsWith('claude-opus-4') || model.startsWith('claude-sonnet-4') || model.startsWith('claude-haiku-4')) {
-            // Alternative format, try to convert
-            if (model.includes('opus')) {
-                apiModel = model.replace('claude-opus-4', 'claude-4-5-opus');
-            } else if (model.includes('sonnet')) {
-                apiModel = model.replace('claude-sonnet-4', 'claude-4-5-sonnet');
-            } else if (model.includes('haiku')) {
-                apiModel = model.replace('claude-haiku-4', 'claude-4-5-haiku');
-            }
-        }
-
-        if (!prompt || !prompt.trim()) {
-            throw new Error('Prompt is required');
-        }
-
-        // SECURITY: Get API key from Supabase api_keys table only
-        // No fallback to hardcoded keys for security
-        let apiKey = null;
         try {
-            const supabase = window.PromptingItSupabase?.getClient();
-            const user = window.Auth?.getUser();
-            
-            if (!supabase || !user) {
-                throw new Error('Authentication required to use Claude API');
-            }
-            
-            // Get API key from api_keys table
-            const { data: apiKeyData, error } = await supabase
-                .from('api_keys')
-                .select('key_hash')
-                .eq('user_id', user.id)
-                .eq('name', 'Claude API Key')
-                .eq('is_active', true)
-                .single();
-            
-            if (error || !apiKeyData?.key_hash) {
-                throw new Error('Claude API key not configured. Please add your API key in Settings.');
-            }
-            
-            // Decrypt the stored key using SecurityCrypto module
-            if (window.SecurityCrypto) {
-                apiKey = await window.SecurityCrypto.decrypt(apiKeyData.key_hash, user.id);
-            } else {
-                // Fallback for backwards compatibility
-                apiKey = atob(apiKeyData.key_hash);
-            }
-        } catch (e) {
-            console.error('Claude API key error:', e);
-            throw new Error('Claude API key not configured. Please add your API key in Settings.');
-        }
-
-        if (!apiKey) {
-            throw new Error('Claude API key not configured');
-        }
+            const response = await window.LLM.send('claude', request, options);
 
-        const requestBody = {
-            model: model,
-            max_tokens: maxTokens,
-            temperature: temperature,
-            messages: [
-                ...(systemPrompt ? [{
-                    role: 'system',
-                    content: systemPrompt
-                }] : []),
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ]
-        };
+            const data = await response.json();
 
-        try {
-            const response = await fetch(CLAUDE_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': apiKey,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(
-                    errorData.error?.message || 
-                    `Claude API error: ${response.status} ${response.statusText}`
-                );
-            }
+            const blocks = data.content || [];
+            const toolUses = blocks.filter(block => block.type === 'tool_use');
 
-            const data = await response.json();
-            
-            // Extract response content
-            const content = data.content?.[0]?.text || '';
-            
-            return {
-                success: true,
-                content: content,
+            const result = {
+                // Structured output comes back as the forced tool call's input
+                text: options.schema && toolUses.length > 0
+                    ? JSON.stringify(toolUses[0].input)
+                    : blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
                 usage: {
                     inputTokens: data.usage?.input_tokens || 0,
                     outputTokens: data.usage?.output_tokens || 0,
                     totalTokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0)
                 },
                 model: data.model,
-                stopReason: data.stop_reason,
+                finishReason: data.stop_reason,
+                toolCalls: options.schema ? [] : toolUses.map(block => ({
+                    id: block.id,
+                    name: block.name,
+                    arguments: block.input || {}
+                })),
                 raw: data
             };
+
+            if (options.schema) {
+                result.data = window.LLM.parseStructuredOutput(result.text, options.schema, result);
+            }
+
+            return result;
         } catch (error) {
             console.error('Claude API error:', error);
             throw error;
@@ -156,21 +73,207 @@ window.ClaudeAPI = {
     },
 
     /**
-     * Get available Claude models
+     * Stream a Claude response as it is generated
+     * Parses Anthropic message events (message_start, content_block_delta, message_delta)
+     * @param {string} prompt - The prompt text
+     * @param {Object} options - Same options as call()
+     * @yields {Object} { type: 'text', text } chunks, then { type: 'done', usage, model, finishReason }
      */
-    getModels() {
-        return [
-            // Claude 4.5 Series (Latest - 2024/2025)
-            // Using Anthropic's API format: claude-{model}-{version}-{date}
-            { id: 'claude-4-5-opus-20250514', name: 'Opus 4.5', description: 'Most capable for complex work', cost: 'High' },
-            { id: 'claude-4-5-sonnet-20250514', name: 'Sonnet 4.5', description: 'Best for everyday tasks', cost: 'Medium' },
-            { id: 'claude-4-5-haiku-20250514', name: 'Haiku 4.5', description: 'Fastest for quick answers', cost: 'Low' },
-            
-            // Alternative formats (will be mapped in call function)
-            { id: 'claude-opus-4-20250514', name: 'Opus 4.5', description: 'Most capable for complex work', cost: 'High' },
-            { id: 'claude-sonnet-4-20250514', name: 'Sonnet 4.5', description: 'Best for everyday tasks', cost: 'Medium' },
-            { id: 'claude-haiku-4-20250514', name: 'Haiku 4.5', description: 'Fastest for quick answers', cost: 'Low' }
-        ];
+    async *stream(prompt, options = {}) {
+        const request = await this.buildRequest(prompt, options);
+        request.stream = true;
+        request.body.stream = true;
+
+        const response = await window.LLM.send('claude', request, options);
+
+        let model = request.body.model;
+        let inputTokens = 0;
+        let outputTokens = 0;
+        let finishReason = null;
+
+        for await (const event of window.LLM.readEvents(response)) {
+            const data = event.data;
+            if (!data || typeof data !== 'object') continue;
+
+            switch (data.type) {
+                case 'message_start':
+                    model = data.message?.model || model;
+                    inputTokens = data.message?.usage?.input_tokens || 0;
+                    break;
+                case 'content_block_delta':
+                    if (data.delta?.type === 'text_delta' && data.delta.text) {
+                        yield { type: 'text', text: data.delta.text };
+                    } else if (options.schema && data.delta?.type === 'input_json_delta' && data.delta.partial_json) {
+                        // Structured output streams as the forced tool call's JSON
+                        yield { type: 'text', text: data.delta.partial_json };
+                    }
+                    break;
+                case 'message_delta':
+                    finishReason = data.delta?.stop_reason || finishReason;
+                    outputTokens = data.usage?.output_tokens || outputTokens;
+                    break;
+                case 'error':
+                    throw new Error(data.error?.message || 'Claude API stream error');
+            }
+        }
+
+        yield {
+            type: 'done',
+            usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+            model: model,
+            finishReason: finishReason
+        };
+    },
+
+    /**
+     * Build the body for a Messages API request
+     * The key is added later by the proxy or directRequest()
+     * @param {string} prompt - The prompt text
+     * @param {Object} options - Options passed to call()/stream()
+     * @returns {Promise<Object>} { endpoint, model, body, stream }
+     */
+    async buildRequest(prompt, options = {}) {
+        const {
+            model = window.ModelCatalog.DEFAULT_MODEL.claude,
+            maxTokens = 4096,
+            temperature = 1
+        } = options;
+
+        await window.ModelCatalog.load();
+
+        // Anthropic takes the system prompt as a top-level field, not a message
+        const { system, messages } = window.LLM.buildConversation(prompt, options);
+
+        const entry = window.ModelCatalog.resolve('claude', model);
+
+        const body = {
+            model: entry.apiId,
+            max_tokens: maxTokens,
+            temperature: temperature,
+            messages: this.toMessages(messages)
+        };
+
+        if (system) {
+            body.system = system;
+        }
+
+        if (options.tools?.length) {
+            body.tools = options.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+
+            const choice = options.toolChoice;
+            if (choice === 'required') {
+                body.tool_choice = { type: 'any' };
+            } else if (choice === 'none') {
+                body.tool_choice = { type: 'none' };
+            } else if (choice?.name) {
+                body.tool_choice = { type: 'tool', name: choice.name };
+            }
+        }
+
+        // Anthropic has no JSON mode - force a single tool whose input schema is the output schema
+        if (options.schema) {
+            const name = options.schemaName || 'response';
+            body.tools = [{
+                name: name,
+                description: 'Respond with output that matches this schema.',
+                input_schema: options.schema
+            }];
+            body.tool_choice = { type: 'tool', name: name };
+        }
+
+        return {
+            endpoint: entry.endpoint,
+            model: entry.apiId,
+            body: body,
+            stream: false
+        };
+    },
+
+    /**
+     * Map neutral conversation turns to Messages API messages
+     * Tool calls become tool_use blocks; tool results go back as tool_result blocks
+     * in a user message (one message per batch of results).
+     * @param {Array<Object>} messages - From LLM.buildConversation()
+     * @returns {Array<Object>} Anthropic messages
+     */
+    toMessages(messages) {
+        const mapped = [];
+
+        messages.forEach(message => {
+            if (message.role === 'tool') {
+                const block = {
+                    type: 'tool_result',
+                    tool_use_id: message.toolCallId,
+                    content: message.content
+                };
+                if (message.isError) {
+                    block.is_error = true;
+                }
+
+                const last = mapped[mapped.length - 1];
+                if (last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+                    last.content.push(block);
+                } else {
+                    mapped.push({ role: 'user', content: [block] });
+                }
+            } else if (message.toolCalls?.length) {
+                mapped.push({
+                    role: 'assistant',
+                    content: [
+                        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                        ...message.toolCalls.map(call => ({
+                            type: 'tool_use',
+                            id: call.id,
+                            name: call.name,
+                            input: call.arguments || {}
+                        }))
+                    ]
+                });
+            } else {
+                mapped.push({ role: message.role, content: message.content });
+            }
+        });
+
+        return mapped;
+    },
+
+    /**
+     * URL and headers for calling Anthropic directly from the browser (proxy disabled)
+     * @param {Object} request - From buildRequest()
+     * @param {string} apiKey - Decrypted API key
+     * @returns {Object} { url, headers }
+     */
+    directRequest(request, apiKey) {
+        return {
+            url: CLAUDE_API_URL,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                // Anthropic rejects browser (CORS) requests without this opt-in
+                'anthropic-dangerous-direct-browser-access': 'true'
+            }
+        };
+    },
+
+    /**
+     * Map a UI model ID (or alias) to the ID sent to the API via the model catalog
+     * @param {string} model - Model ID from the UI
+     * @returns {string} Model ID sent to the API
+     */
+    resolveModel(model) {
+        return window.ModelCatalog.resolve('claude', model).apiId;
+    },
+
+    /**
+     * Get available Claude models from the model catalog
+     */
+    listModels() {
+        return window.ModelCatalog.list('claude');
     },
 
     /**
@@ -180,32 +283,11 @@ window.ClaudeAPI = {
      * @param {string} model - Model ID
      * @returns {Object} Cost breakdown
      */
-    estimateCost(inputTokens, outputTokens, model = 'claude-4-5-sonnet-20250514') {
-        // Pricing per 1M tokens (as of 2024/2025)
-        const pricing = {
-            // Claude 4.5 Series (Latest) - support multiple format variations
-            'claude-4-5-opus-20250514': { input: 15.00, output: 75.00 },
-            'claude-4-5-sonnet-20250514': { input: 3.00, output: 15.00 },
-            'claude-4-5-haiku-20250514': { input: 0.80, output: 4.00 },
-            'claude-opus-4-20250514': { input: 15.00, output: 75.00 },
-            'claude-sonnet-4-20250514': { input: 3.00, output: 15.00 },
-            'claude-haiku-4-20250514': { input: 0.80, output: 4.00 }
-        };
+    estimateCost(inputTokens, outputTokens, model = window.ModelCatalog.DEFAULT_MODEL.claude) {
+        // Pricing per 1M tokens comes from the model catalog
+        const modelPricing = window.ModelCatalog.getPricing('claude', model);
 
-        const modelPricing = pricing[model] || pricing['claude-4-5-sonnet-20250514'];
-        
-        const inputCost = (inputTokens / 1000000) * modelPricing.input;
-        const outputCost = (outputTokens / 1000000) * modelPricing.output;
-        const totalCost = inputCost + outputCost;
-
-        return {
-            inputCost: inputCost,
-            outputCost: outputCost,
-            totalCost: totalCost,
-            inputTokens: inputTokens,
-            outputTokens: outputTokens,
-            totalTokens: inputTokens + outputTokens
-        };
+        return window.LLM.calculateCost(modelPricing, inputTokens, outputTokens);
     },
 
     /**
@@ -213,26 +295,8 @@ window.ClaudeAPI = {
      * SECURITY: Checks Supabase only, no hardcoded keys
      */
     async isConfigured() {
-        try {
-            const supabase = window.PromptingItSupabase?.getClient();
-            const user = window.Auth?.getUser();
-            
-            if (!supabase || !user) {
-                return false;
-            }
-            
-            const { data } = await supabase
-                .from('api_keys')
-                .select('id')
-                .eq('user_id', user.id)
-                .eq('name', 'Claude API Key')
-                .eq('is_active', true)
-                .single();
-            
-            return !!data;
-        } catch (e) {
-            return false;
-        }
+        return window.LLM.hasApiKey('claude');
     }
 };
 
+window.LLM.register('claude', window.ClaudeAPI);
@@ -23,19 +23,42 @@ const SAMPLE_PROMPTS = [
         \`\`\`{{language}}
         {{code}}
         \`\`\``,
-        variables: { language: 'TypeScript', code: 'const data = eval(userInput);' },
+        variables: [
+          { name: 'language', type: 'enum', enum: ['TypeScript', 'Python', 'Go'], default: 'TypeScript', required: true },
+          { name: 'code', type: 'text', default: 'const data = eval(userInput);', required: true, maxLength: 2000 },
+        ],
   },
   {
         id: 'sql-generator',
         name: 'SQL Query Generator', 
         version: 'v1.8.0',
         content: `Convert this request into SQL: {{request}}`,
-        variables: { request: 'Get top 10 customers' },
+        variables: [
+          { name: 'request', type: 'string', default: 'Get top 10 customers', required: true, maxLength: 200 },
+        ],
   },
   ];
 
+// Same checks as prompt-variables.js: required, enum options and max length
+function validateVariables(variables, values) {
+  const errors = {};
+  variables.forEach(variable => {
+    const value = values[variable.name] ?? variable.default ?? '';
+    if (value === '') {
+      if (variable.required) errors[variable.name] = 'is required';
+    } else if (variable.type === 'enum' && !variable.enum.includes(value)) {
+      errors[variable.name] = `must be one of ${variable.enum.join(', ')}`;
+    } else if (variable.maxLength && String(value).length > variable.maxLength) {
+      errors[variable.name] = `must be at most ${variable.maxLength} characters`;
+    }
+  });
+  return errors;
+}
+
 export function PromptPlayground() {
     const [selectedPrompt, setSelectedPrompt] = useState(SAMPLE_PROMPTS[0]);
+    const [values, setValues] = useState({});
+    const [errors, setErrors] = useState({});
     const [activeModels, setActiveModels] = useState(['claude-3-opus', 'gpt-4-turbo']);
     const [results, setResults] = useState([]);
     const [isRunning, setIsRunning] = useState(false);
@@ -46,7 +69,17 @@ export function PromptPlayground() {
                             );
   };
 
+  const selectPrompt = (id) => {
+        setSelectedPrompt(SAMPLE_PROMPTS.find(p => p.id === id));
+        setValues({});
+        setErrors({});
+  };
+
   const simulateTest = async () => {
+        const problems = validateVariables(selectedPrompt.variables, values);
+        setErrors(problems);
+        if (Object.keys(problems).length) return;
+
         setIsRunning(true);
         setResults([]);
 
@@ -78,7 +111,7 @@ export function PromptPlayground() {
                       <span className="title">Prompt Playground</span>span>
                       <select 
                                   value={selectedPrompt.id}
-                                  onChange={(e) => setSelectedPrompt(SAMPLE_PROMPTS.find(p => p.id === e.target.value))}
+                                  onChange={(e) => selectPrompt(e.target.value)}
                                   className="prompt-select"
                                 >
                         {SAMPLE_PROMPTS.map(p => <option key={p.id} value={p.id}>{p.name}</option>option>)}
@@ -98,9 +131,25 @@ export function PromptPlayground() {
                                 </pre>pre>
                                 <div className="variables">
                                             <h4>Variables</h4>h4>
-                                  {Object.entries(selectedPrompt.variables).map(([k, v]) => (
-                        <span key={k} className="var-tag">{k}: {String(v).slice(0,15)}...</span>span>
-                      ))}
+                                  {selectedPrompt.variables.map(variable => {
+                        const value = values[variable.name] ?? variable.default ?? '';
+                        const onChange = (e) => setValues(prev => ({ ...prev, [variable.name]: e.target.value }));
+                        return (
+                          <label key={variable.name} className={`var-field ${errors[variable.name] ? 'invalid' : ''}`}>
+                            <span className="var-tag">{variable.name}{variable.required ? ' *' : ''}</span>
+                            {variable.type === 'enum' ? (
+                              <select value={value} onChange={onChange}>
+                                {variable.enum.map(option => <option key={option} value={option}>{option}</option>)}
+                              </select>
+                            ) : variable.type === 'text' ? (
+                              <textarea value={value} onChange={onChange} maxLength={variable.maxLength} rows={3} />
+                            ) : (
+                              <input type="text" value={value} onChange={onChange} maxLength={variable.maxLength} />
+                            )}
+                            {errors[variable.name] && <span className="var-error">{variable.name} {errors[variable.name]}</span>}
+                          </label>
+                        );
+                      })}
                                 </div>div>
                       </div>div>
               
@@ -10,86 +10,135 @@ const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models'
 
 // Gemini API Service
 window.GeminiAPI = {
+    name: 'Gemini',
+    keyName: 'Gemini API Key',
+
     /**
      * Call Gemini API with a prompt
-     * @param {string} prompt - The prompt text
+     * @param {string|null} prompt - The prompt text (optional when options.messages is set)
      * @param {Object} options - Additional options
      * @param {string} options.model - Model to use (default: 'gemini-3-fast')
      * @param {number} options.maxTokens - Max tokens in response (default: 2048)
      * @param {number} options.temperature - Temperature (0-2, default: 1)
-     * @returns {Promise<Object>} API response
+     * @param {string} options.system - System prompt, sent as `systemInstruction` (optional)
+     * @param {Array<Object>} options.messages - Prior turns as [{ role: 'user'|'assistant', content }] (optional)
+     * @param {Object} options.schema - JSON Schema for structured output, sent as `responseSchema` (optional)
+     * @param {Array<Object>} options.tools - Provider-neutral tools [{ name, description, parameters }] (optional)
+     * @param {string|Object} options.toolChoice - 'auto', 'required', 'none' or { name } (optional)
+     * @param {AbortSignal} options.signal - Abort signal to cancel the request (optional)
+     * @returns {Promise<Object>} { text, usage, model, finishReason, toolCalls, raw } plus `data` when options.schema is set
+     * @throws {StructuredOutputError} When the reply doesn't match options.schema
      */
     async call(prompt, options = {}) {
-        const {
-            model = 'gemini-3-fast',
-            maxTokens = 2048,
-            temperature = 1
-        } = options;
-
-        if (!prompt || !prompt.trim()) {
-            throw new Error('Prompt is required');
-        }
+        const request = await this.buildRequest(prompt, options);
 
-        // SECURITY: Get API key from Supabase api_keys table only
-        // No fallback to hardcoded keys for security
-        let apiKey = null;
         try {
-            const supabase = window.PromptingItSupabase?.getClient();
-            const user = window.Auth?.getUser();
-            
-            if (!supabase || !user) {
-                throw new Error('Authentication required to use Gemini API');
-            }
-            
-            // Get API key from api_keys table
-            const { data: apiKeyData, error } = await supabase
-                .from('api_keys')
-                .select('key_hash')
-                .eq('user_id', user.id)
-                .eq('name', 'Gemini API Key')
-                .eq('is_active', true)
-                .single();
+            const response = await window.LLM.send('gemini', request, options);
+
+            const data = await response.json();
             
-            if (error || !apiKeyData?.key_hash) {
-                throw new Error('Gemini API key not configured. Please add your API key in Settings.');
-            }
+            // Extract usage information
+            const usageMetadata = data.usageMetadata || {};
+            const parts = data.candidates?.[0]?.content?.parts || [];
             
-            // Decrypt the stored key using SecurityCrypto module
-            if (window.SecurityCrypto) {
-                apiKey = await window.SecurityCrypto.decrypt(apiKeyData.key_hash, user.id);
-            } else {
-                // Fallback for backwards compatibility
-                apiKey = atob(apiKeyData.key_hash);
+            const result = {
+                text: parts.filter(part => part.text).map(part => part.text).join(''),
+                usage: {
+                    inputTokens: usageMetadata.promptTokenCount || 0,
+                    outputTokens: usageMetadata.candidatesTokenCount || 0,
+                    totalTokens: usageMetadata.totalTokenCount || 0
+                },
+                model: request.model,
+                finishReason: data.candidates?.[0]?.finishReason,
+                // Older Gemini models don't return call IDs; results are matched by name
+                toolCalls: parts.filter(part => part.functionCall).map((part, index) => ({
+                    id: part.functionCall.id || `${part.functionCall.name}_${index}`,
+                    name: part.functionCall.name,
+                    arguments: part.functionCall.args || {}
+                })),
+                raw: data
+            };
+
+            if (options.schema) {
+                result.data = window.LLM.parseStructuredOutput(result.text, options.schema, result);
             }
-        } catch (e) {
-            console.error('Gemini API key error:', e);
-            throw new Error('Gemini API key not configured. Please add your API key in Settings.');
-        }
 
-        if (!apiKey) {
-            throw new Error('Gemini API key not configured');
+            return result;
+        } catch (error) {
+            console.error('Gemini API error:', error);
+            throw error;
         }
+    },
+
+    /**
+     * Stream a Gemini response as it is generated
+     * Uses streamGenerateContent with alt=sse; each event is a partial GenerateContentResponse
+     * @param {string} prompt - The prompt text
+     * @param {Object} options - Same options as call()
+     * @yields {Object} { type: 'text', text } chunks, then { type: 'done', usage, model, finishReason }
+     */
+    async *stream(prompt, options = {}) {
+        const request = await this.buildRequest(prompt, options);
+        request.stream = true;
+
+        const response = await window.LLM.send('gemini', request, options);
+
+        let usageMetadata = {};
+        let finishReason = null;
+
+        for await (const event of window.LLM.readEvents(response)) {
+            const data = event.data;
+            if (!data || typeof data !== 'object') continue;
 
-        // Handle Gemini 3 model names - map to API format
-        // Gemini API uses format: gemini-{version}-{variant}
-        let apiModel = model;
-        if (model === 'gemini-3-fast') {
-            apiModel = 'gemini-3-fast';
-        } else if (model === 'gemini-3-thinking') {
-            apiModel = 'gemini-3-thinking';
-        } else if (model === 'gemini-3-pro') {
-            apiModel = 'gemini-3-pro';
+            if (data.error) {
+                throw new Error(data.error.message || 'Gemini API stream error');
+            }
+
+            const candidate = data.candidates?.[0];
+            const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+            if (text) {
+                yield { type: 'text', text: text };
+            }
+            if (candidate?.finishReason) finishReason = candidate.finishReason;
+            if (data.usageMetadata) usageMetadata = data.usageMetadata;
         }
-        
-        // Construct the API URL for the specific model
-        const apiUrl = `${GEMINI_API_URL}/${apiModel}:generateContent?key=${apiKey}`;
 
-        const requestBody = {
-            contents: [{
-                parts: [{
-                    text: prompt
-                }]
-            }],
+        yield {
+            type: 'done',
+            usage: {
+                inputTokens: usageMetadata.promptTokenCount || 0,
+                outputTokens: usageMetadata.candidatesTokenCount || 0,
+                totalTokens: usageMetadata.totalTokenCount || 0
+            },
+            model: request.model,
+            finishReason: finishReason
+        };
+    },
+
+    /**
+     * Build the body for a generateContent request
+     * The key is added later by the proxy or directRequest()
+     * @param {string} prompt - The prompt text
+     * @param {Object} options - Options passed to call()/stream()
+     * @returns {Promise<Object>} { endpoint, model, body, stream }
+     */
+    async buildRequest(prompt, options = {}) {
+        const {
+            model = window.ModelCatalog.DEFAULT_MODEL.gemini,
+            maxTokens = 2048,
+            temperature = 1
+        } = options;
+
+        await window.ModelCatalog.load();
+
+        const { system, messages } = window.LLM.buildConversation(prompt, options);
+
+        // The catalog maps the UI model ID to the API model name
+        const entry = window.ModelCatalog.resolve('gemini', model);
+
+        const body = {
+            // Gemini calls the assistant role "model"
+            contents: this.toContents(messages),
             generationConfig: {
                 temperature: temperature,
                 maxOutputTokens: maxTokens,
@@ -98,59 +147,159 @@ window.GeminiAPI = {
             }
         };
 
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(
-                    errorData.error?.message || 
-                    `Gemini API error: ${response.status} ${response.statusText}`
-                );
+        if (options.tools?.length) {
+            body.tools = [{
+                functionDeclarations: options.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    // Gemini rejects an object schema with no properties
+                    ...(Object.keys(tool.parameters.properties || {}).length > 0
+                        ? { parameters: this.toResponseSchema(tool.parameters) }
+                        : {})
+                }))
+            }];
+
+            const choice = options.toolChoice;
+            if (choice) {
+                const modes = { auto: 'AUTO', required: 'ANY', none: 'NONE' };
+                body.toolConfig = {
+                    functionCallingConfig: choice.name
+                        ? { mode: 'ANY', allowedFunctionNames: [choice.name] }
+                        : { mode: modes[choice] || 'AUTO' }
+                };
             }
+        }
 
-            const data = await response.json();
-            
-            // Extract response content
-            const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            
-            // Extract usage information
-            const usageMetadata = data.usageMetadata || {};
-            
-            return {
-                success: true,
-                content: content,
-                usage: {
-                    inputTokens: usageMetadata.promptTokenCount || 0,
-                    outputTokens: usageMetadata.candidatesTokenCount || 0,
-                    totalTokens: usageMetadata.totalTokenCount || 0
-                },
-                model: model,
-                finishReason: data.candidates?.[0]?.finishReason,
-                raw: data
+        if (options.schema) {
+            body.generationConfig.responseMimeType = 'application/json';
+            body.generationConfig.responseSchema = this.toResponseSchema(options.schema);
+        }
+
+        if (system) {
+            body.systemInstruction = {
+                parts: [{
+                    text: system
+                }]
             };
-        } catch (error) {
-            console.error('Gemini API error:', error);
-            throw error;
         }
+
+        return {
+            endpoint: entry.endpoint,
+            model: entry.apiId,
+            body: body,
+            stream: false
+        };
+    },
+
+    /**
+     * Map neutral conversation turns to Gemini contents
+     * Gemini calls the assistant role "model"; tool calls are functionCall parts and
+     * results go back as functionResponse parts (one user turn per batch of results).
+     * @param {Array<Object>} messages - From LLM.buildConversation()
+     * @returns {Array<Object>} Gemini contents
+     */
+    toContents(messages) {
+        const contents = [];
+
+        messages.forEach(message => {
+            if (message.role === 'tool') {
+                const part = {
+                    functionResponse: {
+                        name: message.name,
+                        // response must be an object
+                        response: message.isError ? { error: message.content } : { result: message.content }
+                    }
+                };
+                const last = contents[contents.length - 1];
+                if (last?.role === 'user' && last.parts[0]?.functionResponse) {
+                    last.parts.push(part);
+                } else {
+                    contents.push({ role: 'user', parts: [part] });
+                }
+            } else if (message.toolCalls?.length) {
+                contents.push({
+                    role: 'model',
+                    parts: [
+                        ...(message.content ? [{ text: message.content }] : []),
+                        ...message.toolCalls.map(call => ({
+                            functionCall: { name: call.name, args: call.arguments || {} }
+                        }))
+                    ]
+                });
+            } else {
+                contents.push({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{
+                        text: message.content
+                    }]
+                });
+            }
+        });
+
+        return contents;
+    },
+
+    /**
+     * Convert a JSON Schema to Gemini's responseSchema (an OpenAPI subset)
+     * Drops keywords Gemini rejects; the full schema is still checked client-side.
+     * @param {Object} schema - JSON Schema
+     * @returns {Object} Gemini Schema
+     */
+    toResponseSchema(schema) {
+        if (Array.isArray(schema)) {
+            return schema.map(item => this.toResponseSchema(item));
+        }
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+
+        const unsupported = ['$schema', '$id', 'additionalProperties', 'const', 'pattern', 'exclusiveMinimum', 'exclusiveMaximum'];
+        const converted = {};
+        Object.entries(schema).forEach(([key, value]) => {
+            if (unsupported.includes(key)) return;
+
+            if (key === 'type' && Array.isArray(value)) {
+                // ['string', 'null'] -> type: 'string', nullable: true
+                const types = value.filter(type => type !== 'null');
+                converted.type = types[0];
+                if (types.length < value.length) converted.nullable = true;
+            } else if (key === 'properties') {
+                converted.properties = {};
+                Object.entries(value).forEach(([name, property]) => {
+                    converted.properties[name] = this.toResponseSchema(property);
+                });
+            } else {
+                converted[key] = this.toResponseSchema(value);
+            }
+        });
+        return converted;
+    },
+
+    /**
+     * URL and headers for calling Gemini directly from the browser (proxy disabled)
+     * Streaming requests use streamGenerateContent with alt=sse
+     * @param {Object} request - From buildRequest()
+     * @param {string} apiKey - Decrypted API key
+     * @returns {Object} { url, headers }
+     */
+    directRequest(request, apiKey) {
+        const method = request.stream ? 'streamGenerateContent' : 'generateContent';
+        const query = request.stream ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+
+        return {
+            // Construct the API URL for the specific model
+            url: `${GEMINI_API_URL}/${request.model}:${method}?${query}`,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        };
     },
 
     /**
-     * Get available Gemini models
+     * Get available Gemini models from the model catalog
      */
-    getModels() {
-        return [
-            // Gemini 3 Series (Latest - 2024/2025)
-            { id: 'gemini-3-fast', name: 'Gemini 3 Fast', description: 'Answers quickly', cost: 'Low' },
-            { id: 'gemini-3-thinking', name: 'Gemini 3 Thinking', description: 'Solves complex problems', cost: 'Medium' },
-            { id: 'gemini-3-pro', name: 'Gemini 3 Pro', description: 'Thinks longer for advanced math & code', cost: 'High' }
-        ];
+    listModels() {
+        return window.ModelCatalog.list('gemini');
     },
 
     /**
@@ -160,29 +309,11 @@ window.GeminiAPI = {
      * @param {string} model - Model ID
      * @returns {Object} Cost breakdown
      */
-    estimateCost(inputTokens, outputTokens, model = 'gemini-3-fast') {
-        // Pricing per 1M tokens (as of 2024/2025)
-        const pricing = {
-            // Gemini 3 Series (Latest)
-            'gemini-3-fast': { input: 0.075, output: 0.30 },
-            'gemini-3-thinking': { input: 0.15, output: 0.60 },
-            'gemini-3-pro': { input: 1.25, output: 5.00 }
-        };
+    estimateCost(inputTokens, outputTokens, model = window.ModelCatalog.DEFAULT_MODEL.gemini) {
+        // Pricing per 1M tokens comes from the model catalog
+        const modelPricing = window.ModelCatalog.getPricing('gemini', model);
 
-        const modelPricing = pricing[model] || pricing['gemini-3-fast'];
-        
-        const inputCost = (inputTokens / 1000000) * modelPricing.input;
-        const outputCost = (outputTokens / 1000000) * modelPricing.output;
-        const totalCost = inputCost + outputCost;
-
-        return {
-            inputCost: inputCost,
-            outputCost: outputCost,
-            totalCost: totalCost,
-            inputTokens: inputTokens,
-            outputTokens: outputTokens,
-            totalTokens: inputTokens + outputTokens
-        };
+        return window.LLM.calculateCost(modelPricing, inputTokens, outputTokens);
     },
 
     /**
@@ -190,26 +321,8 @@ window.GeminiAPI = {
      * SECURITY: Checks Supabase only, no hardcoded keys
      */
     async isConfigured() {
-        try {
-            const supabase = window.PromptingItSupabase?.getClient();
-            const user = window.Auth?.getUser();
-            
-            if (!supabase || !user) {
-                return false;
-            }
-            
-            const { data } = await supabase
-                .from('api_keys')
-                .select('id')
-                .eq('user_id', user.id)
-                .eq('name', 'Gemini API Key')
-                .eq('is_active', true)
-                .single();
-            
-            return !!data;
-        } catch (e) {
-            return false;
-        }
+        return window.LLM.hasApiKey('gemini');
     }
 };
 
+window.LLM.register('gemini', window.GeminiAPI);
@@ -40,7 +40,8 @@
       maxRetries: 3,
       baseDelay: 1000,
       maxDelay: 10000,
-      backoffFactor: 2
+      backoffFactor: 2,
+      jitter: false
     },
 
     // Error log queue for batching
@@ -283,26 +284,50 @@
     },
 
     // Retry failed operation with exponential backoff
+    // Options (on top of retryConfig):
+    //   jitter      - randomize each delay between 50% and 100% so clients don't retry in lockstep
+    //   shouldRetry - (error) => boolean, replaces isNonRetryableError()
+    //   onRetry     - (error, attempt, delay) => void, called before each wait
+    // If the error carries retryAfter (ms, e.g. from a Retry-After header) that wait is used
+    // instead; when it is longer than maxDelay the error is thrown rather than waiting.
     async retry(operation, options = {}) {
       const config = { ...this.retryConfig, ...options };
       let lastError;
 
       for (let attempt = 0; attempt < config.maxRetries; attempt++) {
         try {
-          return await operation();
+          return await operation(attempt);
         } catch (error) {
           lastError = error;
 
           // Don't retry certain errors
-          if (this.isNonRetryableError(error)) {
+          const retryable = config.shouldRetry
+            ? config.shouldRetry(error)
+            : !this.isNonRetryableError(error);
+          if (!retryable || attempt === config.maxRetries - 1) {
             throw error;
           }
 
           // Calculate delay with exponential backoff
-          const delay = Math.min(
+          let delay = Math.min(
             config.baseDelay * Math.pow(config.backoffFactor, attempt),
             config.maxDelay
           );
+          if (config.jitter) {
+            delay = delay / 2 + Math.random() * (delay / 2);
+          }
+
+          // Server-specified wait wins over backoff
+          if (typeof error.retryAfter === 'number') {
+            if (error.retryAfter > config.maxDelay) {
+              throw error;
+            }
+            delay = error.retryAfter;
+          }
+
+          if (config.onRetry) {
+            config.onRetry(error, attempt + 1, delay);
+          }
 
           // Wait before retry
           await new Promise(resolve => setTimeout(resolve, delay));
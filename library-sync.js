@@ -0,0 +1,657 @@
+/* ============================================
+   LIBRARY SYNC
+   Prompting It - Offline-first prompts, folders and favorites
+   ============================================ */
+
+// The library reads and writes a local store (IndexedDB, or localStorage when
+// IndexedDB is unavailable) and never waits for the network. Every local change
+// is added to a queue that is replayed against Supabase whenever the browser is
+// online and signed in; then the server copy is pulled and merged in.
+//
+// Conflicts are detected per record. For each synced record the store keeps a
+// "base": the server's updated_at and synced fields as this device last saw
+// them. A queued change is written with `.eq('updated_at', base)`, so it only
+// applies if nobody changed the row since (updated_at is set by a trigger on
+// the server). If the row did change, the remote fields are compared with the
+// base: when only untracked columns moved (run counts, versions) the change is
+// retried; when another device edited the same fields, or deleted the record,
+// the queue entry is parked as a conflict until the user keeps one side.
+//
+// Records that were never synced (no base) and have no queued change stay
+// local-only, e.g. prompts saved in this browser before sync existed.
+//
+// Load order: supabase-config.js -> auth.js -> library-sync.js
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'promptingit_library';
+  const DB_VERSION = 1;
+  const RECORD_STORES = ['folders', 'prompts', 'favorites'];
+  const LEGACY_KEYS = {
+    prompts: 'promptingit_prompts',
+    folders: 'promptingit_folders',
+    favorites: 'promptingit_favorites'
+  };
+
+  // Columns written to the server; anything else on a local record stays local
+  const SYNCED_FIELDS = {
+    prompts: ['title', 'description', 'content', 'category', 'tags', 'model', 'status', 'folder_id', 'variables'],
+    folders: ['name', 'color', 'icon', 'parent_id'],
+    favorites: []
+  };
+
+  const SELECTS = {
+    prompts: 'id, title, description, content, category, tags, model, status, version, folder_id, variables, organization_id, run_count, created_at, updated_at, prompt_versions(count)',
+    folders: 'id, name, color, icon, parent_id, created_at, updated_at',
+    favorites: 'prompt_id, created_at'
+  };
+
+  // Wait this long after a local change before replaying, so typing or a burst
+  // of clicks becomes one round trip
+  const PUSH_DELAY_MS = 1000;
+
+  const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  function createId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    // RFC 4122 version 4 layout for browsers without randomUUID
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, ch => {
+      const r = Math.random() * 16 | 0;
+      return (ch === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  function baseKey(table, id) {
+    return `${table}:${id}`;
+  }
+
+  function pickFields(table, record) {
+    const fields = {};
+    SYNCED_FIELDS[table].forEach(field => {
+      fields[field] = record?.[field] ?? null;
+    });
+    return fields;
+  }
+
+  // Fields to write; missing ones are left out so column defaults apply
+  function toRow(table, record) {
+    const row = {};
+    SYNCED_FIELDS[table].forEach(field => {
+      if (record[field] !== undefined) row[field] = record[field];
+    });
+    return row;
+  }
+
+  // JSONB columns (prompts.variables) come back with their keys reordered
+  function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: canonical(value[key]) }), {});
+    }
+    return value;
+  }
+
+  function sameFields(table, a, b) {
+    return SYNCED_FIELDS[table].every(field =>
+      JSON.stringify(canonical(a?.[field] ?? null)) === JSON.stringify(canonical(b?.[field] ?? null)));
+  }
+
+  function fromRemote(table, row) {
+    if (table === 'favorites') {
+      return { id: row.prompt_id, created_at: row.created_at };
+    }
+    if (table === 'prompts') {
+      const { prompt_versions: versions, ...prompt } = row;
+      return { ...prompt, version_count: versions?.[0]?.count || 1 };
+    }
+    return { ...row };
+  }
+
+  // ============================================
+  // LOCAL STORE
+  // ============================================
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function createIndexedDbBackend(db) {
+    function run(store, mode, action) {
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(store, mode);
+        const result = action(transaction.objectStore(store));
+        transaction.oncomplete = () => resolve(result?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+
+    return {
+      getAll: store => run(store, 'readonly', objectStore => objectStore.getAll()),
+      get: (store, key) => run(store, 'readonly', objectStore => objectStore.get(key)),
+      put: (store, value) => run(store, 'readwrite', objectStore => objectStore.put(value)),
+      delete: (store, key) => run(store, 'readwrite', objectStore => objectStore.delete(key)),
+      clear: store => run(store, 'readwrite', objectStore => objectStore.clear())
+    };
+  }
+
+  // Same interface over localStorage, one JSON object per store
+  function createLocalStorageBackend() {
+    const KEY_PATHS = { queue: 'seq', bases: 'key', meta: 'key' };
+    const read = store => {
+      try {
+        return JSON.parse(localStorage.getItem(`${DB_NAME}_${store}`)) || {};
+      } catch (e) {
+        return {};
+      }
+    };
+    const write = (store, data) => localStorage.setItem(`${DB_NAME}_${store}`, JSON.stringify(data));
+
+    return {
+      async getAll(store) {
+        return Object.values(read(store));
+      },
+      async get(store, key) {
+        return read(store)[key];
+      },
+      async put(store, value) {
+        const data = read(store);
+        const keyPath = KEY_PATHS[store] || 'id';
+        if (store === 'queue' && value.seq === undefined) {
+          value = { ...value, seq: Math.max(0, ...Object.keys(data).map(Number)) + 1 };
+        }
+        data[value[keyPath]] = value;
+        write(store, data);
+        return value[keyPath];
+      },
+      async delete(store, key) {
+        const data = read(store);
+        delete data[key];
+        write(store, data);
+      },
+      async clear(store) {
+        localStorage.removeItem(`${DB_NAME}_${store}`);
+      }
+    };
+  }
+
+  async function openBackend() {
+    if (!window.indexedDB) return createLocalStorageBackend();
+    try {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        RECORD_STORES.forEach(store => db.createObjectStore(store, { keyPath: 'id' }));
+        db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+        db.createObjectStore('bases', { keyPath: 'key' });
+        db.createObjectStore('meta', { keyPath: 'key' });
+      };
+      return createIndexedDbBackend(await requestToPromise(request));
+    } catch (error) {
+      // Private browsing in some browsers refuses IndexedDB
+      console.warn('IndexedDB unavailable, using localStorage:', error);
+      return createLocalStorageBackend();
+    }
+  }
+
+  // Copies data the library kept in localStorage before sync existed. Old IDs
+  // weren't UUIDs, so those records get new ones the server will accept.
+  async function migrateLegacyStorage(backend) {
+    if (await backend.get('meta', 'migrated')) return;
+
+    const readLegacy = key => {
+      try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+      } catch (e) {
+        return [];
+      }
+    };
+    const renamed = new Map();
+    const prompts = readLegacy(LEGACY_KEYS.prompts).map(prompt => {
+      if (UUID_PATTERN.test(prompt.id)) return prompt;
+      const id = createId();
+      renamed.set(prompt.id, id);
+      return { ...prompt, id };
+    });
+
+    for (const prompt of prompts) await backend.put('prompts', prompt);
+    for (const folder of readLegacy(LEGACY_KEYS.folders)) await backend.put('folders', folder);
+    for (const promptId of readLegacy(LEGACY_KEYS.favorites)) {
+      await backend.put('favorites', { id: renamed.get(promptId) || promptId });
+    }
+    await backend.put('meta', { key: 'migrated', value: new Date().toISOString() });
+  }
+
+  // ============================================
+  // SYNC ENGINE
+  // ============================================
+  const state = {
+    backend: null,
+    ready: null,
+    syncing: null,
+    // A change was queued while a sync was running
+    resync: false,
+    pushTimer: null,
+    listeners: new Set(),
+    status: { state: 'idle', pending: 0, conflicts: 0, lastSyncedAt: null, error: null }
+  };
+
+  function emit(event, detail) {
+    state.listeners.forEach(listener => {
+      try {
+        listener(event, detail);
+      } catch (error) {
+        console.error('Library sync listener failed:', error);
+      }
+    });
+  }
+
+  async function refreshStatus(changes = {}) {
+    const queue = await state.backend.getAll('queue');
+    state.status = {
+      ...state.status,
+      ...changes,
+      pending: queue.length,
+      conflicts: queue.filter(entry => entry.conflict).length
+    };
+    if (!navigator.onLine) state.status.state = 'offline';
+    emit('status', { ...state.status });
+  }
+
+  async function enqueue(table, op, id) {
+    const queue = await state.backend.getAll('queue');
+    // Only the latest change to a record needs replaying; it carries the record's
+    // current state. A parked conflict keeps its remote copy.
+    const previous = queue.filter(entry => entry.table === table && entry.id === id);
+    for (const entry of previous) await state.backend.delete('queue', entry.seq);
+
+    const conflict = previous.find(entry => entry.conflict)?.conflict;
+    await state.backend.put('queue', { table, op, id, queuedAt: new Date().toISOString(), ...(conflict ? { conflict } : {}) });
+  }
+
+  function schedulePush() {
+    clearTimeout(state.pushTimer);
+    state.pushTimer = setTimeout(() => LibrarySync.sync(), PUSH_DELAY_MS);
+  }
+
+  async function storeRemote(table, row) {
+    const record = fromRemote(table, row);
+    const local = await state.backend.get(table, record.id);
+    await state.backend.put(table, { ...local, ...record });
+    await state.backend.put('bases', {
+      key: baseKey(table, record.id),
+      updatedAt: row.updated_at || null,
+      fields: pickFields(table, record)
+    });
+    return record;
+  }
+
+  async function removeLocal(table, id) {
+    await state.backend.delete(table, id);
+    await state.backend.delete('bases', baseKey(table, id));
+  }
+
+  async function fetchRemote(supabase, table, id, userId) {
+    const query = table === 'favorites'
+      ? supabase.from(table).select(SELECTS[table]).eq('user_id', userId).eq('prompt_id', id)
+      : supabase.from(table).select(SELECTS[table]).eq('id', id);
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function pushFavorite(supabase, user, entry) {
+    if (entry.op === 'delete') {
+      const { error } = await supabase.from('prompt_favorites').delete().eq('user_id', user.id).eq('prompt_id', entry.id);
+      if (error) throw error;
+      await state.backend.delete('bases', baseKey('favorites', entry.id));
+      return null;
+    }
+
+    const { error } = await supabase
+      .from('prompt_favorites')
+      .upsert({ user_id: user.id, prompt_id: entry.id }, { onConflict: 'user_id,prompt_id', ignoreDuplicates: true });
+    // The prompt only exists in this browser, so the favorite stays local too
+    if (error?.code === '23503') return null;
+    if (error) throw error;
+    await state.backend.put('bases', { key: baseKey('favorites', entry.id), updatedAt: null, fields: {} });
+    return null;
+  }
+
+  // Replays one queued change. Returns a conflict, or null when the entry is done.
+  async function pushEntry(supabase, user, entry, retried = false) {
+    const { table, id } = entry;
+    if (table === 'favorites') return pushFavorite(supabase, user, entry);
+
+    const from = supabase.from(table);
+    const base = await state.backend.get('bases', baseKey(table, id));
+    const local = entry.op === 'put' ? await state.backend.get(table, id) : null;
+    if (entry.op === 'put' && !local) return null;
+
+    let result;
+    if (entry.op === 'delete') {
+      if (!base) return null;
+      result = await from.delete().eq('id', id).eq('updated_at', base.updatedAt).select('id');
+      if (!result.error && result.data?.length) {
+        await state.backend.delete('bases', baseKey(table, id));
+        return null;
+      }
+    } else if (!base) {
+      result = await from.insert({ id, user_id: user.id, ...toRow(table, local) }).select(SELECTS[table]).single();
+      if (!result.error) {
+        await storeRemote(table, result.data);
+        return null;
+      }
+      // Already on the server (an earlier replay whose response was lost, or
+      // another device): fall through and compare
+      if (result.error.code !== '23505') throw result.error;
+      result = { error: null };
+    } else {
+      result = await from.update(toRow(table, local)).eq('id', id).eq('updated_at', base.updatedAt).select(SELECTS[table]);
+      if (!result.error && result.data?.length) {
+        await storeRemote(table, result.data[0]);
+        return null;
+      }
+    }
+    if (result.error) throw result.error;
+
+    // The row changed or disappeared since this device last saw it
+    const remote = await fetchRemote(supabase, table, id, user.id);
+    if (!remote) {
+      if (entry.op === 'delete') {
+        await state.backend.delete('bases', baseKey(table, id));
+        return null;
+      }
+      return { remote: null };
+    }
+    if (!retried && base && sameFields(table, remote, base.fields)) {
+      // Only columns this device doesn't edit changed; apply on top of them
+      await state.backend.put('bases', { ...base, updatedAt: remote.updated_at });
+      return pushEntry(supabase, user, entry, true);
+    }
+    if (local && sameFields(table, remote, local)) {
+      await storeRemote(table, remote);
+      return null;
+    }
+    return { remote };
+  }
+
+  async function pushQueue(supabase, user) {
+    const order = table => RECORD_STORES.indexOf(table);
+    // Folders and prompts before favorites, so a favorite's prompt exists first
+    const queue = (await state.backend.getAll('queue'))
+      .filter(entry => !entry.conflict)
+      .sort((a, b) => order(a.table) - order(b.table) || a.seq - b.seq);
+
+    let conflicts = 0;
+    for (const entry of queue) {
+      const conflict = await pushEntry(supabase, user, entry);
+      // A newer change to the record may have been queued meanwhile
+      const current = await state.backend.get('queue', entry.seq);
+      if (!current) continue;
+      if (conflict) {
+        conflicts++;
+        await state.backend.put('queue', { ...entry, conflict: { ...conflict, detectedAt: new Date().toISOString() } });
+      } else {
+        await state.backend.delete('queue', entry.seq);
+      }
+    }
+    return conflicts;
+  }
+
+  async function pullTable(supabase, user, table) {
+    const remoteTable = table === 'favorites' ? 'prompt_favorites' : table;
+    let query = supabase.from(remoteTable).select(SELECTS[table]).eq('user_id', user.id);
+    if (table === 'prompts') query = query.order('updated_at', { ascending: false });
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const pending = new Set((await state.backend.getAll('queue'))
+      .filter(entry => entry.table === table)
+      .map(entry => entry.id));
+    const remoteIds = new Set();
+
+    for (const row of data || []) {
+      const record = fromRemote(table, row);
+      remoteIds.add(record.id);
+      if (!pending.has(record.id)) await storeRemote(table, row);
+    }
+
+    // Synced before but gone from the server: deleted on another device
+    const bases = await state.backend.getAll('bases');
+    for (const base of bases) {
+      const [baseTable, id] = base.key.split(/:(.+)/);
+      if (baseTable === table && !remoteIds.has(id) && !pending.has(id)) {
+        await removeLocal(table, id);
+      }
+    }
+  }
+
+  // A different account signed in: its library replaces the local one
+  async function claimStore(user) {
+    const owner = await state.backend.get('meta', 'userId');
+    if (owner && owner.value !== user.id) {
+      for (const store of [...RECORD_STORES, 'queue', 'bases']) await state.backend.clear(store);
+    }
+    if (!owner || owner.value !== user.id) {
+      await state.backend.put('meta', { key: 'userId', value: user.id });
+    }
+  }
+
+  async function runSync() {
+    const supabase = window.PromptingItSupabase?.getClient();
+    const user = window.Auth?.getUser?.();
+    if (!supabase || !user) {
+      await refreshStatus({ state: 'signed_out' });
+      return state.status;
+    }
+    if (!navigator.onLine) {
+      await refreshStatus({ state: 'offline' });
+      return state.status;
+    }
+
+    await refreshStatus({ state: 'syncing', error: null });
+    try {
+      await claimStore(user);
+      const conflicts = await pushQueue(supabase, user);
+      for (const table of RECORD_STORES) await pullTable(supabase, user, table);
+
+      emit('change', await LibrarySync.load());
+      if (conflicts) emit('conflict', await LibrarySync.getConflicts());
+      await refreshStatus({ state: 'synced', lastSyncedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('Library sync failed:', error);
+      await refreshStatus({ state: 'error', error: error.message || 'Sync failed' });
+    }
+    return state.status;
+  }
+
+  const LibrarySync = {
+    createId: createId,
+
+    /**
+     * Open the local store, copying over data from before sync existed
+     * @returns {Promise<Object>} { prompts, folders, favorites }
+     */
+    init() {
+      if (!state.ready) {
+        state.ready = (async () => {
+          state.backend = await openBackend();
+          await migrateLegacyStorage(state.backend);
+
+          window.addEventListener('online', () => this.sync());
+          window.addEventListener('offline', () => refreshStatus({ state: 'offline' }));
+          window.addEventListener('authStateChange', () => this.sync());
+          // Pick up edits made on other devices when the tab comes back
+          document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.sync();
+          });
+          await refreshStatus();
+        })();
+      }
+      return state.ready.then(() => this.load());
+    },
+
+    /**
+     * Everything in the local store
+     * @returns {Promise<Object>} { prompts, folders, favorites } - favorites are prompt IDs
+     */
+    async load() {
+      const [prompts, folders, favorites] = await Promise.all(
+        ['prompts', 'folders', 'favorites'].map(store => state.backend.getAll(store))
+      );
+      prompts.sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')));
+      return { prompts, folders, favorites: favorites.map(favorite => favorite.id) };
+    },
+
+    /**
+     * Save a prompt or folder locally and queue it for the server
+     * @param {string} table - 'prompts' or 'folders'
+     * @param {Object} record - Needs a UUID id (see createId)
+     */
+    async save(table, record) {
+      await state.ready;
+      await state.backend.put(table, { ...record });
+      await enqueue(table, 'put', record.id);
+      await refreshStatus();
+      schedulePush();
+    },
+
+    /**
+     * Delete a prompt or folder locally and queue the deletion
+     * @param {string} table - 'prompts' or 'folders'
+     * @param {string} id
+     */
+    async remove(table, id) {
+      await state.ready;
+      await state.backend.delete(table, id);
+      if (table === 'prompts') await state.backend.delete('favorites', id);
+      await enqueue(table, 'delete', id);
+      await refreshStatus();
+      schedulePush();
+    },
+
+    /**
+     * Star or unstar a prompt
+     * @param {string} promptId
+     * @param {boolean} favorite
+     */
+    async setFavorite(promptId, favorite) {
+      await state.ready;
+      if (favorite) {
+        await state.backend.put('favorites', { id: promptId, created_at: new Date().toISOString() });
+      } else {
+        await state.backend.delete('favorites', promptId);
+      }
+      await enqueue('favorites', favorite ? 'put' : 'delete', promptId);
+      await refreshStatus();
+      schedulePush();
+    },
+
+    /**
+     * Replay queued changes and pull the server copy. Concurrent calls share one run.
+     * @returns {Promise<Object>} The sync status
+     */
+    async sync() {
+      await state.ready;
+      clearTimeout(state.pushTimer);
+      if (state.syncing) {
+        state.resync = true;
+        return state.syncing;
+      }
+      state.syncing = runSync().finally(() => {
+        state.syncing = null;
+        if (state.resync) {
+          state.resync = false;
+          this.sync();
+        }
+      });
+      return state.syncing;
+    },
+
+    /**
+     * Changes parked because the server copy was edited or deleted elsewhere
+     * @returns {Promise<Array>} { seq, table, id, local, remote, detectedAt } -
+     *   local is null when this device deleted the record, remote when another did
+     */
+    async getConflicts() {
+      await state.ready;
+      const queue = (await state.backend.getAll('queue')).filter(entry => entry.conflict);
+      return Promise.all(queue.map(async entry => ({
+        seq: entry.seq,
+        table: entry.table,
+        id: entry.id,
+        local: entry.op === 'put' ? (await state.backend.get(entry.table, entry.id)) || null : null,
+        remote: entry.conflict.remote ? fromRemote(entry.table, entry.conflict.remote) : null,
+        detectedAt: entry.conflict.detectedAt
+      })));
+    },
+
+    /**
+     * Settle a conflict by keeping one side
+     * @param {Object} conflict - From getConflicts()
+     * @param {string} keep - 'local' to overwrite the server, 'remote' to take its copy
+     */
+    async resolveConflict(conflict, keep) {
+      await state.ready;
+      const entry = await state.backend.get('queue', conflict.seq);
+      if (!entry?.conflict) return;
+      const remote = entry.conflict.remote;
+
+      if (keep === 'local') {
+        // Replay against the copy the user just saw; a newer edit conflicts again
+        if (remote) {
+          await state.backend.put('bases', {
+            key: baseKey(entry.table, entry.id),
+            updatedAt: remote.updated_at,
+            fields: pickFields(entry.table, fromRemote(entry.table, remote))
+          });
+        } else {
+          await state.backend.delete('bases', baseKey(entry.table, entry.id));
+        }
+        const { conflict: _resolved, ...pending } = entry;
+        await state.backend.put('queue', pending);
+      } else if (keep === 'remote') {
+        await state.backend.delete('queue', entry.seq);
+        if (remote) {
+          await storeRemote(entry.table, remote);
+        } else {
+          await removeLocal(entry.table, entry.id);
+        }
+      } else {
+        throw new Error(`Unknown conflict choice: ${keep}`);
+      }
+
+      emit('change', await this.load());
+      await refreshStatus();
+      if (keep === 'local') schedulePush();
+    },
+
+    /**
+     * The latest sync status
+     * @returns {Object} { state, pending, conflicts, lastSyncedAt, error } - state
+     *   is 'idle', 'syncing', 'synced', 'offline', 'signed_out' or 'error'
+     */
+    getStatus() {
+      return { ...state.status };
+    },
+
+    /**
+     * Listen for sync events: 'status' (status), 'change' (load() result after
+     * the server copy was merged in) and 'conflict' (getConflicts() result)
+     * @param {Function} listener - Called with (event, detail)
+     * @returns {Function} Stops listening
+     */
+    subscribe(listener) {
+      state.listeners.add(listener);
+      return () => state.listeners.delete(listener);
+    }
+  };
+
+  window.LibrarySync = LibrarySync;
+
+})();
@@ -0,0 +1,1286 @@
+/* ============================================
+   LLM PROVIDER REGISTRY
+   Prompting It - Unified access to AI providers
+   ============================================ */
+
+// Provider clients (claude-api.js, openai-api.js, gemini-api.js) register an
+// adapter here. Pages run prompts through LLM.run() and get one result shape
+// back regardless of which provider answered. Models, endpoints and pricing
+// come from ModelCatalog (model-catalog.js); LLM.countTokens()/estimate() use
+// the local approximation in tokenizer.js. LLM.runTools() runs a prompt as an
+// agent, executing tools registered with LLM.registerTool().
+//
+// By default requests go through the llm-proxy edge function, which loads the
+// user's key server-side. LLM.configure({ proxy: false, keyPassphrase }) calls
+// providers directly from the browser instead; that only works for keys the user
+// saved with a passphrase, since server-wrapped keys never reach the page decrypted.
+//
+// Load order: llm.js -> model-catalog.js -> tokenizer.js -> security-crypto.js -> *-api.js
+
+(function() {
+  'use strict';
+
+  const adapters = new Map();
+
+  const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  // Tool handlers registered with LLM.registerTool(), by name
+  const tools = new Map();
+
+  /**
+   * Thrown when a model's reply to a run with options.schema is not valid JSON
+   * or does not match the schema
+   * error.errors lists each problem as { path, message }; error.text is the raw reply and
+   * error.response the provider result (usage etc.), so the tokens can still be accounted for.
+   */
+  class StructuredOutputError extends Error {
+    constructor(message, { errors = [], text = '', data, response = null } = {}) {
+      super(message);
+      this.name = 'StructuredOutputError';
+      this.code = 'schema_validation_failed';
+      this.errors = errors;
+      this.text = text;
+      this.data = data;
+      this.response = response;
+    }
+  }
+
+  const JSON_TYPES = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    null: value => value === null
+  };
+
+  /**
+   * Check a value against a JSON Schema, collecting { path, message } problems
+   * Supports the subset the providers accept for structured output: type, enum, const,
+   * properties, required, additionalProperties, items, min/max(Length|Items), pattern,
+   * minimum/maximum, anyOf/oneOf/allOf and OpenAPI's nullable. $ref is not resolved.
+   */
+  function collectSchemaErrors(value, schema, path, errors) {
+    if (!schema || typeof schema !== 'object') return errors;
+    const fail = (message) => errors.push({ path: path || '$', message: message });
+
+    if (schema.nullable && value === null) return errors;
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => JSON_TYPES[type]?.(value))) {
+        fail(`expected ${types.join(' or ')}`);
+        return errors;
+      }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+      fail(`must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (JSON_TYPES.object(value)) {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) fail(`missing required property "${key}"`);
+      });
+      Object.keys(value).forEach(key => {
+        const childPath = `${path || '$'}.${key}`;
+        if (properties[key]) {
+          collectSchemaErrors(value[key], properties[key], childPath, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: 'unexpected property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          collectSchemaErrors(value[key], schema.additionalProperties, childPath, errors);
+        }
+      });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems != null && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+      if (schema.maxItems != null && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+      if (schema.items) {
+        value.forEach((item, index) => collectSchemaErrors(item, schema.items, `${path || '$'}[${index}]`, errors));
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength != null && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+      if (schema.maxLength != null && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+      if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+      if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+
+    const matches = (subschema) => collectSchemaErrors(value, subschema, path, []).length === 0;
+    if (schema.allOf) schema.allOf.forEach(subschema => collectSchemaErrors(value, subschema, path, errors));
+    if (schema.anyOf && !schema.anyOf.some(matches)) fail('does not match any allowed schema');
+    if (schema.oneOf && schema.oneOf.filter(matches).length !== 1) fail('must match exactly one allowed schema');
+
+    return errors;
+  }
+
+  const LLM = {
+    StructuredOutputError: StructuredOutputError,
+
+    config: {
+      proxy: true,
+      proxyFunction: 'llm-proxy',
+      // Passphrase for keys saved with SecurityCrypto.encrypt(..., { passphrase }); direct
+      // mode needs it, as the user's opt-in to decrypting their key in the browser
+      keyPassphrase: null,
+      // Passed to ErrorHandler.retry for provider calls
+      retry: {
+        maxRetries: 3,
+        baseDelay: 1000,
+        maxDelay: 20000,
+        backoffFactor: 2,
+        jitter: true
+      }
+    },
+
+    /**
+     * Update transport settings
+     * @param {Object} options - { proxy: boolean, proxyFunction: string, keyPassphrase: string, retry: Object }
+     */
+    configure(options = {}) {
+      Object.assign(this.config, options);
+      return this.config;
+    },
+
+    /**
+     * Register a provider adapter
+     * @param {string} id - Provider ID used in data-provider attributes ('claude', 'openai', 'gemini')
+     * @param {Object} adapter - Object implementing call, listModels, estimateCost, isConfigured
+     *   and directRequest (URL and headers for calling the provider without the proxy)
+     * @param {string} adapter.name - Display name
+     * @param {string} adapter.keyName - Row name in the api_keys table
+     */
+    register(id, adapter) {
+      ['call', 'directRequest', 'listModels', 'estimateCost', 'isConfigured'].forEach(method => {
+        if (typeof adapter[method] !== 'function') {
+          throw new Error(`LLM provider "${id}" is missing ${method}()`);
+        }
+      });
+      adapter.id = id;
+      adapters.set(id, adapter);
+      return adapter;
+    },
+
+    /**
+     * Get a registered adapter
+     * @param {string} id - Provider ID
+     * @returns {Object} Provider adapter
+     */
+    get(id) {
+      const adapter = adapters.get(id);
+      if (!adapter) {
+        throw new Error(`Unknown AI provider: ${id}`);
+      }
+      return adapter;
+    },
+
+    /**
+     * List registered providers
+     * @returns {Array<Object>} Provider adapters in registration order
+     */
+    providers() {
+      return Array.from(adapters.values());
+    },
+
+    /**
+     * Find which provider serves a model ID
+     * @param {string} model - Model ID
+     * @returns {Object|null} Provider adapter
+     */
+    providerForModel(model) {
+      const entry = window.ModelCatalog?.find(model);
+      if (entry) {
+        return adapters.get(entry.provider) || null;
+      }
+      return this.providers().find(adapter =>
+        adapter.listModels().some(m => m.id === model)
+      ) || null;
+    },
+
+    /**
+     * Load and decrypt the current user's key for a provider (direct mode only)
+     * SECURITY: Keys live in the Supabase api_keys table only. Only passphrase-wrapped
+     * keys are decrypted here, and only once config.keyPassphrase is set.
+     * @param {string} id - Provider ID
+     * @returns {Promise<string>} Decrypted API key
+     */
+    async getApiKey(id) {
+      const adapter = this.get(id);
+      const notConfigured = `${adapter.name} API key not configured. Please add your API key in Settings.`;
+      const serverOnly = `${adapter.name} API key can only be used through the proxy. Save it with a passphrase and set LLM.configure({ keyPassphrase }) to call ${adapter.name} directly.`;
+
+      if (!this.config.keyPassphrase) {
+        throw new Error(serverOnly);
+      }
+
+      const supabase = window.PromptingItSupabase?.getClient();
+      const user = window.Auth?.getUser();
+
+      if (!supabase || !user) {
+        throw new Error(`Authentication required to use ${adapter.name} API`);
+      }
+
+      let apiKey = null;
+      try {
+        const { data: apiKeyData, error } = await supabase
+          .from('api_keys')
+          .select('id, key_hash')
+          .eq('user_id', user.id)
+          .eq('key_type', 'provider')
+          .eq('name', adapter.keyName)
+          .eq('is_active', true)
+          .single();
+
+        if (error || !apiKeyData?.key_hash) {
+          throw new Error(notConfigured);
+        }
+
+        // Decrypt the stored key using SecurityCrypto module
+        if (window.SecurityCrypto) {
+          apiKey = await window.SecurityCrypto.decrypt(apiKeyData.key_hash, user.id, {
+            passphrase: this.config.keyPassphrase,
+            // Keys stored before envelope encryption are re-encrypted on first use
+            onUpgrade: async (keyHash) => {
+              const { error: updateError } = await supabase
+                .from('api_keys')
+                .update({ key_hash: keyHash })
+                .eq('id', apiKeyData.id);
+              if (updateError) throw updateError;
+            }
+          });
+        } else {
+          // Fallback for backwards compatibility
+          apiKey = atob(apiKeyData.key_hash);
+        }
+      } catch (e) {
+        console.error(`${adapter.name} API key error:`, e);
+        throw new Error(e.code === 'server_only' ? serverOnly : notConfigured);
+      }
+
+      if (!apiKey) {
+        throw new Error(notConfigured);
+      }
+
+      return apiKey;
+    },
+
+    /**
+     * Check whether the current user has an active key for a provider
+     * @param {string} id - Provider ID
+     * @returns {Promise<boolean>}
+     */
+    async hasApiKey(id) {
+      try {
+        const adapter = this.get(id);
+        const supabase = window.PromptingItSupabase?.getClient();
+        const user = window.Auth?.getUser();
+
+        if (!supabase || !user) {
+          return false;
+        }
+
+        const { data } = await supabase
+          .from('api_keys')
+          .select('id')
+          .eq('user_id', user.id)
+          .eq('key_type', 'provider')
+          .eq('name', adapter.keyName)
+          .eq('is_active', true)
+          .single();
+
+        return !!data;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    /**
+     * Check a provider key with a minimal live call before it is saved
+     * Calls the provider directly from the browser with the candidate key (no proxy, no retries).
+     * @param {string} id - Provider ID
+     * @param {string} apiKey - Key to test
+     * @returns {Promise<Object>} { model, latency }
+     * @throws {Error} The provider's error (error.status 401/403 for a rejected key)
+     */
+    async testKey(id, apiKey) {
+      const adapter = this.get(id);
+      const request = await adapter.buildRequest('Reply with OK.', { maxTokens: 16, temperature: 0 });
+      const { url, headers } = adapter.directRequest(request, apiKey);
+      const startTime = Date.now();
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(request.body)
+      }).catch(error => {
+        if (error.response) return error.response;
+        throw error;
+      });
+
+      if (!response.ok) {
+        throw await this.responseError(response, adapter.name);
+      }
+      return { model: request.model, latency: Date.now() - startTime };
+    },
+
+    /**
+     * Send a built provider request, through the proxy or directly
+     * Retries 408/409/429/5xx and network failures with exponential backoff and jitter
+     * (ErrorHandler.retry), honoring Retry-After. Non-2xx responses are thrown as errors.
+     * @param {string} id - Provider ID
+     * @param {Object} request - From adapter.buildRequest(): { endpoint, model, body, stream }
+     * @param {Object} options - { signal, proxy, retry, onRetry } (options.proxy overrides config.proxy;
+     *   options.retry overrides config.retry, or false to send once)
+     * @returns {Promise<Response>} Provider response (JSON body, or SSE when request.stream is set)
+     */
+    async send(id, request, options = {}) {
+      const adapter = this.get(id);
+      const useProxy = options.proxy ?? this.config.proxy;
+
+      // SECURITY: Direct mode decrypts the user's passphrase-wrapped key in the browser
+      const apiKey = useProxy ? null : await this.getApiKey(id);
+
+      const attempt = async () => {
+        let pending;
+        if (useProxy) {
+          pending = this.proxyFetch(id, request, options);
+        } else {
+          const { url, headers } = adapter.directRequest(request, apiKey);
+          pending = fetch(url, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(request.body),
+            signal: options.signal
+          });
+        }
+
+        const response = await pending.catch(error => {
+          // ErrorHandler's fetch interceptor throws on non-2xx; keep the provider's error body
+          if (error.response) return error.response;
+          throw error;
+        });
+
+        if (!response.ok) {
+          throw await this.responseError(response, adapter.name);
+        }
+        return response;
+      };
+
+      if (options.retry === false || !window.ErrorHandler) {
+        return attempt();
+      }
+
+      return window.ErrorHandler.retry(attempt, {
+        ...this.config.retry,
+        ...(options.retry || {}),
+        shouldRetry: (error) => this.isRetryable(error),
+        onRetry: options.onRetry
+      });
+    },
+
+    /**
+     * Whether a failed provider call is worth retrying (or failing over)
+     * @param {Error} error - Error from send()
+     * @returns {boolean}
+     */
+    isRetryable(error) {
+      if (error.name === 'AbortError' || error.code === 'quota_exceeded') return false;
+      if (!error.status) return error instanceof TypeError; // network failure
+      return [408, 409, 429].includes(error.status) || error.status >= 500;
+    },
+
+    /**
+     * Send a provider request through the llm-proxy edge function
+     * The proxy adds the user's stored key, enforces tier quotas and records usage,
+     * then returns the provider's response (or stream) unchanged.
+     * @param {string} id - Provider ID
+     * @param {Object} request - { endpoint, model, body, stream }
+     * @param {Object} options - { signal }
+     * @returns {Promise<Response>}
+     */
+    async proxyFetch(id, request, options = {}) {
+      const config = window.PromptingItSupabase;
+      const supabase = config?.getClient();
+      const { data } = supabase ? await supabase.auth.getSession() : { data: null };
+      const accessToken = data?.session?.access_token;
+
+      if (!accessToken) {
+        throw new Error(`Authentication required to use ${this.get(id).name} API`);
+      }
+
+      // functions.invoke() buffers the body, so call the function URL directly to keep streaming
+      return fetch(`${config.SUPABASE_URL}/functions/v1/${this.config.proxyFunction}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+          'apikey': config.SUPABASE_ANON_KEY
+        },
+        body: JSON.stringify({
+          provider: id,
+          model: request.model,
+          endpoint: request.endpoint,
+          body: request.body,
+          stream: !!request.stream,
+          promptId: options.promptId || null
+        }),
+        signal: options.signal
+      });
+    },
+
+    /**
+     * Run a prompt against a provider and normalize the result
+     * Blocks (and opens the paywall) when the monthly apiCalls limit is reached.
+     * If the provider still fails after retries, the run fails over to the model's
+     * fallbacks (see failoverChain()). result.attempts lists every model tried.
+     * @param {string} id - Provider ID
+     * @param {string|null} prompt - The prompt text (optional when options.messages is set)
+     * @param {Object} options - Provider options (model, maxTokens, temperature, system, messages, schema, tools, toolChoice,
+     *   promptId, fallbacks, ...)
+     * @returns {Promise<Object>} { provider, text, usage, model, latency, finishReason, cost, raw, attempts, failedOver }
+     *   plus `data` (the parsed, validated JSON) when options.schema is set
+     * @throws {StructuredOutputError} When options.schema is set and the reply doesn't match it
+     */
+    async run(id, prompt, options = {}) {
+      this.get(id);
+      await this.checkQuota();
+
+      const attempts = [];
+      let firstError = null;
+
+      for (const candidate of this.failoverChain(id, options)) {
+        const adapter = this.get(candidate.provider);
+        const attempt = { provider: candidate.provider, model: candidate.model, retries: 0, status: 'pending' };
+        const runOptions = this.attemptOptions(options, attempt);
+        attempts.push(attempt);
+        const startTime = Date.now();
+
+        try {
+          const response = await adapter.call(prompt, runOptions);
+          const result = this.normalizeResult(adapter, response, runOptions, startTime);
+          attempt.status = 'success';
+          await this.recordRun(candidate.provider, runOptions, result);
+          return { ...result, attempts: attempts, failedOver: attempts.length > 1 };
+        } catch (error) {
+          attempt.status = 'failed';
+          attempt.error = error.message;
+          // A reply that failed schema validation was still billed
+          const billed = error instanceof StructuredOutputError && error.response
+            ? this.normalizeResult(adapter, error.response, runOptions, startTime)
+            : null;
+          await this.recordRun(candidate.provider, runOptions, billed, error, startTime);
+
+          firstError = firstError || error;
+          if (attempts.length === 1 && !this.isRetryable(error)) break;
+        }
+      }
+
+      firstError.attempts = attempts;
+      throw this.handleRunError(firstError);
+    },
+
+    /**
+     * Stream a prompt from a provider
+     * Yields { type: 'text', text } as tokens arrive, then a single
+     * { type: 'done', result } where result has the same shape as run().
+     * If a provider fails before its first token, yields { type: 'failover', from, to, error }
+     * and continues with the next model in failoverChain().
+     * With options.schema the text chunks are the JSON as it is generated; it is
+     * validated once complete (StructuredOutputError on mismatch).
+     * Pass options.signal (from an AbortController) to cancel.
+     * @param {string} id - Provider ID
+     * @param {string|null} prompt - The prompt text (optional when options.messages is set)
+     * @param {Object} options - Provider options (model, maxTokens, temperature, system, messages, schema, signal, fallbacks, ...)
+     */
+    async *stream(id, prompt, options = {}) {
+      this.get(id);
+      await this.checkQuota();
+
+      const chain = this.failoverChain(id, options);
+      const attempts = [];
+      let firstError = null;
+
+      for (let i = 0; i < chain.length; i++) {
+        const candidate = chain[i];
+        const adapter = this.get(candidate.provider);
+        const attempt = { provider: candidate.provider, model: candidate.model, retries: 0, status: 'pending' };
+        const runOptions = this.attemptOptions(options, attempt);
+        attempts.push(attempt);
+
+        if (typeof adapter.stream !== 'function') {
+          throw new Error(`${adapter.name} does not support streaming`);
+        }
+
+        const startTime = Date.now();
+        let text = '';
+        let final = {};
+
+        try {
+          for await (const chunk of adapter.stream(prompt, runOptions)) {
+            if (chunk.type === 'text') {
+              text += chunk.text;
+              yield chunk;
+            } else if (chunk.type === 'done') {
+              final = chunk;
+            }
+          }
+        } catch (error) {
+          attempt.status = 'failed';
+          attempt.error = error.message;
+          await this.recordRun(candidate.provider, runOptions, null, error, startTime);
+
+          firstError = firstError || error;
+          // Can't switch models once tokens have been shown
+          const canFailOver = !text && (i > 0 || this.isRetryable(error)) && i < chain.length - 1;
+          if (!canFailOver) {
+            firstError.attempts = attempts;
+            throw this.handleRunError(i > 0 && !text ? firstError : error);
+          }
+
+          yield { type: 'failover', from: candidate, to: chain[i + 1], error: error };
+          continue;
+        }
+
+        const result = this.normalizeResult(adapter, { ...final, text }, runOptions, startTime);
+
+        let schemaError = null;
+        if (runOptions.schema) {
+          try {
+            result.data = this.parseStructuredOutput(text, runOptions.schema, result);
+          } catch (error) {
+            schemaError = error;
+          }
+        }
+
+        attempt.status = schemaError ? 'failed' : 'success';
+        await this.recordRun(candidate.provider, runOptions, result, schemaError);
+
+        if (schemaError) {
+          attempt.error = schemaError.message;
+          schemaError.attempts = attempts;
+          throw schemaError;
+        }
+
+        yield {
+          type: 'done',
+          result: { ...result, attempts: attempts, failedOver: attempts.length > 1 }
+        };
+        return;
+      }
+    },
+
+    /**
+     * Models to try for a run, in order: the requested model, then its fallbacks
+     * Fallbacks come from options.fallbacks (catalog model IDs, or false for none),
+     * otherwise from the catalog entry's `fallback` model. Retired models are skipped.
+     * @param {string} id - Requested provider ID
+     * @param {Object} options - Run options
+     * @returns {Array<Object>} [{ provider, model }]
+     */
+    failoverChain(id, options = {}) {
+      const catalog = window.ModelCatalog;
+      const model = options.model || catalog?.DEFAULT_MODEL[id];
+      const chain = [{ provider: id, model: model }];
+      if (!catalog || options.fallbacks === false) return chain;
+
+      const fallbacks = options.fallbacks || [catalog.find(model)?.fallback].filter(Boolean);
+      fallbacks.forEach(fallbackId => {
+        const entry = catalog.find(fallbackId);
+        if (!entry || entry.status === 'retired' || !adapters.has(entry.provider)) return;
+        if (chain.some(c => c.model === entry.id)) return;
+        chain.push({ provider: entry.provider, model: entry.id });
+      });
+
+      return chain;
+    },
+
+    /**
+     * Options for one attempt in a failover chain
+     * Swaps in the attempt's model and counts retries onto the attempt record
+     */
+    attemptOptions(options, attempt) {
+      return {
+        ...options,
+        model: attempt.model,
+        onRetry: (error, retry, delay) => {
+          attempt.retries = retry;
+          if (options.onRetry) options.onRetry(error, retry, delay, attempt);
+        }
+      };
+    },
+
+    /**
+     * Register a JavaScript tool the model can call from runTools()
+     * Tool definitions are provider-neutral: each client maps them to its own tools API.
+     * @param {Object} definition - Tool definition
+     * @param {string} definition.name - Name the model calls it by (letters, digits, _ and -)
+     * @param {string} definition.description - What the tool does and when to use it
+     * @param {Object} definition.parameters - JSON Schema for the arguments object
+     * @param {Function} definition.handler - async (args, { call, signal }) => result (any JSON value)
+     * @returns {Object} Normalized definition
+     */
+    registerTool(definition) {
+      const tool = this.normalizeTool(definition);
+      if (typeof tool.handler !== 'function') {
+        throw new Error(`Tool "${tool.name}" needs a handler function`);
+      }
+      tools.set(tool.name, tool);
+      return tool;
+    },
+
+    /**
+     * Remove a registered tool
+     * @param {string} name - Tool name
+     */
+    unregisterTool(name) {
+      tools.delete(name);
+    },
+
+    /**
+     * List registered tools
+     * @returns {Array<Object>} Tool definitions in registration order
+     */
+    listTools() {
+      return Array.from(tools.values());
+    },
+
+    /**
+     * Validate a tool definition and fill in defaults
+     * @param {Object} definition - { name, description, parameters, handler }
+     * @returns {Object} { name, description, parameters, handler }
+     */
+    normalizeTool(definition) {
+      if (!definition || !/^[a-zA-Z0-9_-]{1,64}$/.test(definition.name || '')) {
+        throw new Error('Tool name must be 1-64 letters, digits, underscores or hyphens');
+      }
+      const parameters = definition.parameters || { type: 'object', properties: {} };
+      if (parameters.type !== 'object') {
+        throw new Error(`Tool "${definition.name}" parameters must be a JSON Schema of type "object"`);
+      }
+
+      return {
+        name: definition.name,
+        description: definition.description || '',
+        parameters: parameters,
+        handler: definition.handler
+      };
+    },
+
+    /**
+     * Resolve options.tools into definitions
+     * Entries may be registered tool names or inline definitions; omitted means every registered tool.
+     * @param {Array<string|Object>} list - Tool names and/or definitions
+     * @returns {Array<Object>} Normalized definitions
+     */
+    resolveTools(list) {
+      if (!list) return this.listTools();
+
+      return list.map(entry => {
+        if (typeof entry !== 'string') return this.normalizeTool(entry);
+        if (!tools.has(entry)) {
+          throw new Error(`Unknown tool: ${entry}`);
+        }
+        return tools.get(entry);
+      });
+    },
+
+    /**
+     * Parse tool call arguments sent as a JSON string (OpenAI)
+     * @param {string|Object} value - Arguments as sent by the provider
+     * @returns {Object|null} Arguments object, or null when they aren't valid JSON
+     */
+    parseToolArguments(value) {
+      if (value && typeof value === 'object') return value;
+      if (!value) return {};
+      try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Run a prompt as an agent: call the model with tools, execute the tool calls it makes
+     * with the registered handlers, feed the results back and repeat until it answers
+     * without calling a tool.
+     * Each model call goes through run(), so quota, retries, failover and run logging apply per step.
+     * @param {string} id - Provider ID
+     * @param {string|null} prompt - The prompt text (optional when options.messages is set)
+     * @param {Object} options - run() options plus:
+     * @param {Array<string|Object>} options.tools - Tool names and/or definitions (default: all registered)
+     * @param {string|Object} options.toolChoice - 'auto' (default), 'required', 'none' or { name }
+     * @param {number} options.maxSteps - Model calls before giving up (default: 8)
+     * @param {Function} options.onStep - Called with each step: { step, text, toolCalls, toolResults, model, usage }
+     * @returns {Promise<Object>} Final run() result with usage, cost and latency summed over every step,
+     *   plus steps and messages (the full thread, including tool calls and results)
+     */
+    async runTools(id, prompt, options = {}) {
+      if (options.schema) {
+        throw new Error('runTools() does not support options.schema');
+      }
+
+      const toolset = this.resolveTools(options.tools);
+      if (toolset.length === 0) {
+        throw new Error('No tools registered');
+      }
+
+      const maxSteps = options.maxSteps || 8;
+      const { system, messages } = this.buildConversation(prompt, options);
+      const steps = [];
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      const cost = { inputCost: 0, outputCost: 0, totalCost: 0 };
+      let latency = 0;
+
+      for (let step = 1; step <= maxSteps; step++) {
+        // Only force a tool on the first call, or the model could never finish
+        const toolChoice = step === 1 ? options.toolChoice : undefined;
+        const result = await this.run(id, null, {
+          ...options,
+          system: system,
+          messages: messages,
+          tools: toolset,
+          toolChoice: toolChoice
+        });
+
+        usage.inputTokens += result.usage.inputTokens;
+        usage.outputTokens += result.usage.outputTokens;
+        cost.inputCost += result.cost.inputCost;
+        cost.outputCost += result.cost.outputCost;
+        cost.totalCost += result.cost.totalCost;
+        latency += result.latency;
+
+        messages.push({ role: 'assistant', content: result.text, toolCalls: result.toolCalls });
+
+        if (result.toolCalls.length === 0) {
+          const totals = this.normalizeUsage(usage);
+          return {
+            ...result,
+            usage: totals,
+            cost: { ...cost, ...totals },
+            latency: latency,
+            steps: steps,
+            messages: messages
+          };
+        }
+
+        const toolResults = [];
+        for (const call of result.toolCalls) {
+          const output = await this.executeTool(toolset, call, options);
+          toolResults.push({ toolCallId: call.id, name: call.name, ...output });
+          messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output.content, isError: output.isError });
+        }
+
+        const record = { step, text: result.text, toolCalls: result.toolCalls, toolResults, model: result.model, usage: result.usage };
+        steps.push(record);
+        if (options.onStep) options.onStep(record);
+      }
+
+      const error = new Error(`Stopped after ${maxSteps} steps without a final answer`);
+      error.code = 'max_tool_steps';
+      error.steps = steps;
+      throw error;
+    },
+
+    /**
+     * Execute one tool call with its handler
+     * Failures are returned to the model as error results rather than thrown, so it can recover.
+     * @param {Array<Object>} toolset - Tools offered to the model
+     * @param {Object} call - { id, name, arguments }
+     * @param {Object} options - runTools() options (for signal)
+     * @returns {Promise<Object>} { content: string, isError: boolean }
+     */
+    async executeTool(toolset, call, options = {}) {
+      const tool = toolset.find(t => t.name === call.name);
+      if (!tool || typeof tool.handler !== 'function') {
+        return { content: `Unknown tool: ${call.name}`, isError: true };
+      }
+      if (call.arguments === null) {
+        return { content: 'Invalid arguments: not valid JSON', isError: true };
+      }
+
+      const problems = this.validateSchema(call.arguments, tool.parameters);
+      if (problems.length > 0) {
+        return {
+          content: `Invalid arguments: ${problems.map(p => `${p.path} ${p.message}`).join('; ')}`,
+          isError: true
+        };
+      }
+
+      try {
+        const value = await tool.handler(call.arguments, { call: call, signal: options.signal });
+        return {
+          content: typeof value === 'string' ? value : JSON.stringify(value === undefined ? null : value),
+          isError: false
+        };
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        return { content: `Error: ${error.message}`, isError: true };
+      }
+    },
+
+    /**
+     * Count this month's runs against the user's apiCalls limit (SUBSCRIPTION_TIERS in paywall.js)
+     * Failed runs don't count.
+     * @returns {Promise<Object|null>} { used, limit, tier } (limit -1 = unlimited), or null when unavailable
+     */
+    async getUsage() {
+      const supabase = window.PromptingItSupabase?.getClient();
+      const user = window.Auth?.getUser();
+      if (!supabase || !user || !window.Paywall) return null;
+
+      await window.Paywall.loadSubscription();
+      const tier = window.Paywall.currentTier;
+      const limit = window.SUBSCRIPTION_TIERS?.[tier]?.limits.apiCalls ?? -1;
+
+      // Calendar month in UTC, matching llm-proxy
+      const monthStart = new Date();
+      monthStart.setUTCDate(1);
+      monthStart.setUTCHours(0, 0, 0, 0);
+
+      const { count, error } = await supabase
+        .from('prompt_runs')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', user.id)
+        .neq('status', 'error')
+        .gte('created_at', monthStart.toISOString());
+
+      if (error) {
+        console.error('Failed to count prompt runs:', error);
+        return null;
+      }
+
+      return { used: count || 0, limit: limit, tier: tier };
+    },
+
+    /**
+     * Block the run when the monthly apiCalls limit is reached
+     * Owners and admins aren't metered. The llm-proxy function enforces the same
+     * limit server-side; this check just fails fast and shows the paywall.
+     */
+    async checkQuota() {
+      if (await window.Security?.RoleValidator?.isAdmin()) return;
+
+      const usage = await this.getUsage();
+      if (!usage || window.Paywall.checkLimit('apiCalls', usage.used)) return;
+
+      const error = new Error(
+        `Monthly limit of ${usage.limit} AI runs reached for the ${window.SUBSCRIPTION_TIERS[usage.tier].name} plan. Upgrade to keep running prompts.`
+      );
+      error.status = 402;
+      error.code = 'quota_exceeded';
+      throw this.handleRunError(error);
+    },
+
+    /**
+     * Open the paywall for quota errors (from checkQuota() or the proxy)
+     * @param {Error} error - Run error
+     * @returns {Error} The same error, for rethrowing
+     */
+    handleRunError(error) {
+      if (error.code === 'quota_exceeded' && window.Paywall) {
+        window.Paywall.show('api-calls');
+      }
+      return error;
+    },
+
+    /**
+     * Record a run in the prompt_runs ledger
+     * Proxied runs are recorded server-side by llm-proxy, so this only writes
+     * rows for direct (proxy disabled) calls.
+     * @param {string} id - Provider ID
+     * @param {Object} options - Run options (model, promptId, proxy, signal)
+     * @param {Object|null} result - Normalized result on success
+     * @param {Error} error - Error on failure
+     * @param {number} startTime - Run start, used for latency on failure
+     */
+    async recordRun(id, options, result, error = null, startTime = Date.now()) {
+      if (options.proxy ?? this.config.proxy) return;
+      // Only record calls that reached the provider (or were cancelled mid-stream)
+      if (error && !result && !error.status && error.name !== 'AbortError') return;
+
+      const supabase = window.PromptingItSupabase?.getClient();
+      const user = window.Auth?.getUser();
+      if (!supabase || !user) return;
+
+      const aborted = error?.name === 'AbortError';
+      const row = {
+        user_id: user.id,
+        // Local-only and sample prompts have non-UUID IDs the ledger can't reference
+        prompt_id: UUID_PATTERN.test(options.promptId || '') ? options.promptId : null,
+        provider: id,
+        model: result?.model || options.model || 'default',
+        input_tokens: result?.usage.inputTokens || 0,
+        output_tokens: result?.usage.outputTokens || 0,
+        cost: result?.cost.totalCost ?? null,
+        latency_ms: result ? result.latency : Date.now() - startTime,
+        status: aborted ? 'cancelled' : error ? 'error' : 'success',
+        error: error ? error.message.slice(0, 500) : null,
+        source: 'direct'
+      };
+
+      let { error: insertError } = await supabase.from('prompt_runs').insert(row);
+      // A prompt that was never synced or was deleted still gets its run recorded
+      if (insertError && row.prompt_id && ['23503', '22P02'].includes(insertError.code)) {
+        ({ error: insertError } = await supabase.from('prompt_runs').insert({ ...row, prompt_id: null }));
+      }
+
+      if (insertError) {
+        console.error('Failed to record prompt run:', insertError);
+      }
+    },
+
+    /**
+     * Build the normalized result shared by run() and stream()
+     * @returns {Object} { provider, text, usage, model, latency, finishReason, cost, raw, toolCalls, data }
+     */
+    normalizeResult(adapter, response, options, startTime) {
+      const usage = this.normalizeUsage(response.usage);
+      const model = response.model || options.model;
+
+      return {
+        provider: adapter.id,
+        text: response.text || '',
+        usage: usage,
+        model: model,
+        latency: Date.now() - startTime,
+        finishReason: response.finishReason || null,
+        cost: adapter.estimateCost(usage.inputTokens, usage.outputTokens, options.model || model),
+        raw: response.raw,
+        toolCalls: response.toolCalls || [],
+        ...(response.data !== undefined ? { data: response.data } : {})
+      };
+    },
+
+    /**
+     * Read a server-sent events body
+     * Yields { event, data } per event; data is parsed JSON when possible
+     * (the OpenAI "[DONE]" sentinel comes through as a string)
+     * @param {Response} response - fetch() response with an SSE body
+     */
+    async *readEvents(response) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      const parse = (block) => {
+        let event = 'message';
+        const dataLines = [];
+        block.split(/\r?\n/).forEach(line => {
+          if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+          }
+        });
+        if (dataLines.length === 0) return null;
+
+        const raw = dataLines.join('\n');
+        try {
+          return { event, data: JSON.parse(raw) };
+        } catch (e) {
+          return { event, data: raw };
+        }
+      };
+
+      try {
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split(/\r?\n\r?\n/);
+          buffer = blocks.pop();
+
+          for (const block of blocks) {
+            const parsed = parse(block);
+            if (parsed) yield parsed;
+          }
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+          const parsed = parse(buffer);
+          if (parsed) yield parsed;
+        }
+      } finally {
+        reader.releaseLock();
+      }
+    },
+
+    /**
+     * Turn a non-2xx provider or proxy response into an Error
+     * Provider errors carry { error: { message } }; proxy errors carry { error, code }
+     * @param {Response} response - Failed fetch() response
+     * @param {string} providerName - Display name used in the fallback message
+     * @returns {Promise<Error>} Error with status (and proxy code, e.g. 'quota_exceeded') attached
+     */
+    async responseError(response, providerName) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        errorData.error?.message ||
+        (typeof errorData.error === 'string' ? errorData.error : null) ||
+        `${providerName} API error: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      if (errorData.code) {
+        error.code = errorData.code;
+      }
+      if (window.ErrorHandler) {
+        error.type = window.ErrorHandler.getErrorTypeFromStatus(response.status);
+      }
+
+      const retryAfter = this.parseRetryAfter(response.headers);
+      if (retryAfter !== null) {
+        error.retryAfter = retryAfter;
+      }
+      return error;
+    },
+
+    /**
+     * Read how long the provider asked us to wait before retrying
+     * Supports retry-after-ms (OpenAI), and retry-after in seconds or as an HTTP date
+     * @param {Headers} headers - Response headers
+     * @returns {number|null} Milliseconds to wait, or null when not given
+     */
+    parseRetryAfter(headers) {
+      const ms = parseFloat(headers.get('retry-after-ms'));
+      if (!isNaN(ms)) return Math.max(0, ms);
+
+      const value = headers.get('retry-after');
+      if (!value) return null;
+
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+      const date = Date.parse(value);
+      return isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    /**
+     * Normalize the prompt and options into a conversation
+     * Accepts a plain prompt string, an options.messages thread, or both (the prompt
+     * is appended as the latest user turn). options.systemPrompt is kept as an alias
+     * for options.system, and any role: 'system' messages are folded into system.
+     * Tool use is kept in provider-neutral form: assistant turns may carry
+     * toolCalls: [{ id, name, arguments }], answered by { role: 'tool', toolCallId, name, content, isError }.
+     * @param {string|null} prompt - Latest user message (optional when messages are given)
+     * @param {Object} options - { system, systemPrompt, messages: [{ role, content, toolCalls }] }
+     * @returns {Object} { system, messages: [{ role: 'user'|'assistant'|'tool', content, ... }] }
+     */
+    buildConversation(prompt, options = {}) {
+      const systemParts = [];
+      if (options.system || options.systemPrompt) {
+        systemParts.push(options.system || options.systemPrompt);
+      }
+
+      const messages = [];
+      (options.messages || []).forEach(message => {
+        if (!message) return;
+
+        if (message.role === 'tool') {
+          messages.push({
+            role: 'tool',
+            toolCallId: message.toolCallId,
+            name: message.name,
+            content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? null),
+            isError: !!message.isError
+          });
+          return;
+        }
+
+        const toolCalls = message.role === 'assistant' && Array.isArray(message.toolCalls) ? message.toolCalls : [];
+        const hasText = typeof message.content === 'string' && message.content.trim();
+        if (!hasText && toolCalls.length === 0) return;
+
+        if (message.role === 'system') {
+          systemParts.push(message.content);
+        } else {
+          const turn = {
+            role: message.role === 'assistant' ? 'assistant' : 'user',
+            content: hasText ? message.content : ''
+          };
+          if (toolCalls.length > 0) {
+            turn.toolCalls = toolCalls;
+          }
+          messages.push(turn);
+        }
+      });
+
+      if (typeof prompt === 'string' && prompt.trim()) {
+        messages.push({ role: 'user', content: prompt });
+      }
+
+      if (messages.length === 0) {
+        throw new Error('Prompt is required');
+      }
+
+      return {
+        system: systemParts.length > 0 ? systemParts.join('\n\n') : null,
+        messages: messages
+      };
+    },
+
+    /**
+     * Fill in missing usage fields
+     * @param {Object} usage - Partial usage record
+     * @returns {Object} { inputTokens, outputTokens, totalTokens }
+     */
+    normalizeUsage(usage = {}) {
+      const inputTokens = usage.inputTokens || 0;
+      const outputTokens = usage.outputTokens || 0;
+      return {
+        inputTokens: inputTokens,
+        outputTokens: outputTokens,
+        totalTokens: usage.totalTokens || inputTokens + outputTokens
+      };
+    },
+
+    /**
+     * Validate a value against a JSON Schema
+     * @param {*} value - Parsed JSON
+     * @param {Object} schema - JSON Schema
+     * @returns {Array<Object>} Problems as [{ path, message }] (empty when valid)
+     */
+    validateSchema(value, schema) {
+      return collectSchemaErrors(value, schema, '', []);
+    },
+
+    /**
+     * Parse and validate a reply to a structured-output request (options.schema)
+     * Tolerates a ```json fence around the JSON.
+     * @param {string} text - Model reply
+     * @param {Object} schema - JSON Schema the reply must match
+     * @param {Object} response - Provider result, attached to the error for usage accounting
+     * @returns {*} Parsed data
+     * @throws {StructuredOutputError} When the reply is not JSON or does not match
+     */
+    parseStructuredOutput(text, schema, response = null) {
+      const json = String(text || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+
+      let data;
+      try {
+        data = JSON.parse(json);
+      } catch (e) {
+        throw new StructuredOutputError(`Model did not return valid JSON: ${e.message}`, {
+          errors: [{ path: '$', message: 'invalid JSON' }],
+          text: text,
+          response: response
+        });
+      }
+
+      const errors = this.validateSchema(data, schema);
+      if (errors.length > 0) {
+        const summary = errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ');
+        throw new StructuredOutputError(`Model output does not match the schema: ${summary}`, {
+          errors: errors,
+          text: text,
+          data: data,
+          response: response
+        });
+      }
+
+      return data;
+    },
+
+    /**
+     * Approximate the input tokens a prompt will use, before sending it
+     * Uses the local tokenizer for the model's provider family (tokenizer.js).
+     * @param {string|null} prompt - The prompt text (optional when options.messages is set)
+     * @param {string} model - Catalog model ID or alias
+     * @param {Object} options - { system, messages } as passed to run()
+     * @returns {number} Approximate input tokens (0 for an empty prompt)
+     */
+    countTokens(prompt, model, options = {}) {
+      const hasMessages = (options.messages || []).some(m => m?.content?.trim?.() || m?.toolCalls?.length || m?.role === 'tool');
+      const hasPrompt = typeof prompt === 'string' && prompt.trim();
+      if (!hasPrompt && !hasMessages && !options.system) return 0;
+
+      const provider = window.ModelCatalog?.find(model)?.provider;
+      const family = window.Tokenizer.familyFor(provider);
+
+      // buildConversation() requires a user turn; a system prompt alone still costs tokens
+      const conversation = hasPrompt || hasMessages
+        ? this.buildConversation(prompt, options)
+        : { system: options.system, messages: [] };
+
+      let tokens = window.Tokenizer.countMessages(conversation, family);
+      if (options.tools?.length) {
+        // Tool definitions are sent with every call
+        const definitions = options.tools.map(t => typeof t === 'string' ? tools.get(t) : t).filter(Boolean);
+        tokens += window.Tokenizer.count(JSON.stringify(definitions.map(({ name, description, parameters }) =>
+          ({ name, description, parameters }))), family);
+      }
+      return tokens;
+    },
+
+    /**
+     * Pre-flight estimate for a run: input tokens, context window fit and worst-case cost
+     * Cost assumes the reply uses all of maxTokens, so it is an upper bound.
+     * @param {string|null} prompt - The prompt text
+     * @param {Object} options - { model, maxTokens, system, messages }
+     * @returns {Object} { model, provider, inputTokens, maxTokens, totalTokens, contextWindow,
+     *   maxOutputTokens, exceedsContext, exceedsMaxOutput, cost, approximate }
+     */
+    estimate(prompt, options = {}) {
+      const entry = window.ModelCatalog.find(options.model);
+      const provider = entry?.provider || null;
+      const maxTokens = options.maxTokens || 0;
+      const inputTokens = this.countTokens(prompt, options.model, options);
+      const totalTokens = inputTokens + maxTokens;
+      const contextWindow = entry?.contextWindow || null;
+      const maxOutputTokens = entry?.maxOutputTokens || null;
+
+      return {
+        model: entry?.id || options.model,
+        provider: provider,
+        inputTokens: inputTokens,
+        maxTokens: maxTokens,
+        totalTokens: totalTokens,
+        contextWindow: contextWindow,
+        maxOutputTokens: maxOutputTokens,
+        exceedsContext: contextWindow !== null && totalTokens > contextWindow,
+        exceedsMaxOutput: maxOutputTokens !== null && maxTokens > maxOutputTokens,
+        cost: this.calculateCost(entry?.pricing || { input: 0, output: 0 }, inputTokens, maxTokens),
+        approximate: true
+      };
+    },
+
+    /**
+     * Calculate cost from per-1M-token pricing
+     * @param {Object} pricing - { input, output } in USD per 1M tokens
+     * @param {number} inputTokens - Input tokens
+     * @param {number} outputTokens - Output tokens
+     * @returns {Object} Cost breakdown
+     */
+    calculateCost(pricing, inputTokens, outputTokens) {
+      const inputCost = (inputTokens / 1000000) * pricing.input;
+      const outputCost = (outputTokens / 1000000) * pricing.output;
+
+      return {
+        inputCost: inputCost,
+        outputCost: outputCost,
+        totalCost: inputCost + outputCost,
+        inputTokens: inputTokens,
+        outputTokens: outputTokens,
+        totalTokens: inputTokens + outputTokens
+      };
+    }
+  };
+
+  window.LLM = LLM;
+
+})();
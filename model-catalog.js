@@ -0,0 +1,347 @@
+/* ============================================
+   MODEL CATALOG
+   Prompting It - Data-driven AI model registry
+   ============================================ */
+
+// Single source of truth for the models the provider clients can call:
+// API ID, endpoint family, context window, pricing and capabilities.
+// The owner dashboard stores the catalog as JSON in the `settings` table
+// (key: model_catalog) so models can be added or retired without a deploy.
+// DEFAULT_MODELS is used until that row exists or when it can't be loaded.
+
+(function() {
+  'use strict';
+
+  const SETTINGS_KEY = 'model_catalog';
+
+  // Endpoint families each provider client knows how to call
+  const ENDPOINTS = {
+    claude: ['messages'],
+    openai: ['responses', 'chat'],
+    gemini: ['generateContent']
+  };
+
+  // Model used when a caller doesn't pass one (and for pricing fallback)
+  const DEFAULT_MODEL = {
+    claude: 'claude-4-5-sonnet-20250514',
+    openai: 'gpt-4o',
+    gemini: 'gemini-3-fast'
+  };
+
+  // Pricing is USD per 1M tokens
+  const DEFAULT_MODELS = [
+    // Claude 4.5 Series
+    // aliases: alternative ID formats accepted from saved prompts and older pages
+    // fallback: model LLM.run()/stream() fail over to when this one is down (any provider)
+    { id: 'claude-4-5-opus-20250514', provider: 'claude', name: 'Opus 4.5', description: 'Most capable for complex work', cost: 'High',
+      apiId: 'claude-4-5-opus-20250514', endpoint: 'messages', aliases: ['claude-opus-4-20250514'],
+      contextWindow: 200000, maxOutputTokens: 32000, pricing: { input: 15.00, output: 75.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'vision'], status: 'active' },
+    { id: 'claude-4-5-sonnet-20250514', provider: 'claude', name: 'Sonnet 4.5', description: 'Best for everyday tasks', cost: 'Medium',
+      apiId: 'claude-4-5-sonnet-20250514', endpoint: 'messages', aliases: ['claude-sonnet-4-20250514'],
+      contextWindow: 200000, maxOutputTokens: 64000, pricing: { input: 3.00, output: 15.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'vision'], status: 'active', fallback: 'gpt-4o' },
+    { id: 'claude-4-5-haiku-20250514', provider: 'claude', name: 'Haiku 4.5', description: 'Fastest for quick answers', cost: 'Low',
+      apiId: 'claude-4-5-haiku-20250514', endpoint: 'messages', aliases: ['claude-haiku-4-20250514'],
+      contextWindow: 200000, maxOutputTokens: 8192, pricing: { input: 0.80, output: 4.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'vision'], status: 'active' },
+
+    // Gemini 3 Series
+    { id: 'gemini-3-fast', provider: 'gemini', name: 'Gemini 3 Fast', description: 'Answers quickly', cost: 'Low',
+      apiId: 'gemini-3-fast', endpoint: 'generateContent', aliases: [],
+      contextWindow: 1048576, maxOutputTokens: 8192, pricing: { input: 0.075, output: 0.30 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'vision'], status: 'active' },
+    { id: 'gemini-3-thinking', provider: 'gemini', name: 'Gemini 3 Thinking', description: 'Solves complex problems', cost: 'Medium',
+      apiId: 'gemini-3-thinking', endpoint: 'generateContent', aliases: [],
+      contextWindow: 1048576, maxOutputTokens: 65536, pricing: { input: 0.15, output: 0.60 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'vision', 'reasoning'], status: 'active' },
+    { id: 'gemini-3-pro', provider: 'gemini', name: 'Gemini 3 Pro', description: 'Thinks longer for advanced math & code', cost: 'High',
+      apiId: 'gemini-3-pro', endpoint: 'generateContent', aliases: [],
+      contextWindow: 1048576, maxOutputTokens: 65536, pricing: { input: 1.25, output: 5.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'vision', 'reasoning'], status: 'active' },
+
+    // OpenAI - GPT-5.1 / GPT-5 Series (Responses API)
+    { id: 'gpt-5-1-instant', provider: 'openai', name: 'GPT-5.1 Instant', description: 'Latest instant model', cost: 'Low',
+      apiId: 'gpt-5-1-instant', endpoint: 'responses', aliases: [],
+      contextWindow: 400000, maxOutputTokens: 128000, pricing: { input: 0.10, output: 0.40 },
+      capabilities: ['streaming', 'system', 'multi_turn'], status: 'active' },
+    { id: 'gpt-5-1-thinking', provider: 'openai', name: 'GPT-5.1 Thinking', description: 'Latest thinking model', cost: 'Medium',
+      apiId: 'gpt-5-1-thinking', endpoint: 'responses', aliases: [],
+      contextWindow: 400000, maxOutputTokens: 128000, pricing: { input: 0.50, output: 2.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'reasoning'], status: 'active' },
+    { id: 'gpt-5-instant', provider: 'openai', name: 'GPT-5 Instant', description: 'Fast GPT-5 model', cost: 'Low',
+      apiId: 'gpt-5-instant', endpoint: 'responses', aliases: [],
+      contextWindow: 400000, maxOutputTokens: 128000, pricing: { input: 0.10, output: 0.40 },
+      capabilities: ['streaming', 'system', 'multi_turn'], status: 'active' },
+    { id: 'gpt-5-thinking-mini', provider: 'openai', name: 'GPT-5 Thinking mini', description: 'Smaller thinking model', cost: 'Medium',
+      apiId: 'gpt-5-thinking-mini', endpoint: 'responses', aliases: [],
+      contextWindow: 400000, maxOutputTokens: 128000, pricing: { input: 0.30, output: 1.20 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'reasoning'], status: 'active' },
+    { id: 'gpt-5-thinking', provider: 'openai', name: 'GPT-5 Thinking', description: 'Advanced thinking model', cost: 'High',
+      apiId: 'gpt-5-thinking', endpoint: 'responses', aliases: [],
+      contextWindow: 400000, maxOutputTokens: 128000, pricing: { input: 0.50, output: 2.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'reasoning'], status: 'active' },
+
+    // OpenAI - GPT-4 Series
+    { id: 'gpt-4o', provider: 'openai', name: 'GPT-4o', description: 'Optimized GPT-4', cost: 'Medium',
+      apiId: 'gpt-4o', endpoint: 'responses', aliases: [],
+      contextWindow: 128000, maxOutputTokens: 16384, pricing: { input: 2.50, output: 10.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'vision'], status: 'active' },
+    { id: 'gpt-4.1', provider: 'openai', name: 'GPT-4.1', description: 'Enhanced GPT-4', cost: 'High',
+      apiId: 'gpt-4.1', endpoint: 'chat', aliases: [],
+      contextWindow: 1047576, maxOutputTokens: 32768, pricing: { input: 5.00, output: 15.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'vision'], status: 'active' },
+
+    // OpenAI - Reasoning Models (O Series)
+    { id: 'o3', provider: 'openai', name: 'o3', description: 'Advanced reasoning model', cost: 'High',
+      apiId: 'o3', endpoint: 'chat', aliases: [],
+      contextWindow: 200000, maxOutputTokens: 100000, pricing: { input: 15.00, output: 60.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'reasoning'], status: 'active' },
+    { id: 'o4-mini', provider: 'openai', name: 'o4-mini', description: 'Smaller reasoning model', cost: 'Medium',
+      apiId: 'o4-mini', endpoint: 'chat', aliases: [],
+      contextWindow: 200000, maxOutputTokens: 100000, pricing: { input: 3.00, output: 12.00 },
+      capabilities: ['streaming', 'system', 'multi_turn', 'reasoning'], status: 'active' }
+  ];
+
+  let loadPromise = null;
+
+  const ModelCatalog = {
+    SETTINGS_KEY: SETTINGS_KEY,
+    ENDPOINTS: ENDPOINTS,
+    DEFAULT_MODEL: DEFAULT_MODEL,
+    DEFAULT_MODELS: DEFAULT_MODELS,
+
+    // Current catalog (defaults until load() resolves)
+    models: DEFAULT_MODELS.slice(),
+
+    // 'defaults' or 'settings' - where the current catalog came from
+    source: 'defaults',
+
+    /**
+     * Load the catalog from the settings table (cached after the first call)
+     * Falls back to DEFAULT_MODELS if the row is missing or invalid
+     * @param {boolean} force - Bypass the cache
+     * @returns {Promise<Array<Object>>} Catalog entries
+     */
+    load(force = false) {
+      if (loadPromise && !force) {
+        return loadPromise;
+      }
+
+      loadPromise = (async () => {
+        try {
+          const supabase = window.PromptingItSupabase?.getClient();
+          if (!supabase) return this.models;
+
+          const { data, error } = await supabase
+            .from('settings')
+            .select('value')
+            .eq('key', SETTINGS_KEY)
+            .maybeSingle();
+
+          if (error || !data?.value) return this.models;
+
+          const models = JSON.parse(data.value);
+          const invalid = Array.isArray(models)
+            ? models.map(m => this.validate(m)).find(result => !result.valid)
+            : { errors: ['Catalog must be an array'] };
+          if (invalid || models.length === 0) {
+            console.warn('Model catalog in settings is invalid, using defaults:', invalid?.errors);
+            return this.models;
+          }
+
+          this.models = models.map(m => this.normalize(m));
+          this.source = 'settings';
+        } catch (e) {
+          console.warn('Failed to load model catalog, using defaults:', e);
+        }
+        return this.models;
+      })();
+
+      return loadPromise;
+    },
+
+    /**
+     * List models for a provider
+     * @param {string} provider - Provider ID, or null for every provider
+     * @param {Object} options - { includeRetired: false }
+     * @returns {Array<Object>} Catalog entries
+     */
+    list(provider = null, options = {}) {
+      const { includeRetired = false } = options;
+      return this.models.filter(m =>
+        (!provider || m.provider === provider) &&
+        (includeRetired || m.status !== 'retired')
+      );
+    },
+
+    /**
+     * Find a catalog entry by ID or alias (including retired models)
+     * @param {string} model - Model ID or alias
+     * @returns {Object|null} Catalog entry
+     */
+    find(model) {
+      return this.models.find(m => m.id === model || (m.aliases || []).includes(model)) || null;
+    },
+
+    /**
+     * Resolve the model a provider client should call
+     * IDs not in the catalog are passed through unchanged using the provider's
+     * first endpoint family, so new provider models work before they're cataloged.
+     * @param {string} provider - Provider ID
+     * @param {string} model - Model ID or alias (defaults to the provider's default model)
+     * @returns {Object} Catalog entry
+     */
+    resolve(provider, model) {
+      const requested = model || DEFAULT_MODEL[provider];
+      const entry = this.find(requested);
+
+      if (entry && entry.provider !== provider) {
+        throw new Error(`${entry.name} is not a ${provider} model`);
+      }
+      if (entry?.status === 'retired') {
+        throw new Error(`${entry.name} has been retired. Please choose another model.`);
+      }
+
+      return entry || {
+        id: requested,
+        provider: provider,
+        name: requested,
+        apiId: requested,
+        endpoint: ENDPOINTS[provider]?.[0],
+        aliases: [],
+        contextWindow: null,
+        maxOutputTokens: null,
+        pricing: null,
+        capabilities: [],
+        status: 'active'
+      };
+    },
+
+    /**
+     * Pricing for a model, falling back to the provider's default model
+     * @param {string} provider - Provider ID
+     * @param {string} model - Model ID or alias
+     * @returns {Object} { input, output } USD per 1M tokens
+     */
+    getPricing(provider, model) {
+      const entry = this.find(model) || this.find(DEFAULT_MODEL[provider]);
+      return entry?.pricing || { input: 0, output: 0 };
+    },
+
+    /**
+     * Validate a catalog entry
+     * @param {Object} entry - Catalog entry
+     * @returns {Object} { valid: boolean, errors: string[] }
+     */
+    validate(entry) {
+      const errors = [];
+
+      if (!entry || typeof entry !== 'object') {
+        return { valid: false, errors: ['Entry must be an object'] };
+      }
+      if (!entry.id || typeof entry.id !== 'string') errors.push('id is required');
+      if (!entry.name) errors.push(`${entry.id || 'model'}: name is required`);
+      if (!ENDPOINTS[entry.provider]) {
+        errors.push(`${entry.id}: provider must be one of ${Object.keys(ENDPOINTS).join(', ')}`);
+      } else if (!ENDPOINTS[entry.provider].includes(entry.endpoint)) {
+        errors.push(`${entry.id}: endpoint must be one of ${ENDPOINTS[entry.provider].join(', ')}`);
+      }
+      if (!entry.apiId) errors.push(`${entry.id}: apiId is required`);
+      if (!entry.pricing || !(entry.pricing.input >= 0) || !(entry.pricing.output >= 0)) {
+        errors.push(`${entry.id}: pricing.input and pricing.output must be non-negative numbers`);
+      }
+      if (entry.contextWindow != null && !(entry.contextWindow > 0)) {
+        errors.push(`${entry.id}: contextWindow must be a positive number`);
+      }
+      if (entry.status && !['active', 'retired'].includes(entry.status)) {
+        errors.push(`${entry.id}: status must be active or retired`);
+      }
+      if (entry.fallback != null && (typeof entry.fallback !== 'string' || entry.fallback === entry.id)) {
+        errors.push(`${entry.id}: fallback must be another model ID`);
+      }
+
+      return { valid: errors.length === 0, errors };
+    },
+
+    /**
+     * Fill optional fields with defaults
+     * @param {Object} entry - Catalog entry
+     * @returns {Object} Normalized entry
+     */
+    normalize(entry) {
+      return {
+        description: '',
+        cost: 'Medium',
+        aliases: [],
+        contextWindow: null,
+        maxOutputTokens: null,
+        capabilities: [],
+        status: 'active',
+        fallback: null,
+        ...entry,
+        pricing: { input: Number(entry.pricing.input), output: Number(entry.pricing.output) }
+      };
+    },
+
+    /**
+     * Save the catalog to the settings table (owners/admins only - enforced by RLS)
+     * @param {Array<Object>} models - Full catalog
+     * @returns {Promise<Array<Object>>} Saved catalog
+     */
+    async save(models) {
+      const errors = [];
+      const ids = new Set();
+      models.forEach(m => {
+        errors.push(...this.validate(m).errors);
+        [m.id, ...(m.aliases || [])].forEach(id => {
+          if (ids.has(id)) errors.push(`Duplicate model ID or alias: ${id}`);
+          ids.add(id);
+        });
+      });
+      models.forEach(m => {
+        if (m.fallback && !ids.has(m.fallback)) {
+          errors.push(`${m.id}: fallback ${m.fallback} is not in the catalog`);
+        }
+      });
+      if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+      }
+
+      const supabase = window.PromptingItSupabase?.getClient();
+      if (!supabase) {
+        throw new Error('Supabase not initialized');
+      }
+
+      const normalized = models.map(m => this.normalize(m));
+      const { error } = await supabase
+        .from('settings')
+        .upsert({
+          key: SETTINGS_KEY,
+          value: JSON.stringify(normalized),
+          description: 'AI model catalog used by the provider clients',
+          updated_at: new Date().toISOString()
+        }, {
+          onConflict: 'key'
+        });
+
+      if (error) throw error;
+
+      this.models = normalized;
+      this.source = 'settings';
+      loadPromise = Promise.resolve(this.models);
+
+      if (window.Security?.AuditLog) {
+        await window.Security.AuditLog.log('settings.model_catalog_updated', {
+          models: normalized.length,
+          retired: normalized.filter(m => m.status === 'retired').length
+        });
+      }
+
+      return this.models;
+    }
+  };
+
+  window.ModelCatalog = ModelCatalog;
+
+})();
@@ -12,136 +12,34 @@ const OPENAI_CHAT_API_URL = 'https://api.openai.com/v1/chat/completions';
 
 // OpenAI API Service
 window.OpenAIAPI = {
+    name: 'OpenAI',
+    keyName: 'OpenAI API Key',
+
     /**
      * Call OpenAI API with a prompt
-     * @param {string} prompt - The prompt text
+     * @param {string|null} prompt - The prompt text (optional when options.messages is set)
      * @param {Object} options - Additional options
      * @param {string} options.model - Model to use (default: 'gpt-4o')
      * @param {number} options.maxTokens - Max tokens in response (default: 2048)
      * @param {number} options.temperature - Temperature (0-2, default: 1)
-     * @param {string} options.systemPrompt - System prompt (optional)
-     * @returns {Promise<Object>} API response
+     * @param {string} options.system - System prompt, sent as `instructions` or a system-role message (optional)
+     * @param {Array<Object>} options.messages - Prior turns as [{ role: 'user'|'assistant', content }] (optional)
+     * @param {Object} options.schema - JSON Schema for structured output, sent as `text.format` or `response_format` (optional)
+     * @param {string} options.schemaName - Name for the schema (default: 'response')
+     * @param {boolean} options.strict - Ask OpenAI to enforce the schema exactly (default: false; the schema
+     *   must then set additionalProperties: false and list every property as required)
+     * @param {Array<Object>} options.tools - Provider-neutral tools [{ name, description, parameters }] (optional)
+     * @param {string|Object} options.toolChoice - 'auto', 'required', 'none' or { name } (optional)
+     * @param {AbortSignal} options.signal - Abort signal to cancel the request (optional)
+     * @returns {Promise<Object>} { text, usage, model, finishReason, toolCalls, raw } plus `data` when options.schema is set
+     * @throws {StructuredOutputError} When the reply doesn't match options.schema
      */
     async call(prompt, options = {}) {
-        const {
-            model = 'gpt-4',
-            maxTokens = 2048,
-            temperature = 1,
-            systemPrompt = null
-        } = options;
-
-        if (!prompt || !prompt.trim()) {
-            throw new Error('Prompt is required');
-        }
-
-        // SECURITY: Get API key from Supabase api_keys table only
-        // No fallback to hardcoded keys for security
-        let apiKey = null;
-        try {
-            const supabase = window.PromptingItSupabase?.getClient();
-            const user = window.Auth?.getUser();
-            
-            if (!supabase || !user) {
-                throw new Error('Authentication required to use OpenAI API');
-            }
-            
-            // Get API key from api_keys table
-            const { data: apiKeyData, error } = await supabase
-                .from('api_keys')
-                .select('key_hash')
-                .eq('user_id', user.id)
-                .eq('name', 'OpenAI API Key')
-                .eq('is_active', true)
-                .single();
-            
-            if (error || !apiKeyData?.key_hash) {
-                throw new Error('OpenAI API key not configured. Please add your API key in Settings.');
-            }
-            
-            // Decrypt the stored key using SecurityCrypto module
-            if (window.SecurityCrypto) {
-                apiKey = await window.SecurityCrypto.decrypt(apiKeyData.key_hash, user.id);
-            } else {
-                // Fallback for backwards compatibility
-                apiKey = atob(apiKeyData.key_hash);
-            }
-        } catch (e) {
-            console.error('OpenAI API key error:', e);
-            throw new Error('OpenAI API key not configured. Please add your API key in Settings.');
-        }
-
-        if (!apiKey) {
-            throw new Error('OpenAI API key not configured');
-        }
-
-        // Determine which API to use based on model
-        // Responses API supports: GPT-5.x, GPT-5.1.x, GPT-4o, and newer models
-        // Chat Completions API supports: GPT-4.1, o3, o4-mini, and older models
-        const useResponsesAPI = model.includes('gpt-5') || 
-                                 model.includes('gpt-4o') || 
-                                 model.startsWith('gpt-5') ||
-                                 model === 'gpt-4o';
-        
-        let requestBody;
-        let apiUrl;
-        
-        if (useResponsesAPI) {
-            // Use Responses API (newer endpoint)
-            apiUrl = OPENAI_RESPONSES_API_URL;
-            requestBody = {
-                model: model,
-                input: prompt,
-                store: true  // Store the response
-            };
-            
-            // Add system prompt if provided (Responses API may support this differently)
-            if (systemPrompt) {
-                requestBody.system = systemPrompt;
-            }
-        } else {
-            // Use Chat Completions API (standard endpoint)
-            apiUrl = OPENAI_CHAT_API_URL;
-            const messages = [];
-            
-            // Add system message if provided
-            if (systemPrompt) {
-                messages.push({
-                    role: 'system',
-                    content: systemPrompt
-                });
-            }
-            
-            // Add user message
-            messages.push({
-                role: 'user',
-                content: prompt
-            });
-
-            requestBody = {
-                model: model,
-                messages: messages,
-                max_tokens: maxTokens,
-                temperature: temperature
-            };
-        }
+        const request = await this.buildRequest(prompt, options);
+        const model = request.body.model;
 
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(
-                    errorData.error?.message || 
-                    `OpenAI API error: ${response.status} ${response.statusText}`
-                );
-            }
+            const response = await window.LLM.send('openai', request, options);
 
             const data = await response.json();
             
@@ -149,10 +47,25 @@ window.OpenAIAPI = {
             let usage;
             let responseModel;
             let finishReason;
+            let toolCalls;
             
-            if (useResponsesAPI) {
-                // Responses API format
-                content = data.output?.text || data.text || data.content || '';
+            if (request.useResponsesAPI) {
+                // Responses API format: output is a list of message and function_call items
+                const output = Array.isArray(data.output) ? data.output : [];
+                const outputText = output
+                    .filter(item => item.type === 'message')
+                    .flatMap(item => item.content || [])
+                    .filter(part => part.type === 'output_text')
+                    .map(part => part.text)
+                    .join('');
+                content = data.output_text || outputText || data.output?.text || data.text || data.content || '';
+                toolCalls = output
+                    .filter(item => item.type === 'function_call')
+                    .map(item => ({
+                        id: item.call_id,
+                        name: item.name,
+                        arguments: window.LLM.parseToolArguments(item.arguments)
+                    }));
                 usage = data.usage || {};
                 responseModel = data.model || model;
                 finishReason = data.finish_reason || 'stop';
@@ -166,6 +79,11 @@ window.OpenAIAPI = {
             } else {
                 // Chat Completions API format
                 content = data.choices?.[0]?.message?.content || '';
+                toolCalls = (data.choices?.[0]?.message?.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function?.name,
+                    arguments: window.LLM.parseToolArguments(call.function?.arguments)
+                }));
                 usage = data.usage || {};
                 responseModel = data.model || model;
                 finishReason = data.choices?.[0]?.finish_reason || 'stop';
@@ -177,14 +95,20 @@ window.OpenAIAPI = {
                 };
             }
             
-            return {
-                success: true,
-                content: content,
+            const result = {
+                text: content,
                 usage: usage,
                 model: responseModel,
                 finishReason: finishReason,
+                toolCalls: toolCalls,
                 raw: data
             };
+
+            if (options.schema) {
+                result.data = window.LLM.parseStructuredOutput(result.text, options.schema, result);
+            }
+
+            return result;
         } catch (error) {
             console.error('OpenAI API error:', error);
             throw error;
@@ -192,27 +116,260 @@ window.OpenAIAPI = {
     },
 
     /**
-     * Get available OpenAI models
+     * Stream an OpenAI response as it is generated
+     * Handles both Responses API events (response.output_text.delta) and
+     * Chat Completions deltas (choices[0].delta.content)
+     * @param {string} prompt - The prompt text
+     * @param {Object} options - Same options as call()
+     * @yields {Object} { type: 'text', text } chunks, then { type: 'done', usage, model, finishReason }
      */
-    getModels() {
-        return [
-            // GPT-5.1 Series (Latest)
-            { id: 'gpt-5-1-instant', name: 'GPT-5.1 Instant', description: 'Latest instant model', isResponsesAPI: true, cost: 'Low' },
-            { id: 'gpt-5-1-thinking', name: 'GPT-5.1 Thinking', description: 'Latest thinking model', isResponsesAPI: true, cost: 'Medium' },
-            
-            // GPT-5 Series
-            { id: 'gpt-5-instant', name: 'GPT-5 Instant', description: 'Fast GPT-5 model', isResponsesAPI: true, cost: 'Low' },
-            { id: 'gpt-5-thinking-mini', name: 'GPT-5 Thinking mini', description: 'Smaller thinking model', isResponsesAPI: true, cost: 'Medium' },
-            { id: 'gpt-5-thinking', name: 'GPT-5 Thinking', description: 'Advanced thinking model', isResponsesAPI: true, cost: 'High' },
-            
-            // GPT-4 Series
-            { id: 'gpt-4o', name: 'GPT-4o', description: 'Optimized GPT-4', isResponsesAPI: true, cost: 'Medium' },
-            { id: 'gpt-4.1', name: 'GPT-4.1', description: 'Enhanced GPT-4', cost: 'High' },
+    async *stream(prompt, options = {}) {
+        const request = await this.buildRequest(prompt, options);
+        request.stream = true;
+        request.body.stream = true;
+        if (!request.useResponsesAPI) {
+            // Chat Completions only reports usage on the final chunk when asked to
+            request.body.stream_options = { include_usage: true };
+        }
+
+        const response = await window.LLM.send('openai', request, options);
+
+        let model = request.body.model;
+        let usage = {};
+        let finishReason = null;
+
+        for await (const event of window.LLM.readEvents(response)) {
+            const data = event.data;
+            if (!data || typeof data !== 'object') continue; // "[DONE]" sentinel
+
+            if (request.useResponsesAPI) {
+                switch (data.type) {
+                    case 'response.output_text.delta':
+                        if (data.delta) yield { type: 'text', text: data.delta };
+                        break;
+                    case 'response.completed':
+                    case 'response.incomplete':
+                        model = data.response?.model || model;
+                        usage = data.response?.usage || usage;
+                        finishReason = data.type === 'response.completed'
+                            ? 'stop'
+                            : data.response?.incomplete_details?.reason || 'incomplete';
+                        break;
+                    case 'response.failed':
+                    case 'error':
+                        throw new Error(data.response?.error?.message || data.message || 'OpenAI API stream error');
+                }
+            } else {
+                const choice = data.choices?.[0];
+                if (choice?.delta?.content) {
+                    yield { type: 'text', text: choice.delta.content };
+                }
+                if (choice?.finish_reason) finishReason = choice.finish_reason;
+                if (data.usage) usage = data.usage;
+                model = data.model || model;
+            }
+        }
+
+        const inputTokens = usage.input_tokens || usage.prompt_tokens || 0;
+        const outputTokens = usage.output_tokens || usage.completion_tokens || 0;
+
+        yield {
+            type: 'done',
+            usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+            model: model,
+            finishReason: finishReason || 'stop'
+        };
+    },
+
+    /**
+     * Build the body for a Responses or Chat Completions request
+     * The key is added later by the proxy or directRequest()
+     * @param {string} prompt - The prompt text
+     * @param {Object} options - Options passed to call()/stream()
+     * @returns {Promise<Object>} { endpoint, model, body, stream, useResponsesAPI }
+     */
+    async buildRequest(prompt, options = {}) {
+        const {
+            model = window.ModelCatalog.DEFAULT_MODEL.openai,
+            maxTokens = 2048,
+            temperature = 1
+        } = options;
+
+        await window.ModelCatalog.load();
+
+        const { system, messages } = window.LLM.buildConversation(prompt, options);
+
+        // The catalog records which endpoint family each model is served from:
+        // 'responses' (Responses API) or 'chat' (Chat Completions API)
+        const entry = window.ModelCatalog.resolve('openai', model);
+        const useResponsesAPI = entry.endpoint === 'responses';
+
+        let requestBody;
+        
+        if (useResponsesAPI) {
+            // Use Responses API (newer endpoint)
+            // A single user turn is sent as plain input; threads go as role/content items
+            requestBody = {
+                model: entry.apiId,
+                input: messages.length === 1 && messages[0].role === 'user'
+                    ? messages[0].content
+                    : this.toResponsesInput(messages),
+                store: true  // Store the response
+            };
             
-            // Reasoning Models (O Series)
-            { id: 'o3', name: 'o3', description: 'Advanced reasoning model', cost: 'High' },
-            { id: 'o4-mini', name: 'o4-mini', description: 'Smaller reasoning model', cost: 'Medium' }
-        ];
+            // Responses API takes the system prompt as `instructions`
+            if (system) {
+                requestBody.instructions = system;
+            }
+
+            if (options.tools?.length) {
+                requestBody.tools = options.tools.map(tool => ({
+                    type: 'function',
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }));
+                if (options.toolChoice) {
+                    requestBody.tool_choice = options.toolChoice.name
+                        ? { type: 'function', name: options.toolChoice.name }
+                        : options.toolChoice;
+                }
+            }
+
+            if (options.schema) {
+                requestBody.text = {
+                    format: {
+                        type: 'json_schema',
+                        name: options.schemaName || 'response',
+                        schema: options.schema,
+                        strict: options.strict === true
+                    }
+                };
+            }
+        } else {
+            // Use Chat Completions API (standard endpoint)
+            requestBody = {
+                model: entry.apiId,
+                messages: [
+                    // System prompt goes first as a system-role message
+                    ...(system ? [{
+                        role: 'system',
+                        content: system
+                    }] : []),
+                    ...this.toChatMessages(messages)
+                ],
+                max_tokens: maxTokens,
+                temperature: temperature
+            };
+
+            if (options.tools?.length) {
+                requestBody.tools = options.tools.map(tool => ({
+                    type: 'function',
+                    function: {
+                        name: tool.name,
+                        description: tool.description,
+                        parameters: tool.parameters
+                    }
+                }));
+                if (options.toolChoice) {
+                    requestBody.tool_choice = options.toolChoice.name
+                        ? { type: 'function', function: { name: options.toolChoice.name } }
+                        : options.toolChoice;
+                }
+            }
+
+            if (options.schema) {
+                requestBody.response_format = {
+                    type: 'json_schema',
+                    json_schema: {
+                        name: options.schemaName || 'response',
+                        schema: options.schema,
+                        strict: options.strict === true
+                    }
+                };
+            }
+        }
+
+        return {
+            endpoint: entry.endpoint,
+            model: entry.apiId,
+            body: requestBody,
+            stream: false,
+            useResponsesAPI: useResponsesAPI
+        };
+    },
+
+    /**
+     * Map neutral conversation turns to Chat Completions messages
+     * @param {Array<Object>} messages - From LLM.buildConversation()
+     * @returns {Array<Object>} Chat messages (tool calls as tool_calls, results as role: 'tool')
+     */
+    toChatMessages(messages) {
+        return messages.map(message => {
+            if (message.role === 'tool') {
+                return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+            }
+            if (message.toolCalls?.length) {
+                return {
+                    role: 'assistant',
+                    content: message.content || null,
+                    tool_calls: message.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                    }))
+                };
+            }
+            return { role: message.role, content: message.content };
+        });
+    },
+
+    /**
+     * Map neutral conversation turns to Responses API input items
+     * @param {Array<Object>} messages - From LLM.buildConversation()
+     * @returns {Array<Object>} Input items (tool calls as function_call, results as function_call_output)
+     */
+    toResponsesInput(messages) {
+        return messages.flatMap(message => {
+            if (message.role === 'tool') {
+                return [{ type: 'function_call_output', call_id: message.toolCallId, output: message.content }];
+            }
+            if (message.toolCalls?.length) {
+                return [
+                    ...(message.content ? [{ role: 'assistant', content: message.content }] : []),
+                    ...message.toolCalls.map(call => ({
+                        type: 'function_call',
+                        call_id: call.id,
+                        name: call.name,
+                        arguments: JSON.stringify(call.arguments || {})
+                    }))
+                ];
+            }
+            return [{ role: message.role, content: message.content }];
+        });
+    },
+
+    /**
+     * URL and headers for calling OpenAI directly from the browser (proxy disabled)
+     * @param {Object} request - From buildRequest()
+     * @param {string} apiKey - Decrypted API key
+     * @returns {Object} { url, headers }
+     */
+    directRequest(request, apiKey) {
+        return {
+            url: request.useResponsesAPI ? OPENAI_RESPONSES_API_URL : OPENAI_CHAT_API_URL,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`
+            }
+        };
+    },
+
+    /**
+     * Get available OpenAI models from the model catalog
+     */
+    listModels() {
+        return window.ModelCatalog.list('openai');
     },
 
     /**
@@ -222,42 +379,11 @@ window.OpenAIAPI = {
      * @param {string} model - Model ID
      * @returns {Object} Cost breakdown
      */
-    estimateCost(inputTokens, outputTokens, model = 'gpt-4o') {
-        // Pricing per 1M tokens (as of 2024/2025)
-        // Updated with latest pricing for current models
-        const pricing = {
-            // GPT-5.1 Series (Latest)
-            'gpt-5-1-instant': { input: 0.10, output: 0.40 },
-            'gpt-5-1-thinking': { input: 0.50, output: 2.00 },
-            
-            // GPT-5 Series
-            'gpt-5-instant': { input: 0.10, output: 0.40 },
-            'gpt-5-thinking-mini': { input: 0.30, output: 1.20 },
-            'gpt-5-thinking': { input: 0.50, output: 2.00 },
-            
-            // GPT-4 Series
-            'gpt-4o': { input: 2.50, output: 10.00 },
-            'gpt-4.1': { input: 5.00, output: 15.00 },
-            
-            // Reasoning Models (O Series)
-            'o3': { input: 15.00, output: 60.00 },
-            'o4-mini': { input: 3.00, output: 12.00 }
-        };
-
-        const modelPricing = pricing[model] || pricing['gpt-4'];
-        
-        const inputCost = (inputTokens / 1000000) * modelPricing.input;
-        const outputCost = (outputTokens / 1000000) * modelPricing.output;
-        const totalCost = inputCost + outputCost;
+    estimateCost(inputTokens, outputTokens, model = window.ModelCatalog.DEFAULT_MODEL.openai) {
+        // Pricing per 1M tokens comes from the model catalog
+        const modelPricing = window.ModelCatalog.getPricing('openai', model);
 
-        return {
-            inputCost: inputCost,
-            outputCost: outputCost,
-            totalCost: totalCost,
-            inputTokens: inputTokens,
-            outputTokens: outputTokens,
-            totalTokens: inputTokens + outputTokens
-        };
+        return window.LLM.calculateCost(modelPricing, inputTokens, outputTokens);
     },
 
     /**
@@ -265,25 +391,8 @@ window.OpenAIAPI = {
      * SECURITY: Checks Supabase only, no hardcoded keys
      */
     async isConfigured() {
-        try {
-            const supabase = window.PromptingItSupabase?.getClient();
-            const user = window.Auth?.getUser();
-            
-            if (!supabase || !user) {
-                return false;
-            }
-            
-            const { data } = await supabase
-                .from('api_keys')
-                .select('id')
-                .eq('user_id', user.id)
-                .eq('name', 'OpenAI API Key')
-                .eq('is_active', true)
-                .single();
-            
-            return !!data;
-        } catch (e) {
-            return false;
-        }
+        return window.LLM.hasApiKey('openai');
     }
 };
+
+window.LLM.register('openai', window.OpenAIAPI);
@@ -0,0 +1,492 @@
+/* ============================================
+   ORGANIZATIONS
+   Prompting It - Team accounts, roles and seats
+   ============================================ */
+
+// Organizations own prompts and folders (organization_id) that every member can
+// see. What each role may do is enforced by RLS policies in supabase-schema.sql;
+// PERMISSIONS mirrors them so pages can hide actions a member can't take.
+//
+// Seats are shared billing: an organization gets the owner's plan's teamMembers
+// limit (SUBSCRIPTION_TIERS in paywall.js), and members plus pending invitations
+// count against it. The database refuses invitations past the limit.
+//
+// Owners and admins set how many approvals a team prompt needs before it can be
+// promoted to production, per team and optionally stricter per folder (see
+// prompt_required_approvals() and workspace.js).
+//
+// Load order: supabase-config.js -> auth.js -> security.js -> organizations.js
+
+(function() {
+  'use strict';
+
+  const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+  const MAX_REQUIRED_APPROVALS = 10;
+
+  const ROLE_LABELS = {
+    owner: 'Owner',
+    admin: 'Admin',
+    editor: 'Editor',
+    viewer: 'Viewer'
+  };
+
+  const PERMISSIONS = {
+    viewPrompts: ['owner', 'admin', 'editor', 'viewer'],
+    editPrompts: ['owner', 'admin', 'editor'],
+    deletePrompts: ['owner', 'admin'],
+    manageMembers: ['owner', 'admin'],
+    manageApprovals: ['owner', 'admin'],
+    manageAdmins: ['owner'],
+    manageBilling: ['owner'],
+    deleteOrganization: ['owner']
+  };
+
+  function requireSession() {
+    const supabase = window.PromptingItSupabase?.getClient();
+    const user = window.Auth?.getUser();
+    if (!supabase || !user) {
+      throw new Error('Please sign in to manage your team');
+    }
+    return { supabase, user };
+  }
+
+  // action is a key of Security.AuditLog.ACTIONS
+  function audit(action, organizationId, metadata = {}) {
+    const auditLog = window.Security?.AuditLog;
+    if (auditLog) {
+      auditLog.log(auditLog.ACTIONS[action], { resourceType: 'organization', resourceId: organizationId, ...metadata });
+    }
+  }
+
+  function checkApprovalCount(count) {
+    if (!Number.isInteger(count) || count < 0 || count > MAX_REQUIRED_APPROVALS) {
+      throw new Error(`Required approvals must be between 0 and ${MAX_REQUIRED_APPROVALS}`);
+    }
+  }
+
+  function slugify(name) {
+    return name.toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40);
+  }
+
+  function toOrganization(row, role) {
+    return {
+      id: row.id,
+      name: row.name,
+      slug: row.slug,
+      ownerId: row.owner_id,
+      requiredApprovals: row.required_approvals || 0,
+      role: role,
+      createdAt: row.created_at
+    };
+  }
+
+  // Pull the { error } body out of a functions.invoke() failure
+  async function functionError(error, fallback) {
+    try {
+      return new Error((await error.context?.json())?.error || fallback);
+    } catch (_error) {
+      return new Error(fallback);
+    }
+  }
+
+  const Organizations = {
+    ROLES: ROLES,
+    ROLE_LABELS: ROLE_LABELS,
+    MAX_REQUIRED_APPROVALS: MAX_REQUIRED_APPROVALS,
+
+    /**
+     * Whether a role allows an action
+     * @param {string} role - Member role
+     * @param {string} permission - Key of PERMISSIONS (e.g. 'editPrompts')
+     * @returns {boolean}
+     */
+    can(role, permission) {
+      return (PERMISSIONS[permission] || []).includes(role);
+    },
+
+    /**
+     * Roles a member with the given role can invite or assign
+     * @param {string} role - Member role
+     * @returns {string[]}
+     */
+    assignableRoles(role) {
+      if (role === 'owner') return ['admin', 'editor', 'viewer'];
+      if (role === 'admin') return ['editor', 'viewer'];
+      return [];
+    },
+
+    /**
+     * Organizations the current user belongs to, with their role in each
+     * @returns {Promise<Array<Object>>} [{ id, name, slug, ownerId, requiredApprovals, role, createdAt }]
+     */
+    async list() {
+      const { supabase, user } = requireSession();
+
+      const { data, error } = await supabase
+        .from('organization_members')
+        .select('role, organizations(id, name, slug, owner_id, required_approvals, created_at)')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return (data || [])
+        .filter(row => row.organizations)
+        .map(row => toOrganization(row.organizations, row.role));
+    },
+
+    /**
+     * Create an organization; the current user becomes its owner
+     * @param {string} name - Display name
+     * @param {string} slug - URL-safe identifier (default: derived from the name)
+     * @returns {Promise<Object>} The organization
+     */
+    async create(name, slug) {
+      const { supabase, user } = requireSession();
+      const trimmed = (name || '').trim();
+      if (!trimmed) {
+        throw new Error('Enter a name for your team');
+      }
+
+      const { data, error } = await supabase
+        .from('organizations')
+        .insert({ name: trimmed, slug: slug || slugify(trimmed), owner_id: user.id })
+        .select()
+        .single();
+
+      if (error) {
+        throw error.code === '23505' ? new Error('That team URL is already taken') : error;
+      }
+
+      audit('ORGANIZATION_CREATED', data.id, { name: trimmed });
+      return toOrganization(data, 'owner');
+    },
+
+    /**
+     * Rename an organization (owners and admins)
+     * @param {string} organizationId
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async rename(organizationId, name) {
+      const { supabase } = requireSession();
+
+      const { error } = await supabase
+        .from('organizations')
+        .update({ name: name.trim(), updated_at: new Date().toISOString() })
+        .eq('id', organizationId);
+      if (error) throw error;
+    },
+
+    /**
+     * Set how many approvals a team prompt's version needs before it can be
+     * promoted to production (owners and admins). 0 lets editors promote freely.
+     * @param {string} organizationId
+     * @param {number} count - 0 to MAX_REQUIRED_APPROVALS
+     * @returns {Promise<void>}
+     */
+    async setRequiredApprovals(organizationId, count) {
+      const { supabase } = requireSession();
+      checkApprovalCount(count);
+
+      const { data, error } = await supabase
+        .from('organizations')
+        .update({ required_approvals: count, updated_at: new Date().toISOString() })
+        .eq('id', organizationId)
+        .select('id');
+
+      if (error) throw error;
+      if (!data || data.length === 0) {
+        throw new Error("You don't have permission to change this team's approval policy");
+      }
+
+      audit('ORGANIZATION_APPROVAL_POLICY_CHANGED', organizationId, { requiredApprovals: count });
+    },
+
+    /**
+     * A team's folders with their own approval requirement, if any
+     * @param {string} organizationId
+     * @returns {Promise<Array<Object>>} [{ id, name, requiredApprovals }] - null uses the team's
+     */
+    async listFolderPolicies(organizationId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('folders')
+        .select('id, name, required_approvals')
+        .eq('organization_id', organizationId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      return (data || []).map(row => ({
+        id: row.id,
+        name: row.name,
+        requiredApprovals: row.required_approvals
+      }));
+    },
+
+    /**
+     * Require more approvals for prompts in one folder (owners and admins). A
+     * folder can't require fewer than its team; null goes back to the team's.
+     * @param {string} organizationId
+     * @param {string} folderId
+     * @param {number|null} count
+     * @returns {Promise<void>}
+     */
+    async setFolderRequiredApprovals(organizationId, folderId, count) {
+      const { supabase } = requireSession();
+      if (count !== null) checkApprovalCount(count);
+
+      const { data, error } = await supabase
+        .from('folders')
+        .update({ required_approvals: count, updated_at: new Date().toISOString() })
+        .eq('id', folderId)
+        .eq('organization_id', organizationId)
+        .select('id');
+
+      if (error && error.code !== '42501') throw error;
+      if (error || !data || data.length === 0) {
+        throw new Error("You don't have permission to change this folder's approval policy");
+      }
+
+      audit('ORGANIZATION_APPROVAL_POLICY_CHANGED', organizationId, { folderId, requiredApprovals: count });
+    },
+
+    /**
+     * Delete an organization (owner only). Its prompts and folders go back to
+     * their authors.
+     * @param {string} organizationId
+     * @returns {Promise<void>}
+     */
+    async remove(organizationId) {
+      const { supabase } = requireSession();
+
+      const { error } = await supabase.from('organizations').delete().eq('id', organizationId);
+      if (error) throw error;
+
+      audit('ORGANIZATION_DELETED', organizationId);
+    },
+
+    /**
+     * Members with their names and emails, owner first
+     * @param {string} organizationId
+     * @returns {Promise<Array<Object>>} [{ userId, role, email, name, avatarUrl, joinedAt }]
+     */
+    async listMembers(organizationId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase.rpc('get_organization_members', { p_organization_id: organizationId });
+      if (error) throw error;
+
+      return (data || []).map(row => ({
+        userId: row.user_id,
+        role: row.role,
+        email: row.email,
+        name: [row.first_name, row.last_name].filter(Boolean).join(' ') || row.email,
+        avatarUrl: row.avatar_url,
+        joinedAt: row.joined_at
+      }));
+    },
+
+    /**
+     * Change a member's role. Only the owner can grant or remove admin.
+     * @param {string} organizationId
+     * @param {string} userId
+     * @param {string} role - 'admin', 'editor' or 'viewer'
+     * @returns {Promise<void>}
+     */
+    async updateMemberRole(organizationId, userId, role) {
+      const { supabase } = requireSession();
+      if (!ROLES.includes(role) || role === 'owner') {
+        throw new Error(`Invalid role: ${role}`);
+      }
+
+      const { data, error } = await supabase
+        .from('organization_members')
+        .update({ role, updated_at: new Date().toISOString() })
+        .eq('organization_id', organizationId)
+        .eq('user_id', userId)
+        .select('user_id');
+
+      if (error) throw error;
+      if (!data || data.length === 0) {
+        throw new Error("You don't have permission to change this member's role");
+      }
+
+      audit('ORGANIZATION_MEMBER_ROLE_CHANGED', organizationId, { memberId: userId, role });
+    },
+
+    /**
+     * Remove a member, freeing their seat
+     * @param {string} organizationId
+     * @param {string} userId
+     * @returns {Promise<void>}
+     */
+    async removeMember(organizationId, userId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('organization_members')
+        .delete()
+        .eq('organization_id', organizationId)
+        .eq('user_id', userId)
+        .select('user_id');
+
+      if (error) throw error;
+      if (!data || data.length === 0) {
+        throw new Error("You don't have permission to remove this member");
+      }
+
+      audit('ORGANIZATION_MEMBER_REMOVED', organizationId, { memberId: userId });
+    },
+
+    /**
+     * Leave an organization (owners must delete it instead)
+     * @param {string} organizationId
+     * @returns {Promise<void>}
+     */
+    async leave(organizationId) {
+      const { user } = requireSession();
+      await this.removeMember(organizationId, user.id);
+    },
+
+    /**
+     * Pending invitations for an organization (owners and admins)
+     * @param {string} organizationId
+     * @returns {Promise<Array<Object>>} [{ id, email, role, expiresAt, createdAt }]
+     */
+    async listInvitations(organizationId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('organization_invitations')
+        .select('id, email, role, expires_at, created_at')
+        .eq('organization_id', organizationId)
+        .eq('status', 'pending')
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).map(row => ({
+        id: row.id,
+        email: row.email,
+        role: row.role,
+        expiresAt: row.expires_at,
+        createdAt: row.created_at
+      }));
+    },
+
+    /**
+     * Invite someone by email. Takes a seat until the invitation is accepted,
+     * revoked or expires (7 days).
+     * @param {string} organizationId
+     * @param {string} email
+     * @param {string} role - 'admin' (owner only), 'editor' or 'viewer'
+     * @returns {Promise<Object>} { invitation, emailSent } - emailSent is false for
+     *   people who already have an account; they see the invitation in Settings → Team
+     */
+    async invite(organizationId, email, role = 'viewer') {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase.functions.invoke('organization-invite', {
+        body: {
+          organizationId,
+          email,
+          role,
+          redirectTo: `${window.location.origin}/settings.html?tab=team`
+        }
+      });
+      if (error) throw await functionError(error, 'Failed to send invitation');
+
+      return data;
+    },
+
+    /**
+     * Revoke a pending invitation, freeing its seat
+     * @param {string} organizationId
+     * @param {string} invitationId
+     * @returns {Promise<void>}
+     */
+    async revokeInvitation(organizationId, invitationId) {
+      const { supabase } = requireSession();
+
+      const { error } = await supabase
+        .from('organization_invitations')
+        .update({ status: 'revoked' })
+        .eq('id', invitationId)
+        .eq('organization_id', organizationId);
+      if (error) throw error;
+
+      audit('ORGANIZATION_INVITATION_REVOKED', organizationId, { invitationId });
+    },
+
+    /**
+     * Pending invitations addressed to the current user's email
+     * @returns {Promise<Array<Object>>} [{ id, organizationId, organizationName, role, expiresAt }]
+     */
+    async myInvitations() {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('organization_invitations')
+        .select('id, organization_id, email, role, expires_at, organizations(name)')
+        .eq('status', 'pending')
+        .gt('expires_at', new Date().toISOString());
+
+      if (error) throw error;
+
+      // Owners and admins can also see invitations they sent; keep only ours
+      const email = (window.Auth.getUser().email || '').toLowerCase();
+      return (data || []).filter(row => row.email.toLowerCase() === email).map(row => ({
+        id: row.id,
+        organizationId: row.organization_id,
+        organizationName: row.organizations?.name || 'a team',
+        role: row.role,
+        expiresAt: row.expires_at
+      }));
+    },
+
+    /**
+     * Accept an invitation addressed to the current user
+     * @param {string} invitationId
+     * @returns {Promise<string>} The organization ID
+     */
+    async acceptInvitation(invitationId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase.rpc('accept_organization_invitation', { p_invitation_id: invitationId });
+      if (error) {
+        throw error.hint === 'seat_limit_reached'
+          ? new Error('This team has no free seats. Ask its owner to upgrade their plan.')
+          : error;
+      }
+
+      audit('ORGANIZATION_INVITATION_ACCEPTED', data, { invitationId });
+      return data;
+    },
+
+    /**
+     * Seats used (members plus pending invitations) and included in the owner's plan
+     * @param {string} organizationId
+     * @returns {Promise<Object>} { used, limit } - limit is -1 for unlimited
+     */
+    async getSeats(organizationId) {
+      const { supabase } = requireSession();
+
+      const [used, limit] = await Promise.all([
+        supabase.rpc('organization_seats_used', { p_organization_id: organizationId }),
+        supabase.rpc('organization_seat_limit', { p_organization_id: organizationId })
+      ]);
+      if (used.error) throw used.error;
+      if (limit.error) throw limit.error;
+
+      return { used: used.data, limit: limit.data };
+    }
+  };
+
+  window.Organizations = Organizations;
+
+})();
@@ -599,7 +599,8 @@
           'api-console': 'API Console',
           'advanced-analytics': 'Advanced Analytics',
           'version-control': 'Version Control',
-          'team-collaboration': 'Team Collaboration'
+          'team-collaboration': 'Team Collaboration',
+          'api-calls': 'more AI runs this month'
         };
         const name = featureNames[feature] || feature;
         subtitle.textContent = `Upgrade to unlock ${name} and other premium features.`;
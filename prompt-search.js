@@ -0,0 +1,439 @@
+/* ============================================
+   PROMPT SEARCH
+   Prompting It - Full-text search and near-duplicate detection
+   ============================================ */
+
+// The library search box takes free text plus operators:
+//   tag:support  model:gpt-4  folder:"Customer Support"  status:draft
+// A leading minus negates an operator (-tag:legacy, -status:archived).
+// Free text uses web search syntax ("exact phrase", or, -exclude) and is
+// matched by search_prompts() against a weighted tsvector over title, tags,
+// description and content, so results come back ranked with highlighted
+// snippets. matchLocal() applies the same query to the IndexedDB copy for
+// offline use and as an instant first pass while the server answers.
+//
+// Near-duplicates: each prompt gets a 256-dimension embedding computed here
+// (hashed word and word-pair counts, so nothing leaves the browser but the
+// vector) and stored in prompt_embeddings. match_similar_prompts() ranks the
+// user's other prompts by cosine similarity.
+//
+// Load order: supabase-config.js -> auth.js -> prompt-search.js
+
+(function() {
+  'use strict';
+
+  const OPERATORS = ['tag', 'model', 'folder', 'status'];
+  const STATUSES = ['draft', 'active', 'archived'];
+
+  // Bump when embed() changes; stored vectors from an older scheme are
+  // recomputed and never compared with new ones
+  const EMBEDDING_MODEL = 'hash-256-v1';
+  const EMBEDDING_DIMENSIONS = 256;
+  const EMBEDDING_BATCH_SIZE = 100;
+
+  // Markers search_prompts() puts around matched words
+  const HIGHLIGHT_START = '\u0002';
+  const HIGHLIGHT_STOP = '\u0003';
+
+  const SNIPPET_LENGTH = 180;
+
+  let pendingRefresh = null;
+
+  function requireSession() {
+    const supabase = window.PromptingItSupabase?.getClient();
+    const user = window.Auth?.getUser();
+    if (!supabase || !user) {
+      throw new Error('Please sign in to search your library');
+    }
+    return { supabase, user };
+  }
+
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // ============================================
+  // QUERY PARSING
+  // ============================================
+
+  // operator:value, operator:"quoted value", "quoted phrase" or a bare word
+  const TOKEN_PATTERN = /(-?)(?:(\w+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+))/g;
+
+  function parseQuery(input) {
+    const parsed = {
+      text: '', tags: [], model: null, folder: null, status: null,
+      not: { tag: [], model: [], folder: [], status: [] },
+      terms: [], groups: [], excluded: []
+    };
+    const textParts = [];
+    const raw = String(input || '');
+    let joinNext = false;
+    let match;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(raw)) !== null) {
+      const [token, negated, name, quotedValue, value, phrase, word] = match;
+      const operator = name?.toLowerCase();
+
+      if (operator && OPERATORS.includes(operator)) {
+        const operand = (quotedValue ?? value ?? '').trim();
+        if (!operand) continue;
+        if (negated) parsed.not[operator].push(operand);
+        else if (operator === 'tag') parsed.tags.push(operand);
+        else parsed[operator] = operand;
+        continue;
+      }
+
+      textParts.push(token);
+      const term = (phrase ?? (name ? token.slice(negated.length) : word) ?? '').trim().toLowerCase();
+      // websearch_to_tsquery() ignores punctuation and treats "or" as an operator
+      if (!/[\p{L}\p{N}]/u.test(term)) continue;
+      if (negated) {
+        parsed.excluded.push(term);
+        joinNext = false;
+      } else if (term === 'or') {
+        joinNext = parsed.groups.length > 0;
+      } else {
+        parsed.terms.push(term);
+        // "a b or c" means a AND (b OR c), as in websearch_to_tsquery()
+        if (joinNext) parsed.groups[parsed.groups.length - 1].push(term);
+        else parsed.groups.push([term]);
+        joinNext = false;
+      }
+    }
+
+    if (parsed.status) {
+      parsed.status = parsed.status.toLowerCase();
+    }
+    parsed.not.status = parsed.not.status.map(status => status.toLowerCase());
+    parsed.text = textParts.join(' ').trim();
+    return parsed;
+  }
+
+  function hasFilters(parsed) {
+    return !!(parsed.text || parsed.tags.length || parsed.model || parsed.folder || parsed.status
+      || OPERATORS.some(operator => parsed.not[operator].length));
+  }
+
+  // ============================================
+  // LOCAL MATCHING
+  // ============================================
+
+  function searchableText(prompt) {
+    return [prompt.title, prompt.description, prompt.content, (prompt.tags || []).join(' ')]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+  }
+
+  function sameValue(a, b) {
+    return String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+  }
+
+  function matchLocal(prompt, parsed, folderName = null) {
+    if (parsed.status && !sameValue(prompt.status, parsed.status)) return false;
+    if (parsed.model && !sameValue(prompt.model, parsed.model)) return false;
+    if (parsed.folder && !sameValue(folderName, parsed.folder)) return false;
+    if (parsed.tags.some(tag => !(prompt.tags || []).some(own => sameValue(own, tag)))) return false;
+
+    const { not } = parsed;
+    if (not.status.some(status => sameValue(prompt.status, status))) return false;
+    if (not.model.some(model => sameValue(prompt.model, model))) return false;
+    if (folderName && not.folder.some(folder => sameValue(folderName, folder))) return false;
+    if (not.tag.some(tag => (prompt.tags || []).some(own => sameValue(own, tag)))) return false;
+
+    const text = searchableText(prompt);
+    return parsed.groups.every(group => group.some(term => text.includes(term)))
+      && !parsed.excluded.some(term => text.includes(term));
+  }
+
+  // Escaped text with every search term wrapped in <mark>
+  function highlight(text, terms) {
+    const safeTerms = (terms || []).filter(Boolean).map(escapeRegExp);
+    if (!safeTerms.length) return escapeHtml(text);
+
+    const pattern = new RegExp(`(${safeTerms.join('|')})`, 'gi');
+    return String(text ?? '').split(pattern)
+      .map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+      .join('');
+  }
+
+  // The part of the text around the first matching term, highlighted
+  function snippet(text, terms, length = SNIPPET_LENGTH) {
+    const source = String(text ?? '').replace(/\s+/g, ' ').trim();
+    const lower = source.toLowerCase();
+    const first = (terms || [])
+      .map(term => lower.indexOf(term))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0];
+
+    if (first === undefined || source.length <= length) {
+      const cut = source.length > length ? source.slice(0, length) + '…' : source;
+      return highlight(cut, terms);
+    }
+
+    const start = Math.max(0, first - Math.floor(length / 3));
+    const end = Math.min(source.length, start + length);
+    return (start > 0 ? '…' : '') + highlight(source.slice(start, end), terms) + (end < source.length ? '…' : '');
+  }
+
+  // ============================================
+  // SERVER RESULTS
+  // ============================================
+
+  function markedToHtml(text) {
+    return escapeHtml(text)
+      .split(HIGHLIGHT_START).join('<mark>')
+      .split(HIGHLIGHT_STOP).join('</mark>');
+  }
+
+  function toResult(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      titleHtml: markedToHtml(row.title_highlight ?? row.title),
+      snippetHtml: markedToHtml(row.snippet || ''),
+      description: row.description,
+      tags: row.tags || [],
+      model: row.model,
+      status: row.status,
+      folderId: row.folder_id,
+      updatedAt: row.updated_at,
+      rank: row.rank
+    };
+  }
+
+  // ============================================
+  // EMBEDDINGS
+  // ============================================
+
+  // 32-bit FNV-1a
+  function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  function embeddingText(prompt) {
+    return [prompt.title, prompt.description, (prompt.tags || []).join(' '), prompt.content]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // Feature hashing: every word and adjacent word pair lands in one of 256
+  // buckets with a hash-chosen sign, weighted by log term frequency
+  function embed(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    const counts = new Map();
+    words.forEach((word, i) => {
+      counts.set(word, (counts.get(word) || 0) + 1);
+      if (i > 0) {
+        const pair = words[i - 1] + ' ' + word;
+        counts.set(pair, (counts.get(pair) || 0) + 1);
+      }
+    });
+
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    counts.forEach((count, feature) => {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % EMBEDDING_DIMENSIONS] += sign * Math.log(1 + count);
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+  }
+
+  function similarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  // pgvector's text format
+  function toVectorLiteral(vector) {
+    return '[' + vector.map(value => Number(value.toFixed(6))).join(',') + ']';
+  }
+
+  async function refreshStaleEmbeddings() {
+    const { supabase, user } = requireSession();
+
+    const { data, error } = await supabase
+      .from('prompts')
+      .select('id, title, description, content, tags, prompt_embeddings(content_hash, model)')
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    const stale = (data || []).flatMap(prompt => {
+      const stored = Array.isArray(prompt.prompt_embeddings) ? prompt.prompt_embeddings[0] : prompt.prompt_embeddings;
+      const text = embeddingText(prompt);
+      const contentHash = fnv1a(text).toString(16);
+      if (stored?.model === EMBEDDING_MODEL && stored.content_hash === contentHash) return [];
+      return [{
+        prompt_id: prompt.id,
+        user_id: user.id,
+        model: EMBEDDING_MODEL,
+        content_hash: contentHash,
+        embedding: toVectorLiteral(embed(text)),
+        updated_at: new Date().toISOString()
+      }];
+    });
+
+    for (let i = 0; i < stale.length; i += EMBEDDING_BATCH_SIZE) {
+      const { error: upsertError } = await supabase
+        .from('prompt_embeddings')
+        .upsert(stale.slice(i, i + EMBEDDING_BATCH_SIZE), { onConflict: 'prompt_id' });
+      if (upsertError) throw upsertError;
+    }
+    return stale.length;
+  }
+
+  const PromptSearch = {
+    OPERATORS: OPERATORS,
+    STATUSES: STATUSES,
+    EMBEDDING_MODEL: EMBEDDING_MODEL,
+
+    /**
+     * Split a search box value into free text and operator filters
+     * @param {string} input - e.g. 'summary tag:support status:draft'
+     * @returns {Object} { text, tags, model, folder, status, not, terms, groups, excluded }
+     *   not lists negated operator values by operator; groups holds the terms
+     *   split on "or", and a match needs one term from every group
+     */
+    parseQuery: parseQuery,
+
+    /**
+     * Whether a parsed query narrows anything down
+     * @param {Object} parsed - From parseQuery()
+     * @returns {boolean}
+     */
+    hasFilters: hasFilters,
+
+    /**
+     * Match a locally stored prompt against a parsed query
+     * @param {Object} prompt
+     * @param {Object} parsed - From parseQuery()
+     * @param {string} folderName - Name of the prompt's folder, if any
+     * @returns {boolean}
+     */
+    matchLocal: matchLocal,
+
+    /**
+     * @param {string} text
+     * @param {Array<string>} terms - Lowercase, e.g. parsed.terms
+     * @returns {string} Escaped HTML with matches in <mark>
+     */
+    highlight: highlight,
+
+    /**
+     * @param {string} text
+     * @param {Array<string>} terms - Lowercase, e.g. parsed.terms
+     * @param {number} length - Characters to keep
+     * @returns {string} Escaped HTML around the first match
+     */
+    snippet: snippet,
+
+    /**
+     * Ranked full-text search over the signed-in user's prompts
+     * @param {string|Object} query - Search box value, or a parseQuery() result
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array>} Results with titleHtml and snippetHtml, best first
+     */
+    async search(query, { limit = 50, offset = 0 } = {}) {
+      const { supabase } = requireSession();
+      const parsed = typeof query === 'string' ? parseQuery(query) : query;
+
+      const { data, error } = await supabase.rpc('search_prompts', {
+        p_query: parsed.text || null,
+        p_tags: parsed.tags.length ? parsed.tags : null,
+        p_model: parsed.model,
+        p_folder: parsed.folder,
+        p_status: parsed.status,
+        p_exclude_tags: parsed.not.tag.length ? parsed.not.tag : null,
+        p_exclude_models: parsed.not.model.length ? parsed.not.model : null,
+        p_exclude_folders: parsed.not.folder.length ? parsed.not.folder : null,
+        p_exclude_statuses: parsed.not.status.length ? parsed.not.status : null,
+        p_limit: limit,
+        p_offset: offset
+      });
+
+      if (error) throw error;
+      return (data || []).map(toResult);
+    },
+
+    /**
+     * Embedding of a prompt's title, description, tags and content
+     * @param {Object|string} prompt - A prompt, or text
+     * @returns {Array<number>} Unit-length vector
+     */
+    embed(prompt) {
+      return embed(typeof prompt === 'string' ? prompt : embeddingText(prompt));
+    },
+
+    /**
+     * Cosine similarity of two embeddings
+     * @returns {number} 1 for the same wording, around 0 for unrelated text
+     */
+    similarity: similarity,
+
+    /**
+     * Store embeddings for prompts that are new or changed since theirs was
+     * computed. Concurrent calls share one run.
+     * @returns {Promise<number>} How many embeddings were written
+     */
+    refreshEmbeddings() {
+      if (!pendingRefresh) {
+        pendingRefresh = refreshStaleEmbeddings().finally(() => {
+          pendingRefresh = null;
+        });
+      }
+      return pendingRefresh;
+    },
+
+    /**
+     * The signed-in user's prompts worded most like the given one
+     * @param {string} promptId
+     * @param {Object} options - { threshold (0-1), limit }
+     * @returns {Promise<Array>} { id, title, description, status, updatedAt, similarity }
+     */
+    async findSimilar(promptId, { threshold = 0.7, limit = 10 } = {}) {
+      const { supabase } = requireSession();
+      await this.refreshEmbeddings();
+
+      const { data, error } = await supabase.rpc('match_similar_prompts', {
+        p_prompt_id: promptId,
+        p_threshold: threshold,
+        p_limit: limit
+      });
+
+      if (error) throw error;
+      return (data || []).map(row => ({
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        status: row.status,
+        updatedAt: row.updated_at,
+        similarity: row.similarity
+      }));
+    }
+  };
+
+  window.PromptSearch = PromptSearch;
+
+})();
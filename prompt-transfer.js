@@ -0,0 +1,703 @@
+/* ============================================
+   PROMPT IMPORT & EXPORT
+   Prompting It - Library export format and importers
+   ============================================ */
+
+// Library exports are one JSON document ("format": "promptingit-library"):
+//
+//   {
+//     "format": "promptingit-library",
+//     "formatVersion": 2,
+//     "exportedAt": "2026-01-14T09:30:00.000Z",
+//     "folders": [{ "id", "name", "parentId", "color", "icon" }],
+//     "prompts": [{
+//       "id", "folderId", "title", "description", "content", "category",
+//       "tags": [], "model", "status", "version", "favorite",
+//       "variables": [{ "name", "type", "required", "default", "enum",
+//                       "description", "maxLength" }],
+//       "createdAt", "updatedAt",
+//       "versions": [{ "version", "content", "changeNotes", "bump", "createdAt" }]
+//     }]
+//   }
+//
+// versions lists every saved version, oldest first. formatVersion only goes up
+// when a field changes meaning; readers ignore fields they don't know. Files
+// from before the format existed ({ "version": "1.0", prompts, folders }) still
+// import, without history. variables are the prompt's declarations
+// (prompt-variables.js); before they existed they only had a name, which still
+// reads as a required string.
+//
+// Every importer turns a file into the same list of prompts, so the preview and
+// the save don't care where a prompt came from:
+//   promptingit - library exports
+//   langchain   - LangChain prompt hub files, YAML or JSON (PromptTemplate,
+//                 ChatPromptTemplate)
+//   promptlayer - PromptLayer prompt templates; several versions of one
+//                 template become its history
+//   openai      - OpenAI playground presets (chat or completion)
+//   markdown    - Markdown, optionally with YAML front matter
+//
+// preview() compares the prompts with the library and marks each one new,
+// duplicate or conflict; commit() saves the ones the user kept. Signed in and
+// online, commit() goes through import_prompts() so version history survives;
+// otherwise prompts are saved locally (library-sync.js) with their current text.
+//
+// YAML needs js-yaml (window.jsyaml), which library.html loads from a CDN.
+//
+// Load order: supabase-config.js -> auth.js -> library-sync.js -> prompt-variables.js
+//   -> prompt-transfer.js
+
+(function() {
+  'use strict';
+
+  const FORMAT = 'promptingit-library';
+  const FORMAT_VERSION = 2;
+
+  const SOURCES = {
+    promptingit: 'PromptingIt export',
+    langchain: 'LangChain prompt',
+    promptlayer: 'PromptLayer template',
+    openai: 'OpenAI preset',
+    markdown: 'Markdown'
+  };
+
+  const STATUSES = ['active', 'draft', 'archived'];
+  const VERSION_COLUMNS = 'prompt_id, version, content, change_notes, bump, created_at';
+
+  // prompt_versions rows fetched per request when exporting, to keep URLs short
+  const HISTORY_BATCH_SIZE = 100;
+
+  const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  // Same rule as prompt_template_variables() in the schema
+  const VARIABLE_PATTERN = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+  const ROLE_LABELS = { system: 'System', user: 'User', human: 'User', assistant: 'Assistant', ai: 'Assistant' };
+
+  function getSession() {
+    const supabase = window.PromptingItSupabase?.getClient();
+    const user = window.Auth?.getUser();
+    return supabase && user ? { supabase, user } : null;
+  }
+
+  function detectVariables(content) {
+    const names = new Set();
+    for (const match of String(content || '').matchAll(VARIABLE_PATTERN)) {
+      names.add(match[1]);
+    }
+    return [...names];
+  }
+
+  // ============================================
+  // NORMALIZING
+  // ============================================
+
+  function text(value) {
+    return typeof value === 'string' ? value.trim() : (value == null ? '' : String(value).trim());
+  }
+
+  function sameText(a, b) {
+    return text(a).replace(/\r\n/g, '\n') === text(b).replace(/\r\n/g, '\n');
+  }
+
+  // 3 -> 3.0.0, v1.2 -> 1.2.0; anything else has no usable version
+  function normalizeVersion(value) {
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0) return `${value}.0.0`;
+    const match = text(value).match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/);
+    return match ? `${match[1]}.${match[2] || 0}.${match[3] || 0}` : null;
+  }
+
+  function normalizeStatus(value) {
+    const status = text(value).toLowerCase();
+    if (['production', 'published', 'live'].includes(status)) return 'active';
+    return STATUSES.includes(status) ? status : 'draft';
+  }
+
+  function normalizeTags(value) {
+    const tags = Array.isArray(value) ? value : text(value).split(',');
+    return [...new Set(tags.map(text).filter(Boolean))];
+  }
+
+  // Python-style {name} placeholders to {{name}}; {{ and }} are literal braces
+  function fromFString(template) {
+    return String(template || '').replace(/\{\{|\}\}|\{([A-Za-z_][\w.-]*)\}/g, (match, name) =>
+      name ? `{{${name}}}` : match[0]);
+  }
+
+  function convertTemplate(template, format) {
+    return !format || format === 'f-string' ? fromFString(template) : String(template || '');
+  }
+
+  // Chat templates become one prompt: the system message first, then each
+  // other message under its role
+  function joinMessages(messages) {
+    const parts = messages.filter(message => text(message.text));
+    if (parts.length === 1) return text(parts[0].text);
+    return parts.map((message, i) => (i === 0 && message.role === 'system')
+      ? text(message.text)
+      : `${ROLE_LABELS[message.role] || message.role}: ${text(message.text)}`
+    ).join('\n\n');
+  }
+
+  // Message content as a string, or a list of parts like { type: 'text', text }
+  function contentText(content) {
+    if (Array.isArray(content)) {
+      return content.map(part => typeof part === 'string' ? part : (part?.text ?? '')).join('');
+    }
+    return typeof content === 'string' ? content : '';
+  }
+
+  // Declarations as a list, or as a map of name -> declaration (front matter)
+  function declaredVariables(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') {
+      return Object.entries(value).map(([name, variable]) =>
+        variable && typeof variable === 'object' ? { ...variable, name } : { name, default: variable });
+    }
+    return [];
+  }
+
+  function makePrompt(source, fields) {
+    const content = text(fields.content);
+    const versions = (fields.versions || [])
+      .filter(version => text(version.content))
+      .map(version => ({
+        version: normalizeVersion(version.version) || '1.0.0',
+        content: version.content,
+        changeNotes: text(version.changeNotes) || null,
+        bump: version.bump || null,
+        createdAt: version.createdAt || null
+      }));
+
+    return {
+      source,
+      sourceId: fields.sourceId || null,
+      title: text(fields.title) || 'Untitled prompt',
+      description: text(fields.description),
+      content,
+      category: text(fields.category) || null,
+      tags: normalizeTags(fields.tags),
+      model: text(fields.model) || null,
+      status: normalizeStatus(fields.status),
+      folderKey: fields.folderKey || null,
+      version: normalizeVersion(fields.version) || versions[versions.length - 1]?.version || '1.0.0',
+      versions,
+      favorite: !!fields.favorite,
+      variables: window.PromptVariables.sync(declaredVariables(fields.variables), content)
+    };
+  }
+
+  function fileTitle(name) {
+    return text(name).replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ');
+  }
+
+  // ============================================
+  // IMPORTERS
+  // ============================================
+
+  function importLibraryExport(data) {
+    const folders = (data.folders || []).map(folder => ({
+      key: String(folder.id ?? folder.name),
+      name: text(folder.name),
+      parentKey: folder.parentId ?? folder.parent_id ?? null,
+      color: folder.color || null,
+      icon: folder.icon || null
+    })).filter(folder => folder.name);
+
+    const prompts = (data.prompts || []).map(prompt => makePrompt('promptingit', {
+      sourceId: prompt.id,
+      title: prompt.title,
+      description: prompt.description,
+      content: prompt.content,
+      category: prompt.category,
+      tags: prompt.tags,
+      model: prompt.model,
+      status: prompt.status,
+      folderKey: prompt.folderId ?? prompt.folder_id ?? null,
+      version: prompt.version,
+      versions: prompt.versions,
+      favorite: prompt.favorite,
+      variables: prompt.variables
+    }));
+
+    const warnings = data.format === FORMAT ? [] : ['This export is from an older version of the library and has no version history.'];
+    if (data.format === FORMAT && data.formatVersion > FORMAT_VERSION) {
+      warnings.push('This export is from a newer version of Prompting It; fields this version doesn\'t know are skipped.');
+    }
+    return { folders, prompts, warnings };
+  }
+
+  // LangChain's serialized classes: { lc: 1, type: 'constructor', id: [..., 'ChatPromptTemplate'], kwargs }
+  function langchainMessages(node) {
+    const kind = node?.id?.[node.id.length - 1] || node?._type;
+    const kwargs = node?.kwargs || node || {};
+
+    if (kind === 'ChatPromptTemplate' || kind === 'chat') {
+      return (kwargs.messages || []).flatMap(langchainMessages);
+    }
+    if (kind === 'MessagesPlaceholder') {
+      return [{ role: 'user', text: `{{${kwargs.variable_name || 'messages'}}}` }];
+    }
+    if (/MessagePromptTemplate$/.test(kind || '')) {
+      const role = kind.startsWith('System') ? 'system' : kind.startsWith('AI') ? 'assistant' : (kwargs.role || 'user');
+      return langchainMessages(kwargs.prompt).map(message => ({ ...message, role }));
+    }
+    if (kind === 'PromptTemplate' || kind === 'prompt' || kwargs.template !== undefined) {
+      return [{ role: 'system', text: convertTemplate(kwargs.template, kwargs.template_format) }];
+    }
+    return [];
+  }
+
+  function importLangChain(data, fileName) {
+    const root = data.manifest || data;
+    const messages = langchainMessages(root);
+    if (!messages.length) {
+      throw new Error('This LangChain file has no prompt template we can read');
+    }
+    const metadata = root.metadata || root.kwargs?.metadata || {};
+    const warnings = messages.length > 1 ? ['Chat messages were combined into one prompt, one paragraph per message.'] : [];
+
+    return {
+      folders: [],
+      prompts: [makePrompt('langchain', {
+        title: metadata.lc_hub_repo || data.repo_handle || root.name || fileTitle(fileName),
+        description: data.description || metadata.description,
+        content: joinMessages(messages),
+        tags: data.tags || metadata.tags
+      })],
+      warnings
+    };
+  }
+
+  function promptLayerContent(template) {
+    if (!template) return '';
+    if (template._type) return joinMessages(langchainMessages(template));
+    const format = template.template_format;
+    if (template.type === 'chat' || Array.isArray(template.messages)) {
+      return joinMessages((template.messages || []).map(message => ({
+        role: message.role,
+        text: message.role === 'placeholder'
+          ? `{{${message.name || 'messages'}}}`
+          : convertTemplate(contentText(message.content), message.template_format || format)
+      })));
+    }
+    return convertTemplate(contentText(template.content ?? template.template), format);
+  }
+
+  function importPromptLayer(data) {
+    const templates = Array.isArray(data) ? data : (data.prompt_templates || data.items || [data]);
+    const byName = new Map();
+    templates.forEach(template => {
+      const name = text(template.prompt_name || template.name) || 'Untitled prompt';
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(template);
+    });
+
+    const prompts = [...byName.entries()].map(([name, versions]) => {
+      versions.sort((a, b) => (Number(a.version) || 0) - (Number(b.version) || 0));
+      const latest = versions[versions.length - 1];
+      const model = latest.metadata?.model;
+      return makePrompt('promptlayer', {
+        title: name,
+        description: latest.description,
+        content: promptLayerContent(latest.prompt_template),
+        tags: latest.tags,
+        model: typeof model === 'string' ? model : model?.name,
+        version: latest.version,
+        versions: versions.filter(version => version.version != null).map(version => ({
+          version: version.version,
+          content: promptLayerContent(version.prompt_template),
+          changeNotes: version.commit_message,
+          createdAt: version.created_at || null
+        }))
+      });
+    });
+    return { folders: [], prompts, warnings: [] };
+  }
+
+  function importOpenAIPreset(data, fileName) {
+    const presets = Array.isArray(data) ? data : [data];
+    const prompts = presets.map(preset => {
+      const messages = Array.isArray(preset.messages)
+        ? preset.messages.map(message => ({ role: message.role, text: contentText(message.content) }))
+        : [{ role: 'user', text: contentText(preset.prompt) }];
+      if (preset.instructions) messages.unshift({ role: 'system', text: preset.instructions });
+
+      return makePrompt('openai', {
+        title: preset.name || preset.title || fileTitle(fileName),
+        description: preset.description,
+        content: joinMessages(messages),
+        model: preset.model
+      });
+    });
+    const warnings = prompts.length && presets.some(preset => (preset.messages || []).length > 1)
+      ? ['Chat messages were combined into one prompt, one paragraph per message.']
+      : [];
+    return { folders: [], prompts, warnings };
+  }
+
+  function importMarkdown(source, fileName) {
+    const match = source.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    const meta = match ? (parseYaml(match[1]) || {}) : {};
+    let body = match ? source.slice(match[0].length) : source;
+
+    let title = meta.title || meta.name;
+    const heading = body.match(/^\s*#\s+(.+)\r?\n/);
+    if (!title && heading) {
+      title = heading[1];
+      body = body.slice(heading[0].length);
+    }
+
+    const folder = text(meta.folder);
+    return {
+      folders: folder ? [{ key: folder.toLowerCase(), name: folder, parentKey: null }] : [],
+      prompts: [makePrompt('markdown', {
+        title: title || fileTitle(fileName),
+        description: meta.description,
+        content: body,
+        category: meta.category,
+        tags: meta.tags,
+        model: meta.model,
+        status: meta.status,
+        version: meta.version,
+        variables: meta.variables,
+        folderKey: folder ? folder.toLowerCase() : null
+      })],
+      warnings: []
+    };
+  }
+
+  function parseYaml(source) {
+    if (!window.jsyaml) {
+      throw new Error('YAML support didn\'t load. Check your connection and reload the page.');
+    }
+    try {
+      return window.jsyaml.load(source);
+    } catch (error) {
+      throw new Error(`Invalid YAML: ${error.reason || error.message}`);
+    }
+  }
+
+  function detectSource(data) {
+    const sample = Array.isArray(data) ? data[0] : data;
+    if (!sample || typeof sample !== 'object') return null;
+    if (sample.format === FORMAT || (Array.isArray(sample.prompts) && !sample.prompt_templates)) return 'promptingit';
+    if (sample.prompt_template || sample.prompt_name || Array.isArray(sample.prompt_templates)) return 'promptlayer';
+    if (sample.lc || sample._type || sample.manifest || sample.template !== undefined) return 'langchain';
+    if (sample.model && (sample.messages || sample.prompt !== undefined || sample.instructions)) return 'openai';
+    return null;
+  }
+
+  const IMPORTERS = {
+    promptingit: importLibraryExport,
+    langchain: importLangChain,
+    promptlayer: importPromptLayer,
+    openai: importOpenAIPreset
+  };
+
+  function parseFile(name, source) {
+    const extension = (text(name).match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+
+    if (['md', 'markdown', 'txt'].includes(extension)) {
+      return { source: 'markdown', ...importMarkdown(source, name) };
+    }
+
+    let data;
+    if (['yaml', 'yml'].includes(extension)) {
+      data = parseYaml(source);
+    } else {
+      try {
+        data = JSON.parse(source);
+      } catch (error) {
+        if (/^\uFEFF?---/.test(source)) return { source: 'markdown', ...importMarkdown(source, name) };
+        throw new Error('Not a valid JSON file');
+      }
+    }
+
+    const kind = detectSource(data);
+    if (!kind) {
+      throw new Error('Unrecognized format. Supported: PromptingIt exports, LangChain, PromptLayer, OpenAI presets and Markdown.');
+    }
+    return { source: kind, ...IMPORTERS[kind](data, name) };
+  }
+
+  // ============================================
+  // PREVIEW
+  // ============================================
+
+  const ACTIONS = {
+    new: ['import', 'skip'],
+    duplicate: ['skip', 'copy'],
+    conflict: ['copy', 'replace', 'skip'],
+    invalid: ['skip']
+  };
+
+  function classify(prompt, library, earlier) {
+    if (!prompt.content) {
+      return { status: 'invalid', reason: 'No prompt text' };
+    }
+
+    const byId = prompt.sourceId && library.prompts.find(p => p.id === prompt.sourceId);
+    if (byId) {
+      return sameText(byId.content, prompt.content) && sameText(byId.title, prompt.title)
+        ? { status: 'duplicate', match: byId, reason: 'Already in your library' }
+        : { status: 'conflict', match: byId, reason: `Your copy of "${byId.title}" changed since this export` };
+    }
+
+    const title = prompt.title.toLowerCase();
+    const byTitle = library.prompts.find(p => text(p.title).toLowerCase() === title);
+    if (byTitle) {
+      return sameText(byTitle.content, prompt.content)
+        ? { status: 'duplicate', match: byTitle, reason: `Same as "${byTitle.title}"` }
+        : { status: 'conflict', match: byTitle, reason: `A different prompt is already named "${byTitle.title}"` };
+    }
+
+    const byContent = library.prompts.find(p => sameText(p.content, prompt.content));
+    if (byContent) {
+      return { status: 'duplicate', match: byContent, reason: `Same text as "${byContent.title}"` };
+    }
+
+    if (earlier.some(other => other.content && sameText(other.content, prompt.content) && other.title.toLowerCase() === title)) {
+      return { status: 'duplicate', reason: 'Listed twice in this import' };
+    }
+    return { status: 'new' };
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  async function fetchHistory(promptIds) {
+    const session = getSession();
+    const ids = promptIds.filter(id => UUID_PATTERN.test(id));
+    const history = new Map();
+    if (!session || !navigator.onLine || !ids.length) return { history, complete: !ids.length };
+
+    for (let i = 0; i < ids.length; i += HISTORY_BATCH_SIZE) {
+      const { data, error } = await session.supabase
+        .from('prompt_versions')
+        .select(VERSION_COLUMNS)
+        .in('prompt_id', ids.slice(i, i + HISTORY_BATCH_SIZE))
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      (data || []).forEach(row => {
+        if (!history.has(row.prompt_id)) history.set(row.prompt_id, []);
+        history.get(row.prompt_id).push({
+          version: row.version,
+          content: row.content,
+          changeNotes: row.change_notes,
+          bump: row.bump,
+          createdAt: row.created_at
+        });
+      });
+    }
+    return { history, complete: true };
+  }
+
+  const PromptTransfer = {
+    FORMAT: FORMAT,
+    FORMAT_VERSION: FORMAT_VERSION,
+    SOURCES: SOURCES,
+
+    /**
+     * {{variable}} names in a template, in order of first use
+     * @param {string} content
+     * @returns {Array<string>}
+     */
+    detectVariables: detectVariables,
+
+    /**
+     * Build a library export, including every saved version when signed in
+     * and online
+     * @param {Object} library - { prompts, folders, favorites } as library.html holds them
+     * @returns {Promise<Object>} { document, historyComplete }
+     */
+    async exportLibrary({ prompts = [], folders = [], favorites = [] }) {
+      const { history, complete } = await fetchHistory(prompts.map(p => p.id));
+      const folderIds = new Set(folders.map(folder => folder.id));
+
+      const exported = {
+        format: FORMAT,
+        formatVersion: FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        folders: folders.filter(folder => UUID_PATTERN.test(folder.id)).map(folder => ({
+          id: folder.id,
+          name: folder.name,
+          parentId: folder.parent_id || null,
+          color: folder.color || null,
+          icon: folder.icon || null
+        })),
+        prompts: prompts.map(prompt => ({
+          id: prompt.id,
+          folderId: folderIds.has(prompt.folder_id) ? prompt.folder_id : null,
+          title: prompt.title,
+          description: prompt.description || '',
+          content: prompt.content || '',
+          category: prompt.category || null,
+          tags: prompt.tags || [],
+          model: prompt.model || null,
+          status: prompt.status || 'draft',
+          version: normalizeVersion(prompt.version) || '1.0.0',
+          favorite: favorites.includes(prompt.id),
+          variables: window.PromptVariables.sync(prompt.variables, prompt.content),
+          createdAt: prompt.created_at || null,
+          updatedAt: prompt.updated_at || null,
+          versions: history.get(prompt.id) || [{
+            version: normalizeVersion(prompt.version) || '1.0.0',
+            content: prompt.content || '',
+            changeNotes: null,
+            bump: null,
+            createdAt: prompt.updated_at || null
+          }]
+        }))
+      };
+      return { document: exported, historyComplete: complete };
+    },
+
+    /**
+     * Read import files of any supported format
+     * @param {Array<Object>} files - { name, text }
+     * @returns {Object} { prompts, folders, sources, warnings, errors } - a file
+     *   that can't be read adds to errors and the others still import
+     */
+    parseFiles(files) {
+      const result = { prompts: [], folders: [], sources: [], warnings: [], errors: [] };
+      files.forEach(file => {
+        try {
+          const parsed = parseFile(file.name, file.text);
+          result.prompts.push(...parsed.prompts.map(prompt => ({ ...prompt, fileName: file.name })));
+          parsed.folders.forEach(folder => {
+            if (!result.folders.some(other => other.key === folder.key)) result.folders.push(folder);
+          });
+          if (!result.sources.includes(parsed.source)) result.sources.push(parsed.source);
+          result.warnings.push(...parsed.warnings.map(warning => `${file.name}: ${warning}`));
+        } catch (error) {
+          result.errors.push(`${file.name}: ${error.message}`);
+        }
+      });
+      return result;
+    },
+
+    /**
+     * Compare parsed prompts with the library before anything is saved
+     * @param {Object} parsed - From parseFiles()
+     * @param {Object} library - { prompts, folders } currently in the library
+     * @returns {Object} { entries, folders, counts, keepsHistory } - each entry is
+     *   { prompt, status, match, reason, action, actions }; change action before commit()
+     */
+    preview(parsed, library) {
+      const entries = parsed.prompts.map((prompt, i) => {
+        const result = classify(prompt, library, parsed.prompts.slice(0, i));
+        const actions = ACTIONS[result.status];
+        return { prompt, match: null, reason: '', ...result, actions, action: actions[0] };
+      });
+
+      const existing = library.folders.filter(folder => UUID_PATTERN.test(folder.id));
+      const folders = parsed.folders.map(folder => ({
+        ...folder,
+        existingId: existing.find(other => text(other.name).toLowerCase() === folder.name.toLowerCase())?.id || null
+      }));
+
+      const counts = { new: 0, duplicate: 0, conflict: 0, invalid: 0 };
+      entries.forEach(entry => counts[entry.status]++);
+
+      return {
+        entries,
+        folders,
+        counts,
+        sources: parsed.sources,
+        keepsHistory: !!getSession() && navigator.onLine
+      };
+    },
+
+    /**
+     * Save the previewed prompts according to each entry's action:
+     * import/copy add a new prompt, replace overwrites the matched one, skip
+     * does nothing
+     * @param {Object} plan - From preview()
+     * @returns {Promise<Object>} { imported, replaced, skipped, folders, historyKept }
+     */
+    async commit(plan) {
+      const sync = window.LibrarySync;
+      const session = getSession();
+      const useServer = !!session && navigator.onLine;
+      const chosen = plan.entries.filter(entry => entry.action !== 'skip');
+
+      // Folders the chosen prompts need, parents before children
+      const folderIds = new Map();
+      const newFolders = [];
+      const addFolder = key => {
+        const folder = plan.folders.find(f => f.key === key);
+        if (!folder || folderIds.has(key)) return;
+        if (folder.existingId) {
+          folderIds.set(key, folder.existingId);
+          return;
+        }
+        folderIds.set(key, null);
+        if (folder.parentKey) addFolder(String(folder.parentKey));
+        const id = sync.createId();
+        folderIds.set(key, id);
+        newFolders.push({ id, name: folder.name, parentId: folderIds.get(String(folder.parentKey)) || null, color: folder.color, icon: folder.icon });
+      };
+      chosen.forEach(entry => entry.prompt.folderKey && addFolder(String(entry.prompt.folderKey)));
+
+      const now = new Date().toISOString();
+      const created = [];
+      const replaced = [];
+      chosen.forEach(({ prompt, action, match }) => {
+        const fields = {
+          title: prompt.title,
+          description: prompt.description,
+          content: prompt.content,
+          category: prompt.category || undefined,
+          tags: prompt.tags,
+          model: prompt.model || undefined,
+          status: prompt.status,
+          folder_id: folderIds.get(String(prompt.folderKey)) || match?.folder_id || null,
+          variables: prompt.variables
+        };
+        if (action === 'replace' && match) {
+          replaced.push({ ...match, ...fields, updated_at: now });
+        } else {
+          created.push({ id: sync.createId(), ...fields, version: prompt.version, versions: prompt.versions, favorite: prompt.favorite });
+        }
+      });
+
+      if (useServer && (created.length || newFolders.length)) {
+        const { error } = await session.supabase.rpc('import_prompts', {
+          p_folders: newFolders,
+          p_prompts: created.map(({ folder_id: folderId, favorite, ...prompt }) => ({ ...prompt, folderId })),
+          p_source: plan.sources.map(source => SOURCES[source]).join(', ')
+        });
+        if (error) throw error;
+      } else {
+        for (const folder of newFolders) {
+          await sync.save('folders', { id: folder.id, name: folder.name, color: folder.color || undefined, icon: folder.icon || undefined, parent_id: folder.parentId });
+        }
+        for (const { versions, favorite, ...prompt } of created) {
+          await sync.save('prompts', { ...prompt, version: prompt.version, run_count: 0, version_count: 1, created_at: now, updated_at: now });
+        }
+      }
+
+      for (const prompt of replaced) {
+        await sync.save('prompts', prompt);
+      }
+      for (const prompt of created.filter(p => p.favorite)) {
+        await sync.setFavorite(prompt.id, true);
+      }
+      if (useServer) sync.sync();
+
+      return {
+        imported: created.length,
+        replaced: replaced.length,
+        skipped: plan.entries.length - chosen.length,
+        folders: newFolders.length,
+        historyKept: useServer
+      };
+    }
+  };
+
+  window.PromptTransfer = PromptTransfer;
+
+})();
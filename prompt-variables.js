@@ -0,0 +1,408 @@
+/* ============================================
+   PROMPT VARIABLES
+   Prompting It - Typed {{variables}}, validation and input forms
+   ============================================ */
+
+// A prompt declares its {{placeholders}} in prompts.variables:
+//
+//   [{ "name": "tone", "type": "enum", "required": true, "default": "friendly",
+//      "enum": ["friendly", "formal"], "description": "How the reply sounds",
+//      "maxLength": 40 }]
+//
+// type is string (one line), text (several lines), number, boolean or enum (one
+// of the strings in enum); maxLength only applies to string and text. The list
+// follows the template: sync() adds a required string for each new placeholder
+// and drops declarations whose placeholder is gone, so a placeholder nobody has
+// declared behaves like a required string everywhere, the API included.
+//
+// Values are checked with validate() before a run; render() fills the template
+// without building a RegExp from user input. renderForm()/readForm() give the
+// playground and marketplace preview a form per variable, and renderEditor()
+// edits the declarations themselves.
+//
+// Load order: prompt-variables.js has no dependencies
+
+(function() {
+  'use strict';
+
+  const TYPES = ['string', 'text', 'number', 'boolean', 'enum'];
+
+  const TYPE_LABELS = {
+    string: 'Text',
+    text: 'Long text',
+    number: 'Number',
+    boolean: 'Yes / no',
+    enum: 'Choice'
+  };
+
+  // Same rule as prompt_template_variables() in the schema
+  const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g;
+  const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
+  function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  function detect(content) {
+    const names = new Set();
+    for (const match of String(content || '').matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+    return [...names];
+  }
+
+  // ============================================
+  // VALUES
+  // ============================================
+
+  // Raw form or API input to the variable's type: { value } or { error }
+  function coerce(variable, raw) {
+    if (isEmpty(raw)) return { value: undefined };
+
+    switch (variable.type) {
+      case 'number': {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        return typeof raw !== 'boolean' && String(raw).trim() !== '' && Number.isFinite(value)
+          ? { value }
+          : { error: 'must be a number' };
+      }
+      case 'boolean':
+        if (raw === true || raw === 'true') return { value: true };
+        if (raw === false || raw === 'false') return { value: false };
+        return { error: 'must be true or false' };
+      default:
+        return typeof raw === 'object' ? { error: 'must be text' } : { value: String(raw) };
+    }
+  }
+
+  // Rules beyond the type; returns a message or null
+  function check(variable, value) {
+    if (variable.type === 'enum') {
+      return variable.enum?.includes(value) ? null : `must be one of ${(variable.enum || []).join(', ') || '(no options defined)'}`;
+    }
+    if (variable.maxLength && typeof value === 'string' && value.length > variable.maxLength) {
+      return `must be at most ${variable.maxLength} characters`;
+    }
+    return null;
+  }
+
+  // ============================================
+  // DECLARATIONS
+  // ============================================
+
+  // A clean declaration, or null when the name can't be a placeholder
+  function normalize(variable) {
+    const name = String(variable?.name ?? '').trim();
+    if (!NAME_PATTERN.test(name)) return null;
+
+    const type = TYPES.includes(variable.type) ? variable.type : 'string';
+    const normalized = { name, type, required: variable.required !== false };
+
+    const description = String(variable.description ?? '').trim();
+    if (description) normalized.description = description;
+
+    if (type === 'enum') {
+      const options = Array.isArray(variable.enum) ? variable.enum : String(variable.enum ?? '').split(',');
+      normalized.enum = [...new Set(options.map(option => String(option).trim()).filter(Boolean))];
+    }
+
+    const maxLength = Number(variable.maxLength);
+    if ((type === 'string' || type === 'text') && Number.isInteger(maxLength) && maxLength > 0) {
+      normalized.maxLength = maxLength;
+    }
+
+    // A default that doesn't fit the declaration is dropped rather than saved
+    const fallback = coerce(normalized, variable.default);
+    if (fallback.value !== undefined && !fallback.error && !check(normalized, fallback.value)) {
+      normalized.default = fallback.value;
+    }
+
+    return normalized;
+  }
+
+  function sync(schema, content) {
+    const declared = new Map();
+    (Array.isArray(schema) ? schema : []).forEach(variable => {
+      const normalized = normalize(variable);
+      if (normalized && !declared.has(normalized.name)) declared.set(normalized.name, normalized);
+    });
+    return detect(content).map(name => declared.get(name) || { name, type: 'string', required: true });
+  }
+
+  // ============================================
+  // FORMS
+  // ============================================
+
+  function injectStyles() {
+    if (document.getElementById('promptVariablesStyles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'promptVariablesStyles';
+    style.textContent = `
+      .pvar-form { display: flex; flex-direction: column; gap: 12px; }
+      .pvar-empty { font-size: 13px; color: var(--text-3, #71717a); }
+      .pvar-empty code { font-family: var(--font-mono, monospace); color: var(--glacier, #67e8f9); }
+      .pvar-field { display: flex; flex-direction: column; gap: 6px; }
+      .pvar-label { display: flex; align-items: center; gap: 8px; font-size: 13px; font-weight: 500; color: var(--text-1, #fafafa); }
+      .pvar-name { font-family: var(--font-mono, monospace); }
+      .pvar-required { color: var(--rose, #f43f5e); }
+      .pvar-type { margin-left: auto; font-size: 11px; font-weight: 500; color: var(--text-3, #71717a); text-transform: uppercase; letter-spacing: 0.04em; }
+      .pvar-hint { font-size: 12px; color: var(--text-3, #71717a); }
+      .pvar-input { width: 100%; padding: 10px 14px; background: var(--surface-2, #18181b); border: 1px solid var(--surface-3, #27272a); border-radius: var(--radius-sm, 6px); color: var(--text-1, #fafafa); font-size: 13px; font-family: inherit; }
+      .pvar-input:focus { outline: none; border-color: var(--glacier, #67e8f9); }
+      textarea.pvar-input { min-height: 72px; resize: vertical; }
+      .pvar-check { display: flex; align-items: center; gap: 8px; font-size: 13px; color: var(--text-2, #a1a1aa); }
+      .pvar-field.invalid .pvar-input { border-color: var(--rose, #f43f5e); }
+      .pvar-error { display: none; font-size: 12px; color: var(--rose, #f43f5e); }
+      .pvar-field.invalid .pvar-error { display: block; }
+      .pvar-editor { display: flex; flex-direction: column; gap: 10px; }
+      .pvar-editor-row { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; padding: 12px; background: var(--surface-2, #18181b); border: 1px solid var(--surface-3, #27272a); border-radius: var(--radius-sm, 6px); }
+      .pvar-editor-row .pvar-label { grid-column: 1 / -1; }
+      .pvar-editor-row .pvar-wide { grid-column: 1 / -1; }
+      .pvar-editor-row .pvar-input { background: var(--surface-1, #0f0f11); padding: 8px 10px; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function renderInput(variable, value) {
+    const attrs = `class="pvar-input" data-variable="${escapeHtml(variable.name)}" id="pvar-${escapeHtml(variable.name)}"`;
+    const current = isEmpty(value) ? variable.default : value;
+
+    switch (variable.type) {
+      case 'text':
+        return `<textarea ${attrs}${variable.maxLength ? ` maxlength="${variable.maxLength}"` : ''}>${escapeHtml(current)}</textarea>`;
+      case 'number':
+        return `<input type="number" step="any" ${attrs} value="${escapeHtml(current)}">`;
+      case 'boolean':
+        return `
+          <label class="pvar-check">
+            <input type="checkbox" ${attrs.replace('class="pvar-input"', 'class="pvar-checkbox"')}${current === true || current === 'true' ? ' checked' : ''}>
+            ${escapeHtml(variable.description || 'Yes')}
+          </label>`;
+      case 'enum':
+        return `
+          <select ${attrs}>
+            <option value="">Choose…</option>
+            ${(variable.enum || []).map(option => `<option value="${escapeHtml(option)}"${option === current ? ' selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+          </select>`;
+      default:
+        return `<input type="text" ${attrs} value="${escapeHtml(current)}"${variable.maxLength ? ` maxlength="${variable.maxLength}"` : ''}>`;
+    }
+  }
+
+  function renderField(variable, value) {
+    const hint = variable.description && variable.type !== 'boolean'
+      ? `<span class="pvar-hint">${escapeHtml(variable.description)}</span>`
+      : '';
+    return `
+      <div class="pvar-field" data-field="${escapeHtml(variable.name)}">
+        <label class="pvar-label" for="pvar-${escapeHtml(variable.name)}">
+          <span class="pvar-name">${escapeHtml(variable.name)}</span>
+          ${variable.required ? '<span class="pvar-required" title="Required">*</span>' : ''}
+          <span class="pvar-type">${escapeHtml(TYPE_LABELS[variable.type] || variable.type)}</span>
+        </label>
+        ${hint}
+        ${renderInput(variable, value)}
+        <span class="pvar-error" role="alert"></span>
+      </div>`;
+  }
+
+  function renderEditorRow(variable, index) {
+    const typeOptions = TYPES.map(type =>
+      `<option value="${type}"${type === variable.type ? ' selected' : ''}>${TYPE_LABELS[type]}</option>`).join('');
+    const hasLength = variable.type === 'string' || variable.type === 'text';
+    const defaultValue = variable.default === undefined ? '' : variable.default;
+
+    return `
+      <div class="pvar-editor-row" data-index="${index}">
+        <div class="pvar-label">
+          <span class="pvar-name">{{${escapeHtml(variable.name)}}}</span>
+          <label class="pvar-check" style="margin-left: auto;">
+            <input type="checkbox" data-prop="required"${variable.required ? ' checked' : ''}> Required
+          </label>
+        </div>
+        <select class="pvar-input" data-prop="type" aria-label="Type">${typeOptions}</select>
+        <input type="text" class="pvar-input" data-prop="default" placeholder="Default" aria-label="Default" value="${escapeHtml(defaultValue)}">
+        ${variable.type === 'enum'
+          ? `<input type="text" class="pvar-input pvar-wide" data-prop="enum" placeholder="Options, comma separated" aria-label="Options" value="${escapeHtml((variable.enum || []).join(', '))}">`
+          : ''}
+        ${hasLength
+          ? `<input type="number" min="1" class="pvar-input" data-prop="maxLength" placeholder="Max length" aria-label="Max length" value="${escapeHtml(variable.maxLength ?? '')}">`
+          : ''}
+        <input type="text" class="pvar-input${hasLength ? '' : ' pvar-wide'}" data-prop="description" placeholder="Description" aria-label="Description" value="${escapeHtml(variable.description ?? '')}">
+      </div>`;
+  }
+
+  const PromptVariables = {
+    TYPES: TYPES,
+    TYPE_LABELS: TYPE_LABELS,
+
+    /**
+     * {{variable}} names in a template, in order of first use
+     * @param {string} content
+     * @returns {Array<string>}
+     */
+    detect: detect,
+
+    /**
+     * Clean up one declaration: unknown types become string, enum options are
+     * trimmed and de-duplicated, a default that doesn't fit is dropped
+     * @param {Object} variable
+     * @returns {Object|null} null when the name isn't a valid placeholder name
+     */
+    normalize: normalize,
+
+    /**
+     * The declarations for a template: existing ones for placeholders still in
+     * use, a required string for each new one, in order of first use
+     * @param {Array<Object>} schema - Current declarations (prompts.variables)
+     * @param {string} content - The template
+     * @returns {Array<Object>}
+     */
+    sync: sync,
+
+    /**
+     * Check values against the declarations, filling in defaults
+     * @param {Array<Object>} schema
+     * @param {Object} values - Raw values by name (form strings or JSON values)
+     * @returns {Object} { valid, values, errors } - values holds the typed values
+     *   that passed ('' for empty optional ones); errors is [{ name, message }]
+     */
+    validate(schema, values = {}) {
+      const resolved = {};
+      const errors = [];
+
+      (schema || []).forEach(variable => {
+        const result = coerce(variable, values[variable.name]);
+        if (result.error) {
+          errors.push({ name: variable.name, message: result.error });
+          return;
+        }
+
+        const value = result.value === undefined ? variable.default : result.value;
+        if (value === undefined) {
+          // An optional variable without a value fills in as nothing
+          if (variable.required) {
+            errors.push({ name: variable.name, message: 'is required' });
+          } else {
+            resolved[variable.name] = '';
+          }
+          return;
+        }
+
+        const problem = check(variable, value);
+        if (problem) {
+          errors.push({ name: variable.name, message: problem });
+          return;
+        }
+        resolved[variable.name] = value;
+      });
+
+      return { valid: errors.length === 0, values: resolved, errors };
+    },
+
+    /**
+     * Fill {{placeholders}}; the ones without a value (undefined) are left as they are
+     * @param {string} content
+     * @param {Object} values - Typed values by name, e.g. validate().values
+     * @returns {string}
+     */
+    render(content, values = {}) {
+      return String(content || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        values[name] === undefined || values[name] === null ? placeholder : String(values[name]));
+    },
+
+    /**
+     * Fill a container with one input per variable
+     * @param {HTMLElement} container
+     * @param {Array<Object>} schema
+     * @param {Object} values - Current values by name; defaults fill the rest
+     * @param {Object} options - { emptyText }
+     */
+    renderForm(container, schema, values = {}, { emptyText } = {}) {
+      injectStyles();
+      container.classList.add('pvar-form');
+      container.innerHTML = schema.length
+        ? schema.map(variable => renderField(variable, values[variable.name])).join('')
+        : `<div class="pvar-empty">${emptyText || 'Add <code>{{placeholders}}</code> to the prompt to fill them in here.'}</div>`;
+    },
+
+    /**
+     * The raw values in a form built by renderForm()
+     * @param {HTMLElement} container
+     * @returns {Object} Values by name - strings, or booleans for yes/no inputs
+     */
+    readForm(container) {
+      const values = {};
+      container.querySelectorAll('[data-variable]').forEach(input => {
+        values[input.dataset.variable] = input.type === 'checkbox' ? input.checked : input.value;
+      });
+      return values;
+    },
+
+    /**
+     * Mark the fields in a form that failed validation
+     * @param {HTMLElement} container
+     * @param {Array<Object>} errors - From validate()
+     */
+    showErrors(container, errors = []) {
+      container.querySelectorAll('.pvar-field').forEach(field => {
+        const error = errors.find(item => item.name === field.dataset.field);
+        field.classList.toggle('invalid', !!error);
+        field.querySelector('.pvar-error').textContent = error ? `${error.name} ${error.message}` : '';
+      });
+    },
+
+    /**
+     * Edit the declarations themselves (type, required, default, options, max
+     * length, description)
+     * @param {HTMLElement} container
+     * @param {Array<Object>} schema
+     * @param {Function} onChange - Called with the updated declarations
+     */
+    renderEditor(container, schema, onChange) {
+      injectStyles();
+      let current = schema.map(variable => ({ ...variable }));
+      const draw = () => {
+        container.classList.add('pvar-editor');
+        container.innerHTML = current.length
+          ? current.map(renderEditorRow).join('')
+          : '<div class="pvar-empty">No <code>{{placeholders}}</code> in this prompt yet.</div>';
+      };
+
+      const update = event => {
+        const row = event.target.closest('.pvar-editor-row');
+        const prop = event.target.dataset.prop;
+        if (!row || !prop) return;
+
+        const index = Number(row.dataset.index);
+        const edited = { ...current[index] };
+        if (prop === 'required') {
+          edited.required = event.target.checked;
+        } else if (event.target.value === '') {
+          delete edited[prop];
+        } else {
+          edited[prop] = event.target.value;
+        }
+
+        current[index] = normalize(edited);
+        // Changing the type changes which settings apply
+        if (prop === 'type') draw();
+        onChange(current.map(variable => ({ ...variable })));
+      };
+
+      container.oninput = event => { if (event.target.type !== 'checkbox' && event.target.tagName !== 'SELECT') update(event); };
+      container.onchange = update;
+      draw();
+    }
+  };
+
+  window.PromptVariables = PromptVariables;
+
+})();
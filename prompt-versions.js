@@ -0,0 +1,510 @@
+/* ============================================
+   PROMPT VERSION HISTORY
+   Prompting It - Version diffs and rollback
+   ============================================ */
+
+// Every content change to a prompt is saved as a prompt_versions row by a
+// trigger on prompts, with a semantic version bumped automatically: major when a
+// {{variable}} is removed, minor when one is added, patch otherwise. Rolling back
+// (restore_prompt_version()) saves the old content as a new version, so history
+// is never rewritten and the restore shows up in the activity log.
+//
+// Used by library.html and creator-dashboard.html:
+//   PromptVersions.openHistory(promptId, { title, onRestore })
+//
+// Load order: supabase-config.js -> auth.js -> security.js -> prompt-versions.js
+
+(function() {
+  'use strict';
+
+  const VERSION_COLUMNS = 'id, prompt_id, version, content, change_notes, created_by, bump, restored_from, created_at';
+  const DIFF_MODES = ['inline', 'split'];
+  const DIFF_MODE_KEY = 'promptingit_version_diff_mode';
+
+  function requireSession() {
+    const supabase = window.PromptingItSupabase?.getClient();
+    const user = window.Auth?.getUser();
+    if (!supabase || !user) {
+      throw new Error('Please sign in to see version history');
+    }
+    return { supabase, user };
+  }
+
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+  }
+
+  function toVersion(row) {
+    return {
+      id: row.id,
+      promptId: row.prompt_id,
+      version: row.version,
+      content: row.content || '',
+      changeNotes: row.change_notes,
+      createdBy: row.created_by,
+      bump: row.bump,
+      restoredFrom: row.restored_from,
+      createdAt: row.created_at
+    };
+  }
+
+  // Words, runs of whitespace and single punctuation marks, so a diff never
+  // splits a word and {{variables}} change as a unit
+  function tokenize(text) {
+    return String(text || '').match(/\{\{[^}]*\}\}|\w+|\s+|[^\w\s]/g) || [];
+  }
+
+  // Myers' O(ND) shortest edit script between two token lists
+  function diffTokens(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < a.length && y < b.length && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= a.length && y >= b.length) {
+          return backtrack(trace, a, b, offset);
+        }
+      }
+    }
+    return [];
+  }
+
+  function backtrack(trace, a, b, offset) {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+      const prevX = v[offset + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        edits.push({ type: 'equal', text: a[--x] });
+        y--;
+      }
+      if (d > 0) {
+        if (x === prevX) {
+          edits.push({ type: 'insert', text: b[--y] });
+        } else {
+          edits.push({ type: 'delete', text: a[--x] });
+        }
+      }
+    }
+    return edits.reverse();
+  }
+
+  // Merge neighbouring tokens of the same kind into one part
+  function mergeParts(edits) {
+    return edits.reduce((parts, edit) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === edit.type) {
+        last.text += edit.text;
+      } else {
+        parts.push({ ...edit });
+      }
+      return parts;
+    }, []);
+  }
+
+  function renderPart(part) {
+    const text = escapeHtml(part.text);
+    if (part.type === 'insert') return `<ins class="pv-ins">${text}</ins>`;
+    if (part.type === 'delete') return `<del class="pv-del">${text}</del>`;
+    return text;
+  }
+
+  function injectStyles() {
+    if (document.getElementById('promptVersionsStyles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'promptVersionsStyles';
+    style.textContent = `
+      .pv-modal { position: fixed; inset: 0; z-index: 10000; display: none; align-items: center; justify-content: center; padding: 24px; }
+      .pv-modal.active { display: flex; }
+      .pv-overlay { position: absolute; inset: 0; background: rgba(0,0,0,0.7); backdrop-filter: blur(4px); }
+      .pv-container { position: relative; width: 100%; max-width: 1080px; max-height: 90vh; display: flex; flex-direction: column; background: var(--surface-1, #09090b); border: 1px solid var(--surface-3, #27272a); border-radius: var(--radius-lg, 16px); color: var(--text-1, #fff); overflow: hidden; }
+      .pv-header { display: flex; align-items: center; justify-content: space-between; gap: 16px; padding: 18px 24px; border-bottom: 1px solid var(--surface-3, #27272a); }
+      .pv-title { font-size: 17px; font-weight: 600; margin: 0; }
+      .pv-subtitle { font-size: 13px; color: var(--text-3, rgba(255,255,255,0.4)); margin-top: 2px; }
+      .pv-close { background: none; border: none; color: var(--text-3, rgba(255,255,255,0.4)); font-size: 24px; cursor: pointer; line-height: 1; }
+      .pv-close:hover { color: var(--text-1, #fff); }
+      .pv-body { display: grid; grid-template-columns: 280px 1fr; min-height: 0; flex: 1; }
+      .pv-list { border-right: 1px solid var(--surface-3, #27272a); overflow-y: auto; padding: 8px; }
+      .pv-item { padding: 10px 12px; border-radius: var(--radius-md, 10px); cursor: pointer; margin-bottom: 4px; border: 1px solid transparent; }
+      .pv-item:hover { background: var(--surface-2, #18181b); }
+      .pv-item.selected { background: var(--surface-2, #18181b); border-color: var(--surface-4, #3f3f46); }
+      .pv-item-top { display: flex; align-items: center; gap: 8px; font-size: 13px; font-weight: 600; }
+      .pv-item-meta { font-size: 12px; color: var(--text-3, rgba(255,255,255,0.4)); margin-top: 4px; }
+      .pv-item-notes { font-size: 12px; color: var(--text-2, rgba(255,255,255,0.7)); margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .pv-badge { font-size: 10px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; padding: 2px 6px; border-radius: 4px; background: var(--surface-3, #27272a); color: var(--text-2, rgba(255,255,255,0.7)); }
+      .pv-badge.major { background: rgba(251,113,133,0.15); color: var(--rose, #fb7185); }
+      .pv-badge.minor { background: rgba(52,211,153,0.15); color: var(--emerald, #34d399); }
+      .pv-badge.current { background: rgba(167,139,250,0.15); color: #a78bfa; }
+      .pv-main { display: flex; flex-direction: column; min-width: 0; min-height: 0; }
+      .pv-toolbar { display: flex; align-items: center; gap: 10px; flex-wrap: wrap; padding: 12px 20px; border-bottom: 1px solid var(--surface-3, #27272a); font-size: 13px; color: var(--text-3, rgba(255,255,255,0.4)); }
+      .pv-toolbar select { background: var(--surface-2, #18181b); border: 1px solid var(--surface-3, #27272a); border-radius: var(--radius-sm, 6px); color: var(--text-1, #fff); padding: 6px 8px; font-size: 13px; }
+      .pv-modes { display: flex; margin-left: auto; border: 1px solid var(--surface-3, #27272a); border-radius: var(--radius-sm, 6px); overflow: hidden; }
+      .pv-modes button { background: none; border: none; color: var(--text-2, rgba(255,255,255,0.7)); padding: 6px 12px; font-size: 12px; cursor: pointer; }
+      .pv-modes button.active { background: var(--surface-3, #27272a); color: var(--text-1, #fff); }
+      .pv-stats { font-size: 12px; }
+      .pv-stats .added { color: var(--emerald, #34d399); }
+      .pv-stats .removed { color: var(--rose, #fb7185); }
+      .pv-diff { flex: 1; overflow: auto; padding: 20px; }
+      .pv-text { font-family: 'JetBrains Mono', monospace; font-size: 13px; line-height: 1.7; white-space: pre-wrap; word-break: break-word; color: var(--text-2, rgba(255,255,255,0.7)); }
+      .pv-split { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+      .pv-pane { background: var(--surface-2, #18181b); border-radius: var(--radius-md, 10px); padding: 14px; min-width: 0; }
+      .pv-pane-label { font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: var(--text-3, rgba(255,255,255,0.4)); margin-bottom: 8px; }
+      .pv-ins { background: rgba(52,211,153,0.18); color: var(--emerald, #34d399); text-decoration: none; border-radius: 2px; }
+      .pv-del { background: rgba(251,113,133,0.18); color: var(--rose, #fb7185); border-radius: 2px; }
+      .pv-empty { padding: 40px; text-align: center; color: var(--text-3, rgba(255,255,255,0.4)); font-size: 14px; }
+      .pv-footer { display: flex; align-items: center; justify-content: space-between; gap: 12px; padding: 14px 20px; border-top: 1px solid var(--surface-3, #27272a); font-size: 13px; color: var(--text-3, rgba(255,255,255,0.4)); }
+      .pv-restore { background: var(--text-1, #fff); color: var(--surface-1, #09090b); border: none; border-radius: var(--radius-md, 10px); padding: 8px 16px; font-size: 13px; font-weight: 600; cursor: pointer; }
+      .pv-restore:disabled { opacity: 0.4; cursor: not-allowed; }
+      @media (max-width: 768px) {
+        .pv-body { grid-template-columns: 1fr; }
+        .pv-list { max-height: 180px; border-right: none; border-bottom: 1px solid var(--surface-3, #27272a); }
+        .pv-split { grid-template-columns: 1fr; }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function createModal() {
+    const existing = document.getElementById('promptVersionsModal');
+    if (existing) return existing;
+
+    injectStyles();
+    const modal = document.createElement('div');
+    modal.id = 'promptVersionsModal';
+    modal.className = 'pv-modal';
+    modal.innerHTML = `
+      <div class="pv-overlay"></div>
+      <div class="pv-container" role="dialog" aria-modal="true" aria-labelledby="pvTitle">
+        <div class="pv-header">
+          <div>
+            <h2 class="pv-title" id="pvTitle">Version History</h2>
+            <div class="pv-subtitle" id="pvSubtitle"></div>
+          </div>
+          <button class="pv-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="pv-body">
+          <div class="pv-list" id="pvList"></div>
+          <div class="pv-main">
+            <div class="pv-toolbar">
+              <span>Compare</span>
+              <select id="pvFrom" aria-label="Older version"></select>
+              <span>&rarr;</span>
+              <select id="pvTo" aria-label="Newer version"></select>
+              <span class="pv-stats" id="pvStats"></span>
+              <div class="pv-modes">
+                <button data-mode="inline">Inline</button>
+                <button data-mode="split">Side by side</button>
+              </div>
+            </div>
+            <div class="pv-diff" id="pvDiff"></div>
+            <div class="pv-footer">
+              <span id="pvSelected"></span>
+              <button class="pv-restore" id="pvRestore">Restore this version</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('.pv-close').addEventListener('click', () => PromptVersions.close());
+    modal.querySelector('.pv-overlay').addEventListener('click', () => PromptVersions.close());
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && modal.classList.contains('active')) PromptVersions.close();
+    });
+    return modal;
+  }
+
+  // State of the open history modal
+  const view = {
+    promptId: null,
+    versions: [],
+    fromId: null,
+    toId: null,
+    mode: localStorage.getItem(DIFF_MODE_KEY) === 'split' ? 'split' : 'inline',
+    onRestore: null
+  };
+
+  function versionLabel(version) {
+    return `v${version.version}`;
+  }
+
+  function findVersion(id) {
+    return view.versions.find(version => version.id === id) || null;
+  }
+
+  function renderList(modal) {
+    const currentId = view.versions[0]?.id;
+    modal.querySelector('#pvList').innerHTML = view.versions.map(version => {
+      const restored = version.restoredFrom ? findVersion(version.restoredFrom) : null;
+      const badges = [
+        version.id === currentId ? '<span class="pv-badge current">Current</span>' : '',
+        version.bump ? `<span class="pv-badge ${version.bump}">${version.bump}</span>` : ''
+      ].join('');
+      return `
+        <div class="pv-item ${version.id === view.toId ? 'selected' : ''}" data-id="${version.id}">
+          <div class="pv-item-top">${escapeHtml(versionLabel(version))} ${badges}</div>
+          <div class="pv-item-meta">${escapeHtml(formatDate(version.createdAt))}${restored ? ` · restored ${escapeHtml(versionLabel(restored))}` : ''}</div>
+          ${version.changeNotes ? `<div class="pv-item-notes" title="${escapeHtml(version.changeNotes)}">${escapeHtml(version.changeNotes)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    modal.querySelectorAll('.pv-item').forEach(item => {
+      item.addEventListener('click', () => {
+        // Compare the picked version with the one before it
+        const index = view.versions.findIndex(version => version.id === item.dataset.id);
+        view.toId = item.dataset.id;
+        view.fromId = view.versions[index + 1]?.id || item.dataset.id;
+        render(modal);
+      });
+    });
+  }
+
+  function renderDiff(modal) {
+    const from = findVersion(view.fromId);
+    const to = findVersion(view.toId);
+    const options = view.versions
+      .map(version => `<option value="${version.id}">${escapeHtml(versionLabel(version))}</option>`)
+      .join('');
+
+    const fromSelect = modal.querySelector('#pvFrom');
+    const toSelect = modal.querySelector('#pvTo');
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+    fromSelect.value = view.fromId;
+    toSelect.value = view.toId;
+
+    modal.querySelectorAll('.pv-modes button').forEach(button => {
+      button.classList.toggle('active', button.dataset.mode === view.mode);
+    });
+
+    const parts = PromptVersions.diff(from.content, to.content);
+    const added = parts.filter(part => part.type === 'insert').length;
+    const removed = parts.filter(part => part.type === 'delete').length;
+    modal.querySelector('#pvStats').innerHTML = from.id === to.id
+      ? ''
+      : `<span class="added">+${added}</span> <span class="removed">&minus;${removed}</span>`;
+
+    const diff = modal.querySelector('#pvDiff');
+    if (from.id !== to.id && !added && !removed) {
+      diff.innerHTML = '<div class="pv-empty">These versions have the same content</div>';
+    } else if (view.mode === 'split') {
+      diff.innerHTML = PromptVersions.renderSideBySide(parts, {
+        oldLabel: versionLabel(from),
+        newLabel: versionLabel(to)
+      });
+    } else {
+      diff.innerHTML = `<div class="pv-text">${PromptVersions.renderInline(parts)}</div>`;
+    }
+
+    const isCurrent = to.id === view.versions[0].id;
+    modal.querySelector('#pvSelected').textContent = isCurrent
+      ? `${versionLabel(to)} is the current version`
+      : `Restoring saves ${versionLabel(to)}'s content as a new version`;
+    const restoreButton = modal.querySelector('#pvRestore');
+    restoreButton.textContent = `Restore ${versionLabel(to)}`;
+    restoreButton.disabled = isCurrent;
+  }
+
+  function render(modal) {
+    if (view.versions.length === 0) {
+      modal.querySelector('#pvList').innerHTML = '';
+      modal.querySelector('#pvDiff').innerHTML = '<div class="pv-empty">No versions have been saved for this prompt yet</div>';
+      modal.querySelector('#pvStats').innerHTML = '';
+      modal.querySelector('#pvSelected').textContent = '';
+      modal.querySelector('#pvRestore').disabled = true;
+      return;
+    }
+    renderList(modal);
+    renderDiff(modal);
+  }
+
+  function bindControls(modal) {
+    if (modal.dataset.bound) return;
+    modal.dataset.bound = 'true';
+
+    modal.querySelector('#pvFrom').addEventListener('change', (e) => {
+      view.fromId = e.target.value;
+      render(modal);
+    });
+    modal.querySelector('#pvTo').addEventListener('change', (e) => {
+      view.toId = e.target.value;
+      render(modal);
+    });
+    modal.querySelectorAll('.pv-modes button').forEach(button => {
+      button.addEventListener('click', () => {
+        view.mode = button.dataset.mode;
+        localStorage.setItem(DIFF_MODE_KEY, view.mode);
+        render(modal);
+      });
+    });
+    modal.querySelector('#pvRestore').addEventListener('click', async () => {
+      const target = findVersion(view.toId);
+      if (!target || !confirm(`Restore ${versionLabel(target)}? Its content will be saved as a new version.`)) return;
+
+      const button = modal.querySelector('#pvRestore');
+      button.disabled = true;
+      try {
+        const restored = await PromptVersions.restore(target.id);
+        view.versions = await PromptVersions.list(view.promptId);
+        view.toId = restored.id;
+        view.fromId = view.versions[1]?.id || restored.id;
+        render(modal);
+        if (view.onRestore) view.onRestore(restored);
+      } catch (error) {
+        button.disabled = false;
+        alert(error.message);
+      }
+    });
+  }
+
+  const PromptVersions = {
+    DIFF_MODES: DIFF_MODES,
+
+    /**
+     * A prompt's saved versions, newest first
+     * @param {string} promptId
+     * @returns {Promise<Array>} Versions
+     */
+    async list(promptId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('prompt_versions')
+        .select(VERSION_COLUMNS)
+        .eq('prompt_id', promptId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).map(toVersion);
+    },
+
+    /**
+     * Word-level diff between two texts
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {Array} Parts: { type: 'equal' | 'insert' | 'delete', text }
+     */
+    diff(oldText, newText) {
+      return mergeParts(diffTokens(tokenize(oldText), tokenize(newText)));
+    },
+
+    /**
+     * HTML for a diff with removed and added words interleaved
+     * @param {Array} parts - From diff()
+     * @returns {string} Escaped HTML
+     */
+    renderInline(parts) {
+      injectStyles();
+      return parts.map(renderPart).join('');
+    },
+
+    /**
+     * HTML for a diff as two panes: the old text with removals marked, and the
+     * new text with additions marked
+     * @param {Array} parts - From diff()
+     * @param {Object} labels - { oldLabel, newLabel }
+     * @returns {string} Escaped HTML
+     */
+    renderSideBySide(parts, { oldLabel = 'Before', newLabel = 'After' } = {}) {
+      injectStyles();
+      const before = parts.filter(part => part.type !== 'insert').map(renderPart).join('');
+      const after = parts.filter(part => part.type !== 'delete').map(renderPart).join('');
+      return `
+        <div class="pv-split">
+          <div class="pv-pane"><div class="pv-pane-label">${escapeHtml(oldLabel)}</div><div class="pv-text">${before}</div></div>
+          <div class="pv-pane"><div class="pv-pane-label">${escapeHtml(newLabel)}</div><div class="pv-text">${after}</div></div>
+        </div>
+      `;
+    },
+
+    /**
+     * Roll a prompt back to an older version. The content is saved as a new
+     * version, so nothing in the history is lost.
+     * @param {string} versionId - The version to restore
+     * @param {string} note - Optional, added to the change notes
+     * @returns {Promise<Object>} The new version
+     */
+    async restore(versionId, note = '') {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase.rpc('restore_prompt_version', {
+        p_version_id: versionId,
+        p_note: note.trim() || null
+      });
+
+      if (error) {
+        if (error.hint === 'already_current') {
+          throw new Error('This version is already the current content');
+        }
+        if (error.code === 'P0002') {
+          throw new Error('You can\'t restore versions of this prompt');
+        }
+        throw error;
+      }
+      return toVersion(data);
+    },
+
+    /**
+     * Show a prompt's history with a diff between any two versions
+     * @param {string} promptId
+     * @param {Object} options - { title, onRestore(version) }
+     */
+    async openHistory(promptId, { title = '', onRestore = null } = {}) {
+      const versions = await this.list(promptId);
+      const modal = createModal();
+      bindControls(modal);
+
+      view.promptId = promptId;
+      view.versions = versions;
+      view.toId = versions[0]?.id || null;
+      view.fromId = versions[1]?.id || view.toId;
+      view.onRestore = onRestore;
+
+      modal.querySelector('#pvSubtitle').textContent = title
+        ? `${title} · ${versions.length} version${versions.length === 1 ? '' : 's'}`
+        : `${versions.length} version${versions.length === 1 ? '' : 's'}`;
+      render(modal);
+
+      modal.classList.add('active');
+      document.body.style.overflow = 'hidden';
+    },
+
+    close() {
+      const modal = document.getElementById('promptVersionsModal');
+      if (modal) modal.classList.remove('active');
+      document.body.style.overflow = '';
+      view.onRestore = null;
+    }
+  };
+
+  window.PromptVersions = PromptVersions;
+
+})();
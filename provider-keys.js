@@ -0,0 +1,256 @@
+/* ============================================
+   PROVIDER KEYS
+   Prompting It - Bring-your-own-key management
+   ============================================ */
+
+// Saves, rotates and deletes the user's Claude, OpenAI and Gemini keys in the
+// api_keys table (one row per provider, named by the adapter's keyName).
+// Keys are encrypted with SecurityCrypto.encrypt() before they leave the browser
+// and only the masked form (SecurityCrypto.maskKey) is stored in key_prefix.
+//
+// Rotating a key keeps the previous one for a grace period: its row is marked
+// inactive with expires_at set, llm-proxy falls back to it if the provider
+// rejects the new key, and it can be restored until it expires.
+//
+// Load order: llm.js -> model-catalog.js -> security-crypto.js -> *-api.js -> provider-keys.js
+
+(function() {
+  'use strict';
+
+  const DEFAULT_GRACE_DAYS = 7;
+
+  function requireSession() {
+    const supabase = window.PromptingItSupabase?.getClient();
+    const user = window.Auth?.getUser();
+    if (!supabase || !user) {
+      throw new Error('Please sign in to manage API keys');
+    }
+    return { supabase, user };
+  }
+
+  // action is a key of Security.AuditLog.ACTIONS
+  function audit(action, provider, metadata = {}) {
+    const auditLog = window.Security?.AuditLog;
+    if (auditLog) {
+      auditLog.log(auditLog.ACTIONS[action], { resourceType: 'api_key', provider, ...metadata });
+    }
+  }
+
+  const ProviderKeys = {
+    DEFAULT_GRACE_DAYS: DEFAULT_GRACE_DAYS,
+
+    /**
+     * Key status for every registered provider
+     * Previous keys whose grace period has ended are deleted along the way.
+     * @returns {Promise<Array<Object>>} [{ provider, name, keyName, active, previous }]
+     *   where active is { id, keyPrefix, createdAt, lastUsedAt } and previous
+     *   { id, keyPrefix, expiresAt }, or null
+     */
+    async list() {
+      const { supabase, user } = requireSession();
+      const providers = window.LLM.providers();
+
+      const { data, error } = await supabase
+        .from('api_keys')
+        .select('id, name, key_prefix, is_active, expires_at, created_at, last_used_at')
+        .eq('user_id', user.id)
+        .eq('key_type', 'provider')
+        .in('name', providers.map(adapter => adapter.keyName));
+
+      if (error) throw error;
+
+      const now = Date.now();
+      const expired = (data || []).filter(row =>
+        !row.is_active && (!row.expires_at || new Date(row.expires_at).getTime() <= now)
+      );
+      if (expired.length > 0) {
+        await supabase.from('api_keys').delete().in('id', expired.map(row => row.id));
+      }
+
+      return providers.map(adapter => {
+        const rows = (data || []).filter(row => row.name === adapter.keyName && !expired.includes(row));
+        const active = rows.find(row => row.is_active);
+        const previous = rows.find(row => !row.is_active);
+
+        return {
+          provider: adapter.id,
+          name: adapter.name,
+          keyName: adapter.keyName,
+          active: active ? {
+            id: active.id,
+            keyPrefix: active.key_prefix,
+            createdAt: active.created_at,
+            lastUsedAt: active.last_used_at
+          } : null,
+          previous: previous ? {
+            id: previous.id,
+            keyPrefix: previous.key_prefix,
+            expiresAt: previous.expires_at
+          } : null
+        };
+      });
+    },
+
+    /**
+     * Check a key's format, then make a live test call with it
+     * @param {string} provider - Provider ID
+     * @param {string} apiKey - Key to check
+     * @returns {Promise<Object>} { valid: true, model, latency } or { valid: false, error }
+     */
+    async verify(provider, apiKey) {
+      const key = (apiKey || '').trim();
+      const format = window.SecurityCrypto.validateApiKey(key, provider);
+      if (!format.valid) return format;
+
+      try {
+        const result = await window.LLM.testKey(provider, key);
+        return { valid: true, ...result };
+      } catch (error) {
+        const rejected = error.status === 401 || error.status === 403;
+        return {
+          valid: false,
+          error: rejected ? `${window.LLM.get(provider).name} rejected this key: ${error.message}` : error.message
+        };
+      }
+    },
+
+    /**
+     * Save a provider key, rotating out the current one if there is one
+     * Callers should verify() first; save() only checks the format.
+     * @param {string} provider - Provider ID
+     * @param {string} apiKey - Plaintext key
+     * @param {Object} options - Options
+     * @param {number} options.graceDays - Days to keep the replaced key (default: 7, 0 deletes it)
+     * @returns {Promise<Object>} { keyPrefix, rotated }
+     */
+    async save(provider, apiKey, options = {}) {
+      const { supabase, user } = requireSession();
+      const adapter = window.LLM.get(provider);
+      const key = (apiKey || '').trim();
+      const graceDays = options.graceDays ?? DEFAULT_GRACE_DAYS;
+
+      const format = window.SecurityCrypto.validateApiKey(key, provider);
+      if (!format.valid) {
+        throw new Error(format.error);
+      }
+
+      // Encrypt before touching existing rows so a vault failure leaves them as they were
+      const keyHash = await window.SecurityCrypto.encrypt(key, user.id);
+      const keyPrefix = window.SecurityCrypto.maskKey(key);
+
+      const { data: existing, error: loadError } = await supabase
+        .from('api_keys')
+        .select('id, is_active')
+        .eq('user_id', user.id)
+        .eq('key_type', 'provider')
+        .eq('name', adapter.keyName);
+      if (loadError) throw loadError;
+
+      const current = (existing || []).find(row => row.is_active);
+
+      // Only one previous key is kept
+      const stale = (existing || []).filter(row => !row.is_active).map(row => row.id);
+      if (stale.length > 0) {
+        const { error } = await supabase.from('api_keys').delete().in('id', stale);
+        if (error) throw error;
+      }
+
+      if (current && graceDays > 0) {
+        const expiresAt = new Date(Date.now() + graceDays * 86400000).toISOString();
+        const { error } = await supabase
+          .from('api_keys')
+          .update({ is_active: false, expires_at: expiresAt })
+          .eq('id', current.id);
+        if (error) throw error;
+      }
+
+      const { error: insertError } = await supabase.from('api_keys').insert({
+        user_id: user.id,
+        name: adapter.keyName,
+        key_type: 'provider',
+        key_hash: keyHash,
+        key_prefix: keyPrefix,
+        permissions: ['read', 'write'],
+        is_active: true
+      });
+
+      if (insertError) {
+        // Put the replaced key back so the provider keeps working
+        if (current && graceDays > 0) {
+          await supabase.from('api_keys').update({ is_active: true, expires_at: null }).eq('id', current.id);
+        }
+        throw insertError;
+      }
+
+      if (current && graceDays <= 0) {
+        const { error } = await supabase.from('api_keys').delete().eq('id', current.id);
+        if (error) throw error;
+      }
+
+      audit(current ? 'API_KEY_ROTATED' : 'API_KEY_ADDED', provider, { keyPrefix, graceDays: current ? graceDays : null });
+      return { keyPrefix, rotated: !!current };
+    },
+
+    /**
+     * Swap back to the key replaced by the last rotation (the newer key is deleted)
+     * @param {string} provider - Provider ID
+     * @returns {Promise<void>}
+     */
+    async restorePrevious(provider) {
+      const { supabase, user } = requireSession();
+      const adapter = window.LLM.get(provider);
+
+      const { data: rows, error } = await supabase
+        .from('api_keys')
+        .select('id, is_active, expires_at')
+        .eq('user_id', user.id)
+        .eq('key_type', 'provider')
+        .eq('name', adapter.keyName);
+      if (error) throw error;
+
+      const previous = (rows || []).find(row =>
+        !row.is_active && row.expires_at && new Date(row.expires_at).getTime() > Date.now()
+      );
+      if (!previous) {
+        throw new Error(`No previous ${adapter.name} key to restore`);
+      }
+
+      const current = (rows || []).filter(row => row.is_active).map(row => row.id);
+      if (current.length > 0) {
+        const { error: deleteError } = await supabase.from('api_keys').delete().in('id', current);
+        if (deleteError) throw deleteError;
+      }
+
+      const { error: updateError } = await supabase
+        .from('api_keys')
+        .update({ is_active: true, expires_at: null })
+        .eq('id', previous.id);
+      if (updateError) throw updateError;
+
+      audit('API_KEY_RESTORED', provider);
+    },
+
+    /**
+     * Delete a provider's key, including any previous key still in its grace period
+     * @param {string} provider - Provider ID
+     * @returns {Promise<void>}
+     */
+    async remove(provider) {
+      const { supabase, user } = requireSession();
+      const adapter = window.LLM.get(provider);
+
+      const { error } = await supabase
+        .from('api_keys')
+        .delete()
+        .eq('user_id', user.id)
+        .eq('key_type', 'provider')
+        .eq('name', adapter.keyName);
+      if (error) throw error;
+
+      audit('API_KEY_DELETED', provider);
+    }
+  };
+
+  window.ProviderKeys = ProviderKeys;
+
+})();
@@ -8,6 +8,8 @@
 
   // Store active subscriptions for cleanup
   const activeSubscriptions = new Map();
+  // Keeps channel names unique when several subscriptions start in the same millisecond
+  let subscriptionCount = 0;
 
   // ============================================
   // REALTIME SERVICE
@@ -21,8 +23,9 @@
         return null;
       }
 
+      const subscriptionId = `${table}-${Date.now()}-${++subscriptionCount}`;
       const channel = supabase
-        .channel(`${table}-changes-${Date.now()}`)
+        .channel(`changes-${subscriptionId}`)
         .on(
           'postgres_changes',
           {
@@ -42,7 +45,6 @@
         });
 
       // Store for cleanup
-      const subscriptionId = `${table}-${Date.now()}`;
       activeSubscriptions.set(subscriptionId, channel);
 
       return subscriptionId;
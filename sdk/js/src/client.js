@@ -0,0 +1,424 @@
+/* ============================================
+   PROMPTING IT CLIENT
+   ============================================ */
+
+// Thin wrapper over the public REST API (supabase/functions/api). Every call goes
+// through PromptingIt#request(), which adds the API key, retries rate limits and
+// transient failures with exponential backoff, and turns error bodies into
+// PromptingItError.
+
+import { PromptingItError } from './errors.js';
+import { render } from './template.js';
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+
+// Statuses worth retrying for idempotent requests. POSTs (create, run) only retry 429:
+// a rate-limited run never reached the model, while a 5xx might have.
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+function readEnv(name) {
+  return typeof process !== 'undefined' && process.env ? process.env[name] : undefined;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function encode(segment) {
+  return encodeURIComponent(String(segment));
+}
+
+/**
+ * One page of a list endpoint
+ * data holds the items; nextPage() fetches the following page, or resolves to null
+ * after the last one.
+ */
+export class Page {
+  constructor(body, fetchPage, params) {
+    this.data = body.data || [];
+    this.pagination = body.pagination || { limit: this.data.length, offset: 0, total: this.data.length, hasMore: false };
+    this.hasMore = !!this.pagination.hasMore;
+    this._fetchPage = fetchPage;
+    this._params = params;
+  }
+
+  async nextPage() {
+    if (!this.hasMore) return null;
+    return this._fetchPage({ ...this._params, offset: this.pagination.offset + this.pagination.limit });
+  }
+}
+
+// Walk every page of a list endpoint, yielding items one at a time
+async function* iterateAll(fetchPage, params) {
+  let page = await fetchPage(params);
+  while (page) {
+    yield* page.data;
+    page = await page.nextPage();
+  }
+}
+
+class Versions {
+  constructor(client) {
+    this._client = client;
+  }
+
+  /**
+   * List a prompt's versions, newest first
+   * @param {string} promptId
+   * @param {{limit?: number, offset?: number}} [params]
+   * @returns {Promise<Page>}
+   */
+  async list(promptId, params = {}) {
+    const fetchPage = async pageParams => new Page(
+      await this._client.request('GET', `/v1/prompts/${encode(promptId)}/versions`, { query: pageParams }),
+      fetchPage,
+      pageParams
+    );
+    return fetchPage(params);
+  }
+
+  /**
+   * Iterate over all of a prompt's versions, fetching pages as needed
+   * @example for await (const version of client.prompts.versions.iterate(id)) { ... }
+   */
+  iterate(promptId, params = {}) {
+    return iterateAll(pageParams => this.list(promptId, pageParams), params);
+  }
+
+  /**
+   * Get one version of a prompt
+   * @param {string} promptId
+   * @param {string} version - e.g. '1.2.0'
+   */
+  get(promptId, version) {
+    return this._client.request('GET', `/v1/prompts/${encode(promptId)}/versions/${encode(version)}`);
+  }
+}
+
+class Deployments {
+  constructor(client) {
+    this._client = client;
+  }
+
+  /**
+   * The version each environment serves, and the approvals production requires
+   * @param {string} promptId
+   * @returns {Promise<{data: Array<{environment: string, versionId: string, version: string, approvals: number, promotedAt: string}>, requiredApprovals: number}>}
+   */
+  list(promptId) {
+    return this._client.request('GET', `/v1/prompts/${encode(promptId)}/deployments`);
+  }
+
+  /**
+   * Promote a version to an environment. Promoting to production fails with
+   * code 'approvals_required' until the version has enough approvals.
+   * @param {string} promptId
+   * @param {{environment: 'dev'|'staging'|'production', version: string, note?: string}} input
+   */
+  async promote(promptId, input) {
+    const promotion = await this._client.request('POST', `/v1/prompts/${encode(promptId)}/deployments`, { body: input });
+    this._client._invalidate(promptId);
+    return promotion;
+  }
+
+  /**
+   * A prompt's promotion history, newest first
+   * @param {string} promptId
+   * @param {{environment?: string, limit?: number, offset?: number}} [params]
+   * @returns {Promise<Page>}
+   */
+  async history(promptId, params = {}) {
+    const fetchPage = async pageParams => new Page(
+      await this._client.request('GET', `/v1/prompts/${encode(promptId)}/promotions`, { query: pageParams }),
+      fetchPage,
+      pageParams
+    );
+    return fetchPage(params);
+  }
+}
+
+class Prompts {
+  constructor(client) {
+    this._client = client;
+    this.versions = new Versions(client);
+    this.deployments = new Deployments(client);
+  }
+
+  /**
+   * List prompts, most recently updated first
+   * @param {{folder?: string, tag?: string, status?: string, limit?: number, offset?: number}} [params]
+   * @returns {Promise<Page>}
+   */
+  async list(params = {}) {
+    const fetchPage = async pageParams => new Page(
+      await this._client.request('GET', '/v1/prompts', { query: pageParams }),
+      fetchPage,
+      pageParams
+    );
+    return fetchPage(params);
+  }
+
+  /**
+   * Iterate over every prompt matching the filters, fetching pages as needed
+   * @example for await (const prompt of client.prompts.iterate({ tag: 'support' })) { ... }
+   */
+  iterate(params = {}) {
+    return iterateAll(pageParams => this.list(pageParams), params);
+  }
+
+  /**
+   * Get a prompt, optionally as it was at a given version
+   * With options.version the result is the prompt with that version's content and
+   * version number. Results are cached for the client's cacheTtl.
+   * @param {string} id
+   * @param {{version?: string}} [options]
+   */
+  get(id, { version } = {}) {
+    return this._client._cached(`${id}@${version || 'latest'}`, async () => {
+      if (!version) {
+        return this._client.request('GET', `/v1/prompts/${encode(id)}`);
+      }
+      const [prompt, snapshot] = await Promise.all([
+        this._client.request('GET', `/v1/prompts/${encode(id)}`),
+        this.versions.get(id, version)
+      ]);
+      return { ...prompt, content: snapshot.content, version: snapshot.version };
+    });
+  }
+
+  /**
+   * Fetch a prompt and fill in its {{variables}} locally
+   * Throws MissingVariablesError when a placeholder has no value.
+   * @param {string} id
+   * @param {Object<string, string|number|boolean>} variables
+   * @param {{version?: string, strict?: boolean}} [options]
+   * @returns {Promise<string>}
+   */
+  async render(id, variables = {}, { version, strict } = {}) {
+    return render(await this.get(id, { version }), variables, { strict });
+  }
+
+  /**
+   * Create a prompt
+   * @param {{title: string, content: string, description?: string, category?: string, tags?: string[], model?: string, status?: string, folderId?: string}} input
+   */
+  create(input) {
+    return this._client.request('POST', '/v1/prompts', { body: input });
+  }
+
+  /**
+   * Update a prompt; a content change creates a new version
+   * @param {string} id
+   * @param {Object} changes - any create() field, plus version and changeNotes
+   */
+  async update(id, changes) {
+    const prompt = await this._client.request('PUT', `/v1/prompts/${encode(id)}`, { body: changes });
+    this._client._invalidate(id);
+    return prompt;
+  }
+
+  /**
+   * Delete a prompt
+   * @param {string} id
+   */
+  async delete(id) {
+    await this._client.request('DELETE', `/v1/prompts/${encode(id)}`);
+    this._client._invalidate(id);
+  }
+
+  /**
+   * Run a prompt server-side with the account's provider keys
+   * Runs the version promoted to options.environment (default: production, or the
+   * prompt's current content if it has never been promoted).
+   * @param {string} id
+   * @param {{variables?: Object, model?: string, system?: string, maxTokens?: number, temperature?: number, environment?: 'dev'|'staging'|'production'}} [options]
+   * @returns {Promise<{promptId: string, version: string, environment: string|null, model: string, provider: string, output: string, finishReason: string|null, usage: {inputTokens: number, outputTokens: number}, cost: number|null, latencyMs: number}>}
+   */
+  run(id, options = {}) {
+    return this._client.request('POST', `/v1/prompts/${encode(id)}/run`, { body: options });
+  }
+}
+
+class Marketplace {
+  constructor(client) {
+    this._client = client;
+  }
+
+  /**
+   * Browse marketplace listings
+   * @param {{q?: string, category?: string, tag?: string, sort?: 'newest'|'popular'|'rating', limit?: number, offset?: number}} [params]
+   * @returns {Promise<Page>}
+   */
+  async list(params = {}) {
+    const fetchPage = async pageParams => new Page(
+      await this._client.request('GET', '/v1/marketplace', { query: pageParams }),
+      fetchPage,
+      pageParams
+    );
+    return fetchPage(params);
+  }
+
+  /**
+   * Iterate over every matching listing, fetching pages as needed
+   */
+  iterate(params = {}) {
+    return iterateAll(pageParams => this.list(pageParams), params);
+  }
+
+  /**
+   * Get a listing; content is included when hasAccess is true
+   * @param {string} id
+   */
+  get(id) {
+    return this._client.request('GET', `/v1/marketplace/${encode(id)}`);
+  }
+}
+
+export class PromptingIt {
+  /**
+   * @param {string|{apiKey?: string, baseUrl?: string, maxRetries?: number, timeout?: number, cacheTtl?: number, fetch?: typeof fetch}} [options]
+   *   A key string, or options. apiKey and baseUrl default to the PROMPTINGIT_API_KEY
+   *   and PROMPTINGIT_BASE_URL environment variables. baseUrl is the api function's
+   *   URL, e.g. https://<project>.supabase.co/functions/v1/api. cacheTtl (ms, default 0)
+   *   caches prompts.get() results in memory.
+   */
+  constructor(options = {}) {
+    const config = typeof options === 'string' ? { apiKey: options } : options;
+
+    this.apiKey = config.apiKey || readEnv('PROMPTINGIT_API_KEY');
+    this.baseUrl = (config.baseUrl || readEnv('PROMPTINGIT_BASE_URL') || '').replace(/\/+$/, '');
+    this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.timeout = config.timeout ?? DEFAULT_TIMEOUT;
+    this.cacheTtl = config.cacheTtl ?? 0;
+    this._fetch = config.fetch || globalThis.fetch;
+    this._cache = new Map();
+
+    if (!this.apiKey) {
+      throw new PromptingItError('An API key is required. Pass { apiKey } or set PROMPTINGIT_API_KEY.', { code: 'missing_api_key' });
+    }
+    if (!this.baseUrl) {
+      throw new PromptingItError('A base URL is required. Pass { baseUrl } or set PROMPTINGIT_BASE_URL.', { code: 'missing_base_url' });
+    }
+    if (typeof this._fetch !== 'function') {
+      throw new PromptingItError('No fetch implementation available. Use Node 18+ or pass { fetch }.', { code: 'missing_fetch' });
+    }
+
+    this.prompts = new Prompts(this);
+    this.marketplace = new Marketplace(this);
+  }
+
+  /**
+   * Fill in a template's {{variables}} without an API call
+   * @see render in template.js
+   */
+  render(template, variables, options) {
+    return render(template, variables, options);
+  }
+
+  /**
+   * The OpenAPI document describing the API
+   */
+  openapi() {
+    return this.request('GET', '/v1/openapi.json');
+  }
+
+  /**
+   * Make an API request, retrying per the rules above
+   * @param {'GET'|'POST'|'PUT'|'DELETE'} method
+   * @param {string} path - e.g. '/v1/prompts'
+   * @param {{query?: Object, body?: Object}} [options]
+   * @returns {Promise<any>} The parsed JSON body, or null for 204 responses
+   */
+  async request(method, path, { query, body } = {}) {
+    const url = new URL(this.baseUrl + path);
+    Object.entries(query || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null && value !== '') url.searchParams.set(name, String(value));
+    });
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._send(method, url, body);
+      } catch (error) {
+        const retryable = method === 'POST'
+          ? error.status === 429
+          : error.status === 0 || RETRYABLE_STATUSES.has(error.status);
+        if (!retryable || attempt >= this.maxRetries) throw error;
+
+        // Exponential backoff with jitter, unless the server said how long to wait
+        const backoff = Math.min(500 * 2 ** attempt, 8000) * (0.5 + Math.random() / 2);
+        await sleep(error.retryAfter !== null ? error.retryAfter * 1000 : backoff);
+      }
+    }
+  }
+
+  async _send(method, url, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await this._fetch(url.toString(), {
+        method,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Accept': 'application/json',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      throw new PromptingItError(
+        timedOut ? `Request timed out after ${this.timeout}ms` : `Network error: ${error.message}`,
+        { code: timedOut ? 'timeout' : 'network_error' }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status === 204) return null;
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (_error) {
+      // Not JSON (e.g. a gateway error page)
+    }
+
+    if (!response.ok) {
+      const retryAfter = Number(response.headers.get('retry-after'));
+      throw new PromptingItError(data?.error?.message || `Request failed with status ${response.status}`, {
+        status: response.status,
+        code: data?.error?.code || 'http_error',
+        details: data?.error?.details,
+        retryAfter: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null
+      });
+    }
+
+    return data;
+  }
+
+  // Share one in-flight or cached result per key for cacheTtl ms
+  _cached(key, load) {
+    if (this.cacheTtl <= 0) return load();
+
+    const hit = this._cache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.promise;
+
+    const promise = load().catch(error => {
+      this._cache.delete(key);
+      throw error;
+    });
+    this._cache.set(key, { promise, expires: Date.now() + this.cacheTtl });
+    return promise;
+  }
+
+  _invalidate(id) {
+    for (const key of this._cache.keys()) {
+      if (key.startsWith(`${id}@`)) this._cache.delete(key);
+    }
+  }
+}
@@ -0,0 +1,49 @@
+/* ============================================
+   ERRORS
+   ============================================ */
+
+/**
+ * Thrown for every failed API call
+ * status/code/details mirror the API's { error: { code, message, status, details } } body.
+ * Network failures and timeouts have status 0 and code 'network_error' / 'timeout'.
+ */
+export class PromptingItError extends Error {
+  constructor(message, { status = 0, code = 'unknown_error', details, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'PromptingItError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Thrown by render() when a template has placeholders without values
+ * error.missing lists the variable names.
+ */
+export class MissingVariablesError extends PromptingItError {
+  constructor(missing) {
+    super(`Missing values for ${missing.map(name => `{{${name}}}`).join(', ')}`, {
+      code: 'missing_variables',
+      details: { missing }
+    });
+    this.name = 'MissingVariablesError';
+    this.missing = missing;
+  }
+}
+
+/**
+ * Thrown by render() when values don't fit the prompt's declared variables
+ * error.problems lists { path, message } like the API's invalid_variables error.
+ */
+export class InvalidVariablesError extends PromptingItError {
+  constructor(problems) {
+    super('Some variables have invalid values', {
+      code: 'invalid_variables',
+      details: problems
+    });
+    this.name = 'InvalidVariablesError';
+    this.problems = problems;
+  }
+}
@@ -0,0 +1,248 @@
+// Type declarations for @promptingit/sdk
+
+export type PromptStatus = 'active' | 'draft' | 'archived';
+export type Variables = Record<string, string | number | boolean>;
+export type VariableType = 'string' | 'text' | 'number' | 'boolean' | 'enum';
+
+/** Declaration of a {{placeholder}}; placeholders without one are required strings */
+export interface VariableDefinition {
+  name: string;
+  /** text is a multi-line string; enum takes one of enum. Default: 'string' */
+  type?: VariableType;
+  /** Default: true */
+  required?: boolean;
+  default?: string | number | boolean;
+  enum?: string[];
+  description?: string;
+  /** For string and text */
+  maxLength?: number;
+}
+
+export interface ClientOptions {
+  /** Platform API key (pk_live_... / pk_test_...). Default: PROMPTINGIT_API_KEY */
+  apiKey?: string;
+  /** The api function's URL, e.g. https://<project>.supabase.co/functions/v1/api. Default: PROMPTINGIT_BASE_URL */
+  baseUrl?: string;
+  /** Retries for rate limits and transient failures. Default: 2 */
+  maxRetries?: number;
+  /** Per-request timeout in ms. Default: 60000 */
+  timeout?: number;
+  /** Cache prompts.get() results in memory for this many ms. Default: 0 (off) */
+  cacheTtl?: number;
+  /** fetch implementation. Default: globalThis.fetch */
+  fetch?: typeof fetch;
+}
+
+export interface Pagination {
+  limit: number;
+  offset: number;
+  total: number;
+  hasMore: boolean;
+}
+
+export declare class Page<T> {
+  data: T[];
+  pagination: Pagination;
+  hasMore: boolean;
+  nextPage(): Promise<Page<T> | null>;
+}
+
+export interface Prompt {
+  id: string;
+  title: string;
+  content: string;
+  description: string | null;
+  category: string | null;
+  tags: string[];
+  model: string;
+  status: PromptStatus;
+  folderId: string | null;
+  variables: VariableDefinition[];
+  version: string;
+  runCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PromptInput {
+  title: string;
+  content: string;
+  description?: string | null;
+  category?: string | null;
+  tags?: string[];
+  model?: string;
+  status?: PromptStatus;
+  folderId?: string | null;
+  variables?: VariableDefinition[];
+}
+
+export interface PromptUpdate extends Partial<PromptInput> {
+  /** Version for a content change. Default: bumped automatically (major when placeholders are removed, minor when added, patch otherwise) */
+  version?: string;
+  changeNotes?: string;
+}
+
+export interface PromptVersion {
+  id: string;
+  version: string;
+  content: string;
+  changeNotes: string | null;
+  createdAt: string;
+}
+
+export interface ListParams {
+  limit?: number;
+  offset?: number;
+}
+
+export interface PromptListParams extends ListParams {
+  folder?: string;
+  tag?: string;
+  status?: PromptStatus;
+}
+
+export type Environment = 'dev' | 'staging' | 'production';
+
+export interface RunOptions {
+  variables?: Variables;
+  model?: string;
+  system?: string;
+  maxTokens?: number;
+  temperature?: number;
+  /** Run the version promoted to this environment. Default: production, or the current content if never promoted */
+  environment?: Environment;
+}
+
+export interface RunResult {
+  promptId: string;
+  version: string;
+  environment: Environment | null;
+  model: string;
+  provider: 'claude' | 'openai' | 'gemini';
+  output: string;
+  finishReason: string | null;
+  usage: { inputTokens: number; outputTokens: number };
+  cost: number | null;
+  latencyMs: number;
+}
+
+export interface Deployment {
+  environment: Environment;
+  versionId: string;
+  version: string;
+  approvals: number;
+  promotedAt: string;
+}
+
+export interface PromotionInput {
+  environment: Environment;
+  version: string;
+  note?: string;
+}
+
+export interface Promotion {
+  id: string;
+  environment: Environment;
+  versionId: string;
+  previousVersionId: string | null;
+  approvals: number;
+  requiredApprovals: number;
+  note: string | null;
+  createdAt: string;
+}
+
+export interface MarketplaceListing {
+  id: string;
+  title: string;
+  description: string | null;
+  category: string | null;
+  tags: string[];
+  model: string;
+  version: string;
+  price: number;
+  rating: number;
+  salesCount: number;
+  hasAccess: boolean;
+  content: string | null;
+  createdAt: string;
+}
+
+export interface MarketplaceListParams extends ListParams {
+  q?: string;
+  category?: string;
+  tag?: string;
+  sort?: 'newest' | 'popular' | 'rating';
+}
+
+export interface RenderOptions {
+  /** Throw MissingVariablesError for unfilled placeholders. Default: true */
+  strict?: boolean;
+}
+
+declare class Versions {
+  list(promptId: string, params?: ListParams): Promise<Page<PromptVersion>>;
+  iterate(promptId: string, params?: ListParams): AsyncGenerator<PromptVersion>;
+  get(promptId: string, version: string): Promise<PromptVersion>;
+}
+
+declare class Deployments {
+  list(promptId: string): Promise<{ data: Deployment[]; requiredApprovals: number }>;
+  promote(promptId: string, input: PromotionInput): Promise<Promotion>;
+  history(promptId: string, params?: ListParams & { environment?: Environment }): Promise<Page<Promotion>>;
+}
+
+declare class Prompts {
+  versions: Versions;
+  deployments: Deployments;
+  list(params?: PromptListParams): Promise<Page<Prompt>>;
+  iterate(params?: PromptListParams): AsyncGenerator<Prompt>;
+  get(id: string, options?: { version?: string }): Promise<Prompt>;
+  render(id: string, variables?: Variables, options?: RenderOptions & { version?: string }): Promise<string>;
+  create(input: PromptInput): Promise<Prompt>;
+  update(id: string, changes: PromptUpdate): Promise<Prompt>;
+  delete(id: string): Promise<void>;
+  run(id: string, options?: RunOptions): Promise<RunResult>;
+}
+
+declare class Marketplace {
+  list(params?: MarketplaceListParams): Promise<Page<MarketplaceListing>>;
+  iterate(params?: MarketplaceListParams): AsyncGenerator<MarketplaceListing>;
+  get(id: string): Promise<MarketplaceListing>;
+}
+
+export declare class PromptingIt {
+  constructor(options?: string | ClientOptions);
+  apiKey: string;
+  baseUrl: string;
+  maxRetries: number;
+  timeout: number;
+  cacheTtl: number;
+  prompts: Prompts;
+  marketplace: Marketplace;
+  render(template: string | { content: string; variables?: VariableDefinition[] }, variables?: Variables, options?: RenderOptions): string;
+  openapi(): Promise<Record<string, unknown>>;
+  request<T = unknown>(method: 'GET' | 'POST' | 'PUT' | 'DELETE', path: string, options?: { query?: Record<string, unknown>; body?: unknown }): Promise<T>;
+}
+
+export declare class PromptingItError extends Error {
+  /** HTTP status; 0 for network errors and timeouts */
+  status: number;
+  code: string;
+  details?: unknown;
+  /** Seconds from the Retry-After header, if any */
+  retryAfter: number | null;
+}
+
+export declare class MissingVariablesError extends PromptingItError {
+  missing: string[];
+}
+
+export declare class InvalidVariablesError extends PromptingItError {
+  problems: Array<{ path: string; message: string }>;
+}
+
+export declare function render(template: string | { content: string; variables?: VariableDefinition[] }, variables?: Variables, options?: RenderOptions): string;
+export declare function variablesOf(template: string): string[];
+export declare function resolveVariables(definitions: VariableDefinition[], template: string, variables?: Variables): { values: Variables; problems: Array<{ path: string; message: string }> };
+
+export default PromptingIt;
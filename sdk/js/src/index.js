@@ -0,0 +1,9 @@
+/* ============================================
+   @promptingit/sdk
+   JavaScript client for the Prompting It API
+   ============================================ */
+
+export { PromptingIt, Page } from './client.js';
+export { PromptingItError, MissingVariablesError, InvalidVariablesError } from './errors.js';
+export { render, variablesOf, resolveVariables } from './template.js';
+export { PromptingIt as default } from './client.js';
@@ -0,0 +1,121 @@
+/* ============================================
+   TEMPLATES
+   Local {{variable}} rendering and checks, identical to POST /v1/prompts/:id/run
+   ============================================ */
+
+import { InvalidVariablesError, MissingVariablesError } from './errors.js';
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * List the distinct {{variable}} names in a template, in order of appearance
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function variablesOf(template) {
+  const names = new Set();
+  for (const match of String(template || '').matchAll(PLACEHOLDER)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+// A value as its declared type, or what's wrong with it
+function coerce(variable, raw) {
+  if (raw === undefined || raw === null || raw === '') return {};
+
+  if (variable.type === 'number') {
+    const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+    return Number.isFinite(value) ? { value } : { problem: 'must be a number' };
+  }
+  if (variable.type === 'boolean') {
+    if (raw === true || raw === 'true') return { value: true };
+    if (raw === false || raw === 'false') return { value: false };
+    return { problem: 'must be true or false' };
+  }
+
+  const value = String(raw);
+  if (variable.type === 'enum' && !(variable.enum || []).includes(value)) {
+    return { problem: `must be one of ${(variable.enum || []).join(', ')}` };
+  }
+  if (variable.maxLength && value.length > variable.maxLength) {
+    return { problem: `must be at most ${variable.maxLength} characters` };
+  }
+  return { value };
+}
+
+/**
+ * Check values against a prompt's declared variables, filling in defaults
+ * Only declarations for placeholders the template uses count; undeclared
+ * placeholders are left as given. Required variables without a value are left
+ * out so render() reports them as missing.
+ * @param {Array<Object>} definitions - prompt.variables
+ * @param {string} template
+ * @param {Object<string, string|number|boolean>} [variables]
+ * @returns {{values: Object, problems: Array<{path: string, message: string}>}}
+ */
+export function resolveVariables(definitions, template, variables = {}) {
+  const values = { ...variables };
+  const problems = [];
+  const used = new Set(variablesOf(template));
+
+  for (const variable of definitions || []) {
+    if (!used.has(variable.name)) continue;
+
+    const { value, problem } = coerce(variable, variables[variable.name]);
+    if (problem) {
+      problems.push({ path: `variables.${variable.name}`, message: problem });
+    } else if (value !== undefined) {
+      values[variable.name] = value;
+    } else if (variable.default !== undefined) {
+      values[variable.name] = variable.default;
+    } else if (variable.required === false) {
+      values[variable.name] = '';
+    } else {
+      delete values[variable.name];
+    }
+  }
+  return { values, problems };
+}
+
+/**
+ * Fill a template's {{variable}} placeholders
+ * Accepts the template text or a prompt/version object with content. A prompt's
+ * declared variables are applied first: defaults fill in, and values of the wrong
+ * type throw InvalidVariablesError. Throws MissingVariablesError when a placeholder
+ * has no value, unless options.strict is false, in which case unfilled placeholders
+ * are left as they are.
+ * @param {string|{content: string, variables?: Array<Object>}} template
+ * @param {Object<string, string|number|boolean>} [variables]
+ * @param {{strict?: boolean}} [options]
+ * @returns {string}
+ */
+export function render(template, variables = {}, { strict = true } = {}) {
+  const text = typeof template === 'string' ? template : template?.content;
+  if (typeof text !== 'string') {
+    throw new TypeError('render() needs a template string or an object with content');
+  }
+
+  if (Array.isArray(template?.variables)) {
+    const resolved = resolveVariables(template.variables, text, variables);
+    if (resolved.problems.length > 0) {
+      throw new InvalidVariablesError(resolved.problems);
+    }
+    variables = resolved.values;
+  }
+
+  const missing = new Set();
+  const output = text.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      missing.add(name);
+      return placeholder;
+    }
+    return String(value);
+  });
+
+  if (strict && missing.size > 0) {
+    throw new MissingVariablesError(Array.from(missing));
+  }
+  return output;
+}
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PromptingIt, PromptingItError } from '../src/index.js';
+
+const BASE_URL = 'https://example.supabase.co/functions/v1/api';
+
+function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+// A fetch that answers from handler and records every call as { method, url, body }
+function fakeFetch(handler) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    const call = { method: init.method, url: new URL(url), body: init.body ? JSON.parse(init.body) : undefined };
+    calls.push(call);
+    return handler(call, calls.length);
+  };
+  return { fetch, calls };
+}
+
+function client(fetch, options = {}) {
+  return new PromptingIt({ apiKey: 'pk_test_key', baseUrl: BASE_URL, fetch, ...options });
+}
+
+const rateLimited = () => json({ error: { code: 'rate_limited', message: 'Slow down', status: 429 } }, 429, { 'retry-after': '0' });
+const unavailable = () => json({ error: { code: 'server_error', message: 'Down', status: 503 } }, 503);
+
+test('GET requests retry 429 and 5xx responses', async () => {
+  const { fetch, calls } = fakeFetch((call, count) => {
+    if (count === 1) return rateLimited();
+    if (count === 2) return unavailable();
+    return json({ id: 'p1', content: 'Hi' });
+  });
+
+  const prompt = await client(fetch).prompts.get('p1');
+
+  assert.equal(prompt.id, 'p1');
+  assert.equal(calls.length, 3);
+});
+
+test('POST requests retry 429 but not 5xx', async () => {
+  const limited = fakeFetch((call, count) => count === 1 ? rateLimited() : json({ output: 'done' }));
+  const run = await client(limited.fetch).prompts.run('p1');
+  assert.equal(run.output, 'done');
+  assert.equal(limited.calls.length, 2);
+
+  const failing = fakeFetch(() => unavailable());
+  await assert.rejects(client(failing.fetch).prompts.run('p1'), error => {
+    assert.ok(error instanceof PromptingItError);
+    assert.equal(error.status, 503);
+    assert.equal(error.code, 'server_error');
+    return true;
+  });
+  assert.equal(failing.calls.length, 1);
+});
+
+test('retries stop after maxRetries and surface the API error', async () => {
+  const { fetch, calls } = fakeFetch(() => rateLimited());
+
+  await assert.rejects(client(fetch, { maxRetries: 1 }).prompts.list(), { status: 429, code: 'rate_limited' });
+  assert.equal(calls.length, 2);
+});
+
+test('Page.nextPage() continues from offset + limit and stops after the last page', async () => {
+  const items = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id }));
+  const { fetch, calls } = fakeFetch(call => {
+    const limit = Number(call.url.searchParams.get('limit'));
+    const offset = Number(call.url.searchParams.get('offset') || 0);
+    return json({
+      data: items.slice(offset, offset + limit),
+      pagination: { limit, offset, total: items.length, hasMore: offset + limit < items.length }
+    });
+  });
+  const prompts = client(fetch).prompts;
+
+  const first = await prompts.list({ limit: 2, tag: 'support' });
+  const second = await first.nextPage();
+  const third = await second.nextPage();
+
+  assert.deepEqual(first.data.map(p => p.id), ['a', 'b']);
+  assert.deepEqual(second.data.map(p => p.id), ['c', 'd']);
+  assert.deepEqual(third.data.map(p => p.id), ['e']);
+  assert.equal(third.hasMore, false);
+  assert.equal(await third.nextPage(), null);
+
+  assert.deepEqual(calls.map(call => call.url.searchParams.get('offset')), [null, '2', '4']);
+  assert.ok(calls.every(call => call.url.searchParams.get('tag') === 'support'));
+
+  const all = [];
+  for await (const prompt of prompts.iterate({ limit: 2 })) all.push(prompt.id);
+  assert.deepEqual(all, ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('prompts.get() is cached and promote() invalidates the cache', async () => {
+  let content = 'v1';
+  const { fetch, calls } = fakeFetch(call => {
+    if (call.method === 'POST') {
+      content = 'v2';
+      return json({ environment: 'production', version: '1.1.0' }, 201);
+    }
+    return json({ id: 'p1', content });
+  });
+  const prompts = client(fetch, { cacheTtl: 60000 }).prompts;
+
+  assert.equal((await prompts.get('p1')).content, 'v1');
+  assert.equal((await prompts.get('p1')).content, 'v1');
+  assert.equal(calls.length, 1);
+
+  await prompts.deployments.promote('p1', { environment: 'production', version: '1.1.0' });
+
+  assert.equal((await prompts.get('p1')).content, 'v2');
+  assert.equal(calls.filter(call => call.method === 'GET').length, 2);
+});
+
+test('prompts.render() fills a fetched prompt and reports missing variables', async () => {
+  const { fetch } = fakeFetch(() => json({
+    id: 'p1',
+    content: 'Reply to {{ticket}} in {{tone}}',
+    variables: [{ name: 'tone', type: 'enum', enum: ['formal', 'casual'], default: 'formal' }]
+  }));
+  const prompts = client(fetch).prompts;
+
+  assert.equal(await prompts.render('p1', { ticket: '#42' }), 'Reply to #42 in formal');
+  await assert.rejects(prompts.render('p1', {}), { name: 'MissingVariablesError', missing: ['ticket'] });
+});
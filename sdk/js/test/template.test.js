@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { InvalidVariablesError, MissingVariablesError, render, resolveVariables, variablesOf } from '../src/index.js';
+
+test('variablesOf() lists each placeholder once, in order', () => {
+  assert.deepEqual(variablesOf('{{b}} {{ a }} {{b}} {{user.name}}'), ['b', 'a', 'user.name']);
+  assert.deepEqual(variablesOf(''), []);
+});
+
+test('render() fills placeholders and throws for missing ones', () => {
+  assert.equal(render('Hi {{ name }}, {{n}} new', { name: 'Ada', n: 0 }), 'Hi Ada, 0 new');
+
+  assert.throws(() => render('{{a}} {{b}} {{a}}', { b: 1 }), error => {
+    assert.ok(error instanceof MissingVariablesError);
+    assert.deepEqual(error.missing, ['a']);
+    assert.equal(error.code, 'missing_variables');
+    return true;
+  });
+});
+
+test('render() with strict: false leaves unfilled placeholders', () => {
+  assert.equal(render('{{a}} and {{b}}', { a: 'x' }, { strict: false }), 'x and {{b}}');
+});
+
+test('render() applies declared types and defaults from a prompt', () => {
+  const prompt = {
+    content: '{{count}} items, urgent: {{urgent}}, tone: {{tone}}, note: [{{note}}]',
+    variables: [
+      { name: 'count', type: 'number', required: true },
+      { name: 'urgent', type: 'boolean', default: false },
+      { name: 'tone', type: 'enum', enum: ['formal', 'casual'], default: 'casual' },
+      { name: 'note', type: 'string', required: false }
+    ]
+  };
+
+  assert.equal(render(prompt, { count: '3' }), '3 items, urgent: false, tone: casual, note: []');
+  assert.equal(render(prompt, { count: 2, urgent: 'true', tone: 'formal', note: 'hi' }), '2 items, urgent: true, tone: formal, note: [hi]');
+  assert.throws(() => render(prompt, {}), { name: 'MissingVariablesError', missing: ['count'] });
+});
+
+test('render() rejects values that do not fit their declared type', () => {
+  const prompt = {
+    content: '{{count}} {{tone}} {{title}}',
+    variables: [
+      { name: 'count', type: 'number' },
+      { name: 'tone', type: 'enum', enum: ['formal', 'casual'] },
+      { name: 'title', type: 'string', maxLength: 5 }
+    ]
+  };
+
+  assert.throws(() => render(prompt, { count: 'many', tone: 'rude', title: 'too long' }), error => {
+    assert.ok(error instanceof InvalidVariablesError);
+    assert.equal(error.code, 'invalid_variables');
+    assert.deepEqual(error.problems, [
+      { path: 'variables.count', message: 'must be a number' },
+      { path: 'variables.tone', message: 'must be one of formal, casual' },
+      { path: 'variables.title', message: 'must be at most 5 characters' }
+    ]);
+    return true;
+  });
+});
+
+test('resolveVariables() ignores declarations the template does not use', () => {
+  const { values, problems } = resolveVariables(
+    [{ name: 'unused', type: 'number' }, { name: 'used', type: 'number', default: 1 }],
+    'Only {{used}}',
+    { unused: 'not a number', extra: 'kept' }
+  );
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(values, { unused: 'not a number', extra: 'kept', used: 1 });
+});
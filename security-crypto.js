@@ -3,12 +3,30 @@
    Prompting It - Encryption/Decryption for API Keys
    ============================================ */
 
-// SECURITY: This module provides AES-256-GCM encryption for API keys
-// Keys are encrypted client-side before storage and decrypted only when needed
+// SECURITY: This module provides AES-256-GCM envelope encryption for API keys
+// Keys are encrypted client-side before storage. Server-wrapped keys are only ever
+// decrypted by the edge functions; the browser can decrypt passphrase-wrapped keys
+//
+
+// Stored format (see supabase/functions/_shared/key-envelope.ts for the server side):
+//   v2:srv:<wrapped data key>:<iv>:<ciphertext>  data key wrapped by the key-vault edge function,
+//                                                 unwrapped server-side only
+//   v2:pwd:<salt + wrapped data key>:<iv>:<ciphertext>  data key wrapped with a user passphrase
+// Each secret gets its own random data key; the user ID is bound in as additional
+// authenticated data. Blobs from before v2 still decrypt and are re-encrypted via onUpgrade.
 
 window.SecurityCrypto = {
+    VERSION: 'v2',
+
+    // Edge function that wraps data keys with the server-held key-encryption key
+    keyVaultFunction: 'key-vault',
+
+    // PBKDF2 iterations for passphrase-wrapped data keys
+    passphraseIterations: 310000,
+
     /**
-     * Derive encryption key from user ID using PBKDF2
+     * Derive the v1 encryption key from user ID using PBKDF2
+     * Only used to read blobs stored before envelope encryption
      * @param {string} userId - User's unique identifier
      * @returns {Promise<CryptoKey>} Derived encryption key
      */
@@ -38,40 +56,143 @@ window.SecurityCrypto = {
     },
 
     /**
-     * Encrypt a string using AES-256-GCM
+     * Derive a key-encryption key from a user passphrase
+     * @param {string} passphrase - User passphrase
+     * @param {Uint8Array} salt - 16 random bytes stored with the wrapped key
+     * @returns {Promise<CryptoKey>}
+     */
+    async derivePassphraseKey(passphrase, salt) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            { name: 'PBKDF2' },
+            false,
+            ['deriveKey']
+        );
+
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: this.passphraseIterations, hash: 'SHA-256' },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encrypt a string with a fresh data key (AES-256-GCM)
      * @param {string} plaintext - Text to encrypt
      * @param {string} userId - User's unique identifier
-     * @returns {Promise<string>} Base64-encoded encrypted data
+     * @param {Object} options - Options
+     * @param {string} options.passphrase - Wrap the data key with this passphrase instead of the server key (optional)
+     * @returns {Promise<string>} v2 envelope blob
      */
-    async encrypt(plaintext, userId) {
+    async encrypt(plaintext, userId, options = {}) {
         const encoder = new TextEncoder();
+        const rawKey = crypto.getRandomValues(new Uint8Array(32));
         const iv = crypto.getRandomValues(new Uint8Array(12));
-        const key = await this.deriveKey(userId);
-        
+
+        const dataKey = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt']);
         const encryptedData = await crypto.subtle.encrypt(
-            { name: 'AES-GCM', iv: iv },
-            key,
+            { name: 'AES-GCM', iv: iv, additionalData: encoder.encode(userId) },
+            dataKey,
             encoder.encode(plaintext)
         );
-        
-        // Combine IV + encrypted data
-        const combined = new Uint8Array(iv.length + encryptedData.byteLength);
-        combined.set(iv, 0);
-        combined.set(new Uint8Array(encryptedData), iv.length);
-        
-        return btoa(String.fromCharCode(...combined));
+
+        let scheme;
+        let wrappedKey;
+        if (options.passphrase) {
+            scheme = 'pwd';
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const wrapIv = crypto.getRandomValues(new Uint8Array(12));
+            const kek = await this.derivePassphraseKey(options.passphrase, salt);
+            const wrapped = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: wrapIv, additionalData: encoder.encode(userId) },
+                kek,
+                rawKey
+            );
+            wrappedKey = this.toBase64(this.concat(salt, wrapIv, new Uint8Array(wrapped)));
+        } else {
+            scheme = 'srv';
+            const result = await this.callKeyVault({ action: 'wrap', dataKey: this.toBase64(rawKey) });
+            wrappedKey = result.wrappedKey;
+        }
+
+        return [this.VERSION, scheme, wrappedKey, this.toBase64(iv), this.toBase64(new Uint8Array(encryptedData))].join(':');
     },
 
     /**
-     * Decrypt a string encrypted with AES-256-GCM
+     * Decrypt a stored blob (passphrase-wrapped v2 envelope, or the older v1/base64 formats)
+     * Server-wrapped ('srv') blobs are rejected with error.code 'server_only' - they
+     * can only be decrypted by the edge functions.
+     * @param {string} blob - Stored encrypted data
+     * @param {string} userId - User's unique identifier
+     * @param {Object} options - Options
+     * @param {string} options.passphrase - Passphrase for 'pwd' blobs, also used when re-encrypting (optional)
+     * @param {Function} options.onUpgrade - Called with a v2 blob when a legacy blob was read,
+     *   so the caller can store it (optional)
+     * @returns {Promise<string>} Decrypted plaintext
+     */
+    async decrypt(blob, userId, options = {}) {
+        const envelope = this.parse(blob);
+
+        if (!envelope) {
+            const plaintext = await this.decryptLegacy(blob, userId);
+            if (options.onUpgrade) {
+                // Re-encrypting is best effort - the caller still gets the key
+                try {
+                    await options.onUpgrade(await this.encrypt(plaintext, userId, options));
+                } catch (error) {
+                    console.error('Failed to re-encrypt legacy key:', error);
+                }
+            }
+            return plaintext;
+        }
+
+        if (envelope.scheme === 'srv') {
+            const error = new Error('This key can only be decrypted server-side');
+            error.code = 'server_only';
+            throw error;
+        }
+
+        if (!options.passphrase) {
+            throw new Error('Passphrase required to decrypt this key');
+        }
+
+        try {
+            const encoder = new TextEncoder();
+            const wrapped = this.fromBase64(envelope.wrappedKey);
+            const kek = await this.derivePassphraseKey(options.passphrase, wrapped.slice(0, 16));
+            const rawKey = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: wrapped.slice(16, 28), additionalData: encoder.encode(userId) },
+                kek,
+                wrapped.slice(28)
+            );
+
+            const dataKey = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['decrypt']);
+            const decryptedData = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(envelope.iv), additionalData: encoder.encode(userId) },
+                dataKey,
+                this.fromBase64(envelope.ciphertext)
+            );
+
+            return new TextDecoder().decode(decryptedData);
+        } catch (error) {
+            console.error('Key decryption error:', error);
+            throw new Error('Failed to decrypt API key');
+        }
+    },
+
+    /**
+     * Decrypt a v1 blob (AES-256-GCM with a user-ID-derived key, IV prefix)
      * @param {string} encryptedBase64 - Base64-encoded encrypted data
      * @param {string} userId - User's unique identifier
      * @returns {Promise<string>} Decrypted plaintext
      */
-    async decrypt(encryptedBase64, userId) {
+    async decryptLegacy(encryptedBase64, userId) {
         try {
             const decoder = new TextDecoder();
-            const combined = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
+            const combined = this.fromBase64(encryptedBase64);
             
             // Extract IV (first 12 bytes) and encrypted data
             const iv = combined.slice(0, 12);
@@ -97,6 +218,38 @@ window.SecurityCrypto = {
         }
     },
 
+    /**
+     * Split a v2 envelope into its parts
+     * @param {string} blob - Stored encrypted data
+     * @returns {Object|null} { version, scheme, wrappedKey, iv, ciphertext }, or null for legacy/unknown data
+     */
+    parse(blob) {
+        if (typeof blob !== 'string' || !blob.startsWith(this.VERSION + ':')) return null;
+
+        const [version, scheme, wrappedKey, iv, ciphertext] = blob.split(':');
+        if (!['srv', 'pwd'].includes(scheme) || !wrappedKey || !iv || !ciphertext) return null;
+
+        return { version, scheme, wrappedKey, iv, ciphertext };
+    },
+
+    /**
+     * Whether a stored blob predates envelope encryption and should be re-encrypted
+     * @param {string} blob - Stored encrypted data
+     * @returns {boolean}
+     */
+    needsUpgrade(blob) {
+        return !!blob && !this.parse(blob);
+    },
+
+    /**
+     * Whether a passphrase is needed to decrypt a blob
+     * @param {string} blob - Stored encrypted data
+     * @returns {boolean}
+     */
+    requiresPassphrase(blob) {
+        return this.parse(blob)?.scheme === 'pwd';
+    },
+
     /**
      * Check if a string appears to be encrypted (vs simple base64)
      * Encrypted data has IV prefix making it longer
@@ -104,6 +257,7 @@ window.SecurityCrypto = {
      * @returns {boolean} True if appears encrypted
      */
     isEncrypted(data) {
+        if (this.parse(data)) return true;
         try {
             const decoded = atob(data);
             // Encrypted data should be at least 12 bytes IV + some encrypted content
@@ -113,6 +267,62 @@ window.SecurityCrypto = {
         }
     },
 
+    /**
+     * Call the key-vault edge function as the signed-in user
+     * @param {Object} payload - { action: 'wrap', dataKey }
+     * @returns {Promise<Object>} { wrappedKey }
+     */
+    async callKeyVault(payload) {
+        const config = window.PromptingItSupabase;
+        const supabase = config?.getClient();
+        const { data } = supabase ? await supabase.auth.getSession() : { data: null };
+        const accessToken = data?.session?.access_token;
+
+        if (!accessToken) {
+            throw new Error('Authentication required to encrypt API keys');
+        }
+
+        const response = await fetch(`${config.SUPABASE_URL}/functions/v1/${this.keyVaultFunction}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                'apikey': config.SUPABASE_ANON_KEY
+            },
+            body: JSON.stringify(payload)
+        }).catch(error => {
+            // ErrorHandler's fetch interceptor throws on non-2xx; keep the function's error body
+            if (error.response) return error.response;
+            throw error;
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Key vault request failed (${response.status})`);
+        }
+        return result;
+    },
+
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    },
+
+    fromBase64(value) {
+        return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+    },
+
+    concat(...parts) {
+        const combined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            combined.set(part, offset);
+            offset += part.length;
+        });
+        return combined;
+    },
+
     /**
      * Validate API key format
      * @param {string} key - API key to validate
@@ -20,6 +20,12 @@
       SIGNUP: 'auth.signup',
       PASSWORD_RESET: 'auth.password_reset',
       PASSWORD_CHANGED: 'auth.password_changed',
+      MFA_ENROLLED: 'auth.mfa.enrolled',
+      MFA_DISABLED: 'auth.mfa.disabled',
+      MFA_VERIFIED: 'auth.mfa.verified',
+      MFA_FAILED: 'auth.mfa.failed',
+      MFA_REQUIRED: 'auth.mfa.required',
+      MFA_RECOVERY_CODES_GENERATED: 'auth.mfa.recovery_codes_generated',
 
       // Subscription/Financial events
       SUBSCRIPTION_CREATED: 'subscription.created',
@@ -42,7 +48,38 @@
 
       // Account events
       ACCOUNT_DELETED: 'account.deleted',
-      PROFILE_UPDATED: 'profile.updated'
+      PROFILE_UPDATED: 'profile.updated',
+
+      // Provider key events
+      API_KEY_ADDED: 'api_key.added',
+      API_KEY_ROTATED: 'api_key.rotated',
+      API_KEY_RESTORED: 'api_key.restored',
+      API_KEY_DELETED: 'api_key.deleted',
+
+      // Organization events
+      ORGANIZATION_CREATED: 'organization.created',
+      ORGANIZATION_DELETED: 'organization.deleted',
+      ORGANIZATION_MEMBER_INVITED: 'organization.member_invited',
+      ORGANIZATION_MEMBER_ROLE_CHANGED: 'organization.member_role_changed',
+      ORGANIZATION_MEMBER_REMOVED: 'organization.member_removed',
+      ORGANIZATION_INVITATION_ACCEPTED: 'organization.invitation_accepted',
+      ORGANIZATION_INVITATION_REVOKED: 'organization.invitation_revoked',
+      ORGANIZATION_APPROVAL_POLICY_CHANGED: 'organization.approval_policy_changed',
+
+      // Team workspace events
+      PROMPT_SHARED: 'prompt.shared',
+      PROMPT_UNSHARED: 'prompt.unshared',
+      PROMPT_REVIEW_REQUESTED: 'prompt.review_requested',
+      PROMPT_REVIEW_DECIDED: 'prompt.review_decided',
+      PROMPT_REVIEW_CANCELLED: 'prompt.review_cancelled',
+      // Written by promote_prompt_version() so API promotions are logged too
+      PROMPT_PROMOTED: 'prompt.promoted',
+
+      // Version history; written by restore_prompt_version()
+      PROMPT_VERSION_RESTORED: 'prompt.version_restored',
+
+      // Library imports with version history; written by import_prompts()
+      LIBRARY_IMPORTED: 'library.imported'
     },
 
     // Log an activity event
@@ -613,6 +650,12 @@
           return false;
         }
 
+        // AuthGuard (auth.js) redirects sessions that haven't completed MFA
+        const aal = await window.Auth?.getAssuranceLevel();
+        if (aal?.currentLevel !== 'aal2') {
+          return false;
+        }
+
         await AuditLog.logAdminAccess(currentPage, true);
       }
 
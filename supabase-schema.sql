@@ -5,6 +5,7 @@
 
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS vector;
 
 -- ============================================
 -- PROFILES TABLE
@@ -92,6 +93,151 @@ CREATE POLICY "Admins can view all subscriptions"
         )
     );
 
+-- ============================================
+-- ORGANIZATIONS TABLE
+-- Team accounts. Billing is shared: seats come from the owner's subscription tier
+-- (see organization_seat_limit).
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.organizations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT UNIQUE NOT NULL CHECK (slug ~ '^[a-z0-9][a-z0-9-]{1,47}$'),
+    owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    -- Approvals a version needs before it can be promoted to production
+    required_approvals INTEGER NOT NULL DEFAULT 0 CHECK (required_approvals BETWEEN 0 AND 10),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- ORGANIZATION_MEMBERS TABLE
+-- owner - billing, deleting the organization, managing admins
+-- admin - inviting and removing editors and viewers
+-- editor - creating and editing organization prompts and folders
+-- viewer - read-only
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.organization_members (
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (organization_id, user_id)
+);
+
+-- ============================================
+-- ORGANIZATION_INVITATIONS TABLE
+-- Pending invitations hold a seat until they are accepted, revoked or expire.
+-- Created by the organization-invite edge function.
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.organization_invitations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE NOT NULL,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('admin', 'editor', 'viewer')),
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+    accepted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Membership checks used by the policies below. SECURITY DEFINER so they don't
+-- recurse into organization_members' own policies.
+CREATE OR REPLACE FUNCTION public.organization_role(p_organization_id UUID)
+RETURNS TEXT AS $$
+    SELECT role FROM public.organization_members
+    WHERE organization_id = p_organization_id AND user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.has_organization_role(p_organization_id UUID, p_roles TEXT[])
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(public.organization_role(p_organization_id) = ANY(p_roles), FALSE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Enable Row Level Security
+ALTER TABLE public.organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_invitations ENABLE ROW LEVEL SECURITY;
+
+-- Organizations policies
+-- The owner check lets INSERT ... RETURNING see the row before the owner's membership exists
+CREATE POLICY "Members can view their organizations"
+    ON public.organizations FOR SELECT
+    USING (auth.uid() = owner_id OR public.organization_role(id) IS NOT NULL);
+
+CREATE POLICY "Invitees can view organizations they are invited to"
+    ON public.organizations FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.organization_invitations i
+            WHERE i.organization_id = organizations.id AND i.status = 'pending'
+            AND lower(i.email) = lower(auth.jwt() ->> 'email')
+        )
+    );
+
+CREATE POLICY "Users can create organizations"
+    ON public.organizations FOR INSERT
+    WITH CHECK (auth.uid() = owner_id);
+
+CREATE POLICY "Owners and admins can update organizations"
+    ON public.organizations FOR UPDATE
+    USING (public.has_organization_role(id, ARRAY['owner', 'admin']))
+    WITH CHECK (owner_id = (SELECT o.owner_id FROM public.organizations o WHERE o.id = organizations.id));
+
+CREATE POLICY "Owners can delete organizations"
+    ON public.organizations FOR DELETE
+    USING (auth.uid() = owner_id);
+
+-- Organization members policies: only the owner manages admins, admins manage
+-- editors and viewers, and the owner row never changes here
+CREATE POLICY "Members can view their organization's members"
+    ON public.organization_members FOR SELECT
+    USING (public.organization_role(organization_id) IS NOT NULL);
+
+CREATE POLICY "Owners and admins can change member roles"
+    ON public.organization_members FOR UPDATE
+    USING (
+        role <> 'owner' AND (
+            public.organization_role(organization_id) = 'owner' OR
+            (public.organization_role(organization_id) = 'admin' AND role IN ('editor', 'viewer'))
+        )
+    )
+    WITH CHECK (
+        role <> 'owner' AND (
+            public.organization_role(organization_id) = 'owner' OR
+            (public.organization_role(organization_id) = 'admin' AND role IN ('editor', 'viewer'))
+        )
+    );
+
+CREATE POLICY "Owners and admins can remove members"
+    ON public.organization_members FOR DELETE
+    USING (
+        role <> 'owner' AND (
+            public.organization_role(organization_id) = 'owner' OR
+            (public.organization_role(organization_id) = 'admin' AND role IN ('editor', 'viewer'))
+        )
+    );
+
+CREATE POLICY "Members can leave organizations"
+    ON public.organization_members FOR DELETE
+    USING (auth.uid() = user_id AND role <> 'owner');
+
+-- Organization invitations policies (accepted with accept_organization_invitation)
+CREATE POLICY "Owners and admins can view invitations"
+    ON public.organization_invitations FOR SELECT
+    USING (public.has_organization_role(organization_id, ARRAY['owner', 'admin']));
+
+CREATE POLICY "Invitees can view their invitations"
+    ON public.organization_invitations FOR SELECT
+    USING (lower(email) = lower(auth.jwt() ->> 'email'));
+
+CREATE POLICY "Owners and admins can revoke invitations"
+    ON public.organization_invitations FOR UPDATE
+    USING (public.has_organization_role(organization_id, ARRAY['owner', 'admin']))
+    WITH CHECK (status = 'revoked');
+
 -- ============================================
 -- FOLDERS TABLE
 -- Stores prompt folders/categories
@@ -103,6 +249,9 @@ CREATE TABLE IF NOT EXISTS public.folders (
     parent_id UUID REFERENCES public.folders(id) ON DELETE CASCADE,
     color TEXT DEFAULT '#67e8f9',
     icon TEXT DEFAULT 'folder',
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE SET NULL,
+    -- Can require more approvals than the organization, never fewer
+    required_approvals INTEGER CHECK (required_approvals BETWEEN 0 AND 10),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -110,14 +259,51 @@ CREATE TABLE IF NOT EXISTS public.folders (
 -- Enable Row Level Security
 ALTER TABLE public.folders ENABLE ROW LEVEL SECURITY;
 
--- Folders policies
+-- Folders policies (author policies cover personal folders only)
 CREATE POLICY "Users can view their own folders"
     ON public.folders FOR SELECT
-    USING (auth.uid() = user_id);
+    USING (auth.uid() = user_id AND organization_id IS NULL);
 
 CREATE POLICY "Users can manage their own folders"
     ON public.folders FOR ALL
-    USING (auth.uid() = user_id);
+    USING (auth.uid() = user_id AND organization_id IS NULL)
+    WITH CHECK (
+        auth.uid() = user_id AND
+        (organization_id IS NULL OR public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']))
+    );
+
+CREATE POLICY "Members can view organization folders"
+    ON public.folders FOR SELECT
+    USING (organization_id IS NOT NULL AND public.organization_role(organization_id) IS NOT NULL);
+
+CREATE POLICY "Editors can manage organization folders"
+    ON public.folders FOR ALL
+    USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']))
+    WITH CHECK (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']));
+
+-- Title ranks above tags and description, which rank above the template itself.
+-- array_to_string() isn't immutable, so prompts.search_vector goes through this.
+CREATE OR REPLACE FUNCTION public.prompt_search_document(p_title TEXT, p_description TEXT, p_content TEXT, p_tags TEXT[])
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(p_title, '')), 'A')
+        || setweight(to_tsvector('english', COALESCE(array_to_string(p_tags, ' '), '')), 'B')
+        || setweight(to_tsvector('english', COALESCE(p_description, '')), 'B')
+        || setweight(to_tsvector('english', COALESCE(p_content, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Shape check for prompts.variables: [{ name, type, required, default, enum,
+-- description, maxLength }], type one of string, text, number, boolean, enum.
+-- The per-type rules live with the code that validates values
+-- (prompt-variables.js, the API). Undeclared placeholders are required strings.
+CREATE OR REPLACE FUNCTION public.prompt_variables_valid(p_variables JSONB)
+RETURNS BOOLEAN AS $$
+    SELECT jsonb_typeof(p_variables) = 'array' AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_variables) AS v
+        WHERE jsonb_typeof(v.value) <> 'object'
+            OR COALESCE(v.value->>'name', '') !~ '^[A-Za-z0-9_.-]+$'
+            OR COALESCE(v.value->>'type', 'string') NOT IN ('string', 'text', 'number', 'boolean', 'enum')
+    );
+$$ LANGUAGE sql IMMUTABLE;
 
 -- ============================================
 -- PROMPTS TABLE
@@ -134,6 +320,7 @@ CREATE TABLE IF NOT EXISTS public.prompts (
     model TEXT DEFAULT 'gpt-4',
     status TEXT DEFAULT 'draft' CHECK (status IN ('active', 'draft', 'archived')),
     folder_id UUID REFERENCES public.folders(id) ON DELETE SET NULL,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE SET NULL,
     version TEXT DEFAULT '1.0.0',
     is_public BOOLEAN DEFAULT FALSE,
     is_marketplace BOOLEAN DEFAULT FALSE,
@@ -142,6 +329,10 @@ CREATE TABLE IF NOT EXISTS public.prompts (
     view_count INTEGER DEFAULT 0,
     run_count INTEGER DEFAULT 0,
     rating DECIMAL(2, 1) DEFAULT 0,
+    -- Declared {{placeholders}}, see prompt_variables_valid()
+    variables JSONB NOT NULL DEFAULT '[]' CONSTRAINT prompts_variables_check CHECK (public.prompt_variables_valid(variables)),
+    -- Full-text index for search_prompts()
+    search_vector tsvector GENERATED ALWAYS AS (public.prompt_search_document(title, description, content, tags)) STORED,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -150,9 +341,10 @@ CREATE TABLE IF NOT EXISTS public.prompts (
 ALTER TABLE public.prompts ENABLE ROW LEVEL SECURITY;
 
 -- Prompts policies
+-- Author policies cover personal prompts; organization prompts follow the member roles
 CREATE POLICY "Users can view their own prompts"
     ON public.prompts FOR SELECT
-    USING (auth.uid() = user_id);
+    USING (auth.uid() = user_id AND organization_id IS NULL);
 
 CREATE POLICY "Users can view public prompts"
     ON public.prompts FOR SELECT
@@ -160,14 +352,102 @@ CREATE POLICY "Users can view public prompts"
 
 CREATE POLICY "Users can insert their own prompts"
     ON public.prompts FOR INSERT
-    WITH CHECK (auth.uid() = user_id);
+    WITH CHECK (
+        auth.uid() = user_id AND
+        (organization_id IS NULL OR public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']))
+    );
 
 CREATE POLICY "Users can update their own prompts"
     ON public.prompts FOR UPDATE
-    USING (auth.uid() = user_id);
+    USING (auth.uid() = user_id AND organization_id IS NULL)
+    WITH CHECK (
+        auth.uid() = user_id AND
+        (organization_id IS NULL OR public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']))
+    );
 
 CREATE POLICY "Users can delete their own prompts"
     ON public.prompts FOR DELETE
+    USING (auth.uid() = user_id AND organization_id IS NULL);
+
+-- Organization prompts: members read, editors and up write, owners and admins delete
+CREATE POLICY "Members can view organization prompts"
+    ON public.prompts FOR SELECT
+    USING (organization_id IS NOT NULL AND public.organization_role(organization_id) IS NOT NULL);
+
+CREATE POLICY "Editors can update organization prompts"
+    ON public.prompts FOR UPDATE
+    USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']))
+    WITH CHECK (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']));
+
+CREATE POLICY "Admins can delete organization prompts"
+    ON public.prompts FOR DELETE
+    USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin']));
+
+-- ============================================
+-- PROMPT_FAVORITES TABLE
+-- Prompts a user starred in the library, shared across their devices
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_favorites (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, prompt_id)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.prompt_favorites ENABLE ROW LEVEL SECURITY;
+
+-- Prompt favorites policies
+CREATE POLICY "Users can view their own favorites"
+    ON public.prompt_favorites FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can add favorites"
+    ON public.prompt_favorites FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can remove favorites"
+    ON public.prompt_favorites FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- ============================================
+-- PROMPT_EMBEDDINGS TABLE
+-- One vector per prompt, written by the author's browser (prompt-search.js).
+-- content_hash tells the browser which prompts changed since their embedding
+-- was computed; model names the embedding scheme so vectors from different
+-- schemes aren't compared.
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_embeddings (
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    model TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    embedding vector(256) NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.prompt_embeddings ENABLE ROW LEVEL SECURITY;
+
+-- Prompt embeddings policies
+CREATE POLICY "Users can view their own embeddings"
+    ON public.prompt_embeddings FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can add embeddings for their prompts"
+    ON public.prompt_embeddings FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id AND
+        EXISTS (SELECT 1 FROM public.prompts p WHERE p.id = prompt_id AND p.user_id = auth.uid())
+    );
+
+CREATE POLICY "Users can update their own embeddings"
+    ON public.prompt_embeddings FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own embeddings"
+    ON public.prompt_embeddings FOR DELETE
     USING (auth.uid() = user_id);
 
 -- ============================================
@@ -181,6 +461,10 @@ CREATE TABLE IF NOT EXISTS public.prompt_versions (
     content TEXT NOT NULL,
     change_notes TEXT,
     created_by UUID REFERENCES auth.users(id),
+    -- How much the version was bumped from the previous one (null for the first)
+    bump TEXT CHECK (bump IN ('major', 'minor', 'patch')),
+    -- Set when the version rolled the prompt back to an older one
+    restored_from UUID REFERENCES public.prompt_versions(id) ON DELETE SET NULL,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -193,7 +477,7 @@ CREATE POLICY "Users can view versions of their prompts"
     USING (
         EXISTS (
             SELECT 1 FROM public.prompts
-            WHERE id = prompt_id AND user_id = auth.uid()
+            WHERE id = prompt_id AND user_id = auth.uid() AND organization_id IS NULL
         )
     );
 
@@ -202,10 +486,180 @@ CREATE POLICY "Users can insert versions of their prompts"
     WITH CHECK (
         EXISTS (
             SELECT 1 FROM public.prompts
-            WHERE id = prompt_id AND user_id = auth.uid()
+            WHERE id = prompt_id AND user_id = auth.uid() AND organization_id IS NULL
         )
     );
 
+CREATE POLICY "Members can view versions of organization prompts"
+    ON public.prompt_versions FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.prompts
+            WHERE id = prompt_id AND organization_id IS NOT NULL
+            AND public.organization_role(organization_id) IS NOT NULL
+        )
+    );
+
+CREATE POLICY "Editors can insert versions of organization prompts"
+    ON public.prompt_versions FOR INSERT
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.prompts
+            WHERE id = prompt_id AND organization_id IS NOT NULL
+            AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor'])
+        )
+    );
+
+-- ============================================
+-- PROMPT_REVIEWS TABLE
+-- Review queue for team prompts. An editor asks teammates to review one version
+-- of a prompt shared with their organization; another editor, admin or owner
+-- approves it or requests changes with decide_prompt_review().
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_reviews (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    requested_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'changes_requested', 'cancelled')),
+    priority TEXT NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+    note TEXT CHECK (char_length(note) <= 2000),
+    decided_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.prompt_reviews ENABLE ROW LEVEL SECURITY;
+
+-- Prompt review policies (decisions go through decide_prompt_review)
+CREATE POLICY "Members can view reviews"
+    ON public.prompt_reviews FOR SELECT
+    USING (public.organization_role(organization_id) IS NOT NULL);
+
+CREATE POLICY "Editors can request reviews"
+    ON public.prompt_reviews FOR INSERT
+    WITH CHECK (
+        auth.uid() = requested_by AND status = 'pending' AND decided_by IS NULL
+        AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor'])
+    );
+
+CREATE POLICY "Requesters can cancel reviews"
+    ON public.prompt_reviews FOR UPDATE
+    USING (auth.uid() = requested_by AND status = 'pending')
+    WITH CHECK (auth.uid() = requested_by AND status = 'cancelled' AND decided_by IS NULL);
+
+-- ============================================
+-- PROMPT_VERSION_COMMENTS TABLE
+-- Discussion on a single prompt version, visible to the prompt's organization
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_version_comments (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 4000),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.prompt_version_comments ENABLE ROW LEVEL SECURITY;
+
+-- Version comment policies
+CREATE POLICY "Members can view version comments"
+    ON public.prompt_version_comments FOR SELECT
+    USING (public.organization_role(organization_id) IS NOT NULL);
+
+CREATE POLICY "Members can comment on versions"
+    ON public.prompt_version_comments FOR INSERT
+    WITH CHECK (auth.uid() = user_id AND public.organization_role(organization_id) IS NOT NULL);
+
+CREATE POLICY "Users can delete their own comments"
+    ON public.prompt_version_comments FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Whether the calling user can see a prompt's versions, approvals and deployments
+CREATE OR REPLACE FUNCTION public.can_view_prompt(p_prompt_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.prompts
+        WHERE id = p_prompt_id
+          AND ((user_id = auth.uid() AND organization_id IS NULL) OR (organization_id IS NOT NULL AND public.organization_role(organization_id) IS NOT NULL))
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- PROMPT_VERSION_APPROVALS TABLE
+-- One row per reviewer who approved a version (recorded by decide_prompt_review)
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_version_approvals (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+    review_id UUID REFERENCES public.prompt_reviews(id) ON DELETE SET NULL,
+    approved_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (version_id, approved_by)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.prompt_version_approvals ENABLE ROW LEVEL SECURITY;
+
+-- Written only by decide_prompt_review
+CREATE POLICY "Users can view approvals of prompts they can see"
+    ON public.prompt_version_approvals FOR SELECT
+    USING (public.can_view_prompt(prompt_id));
+
+-- ============================================
+-- PROMPT_DEPLOYMENTS TABLE
+-- The version each environment serves; the API's run endpoint reads it
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_deployments (
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    environment TEXT NOT NULL CHECK (environment IN ('dev', 'staging', 'production')),
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    promoted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    promoted_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (prompt_id, environment)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.prompt_deployments ENABLE ROW LEVEL SECURITY;
+
+-- Written only by promote_prompt_version
+CREATE POLICY "Users can view deployments of prompts they can see"
+    ON public.prompt_deployments FOR SELECT
+    USING (public.can_view_prompt(prompt_id));
+
+-- ============================================
+-- PROMPT_PROMOTIONS TABLE
+-- Audit trail of every promotion, including the approvals it was made with
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_promotions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    environment TEXT NOT NULL CHECK (environment IN ('dev', 'staging', 'production')),
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    previous_version_id UUID REFERENCES public.prompt_versions(id) ON DELETE SET NULL,
+    promoted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    approvals INTEGER NOT NULL DEFAULT 0,
+    required_approvals INTEGER NOT NULL DEFAULT 0,
+    note TEXT CHECK (char_length(note) <= 2000),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.prompt_promotions ENABLE ROW LEVEL SECURITY;
+
+-- Written only by promote_prompt_version
+CREATE POLICY "Users can view promotions of prompts they can see"
+    ON public.prompt_promotions FOR SELECT
+    USING (public.can_view_prompt(prompt_id));
+
 -- ============================================
 -- PURCHASES TABLE
 -- Stores marketplace purchases
@@ -237,12 +691,16 @@ CREATE POLICY "Sellers can view their sales"
 
 -- ============================================
 -- API_KEYS TABLE
--- Stores user API keys
+-- Stores user API keys:
+--   provider - the user's own Claude/OpenAI/Gemini keys (key_hash is an encrypted blob)
+--   platform - keys for the Prompting It API (key_hash is the SHA-256 hex digest,
+--              permissions holds the scopes)
 -- ============================================
 CREATE TABLE IF NOT EXISTS public.api_keys (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
     name TEXT NOT NULL,
+    key_type TEXT DEFAULT 'provider' CHECK (key_type IN ('provider', 'platform')),
     key_hash TEXT NOT NULL,
     key_prefix TEXT NOT NULL,
     permissions TEXT[] DEFAULT '{"read"}',
@@ -251,9 +709,17 @@ CREATE TABLE IF NOT EXISTS public.api_keys (
     last_used_at TIMESTAMPTZ,
     expires_at TIMESTAMPTZ,
     is_active BOOLEAN DEFAULT TRUE,
-    created_at TIMESTAMPTZ DEFAULT NOW()
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT api_keys_platform_scopes_check CHECK (
+        key_type <> 'platform'
+        OR permissions <@ ARRAY['prompts:read', 'prompts:write', 'prompts:run', 'marketplace:read']
+    )
 );
 
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_platform_hash
+    ON public.api_keys(key_hash) WHERE key_type = 'platform';
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_type ON public.api_keys(user_id, key_type);
+
 -- Enable Row Level Security
 ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
 
@@ -266,6 +732,21 @@ CREATE POLICY "Users can manage their own API keys"
     ON public.api_keys FOR ALL
     USING (auth.uid() = user_id);
 
+-- ============================================
+-- API_KEY_RATE_WINDOWS TABLE
+-- Per-minute request counters for platform keys (api_keys.rate_limit is requests/minute),
+-- written only through consume_api_key_call()
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.api_key_rate_windows (
+    key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    window_start TIMESTAMPTZ NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, window_start)
+);
+
+-- Enable Row Level Security (no policies: only the service role uses it)
+ALTER TABLE public.api_key_rate_windows ENABLE ROW LEVEL SECURITY;
+
 -- ============================================
 -- ACTIVITY_LOG TABLE
 -- Stores user activity for analytics
@@ -312,6 +793,130 @@ CREATE POLICY "Admins can insert any activity"
         )
     );
 
+-- ============================================
+-- PROMPT_RUNS TABLE
+-- Usage ledger: one row per provider call (monthly apiCalls limits count these)
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE SET NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    cost NUMERIC(12, 6),
+    latency_ms INTEGER,
+    status TEXT DEFAULT 'success' CHECK (status IN ('success', 'error', 'cancelled')),
+    error TEXT,
+    source TEXT DEFAULT 'proxy' CHECK (source IN ('proxy', 'direct', 'api')),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.prompt_runs ENABLE ROW LEVEL SECURITY;
+
+-- Prompt runs policies
+CREATE POLICY "Users can view their own runs"
+    ON public.prompt_runs FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Proxy rows are written with the service role; browsers may only log their own direct calls
+CREATE POLICY "Users can record their own direct runs"
+    ON public.prompt_runs FOR INSERT
+    WITH CHECK (auth.uid() = user_id AND source = 'direct');
+
+CREATE POLICY "Admins can view all runs"
+    ON public.prompt_runs FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid() AND role IN ('admin', 'owner')
+        )
+    );
+
+-- ============================================
+-- API_REQUEST_LOGS TABLE
+-- One row per public API request made with a platform key (written by the api and
+-- verify-api-key edge functions). Kept for 90 days; see purge_api_request_logs().
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.api_request_logs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    method TEXT NOT NULL,
+    route TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    latency_ms INTEGER NOT NULL DEFAULT 0,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    error_code TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.api_request_logs ENABLE ROW LEVEL SECURITY;
+
+-- API request log policies (rows are written with the service role)
+CREATE POLICY "Users can view their own API requests"
+    ON public.api_request_logs FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- ============================================
+-- API_USAGE_DAILY TABLE
+-- Per key, per UTC day, per route totals, maintained by a trigger on api_request_logs
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.api_usage_daily (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    day DATE NOT NULL,
+    method TEXT NOT NULL,
+    route TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    total_latency_ms BIGINT NOT NULL DEFAULT 0,
+    input_tokens BIGINT NOT NULL DEFAULT 0,
+    output_tokens BIGINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day, method, route)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.api_usage_daily ENABLE ROW LEVEL SECURITY;
+
+-- API usage policies
+CREATE POLICY "Users can view their own API usage"
+    ON public.api_usage_daily FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- ============================================
+-- MFA_RECOVERY_CODES TABLE
+-- One-time codes that remove a user's TOTP factors (mfa-recovery edge function).
+-- Only SHA-256 hashes are stored; writes need an aal2 (MFA-verified) session.
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.mfa_recovery_codes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+-- Recovery code policies (codes are redeemed with the service role)
+CREATE POLICY "Users can view their own recovery codes"
+    ON public.mfa_recovery_codes FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create recovery codes after MFA"
+    ON public.mfa_recovery_codes FOR INSERT
+    WITH CHECK (auth.uid() = user_id AND (auth.jwt() ->> 'aal') = 'aal2');
+
+CREATE POLICY "Users can delete recovery codes after MFA"
+    ON public.mfa_recovery_codes FOR DELETE
+    USING (auth.uid() = user_id AND (auth.jwt() ->> 'aal') = 'aal2');
+
 -- ============================================
 -- FUNCTIONS
 -- ============================================
@@ -370,6 +975,913 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Count one request against a platform key's rate limit. Requests within the limit also
+-- bump calls_used and last_used_at; returns { allowed, limit, resetAt }.
+CREATE OR REPLACE FUNCTION public.consume_api_key_call(p_key_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_window TIMESTAMPTZ := date_trunc('minute', NOW());
+    v_limit INTEGER;
+    v_requests INTEGER;
+BEGIN
+    SELECT rate_limit INTO v_limit FROM public.api_keys WHERE id = p_key_id;
+
+    INSERT INTO public.api_key_rate_windows (key_id, window_start, requests)
+    VALUES (p_key_id, v_window, 1)
+    ON CONFLICT (key_id, window_start) DO UPDATE SET requests = api_key_rate_windows.requests + 1
+    RETURNING requests INTO v_requests;
+
+    -- Earlier windows are no longer needed
+    DELETE FROM public.api_key_rate_windows WHERE key_id = p_key_id AND window_start < v_window;
+
+    IF v_limit IS NOT NULL AND v_requests > v_limit THEN
+        RETURN jsonb_build_object('allowed', FALSE, 'limit', v_limit, 'resetAt', v_window + INTERVAL '1 minute');
+    END IF;
+
+    UPDATE public.api_keys
+    SET calls_used = COALESCE(calls_used, 0) + 1,
+        last_used_at = NOW()
+    WHERE id = p_key_id;
+
+    RETURN jsonb_build_object('allowed', TRUE, 'limit', v_limit, 'resetAt', v_window + INTERVAL '1 minute');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.consume_api_key_call(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Count one API run against a prompt. A single UPDATE so concurrent runs don't lose increments.
+CREATE OR REPLACE FUNCTION public.increment_prompt_run_count(p_prompt_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    v_run_count INTEGER;
+BEGIN
+    UPDATE public.prompts
+    SET run_count = COALESCE(run_count, 0) + 1
+    WHERE id = p_prompt_id
+    RETURNING run_count INTO v_run_count;
+
+    RETURN v_run_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.increment_prompt_run_count(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Roll each API request into api_usage_daily
+CREATE OR REPLACE FUNCTION public.record_api_usage_daily()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.api_usage_daily (
+        user_id, key_id, day, method, route, requests, errors, total_latency_ms, input_tokens, output_tokens
+    ) VALUES (
+        NEW.user_id, NEW.key_id, (NEW.created_at AT TIME ZONE 'UTC')::date, NEW.method, NEW.route,
+        1, CASE WHEN NEW.status >= 400 THEN 1 ELSE 0 END, NEW.latency_ms,
+        COALESCE(NEW.input_tokens, 0), COALESCE(NEW.output_tokens, 0)
+    )
+    ON CONFLICT (key_id, day, method, route) DO UPDATE SET
+        requests = api_usage_daily.requests + 1,
+        errors = api_usage_daily.errors + EXCLUDED.errors,
+        total_latency_ms = api_usage_daily.total_latency_ms + EXCLUDED.total_latency_ms,
+        input_tokens = api_usage_daily.input_tokens + EXCLUDED.input_tokens,
+        output_tokens = api_usage_daily.output_tokens + EXCLUDED.output_tokens;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS on_api_request_logged ON public.api_request_logs;
+CREATE TRIGGER on_api_request_logged
+    AFTER INSERT ON public.api_request_logs
+    FOR EACH ROW EXECUTE FUNCTION public.record_api_usage_daily();
+
+-- Usage summary for the API Console, for the calling user's keys (or one key)
+-- between two UTC dates inclusive. Totals, the daily series and top endpoints come
+-- from api_usage_daily; latency percentiles need the raw logs, so they cover the
+-- last 90 days only. "previous" is the same-length period just before p_from.
+CREATE OR REPLACE FUNCTION public.get_api_usage(p_from DATE, p_to DATE, p_key_id UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+    WITH usage AS (
+        SELECT * FROM public.api_usage_daily
+        WHERE user_id = auth.uid()
+          AND (p_key_id IS NULL OR key_id = p_key_id)
+          AND day BETWEEN p_from - (p_to - p_from + 1) AND p_to
+    ),
+    current_usage AS (
+        SELECT * FROM usage WHERE day >= p_from
+    ),
+    latency AS (
+        SELECT
+            created_at >= (p_from::timestamp AT TIME ZONE 'UTC') AS is_current,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms) AS p50,
+            percentile_cont(0.95) WITHIN GROUP (ORDER BY latency_ms) AS p95
+        FROM public.api_request_logs
+        WHERE user_id = auth.uid()
+          AND (p_key_id IS NULL OR key_id = p_key_id)
+          AND created_at >= ((p_from - (p_to - p_from + 1))::timestamp AT TIME ZONE 'UTC')
+          AND created_at < ((p_to + 1)::timestamp AT TIME ZONE 'UTC')
+        GROUP BY 1
+    )
+    SELECT jsonb_build_object(
+        'totals', (
+            SELECT jsonb_build_object(
+                'requests', COALESCE(SUM(requests), 0),
+                'errors', COALESCE(SUM(errors), 0),
+                'inputTokens', COALESCE(SUM(input_tokens), 0),
+                'outputTokens', COALESCE(SUM(output_tokens), 0),
+                'p50', (SELECT ROUND(p50) FROM latency WHERE is_current),
+                'p95', (SELECT ROUND(p95) FROM latency WHERE is_current)
+            ) FROM current_usage
+        ),
+        'previous', (
+            SELECT jsonb_build_object(
+                'requests', COALESCE(SUM(requests), 0),
+                'errors', COALESCE(SUM(errors), 0),
+                'p50', (SELECT ROUND(p50) FROM latency WHERE NOT is_current),
+                'p95', (SELECT ROUND(p95) FROM latency WHERE NOT is_current)
+            ) FROM usage WHERE day < p_from
+        ),
+        'daily', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'day', day, 'requests', requests, 'errors', errors
+            ) ORDER BY day), '[]'::jsonb)
+            FROM (
+                SELECT day, SUM(requests) AS requests, SUM(errors) AS errors
+                FROM current_usage GROUP BY day
+            ) days
+        ),
+        'endpoints', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'method', method, 'route', route, 'requests', requests, 'errors', errors,
+                'avgLatency', ROUND(total_latency_ms::numeric / GREATEST(requests, 1))
+            ) ORDER BY requests DESC), '[]'::jsonb)
+            FROM (
+                SELECT method, route, SUM(requests) AS requests, SUM(errors) AS errors,
+                    SUM(total_latency_ms) AS total_latency_ms
+                FROM current_usage GROUP BY method, route
+                ORDER BY requests DESC LIMIT 10
+            ) routes
+        )
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Drop raw request logs older than 90 days (daily totals are kept)
+CREATE OR REPLACE FUNCTION public.purge_api_request_logs()
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM public.api_request_logs WHERE created_at < NOW() - INTERVAL '90 days';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the database owner and pg_cron run the purge
+REVOKE EXECUTE ON FUNCTION public.purge_api_request_logs() FROM PUBLIC, anon, authenticated;
+
+-- Swap the caller's recovery codes for a new set in one transaction, so a failed
+-- insert can't leave them with none. Needs an aal2 session like the table policies.
+CREATE OR REPLACE FUNCTION public.replace_mfa_recovery_codes(p_code_hashes TEXT[])
+RETURNS INTEGER AS $$
+BEGIN
+    IF auth.uid() IS NULL OR (auth.jwt() ->> 'aal') IS DISTINCT FROM 'aal2' THEN
+        RAISE EXCEPTION 'Verify your authenticator before changing recovery codes'
+            USING ERRCODE = 'insufficient_privilege', HINT = 'mfa_required';
+    END IF;
+
+    IF COALESCE(array_length(p_code_hashes, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'No recovery codes given' USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    DELETE FROM public.mfa_recovery_codes WHERE user_id = auth.uid();
+
+    INSERT INTO public.mfa_recovery_codes (user_id, code_hash)
+    SELECT auth.uid(), code_hash FROM unnest(p_code_hashes) AS code_hash;
+
+    RETURN array_length(p_code_hashes, 1);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Purge daily when pg_cron is enabled (Database -> Extensions); without it, schedule
+-- SELECT public.purge_api_request_logs() some other way
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+        PERFORM cron.schedule('purge-api-request-logs', '30 3 * * *', 'SELECT public.purge_api_request_logs()');
+    END IF;
+END;
+$$;
+
+-- Seats included in an organization owner's plan (mirrors SUBSCRIPTION_TIERS
+-- limits.teamMembers in paywall.js, -1 = unlimited)
+CREATE OR REPLACE FUNCTION public.organization_seat_limit(p_organization_id UUID)
+RETURNS INTEGER AS $$
+    SELECT CASE COALESCE((
+        SELECT s.tier FROM public.subscriptions s
+        JOIN public.organizations o ON o.owner_id = s.user_id
+        WHERE o.id = p_organization_id AND s.status IN ('active', 'trialing')
+    ), 'free')
+        WHEN 'enterprise' THEN -1
+        WHEN 'pro' THEN 5
+        ELSE 1
+    END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Seats taken: members plus unexpired pending invitations
+CREATE OR REPLACE FUNCTION public.organization_seats_used(p_organization_id UUID)
+RETURNS INTEGER AS $$
+    SELECT (
+        SELECT COUNT(*) FROM public.organization_members WHERE organization_id = p_organization_id
+    )::integer + (
+        SELECT COUNT(*) FROM public.organization_invitations
+        WHERE organization_id = p_organization_id AND status = 'pending' AND expires_at > NOW()
+    )::integer;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Refuse new members and invitations once every seat is taken
+CREATE OR REPLACE FUNCTION public.enforce_organization_seat_limit()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_limit INTEGER;
+BEGIN
+    IF TG_TABLE_NAME = 'organization_invitations' AND NEW.status <> 'pending' THEN
+        RETURN NEW;
+    END IF;
+
+    -- Serialize seat checks per organization
+    PERFORM 1 FROM public.organizations WHERE id = NEW.organization_id FOR UPDATE;
+
+    v_limit := public.organization_seat_limit(NEW.organization_id);
+    IF v_limit <> -1 AND public.organization_seats_used(NEW.organization_id) >= v_limit THEN
+        RAISE EXCEPTION 'All % seats on this plan are in use', v_limit
+            USING ERRCODE = 'check_violation', HINT = 'seat_limit_reached';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_member_seat_limit ON public.organization_members;
+CREATE TRIGGER enforce_member_seat_limit
+    BEFORE INSERT ON public.organization_members
+    FOR EACH ROW EXECUTE FUNCTION public.enforce_organization_seat_limit();
+
+DROP TRIGGER IF EXISTS enforce_invitation_seat_limit ON public.organization_invitations;
+CREATE TRIGGER enforce_invitation_seat_limit
+    BEFORE INSERT ON public.organization_invitations
+    FOR EACH ROW EXECUTE FUNCTION public.enforce_organization_seat_limit();
+
+-- Only owners and admins may move an organization prompt out or hand it to another author
+CREATE OR REPLACE FUNCTION public.protect_organization_prompt()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.organization_id IS NOT NULL
+        AND auth.uid() IS NOT NULL
+        AND (NEW.organization_id IS DISTINCT FROM OLD.organization_id OR NEW.user_id IS DISTINCT FROM OLD.user_id)
+        AND NOT public.has_organization_role(OLD.organization_id, ARRAY['owner', 'admin'])
+        -- Deleting the organization detaches its prompts through ON DELETE SET NULL
+        AND EXISTS (SELECT 1 FROM public.organizations WHERE id = OLD.organization_id) THEN
+        RAISE EXCEPTION 'Only owners and admins can move organization prompts'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_organization_prompt ON public.prompts;
+CREATE TRIGGER protect_organization_prompt
+    BEFORE UPDATE OF organization_id, user_id ON public.prompts
+    FOR EACH ROW EXECUTE FUNCTION public.protect_organization_prompt();
+
+-- Make an organization's creator its owner
+CREATE OR REPLACE FUNCTION public.handle_new_organization()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.organization_members (organization_id, user_id, role)
+    VALUES (NEW.id, NEW.owner_id, 'owner');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS on_organization_created ON public.organizations;
+CREATE TRIGGER on_organization_created
+    AFTER INSERT ON public.organizations
+    FOR EACH ROW EXECUTE FUNCTION public.handle_new_organization();
+
+-- Accept an invitation addressed to the caller's email; returns the organization ID
+CREATE OR REPLACE FUNCTION public.accept_organization_invitation(p_invitation_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    v_invitation public.organization_invitations%ROWTYPE;
+BEGIN
+    SELECT * INTO v_invitation FROM public.organization_invitations
+    WHERE id = p_invitation_id
+      AND status = 'pending'
+      AND lower(email) = lower(auth.jwt() ->> 'email')
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_invitation.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'This invitation is invalid or has expired' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    -- Free the invitation's seat before the member takes it
+    UPDATE public.organization_invitations
+    SET status = 'accepted', accepted_at = NOW()
+    WHERE id = p_invitation_id;
+
+    INSERT INTO public.organization_members (organization_id, user_id, role, invited_by)
+    VALUES (v_invitation.organization_id, auth.uid(), v_invitation.role, v_invitation.invited_by)
+    ON CONFLICT (organization_id, user_id) DO NOTHING;
+
+    RETURN v_invitation.organization_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Members with their profile details (profiles are otherwise private to their owner)
+CREATE OR REPLACE FUNCTION public.get_organization_members(p_organization_id UUID)
+RETURNS TABLE (
+    user_id UUID, role TEXT, email TEXT, first_name TEXT, last_name TEXT,
+    avatar_url TEXT, joined_at TIMESTAMPTZ
+) AS $$
+    SELECT m.user_id, m.role, p.email, p.first_name, p.last_name, p.avatar_url, m.created_at
+    FROM public.organization_members m
+    LEFT JOIN public.profiles p ON p.id = m.user_id
+    WHERE m.organization_id = p_organization_id
+      AND public.organization_role(p_organization_id) IS NOT NULL
+    ORDER BY array_position(ARRAY['owner', 'admin', 'editor', 'viewer'], m.role), m.created_at;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Reviews and comments belong to the version's prompt and that prompt's
+-- organization; callers only pass version_id. Personal prompts have to be shared
+-- with a team first.
+CREATE OR REPLACE FUNCTION public.set_prompt_collaboration_scope()
+RETURNS TRIGGER AS $$
+BEGIN
+    SELECT v.prompt_id, p.organization_id INTO NEW.prompt_id, NEW.organization_id
+    FROM public.prompt_versions v
+    JOIN public.prompts p ON p.id = v.prompt_id
+    WHERE v.id = NEW.version_id;
+
+    IF NEW.organization_id IS NULL THEN
+        RAISE EXCEPTION 'Share this prompt with a team first' USING ERRCODE = 'check_violation', HINT = 'prompt_not_shared';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS set_prompt_review_scope ON public.prompt_reviews;
+CREATE TRIGGER set_prompt_review_scope
+    BEFORE INSERT ON public.prompt_reviews
+    FOR EACH ROW EXECUTE FUNCTION public.set_prompt_collaboration_scope();
+
+DROP TRIGGER IF EXISTS set_prompt_version_comment_scope ON public.prompt_version_comments;
+CREATE TRIGGER set_prompt_version_comment_scope
+    BEFORE INSERT ON public.prompt_version_comments
+    FOR EACH ROW EXECUTE FUNCTION public.set_prompt_collaboration_scope();
+
+-- Only owners and admins set a team folder's approval policy; editors can still
+-- manage the folder otherwise
+CREATE OR REPLACE FUNCTION public.check_folder_approval_policy()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.organization_id IS NOT NULL
+       AND NEW.required_approvals IS DISTINCT FROM (CASE WHEN TG_OP = 'UPDATE' THEN OLD.required_approvals END)
+       AND NOT public.has_organization_role(NEW.organization_id, ARRAY['owner', 'admin']) THEN
+        RAISE EXCEPTION 'Only team owners and admins can change approval policies' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_folder_approval_policy ON public.folders;
+CREATE TRIGGER check_folder_approval_policy
+    BEFORE INSERT OR UPDATE OF required_approvals ON public.folders
+    FOR EACH ROW EXECUTE FUNCTION public.check_folder_approval_policy();
+
+-- Approvals needed to promote a prompt to production: the stricter of its
+-- folder's and its organization's policy
+CREATE OR REPLACE FUNCTION public.prompt_required_approvals(p_prompt_id UUID)
+RETURNS INTEGER AS $$
+    SELECT CASE WHEN p.organization_id IS NULL THEN 0
+                ELSE GREATEST(COALESCE(f.required_approvals, 0), COALESCE(o.required_approvals, 0))
+           END
+    FROM public.prompts p
+    LEFT JOIN public.folders f ON f.id = p.folder_id
+    LEFT JOIN public.organizations o ON o.id = p.organization_id
+    WHERE p.id = p_prompt_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Approve a pending review or request changes, optionally leaving a comment on
+-- the version. Reviewers are editors, admins and owners other than the requester.
+-- Each approval is recorded; the review closes as approved once the version has
+-- the approvals its prompt's policy requires (at least one).
+CREATE OR REPLACE FUNCTION public.decide_prompt_review(p_review_id UUID, p_status TEXT, p_comment TEXT DEFAULT NULL)
+RETURNS public.prompt_reviews AS $$
+DECLARE
+    v_review public.prompt_reviews%ROWTYPE;
+    v_approvals INTEGER;
+BEGIN
+    IF p_status NOT IN ('approved', 'changes_requested') THEN
+        RAISE EXCEPTION 'Invalid review decision: %', p_status USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    SELECT * INTO v_review FROM public.prompt_reviews WHERE id = p_review_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT public.has_organization_role(v_review.organization_id, ARRAY['owner', 'admin', 'editor']) THEN
+        RAISE EXCEPTION 'Review not found' USING ERRCODE = 'no_data_found';
+    END IF;
+    IF v_review.requested_by = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t review your own changes' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    IF v_review.status <> 'pending' THEN
+        RAISE EXCEPTION 'This review has already been closed' USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NULLIF(trim(p_comment), '') IS NOT NULL THEN
+        INSERT INTO public.prompt_version_comments (version_id, user_id, body)
+        VALUES (v_review.version_id, auth.uid(), trim(p_comment));
+    END IF;
+
+    IF p_status = 'approved' THEN
+        INSERT INTO public.prompt_version_approvals (version_id, prompt_id, organization_id, review_id, approved_by)
+        VALUES (v_review.version_id, v_review.prompt_id, v_review.organization_id, v_review.id, auth.uid())
+        ON CONFLICT (version_id, approved_by) DO NOTHING;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'You have already approved this version' USING ERRCODE = 'unique_violation';
+        END IF;
+
+        SELECT count(*) INTO v_approvals FROM public.prompt_version_approvals WHERE version_id = v_review.version_id;
+
+        -- Wait for more reviewers
+        IF v_approvals < GREATEST(public.prompt_required_approvals(v_review.prompt_id), 1) THEN
+            UPDATE public.prompt_reviews SET updated_at = NOW()
+            WHERE id = p_review_id
+            RETURNING * INTO v_review;
+            RETURN v_review;
+        END IF;
+    END IF;
+
+    UPDATE public.prompt_reviews
+    SET status = p_status, decided_by = auth.uid(), decided_at = NOW(), updated_at = NOW()
+    WHERE id = p_review_id
+    RETURNING * INTO v_review;
+
+    RETURN v_review;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Point an environment at a version. Production needs the approvals required by
+-- the prompt's policy. Team prompts can be promoted by editors and up, personal
+-- prompts by their author. The public API (service role) passes the API key's
+-- owner as p_actor_id; signed-in callers always act as themselves.
+CREATE OR REPLACE FUNCTION public.promote_prompt_version(
+    p_version_id UUID, p_environment TEXT, p_note TEXT DEFAULT NULL, p_actor_id UUID DEFAULT NULL
+) RETURNS public.prompt_promotions AS $$
+DECLARE
+    v_actor UUID := COALESCE(auth.uid(), CASE WHEN auth.jwt() ->> 'role' = 'service_role' THEN p_actor_id END);
+    v_prompt public.prompts%ROWTYPE;
+    v_previous UUID;
+    v_approvals INTEGER := 0;
+    v_required INTEGER := 0;
+    v_promotion public.prompt_promotions%ROWTYPE;
+BEGIN
+    IF p_environment NOT IN ('dev', 'staging', 'production') THEN
+        RAISE EXCEPTION 'Unknown environment: %', p_environment USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    SELECT p.* INTO v_prompt
+    FROM public.prompt_versions v
+    JOIN public.prompts p ON p.id = v.prompt_id
+    WHERE v.id = p_version_id
+    FOR UPDATE OF p;
+
+    IF NOT FOUND OR v_actor IS NULL OR NOT (
+        (v_prompt.organization_id IS NULL AND v_prompt.user_id = v_actor)
+        OR (v_prompt.organization_id IS NOT NULL AND EXISTS (
+            SELECT 1 FROM public.organization_members
+            WHERE organization_id = v_prompt.organization_id AND user_id = v_actor
+              AND role IN ('owner', 'admin', 'editor')
+        ))
+    ) THEN
+        RAISE EXCEPTION 'Version not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    SELECT count(*) INTO v_approvals FROM public.prompt_version_approvals WHERE version_id = p_version_id;
+    IF p_environment = 'production' THEN
+        v_required := public.prompt_required_approvals(v_prompt.id);
+        IF v_approvals < v_required THEN
+            RAISE EXCEPTION 'This version needs % approval(s) before it can go to production; it has %', v_required, v_approvals
+                USING ERRCODE = 'check_violation', HINT = 'approvals_required';
+        END IF;
+    END IF;
+
+    SELECT version_id INTO v_previous FROM public.prompt_deployments
+    WHERE prompt_id = v_prompt.id AND environment = p_environment;
+
+    INSERT INTO public.prompt_deployments (prompt_id, environment, version_id, promoted_by, promoted_at)
+    VALUES (v_prompt.id, p_environment, p_version_id, v_actor, NOW())
+    ON CONFLICT (prompt_id, environment) DO UPDATE
+    SET version_id = EXCLUDED.version_id, promoted_by = EXCLUDED.promoted_by, promoted_at = EXCLUDED.promoted_at;
+
+    INSERT INTO public.prompt_promotions (prompt_id, environment, version_id, previous_version_id, promoted_by, approvals, required_approvals, note)
+    VALUES (v_prompt.id, p_environment, p_version_id, v_previous, v_actor, v_approvals, v_required, NULLIF(trim(p_note), ''))
+    RETURNING * INTO v_promotion;
+
+    IF p_environment = 'production' AND v_prompt.status = 'draft' THEN
+        UPDATE public.prompts SET status = 'active', updated_at = NOW() WHERE id = v_prompt.id;
+    END IF;
+
+    INSERT INTO public.activity_log (user_id, action, resource_type, resource_id, metadata)
+    VALUES (v_actor, 'prompt.promoted', 'prompt', v_prompt.id, jsonb_build_object(
+        'environment', p_environment,
+        'versionId', p_version_id,
+        'previousVersionId', v_previous,
+        'approvals', v_approvals,
+        'requiredApprovals', v_required,
+        'organizationId', v_prompt.organization_id
+    ));
+
+    RETURN v_promotion;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Every content change to a prompt is saved as a prompt_versions row with an
+-- automatically bumped semantic version:
+--   major - a {{variable}} was removed or renamed, so callers must change
+--   minor - a {{variable}} was added
+--   patch - only the wording changed
+-- An explicit version set in the same update (e.g. PUT /v1/prompts/{id} with
+-- "version") is kept instead, as long as it is greater than the current one.
+
+-- {{variable}} names in a template, sorted and without duplicates
+CREATE OR REPLACE FUNCTION public.prompt_template_variables(p_content TEXT)
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(DISTINCT m[1] ORDER BY m[1]), '{}')
+    FROM regexp_matches(COALESCE(p_content, ''), '\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}', 'g') AS m;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- How much a content change bumps the version (see the header comment)
+CREATE OR REPLACE FUNCTION public.prompt_version_bump(p_old_content TEXT, p_new_content TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_old TEXT[] := public.prompt_template_variables(p_old_content);
+    v_new TEXT[] := public.prompt_template_variables(p_new_content);
+BEGIN
+    IF NOT v_old <@ v_new THEN
+        RETURN 'major';
+    ELSIF NOT v_new <@ v_old THEN
+        RETURN 'minor';
+    END IF;
+    RETURN 'patch';
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Apply a bump to a version string; anything that isn't x.y.z starts from 1.0.0
+CREATE OR REPLACE FUNCTION public.next_prompt_version(p_version TEXT, p_bump TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_parts TEXT[] := regexp_match(COALESCE(p_version, ''), '^v?(\d+)\.(\d+)\.(\d+)');
+BEGIN
+    IF v_parts IS NULL THEN
+        v_parts := ARRAY['1', '0', '0'];
+    END IF;
+    RETURN CASE p_bump
+        WHEN 'major' THEN (v_parts[1]::INT + 1) || '.0.0'
+        WHEN 'minor' THEN v_parts[1] || '.' || (v_parts[2]::INT + 1) || '.0'
+        ELSE v_parts[1] || '.' || v_parts[2] || '.' || (v_parts[3]::INT + 1)
+    END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Picks the version for new content before the row is written
+CREATE OR REPLACE FUNCTION public.set_prompt_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        NEW.version := COALESCE(substring(NEW.version FROM '^v?(\d+\.\d+\.\d+)$'), '1.0.0');
+    ELSIF NEW.content IS DISTINCT FROM OLD.content THEN
+        IF NEW.version IS DISTINCT FROM OLD.version AND NEW.version ~ '^\d+\.\d+\.\d+$' THEN
+            -- An explicit version has to move forward, so version numbers stay unique
+            IF string_to_array(NEW.version, '.')::INT[] <= (regexp_match(COALESCE(OLD.version, ''), '^v?(\d+)\.(\d+)\.(\d+)'))::INT[] THEN
+                RAISE EXCEPTION 'Version % must be greater than the current version %', NEW.version, OLD.version
+                    USING ERRCODE = 'check_violation', HINT = 'version_not_increasing';
+            END IF;
+            RETURN NEW;
+        END IF;
+        NEW.version := public.next_prompt_version(OLD.version, public.prompt_version_bump(OLD.content, NEW.content));
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Saves the new content as a version. restore_prompt_version() passes its change
+-- notes and the restored version through transaction-local settings.
+CREATE OR REPLACE FUNCTION public.record_prompt_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.content IS NOT DISTINCT FROM OLD.content THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.prompt_versions (prompt_id, version, content, change_notes, created_by, bump, restored_from)
+    VALUES (
+        NEW.id,
+        NEW.version,
+        NEW.content,
+        NULLIF(current_setting('promptingit.change_notes', TRUE), ''),
+        COALESCE(auth.uid(), NEW.user_id),
+        CASE WHEN TG_OP = 'UPDATE' THEN public.prompt_version_bump(OLD.content, NEW.content) END,
+        NULLIF(current_setting('promptingit.restored_from', TRUE), '')::UUID
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS set_prompt_version ON public.prompts;
+CREATE TRIGGER set_prompt_version
+    BEFORE INSERT OR UPDATE OF content ON public.prompts
+    FOR EACH ROW EXECUTE FUNCTION public.set_prompt_version();
+
+DROP TRIGGER IF EXISTS record_prompt_version ON public.prompts;
+CREATE TRIGGER record_prompt_version
+    AFTER INSERT OR UPDATE OF content ON public.prompts
+    FOR EACH ROW EXECUTE FUNCTION public.record_prompt_version();
+
+-- Roll a prompt back to an older version. The old content is saved as a new
+-- version (history is never rewritten) that points at the one it restored.
+-- Authors can restore personal prompts; editors and up can restore team prompts.
+CREATE OR REPLACE FUNCTION public.restore_prompt_version(p_version_id UUID, p_note TEXT DEFAULT NULL)
+RETURNS public.prompt_versions AS $$
+DECLARE
+    v_source public.prompt_versions%ROWTYPE;
+    v_prompt public.prompts%ROWTYPE;
+    v_restored public.prompt_versions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_source FROM public.prompt_versions WHERE id = p_version_id;
+    SELECT * INTO v_prompt FROM public.prompts WHERE id = v_source.prompt_id FOR UPDATE;
+
+    IF v_source.id IS NULL OR v_prompt.id IS NULL OR NOT (
+        (v_prompt.organization_id IS NULL AND v_prompt.user_id = auth.uid())
+        OR (v_prompt.organization_id IS NOT NULL AND public.has_organization_role(v_prompt.organization_id, ARRAY['owner', 'admin', 'editor']))
+    ) THEN
+        RAISE EXCEPTION 'Version not found' USING ERRCODE = 'no_data_found';
+    END IF;
+    IF v_source.content = v_prompt.content THEN
+        RAISE EXCEPTION 'This version is already the current content' USING ERRCODE = 'check_violation', HINT = 'already_current';
+    END IF;
+
+    PERFORM set_config('promptingit.change_notes',
+        'Restored from v' || v_source.version || COALESCE(': ' || NULLIF(trim(p_note), ''), ''), TRUE);
+    PERFORM set_config('promptingit.restored_from', v_source.id::TEXT, TRUE);
+
+    UPDATE public.prompts SET content = v_source.content, updated_at = NOW() WHERE id = v_prompt.id;
+
+    PERFORM set_config('promptingit.change_notes', '', TRUE);
+    PERFORM set_config('promptingit.restored_from', '', TRUE);
+
+    SELECT * INTO v_restored FROM public.prompt_versions
+    WHERE prompt_id = v_prompt.id AND restored_from = v_source.id
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    INSERT INTO public.activity_log (user_id, action, resource_type, resource_id, metadata)
+    VALUES (auth.uid(), 'prompt.version_restored', 'prompt', v_prompt.id, jsonb_build_object(
+        'versionId', v_restored.id,
+        'version', v_restored.version,
+        'restoredFromId', v_source.id,
+        'restoredFrom', v_source.version,
+        'previousVersion', v_prompt.version,
+        'organizationId', v_prompt.organization_id
+    ));
+
+    RETURN v_restored;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- library.html replays offline changes only if a row's updated_at is still the
+-- one the device last saw (see library-sync.js), so the server sets updated_at:
+-- a device with a wrong clock can't hide an edit from another device. Only changes
+-- to the synced columns (the trigger arguments) bump it, so run counts and the like
+-- don't look like edits.
+CREATE OR REPLACE FUNCTION public.touch_updated_at()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_old JSONB := to_jsonb(OLD);
+    v_new JSONB := to_jsonb(NEW);
+    v_column TEXT;
+BEGIN
+    NEW.updated_at := OLD.updated_at;
+    FOREACH v_column IN ARRAY TG_ARGV LOOP
+        IF v_new -> v_column IS DISTINCT FROM v_old -> v_column THEN
+            NEW.updated_at := NOW();
+            EXIT;
+        END IF;
+    END LOOP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS touch_prompts_updated_at ON public.prompts;
+CREATE TRIGGER touch_prompts_updated_at
+    BEFORE UPDATE ON public.prompts
+    FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at('title', 'description', 'content', 'category', 'tags', 'model', 'status', 'folder_id', 'variables');
+
+DROP TRIGGER IF EXISTS touch_folders_updated_at ON public.folders;
+CREATE TRIGGER touch_folders_updated_at
+    BEFORE UPDATE ON public.folders
+    FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at('name', 'color', 'icon', 'parent_id');
+
+-- Ranked search over the caller's prompts. p_query takes web search syntax
+-- ("exact phrase", or, -exclude); the other filters come from the library's
+-- tag:, model:, folder: and status: operators and their negated forms (-tag:). Matches in title and snippet are
+-- wrapped in chr(2) and chr(3) so the browser can escape the text before
+-- turning them into <mark> tags.
+DROP FUNCTION IF EXISTS public.search_prompts(TEXT, TEXT[], TEXT, TEXT, TEXT, INTEGER, INTEGER);
+CREATE OR REPLACE FUNCTION public.search_prompts(
+    p_query TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_model TEXT DEFAULT NULL,
+    p_folder TEXT DEFAULT NULL,
+    p_status TEXT DEFAULT NULL,
+    p_exclude_tags TEXT[] DEFAULT NULL,
+    p_exclude_models TEXT[] DEFAULT NULL,
+    p_exclude_folders TEXT[] DEFAULT NULL,
+    p_exclude_statuses TEXT[] DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    title_highlight TEXT,
+    description TEXT,
+    snippet TEXT,
+    tags TEXT[],
+    model TEXT,
+    status TEXT,
+    folder_id UUID,
+    updated_at TIMESTAMPTZ,
+    rank REAL
+) AS $$
+    WITH search AS (
+        SELECT CASE WHEN NULLIF(trim(p_query), '') IS NOT NULL THEN websearch_to_tsquery('english', p_query) END AS query
+    )
+    SELECT
+        p.id,
+        p.title,
+        CASE WHEN s.query IS NULL THEN p.title
+            ELSE ts_headline('english', p.title, s.query, 'HighlightAll=true, StartSel=' || chr(2) || ', StopSel=' || chr(3))
+        END AS title_highlight,
+        p.description,
+        CASE WHEN s.query IS NULL THEN left(COALESCE(NULLIF(p.description, ''), p.content), 200)
+            ELSE ts_headline('english', p.content, s.query,
+                'MaxFragments=2, MinWords=8, MaxWords=24, FragmentDelimiter=" ... ", StartSel=' || chr(2) || ', StopSel=' || chr(3))
+        END AS snippet,
+        p.tags,
+        p.model,
+        p.status,
+        p.folder_id,
+        p.updated_at,
+        (CASE WHEN s.query IS NULL THEN 0 ELSE ts_rank_cd(p.search_vector, s.query, 32) END)::REAL AS rank
+    FROM public.prompts p
+    CROSS JOIN search s
+    LEFT JOIN public.folders f ON f.id = p.folder_id
+    WHERE p.user_id = auth.uid()
+        AND (s.query IS NULL OR p.search_vector @@ s.query)
+        AND (p_status IS NULL OR p.status = lower(p_status))
+        AND (p_model IS NULL OR lower(p.model) = lower(p_model))
+        AND (p_folder IS NULL OR lower(f.name) = lower(p_folder))
+        AND (p_tags IS NULL OR NOT EXISTS (
+            SELECT 1 FROM unnest(p_tags) AS wanted
+            WHERE NOT EXISTS (SELECT 1 FROM unnest(p.tags) AS tag WHERE lower(tag) = lower(wanted))
+        ))
+        AND NOT EXISTS (SELECT 1 FROM unnest(p_exclude_statuses) AS unwanted WHERE p.status = lower(unwanted))
+        AND NOT EXISTS (SELECT 1 FROM unnest(p_exclude_models) AS unwanted WHERE lower(p.model) = lower(unwanted))
+        AND NOT EXISTS (SELECT 1 FROM unnest(p_exclude_folders) AS unwanted WHERE lower(f.name) = lower(unwanted))
+        AND NOT EXISTS (
+            SELECT 1 FROM unnest(p_exclude_tags) AS unwanted, unnest(p.tags) AS tag WHERE lower(tag) = lower(unwanted)
+        )
+    ORDER BY rank DESC, p.updated_at DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 100)
+    OFFSET GREATEST(p_offset, 0);
+$$ LANGUAGE sql STABLE;
+
+-- The caller's prompts whose embedding is closest to the given prompt's, by
+-- cosine similarity (1 = same wording)
+CREATE OR REPLACE FUNCTION public.match_similar_prompts(p_prompt_id UUID, p_threshold FLOAT DEFAULT 0.7, p_limit INTEGER DEFAULT 10)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    description TEXT,
+    status TEXT,
+    updated_at TIMESTAMPTZ,
+    similarity FLOAT
+) AS $$
+    SELECT p.id, p.title, p.description, p.status, p.updated_at, 1 - (e.embedding <=> source.embedding) AS similarity
+    FROM public.prompt_embeddings source
+    JOIN public.prompt_embeddings e ON e.prompt_id <> source.prompt_id AND e.model = source.model AND e.user_id = source.user_id
+    JOIN public.prompts p ON p.id = e.prompt_id
+    WHERE source.prompt_id = p_prompt_id
+        AND source.user_id = auth.uid()
+        AND 1 - (e.embedding <=> source.embedding) >= p_threshold
+    ORDER BY e.embedding <=> source.embedding
+    LIMIT LEAST(GREATEST(p_limit, 1), 50);
+$$ LANGUAGE sql STABLE;
+
+-- Imports that carry version history (library exports, PromptLayer templates
+-- with several versions) keep each version's number, notes and date.
+-- p_folders: [{ id, name, parentId, color, icon }], parents before children
+-- p_prompts: [{ id, folderId, title, description, content, category, tags,
+--              model, status, version, versions: [{ version, content,
+--              changeNotes, bump, createdAt }], variables: [...] }], versions
+--              oldest first; variables as stored in prompts.variables
+-- Folder references that aren't the caller's own folders are dropped.
+CREATE OR REPLACE FUNCTION public.import_prompts(p_folders JSONB DEFAULT '[]', p_prompts JSONB DEFAULT '[]', p_source TEXT DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    v_user UUID := auth.uid();
+    v_folder JSONB;
+    v_item JSONB;
+    v_prompt public.prompts%ROWTYPE;
+    v_recorded UUID;
+    v_history JSONB;
+    v_count INTEGER := 0;
+BEGIN
+    IF v_user IS NULL THEN
+        RAISE EXCEPTION 'Sign in to import prompts' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    FOR v_folder IN SELECT value FROM jsonb_array_elements(COALESCE(p_folders, '[]')) LOOP
+        INSERT INTO public.folders (id, user_id, name, parent_id, color, icon)
+        VALUES (
+            (v_folder->>'id')::UUID,
+            v_user,
+            v_folder->>'name',
+            (SELECT f.id FROM public.folders f WHERE f.id = NULLIF(v_folder->>'parentId', '')::UUID AND f.user_id = v_user),
+            COALESCE(v_folder->>'color', '#67e8f9'),
+            COALESCE(v_folder->>'icon', 'folder')
+        );
+    END LOOP;
+
+    -- The version the prompts trigger records for each new prompt gets these notes
+    PERFORM set_config('promptingit.change_notes', 'Imported from ' || COALESCE(NULLIF(trim(p_source), ''), 'a file'), TRUE);
+
+    FOR v_item IN SELECT value FROM jsonb_array_elements(COALESCE(p_prompts, '[]')) LOOP
+        INSERT INTO public.prompts (id, user_id, folder_id, title, description, content, category, tags, model, status, version, variables)
+        VALUES (
+            (v_item->>'id')::UUID,
+            v_user,
+            (SELECT f.id FROM public.folders f WHERE f.id = NULLIF(v_item->>'folderId', '')::UUID AND f.user_id = v_user),
+            v_item->>'title',
+            v_item->>'description',
+            v_item->>'content',
+            v_item->>'category',
+            ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_item->'tags', '[]'))),
+            COALESCE(v_item->>'model', 'gpt-4'),
+            COALESCE(v_item->>'status', 'draft'),
+            v_item->>'version',
+            CASE WHEN public.prompt_variables_valid(v_item->'variables') THEN v_item->'variables' ELSE '[]' END
+        )
+        RETURNING * INTO v_prompt;
+        v_count := v_count + 1;
+
+        SELECT COALESCE(jsonb_agg(h.value ORDER BY h.ordinality), '[]') INTO v_history
+        FROM jsonb_array_elements(COALESCE(v_item->'versions', '[]')) WITH ORDINALITY AS h
+        WHERE NULLIF(h.value->>'content', '') IS NOT NULL;
+
+        CONTINUE WHEN jsonb_array_length(v_history) = 0;
+
+        SELECT id INTO v_recorded FROM public.prompt_versions WHERE prompt_id = v_prompt.id;
+
+        INSERT INTO public.prompt_versions (prompt_id, version, content, change_notes, created_by, bump, created_at)
+        SELECT
+            v_prompt.id,
+            COALESCE(substring(h.value->>'version' FROM '^v?(\d+\.\d+\.\d+)$'), '1.0.0'),
+            h.value->>'content',
+            h.value->>'changeNotes',
+            v_user,
+            CASE WHEN h.value->>'bump' IN ('major', 'minor', 'patch') THEN h.value->>'bump' END,
+            COALESCE((h.value->>'createdAt')::TIMESTAMPTZ, NOW() - (jsonb_array_length(v_history) - h.ordinality + 1) * INTERVAL '1 second')
+        FROM jsonb_array_elements(v_history) WITH ORDINALITY AS h;
+
+        -- The recorded version only duplicates the newest imported one, unless the
+        -- prompt was edited after that version was saved
+        IF v_history->-1->>'content' = v_prompt.content THEN
+            DELETE FROM public.prompt_versions WHERE id = v_recorded;
+        END IF;
+    END LOOP;
+
+    PERFORM set_config('promptingit.change_notes', '', TRUE);
+
+    INSERT INTO public.activity_log (user_id, action, resource_type, metadata)
+    VALUES (v_user, 'library.imported', 'prompt', jsonb_build_object(
+        'source', p_source,
+        'prompts', v_count,
+        'folders', jsonb_array_length(COALESCE(p_folders, '[]'))
+    ));
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
 -- ============================================
 -- INDEXES
 -- ============================================
@@ -377,6 +1889,10 @@ CREATE INDEX IF NOT EXISTS idx_profiles_role ON public.profiles(role);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_tier ON public.subscriptions(tier);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON public.subscriptions(status);
 CREATE INDEX IF NOT EXISTS idx_prompts_user ON public.prompts(user_id);
+CREATE INDEX IF NOT EXISTS idx_prompts_user_updated ON public.prompts(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prompts_search ON public.prompts USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_prompt_embeddings_user ON public.prompt_embeddings(user_id);
+CREATE INDEX IF NOT EXISTS idx_prompt_embeddings_vector ON public.prompt_embeddings USING hnsw (embedding vector_cosine_ops);
 CREATE INDEX IF NOT EXISTS idx_prompts_status ON public.prompts(status);
 CREATE INDEX IF NOT EXISTS idx_prompts_folder ON public.prompts(folder_id);
 CREATE INDEX IF NOT EXISTS idx_prompts_public ON public.prompts(is_public) WHERE is_public = TRUE;
@@ -384,17 +1900,58 @@ CREATE INDEX IF NOT EXISTS idx_prompts_marketplace ON public.prompts(is_marketpl
 CREATE INDEX IF NOT EXISTS idx_prompts_category ON public.prompts(category);
 CREATE INDEX IF NOT EXISTS idx_folders_user ON public.folders(user_id);
 CREATE INDEX IF NOT EXISTS idx_folders_parent ON public.folders(parent_id);
+CREATE INDEX IF NOT EXISTS idx_prompts_organization ON public.prompts(organization_id) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_folders_organization ON public.folders(organization_id) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_organization_members_user ON public.organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_email ON public.organization_invitations(lower(email));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invitations_pending_email ON public.organization_invitations(organization_id, lower(email)) WHERE status = 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_reviews_pending_version ON public.prompt_reviews(version_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_prompt_reviews_organization ON public.prompt_reviews(organization_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prompt_version_comments_version ON public.prompt_version_comments(version_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_prompt_version_comments_organization ON public.prompt_version_comments(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_prompt ON public.prompt_versions(prompt_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prompt_version_approvals_prompt ON public.prompt_version_approvals(prompt_id);
+CREATE INDEX IF NOT EXISTS idx_prompt_deployments_version ON public.prompt_deployments(version_id);
+CREATE INDEX IF NOT EXISTS idx_prompt_promotions_prompt_created ON public.prompt_promotions(prompt_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_purchases_buyer ON public.purchases(buyer_id);
 CREATE INDEX IF NOT EXISTS idx_purchases_seller ON public.purchases(seller_id);
 CREATE INDEX IF NOT EXISTS idx_purchases_prompt ON public.purchases(prompt_id);
 CREATE INDEX IF NOT EXISTS idx_activity_user ON public.activity_log(user_id);
 CREATE INDEX IF NOT EXISTS idx_activity_created ON public.activity_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_prompt_runs_user_created ON public.prompt_runs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_prompt_runs_prompt ON public.prompt_runs(prompt_id);
+CREATE INDEX IF NOT EXISTS idx_api_request_logs_user_created ON public.api_request_logs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_request_logs_key_created ON public.api_request_logs(key_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_usage_daily_user_day ON public.api_usage_daily(user_id, day);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_hash ON public.mfa_recovery_codes(user_id, code_hash);
 CREATE INDEX IF NOT EXISTS idx_reviews_prompt ON public.reviews(prompt_id);
 CREATE INDEX IF NOT EXISTS idx_reviews_user ON public.reviews(user_id);
 CREATE INDEX IF NOT EXISTS idx_payouts_user ON public.payouts(user_id);
 CREATE INDEX IF NOT EXISTS idx_payouts_status ON public.payouts(status);
 CREATE INDEX IF NOT EXISTS idx_newsletter_email ON public.newsletter_subscribers(email);
 
+-- ============================================
+-- REALTIME
+-- workspace.html listens for changes to these tables. Realtime applies the
+-- SELECT policies above, so members only receive their own teams' rows.
+-- ============================================
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        FOREACH v_table IN ARRAY ARRAY['prompts', 'prompt_reviews', 'prompt_version_comments', 'prompt_version_approvals'] LOOP
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_publication_tables
+                WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = v_table
+            ) THEN
+                EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', v_table);
+            END IF;
+        END LOOP;
+    END IF;
+END;
+$$;
+
 -- ============================================
 -- ADDITIONAL FUNCTIONS
 -- ============================================
@@ -727,6 +2284,11 @@ CREATE POLICY "Admins can manage settings"
         )
     );
 
+-- The AI model catalog (model-catalog.js) is readable by every signed-in user
+CREATE POLICY "Authenticated users can view model catalog"
+    ON public.settings FOR SELECT
+    USING (key = 'model_catalog' AND auth.uid() IS NOT NULL);
+
 -- SECURITY NOTE: Owner credentials should be set via SQL after initial setup:
 -- INSERT INTO public.settings (key, value, description) VALUES 
 --   ('owner_email', 'your-owner-email@example.com', 'Owner account email'),
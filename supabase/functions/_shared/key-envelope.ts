@@ -0,0 +1,172 @@
+// Envelope encryption for provider keys stored in api_keys.key_hash
+// Shared by llm-proxy and key-vault. Mirrors SecurityCrypto in security-crypto.js:
+//
+//   v2:srv:<wrapped data key>:<iv>:<ciphertext>   data key wrapped with KEY_ENCRYPTION_KEY
+//   v2:pwd:<wrapped data key>:<iv>:<ciphertext>   data key wrapped with a user passphrase
+//                                                 (browser only - the server never sees it)
+//
+// Each secret is encrypted with its own random AES-256-GCM data key. Both layers use the
+// owner's user ID as additional authenticated data, so a blob copied to another user's row
+// won't decrypt. Older blobs (v1: PBKDF2 of the user ID, or plain base64) still decrypt and
+// are reported as legacy so callers can re-encrypt them.
+
+const VERSION = 'v2'
+
+// Key-encryption key, set with: supabase secrets set KEY_ENCRYPTION_KEY=$(openssl rand -base64 32)
+let kekPromise: Promise<CryptoKey> | null = null
+
+export class KeyEnvelopeError extends Error {
+  status: number
+  code: string
+
+  constructor(message: string, status: number, code: string) {
+    super(message)
+    this.status = status
+    this.code = code
+  }
+}
+
+export function toBase64(bytes: Uint8Array): string {
+  let binary = ''
+  bytes.forEach(byte => { binary += String.fromCharCode(byte) })
+  return btoa(binary)
+}
+
+export function fromBase64(value: string): Uint8Array {
+  return Uint8Array.from(atob(value), c => c.charCodeAt(0))
+}
+
+function getKeyEncryptionKey(): Promise<CryptoKey> {
+  if (!kekPromise) {
+    const secret = Deno.env.get('KEY_ENCRYPTION_KEY')
+    if (!secret) {
+      throw new KeyEnvelopeError('Key encryption is not configured', 500, 'kek_missing')
+    }
+
+    const raw = fromBase64(secret)
+    if (raw.length !== 32) {
+      throw new KeyEnvelopeError('KEY_ENCRYPTION_KEY must be 32 bytes of base64', 500, 'kek_invalid')
+    }
+
+    kekPromise = crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+  }
+  return kekPromise
+}
+
+// Wrap a raw 32-byte data key: base64(IV + AES-GCM(KEK, dataKey, aad = userId))
+export async function wrapDataKey(dataKey: Uint8Array, userId: string): Promise<string> {
+  if (dataKey.length !== 32) {
+    throw new KeyEnvelopeError('Data key must be 32 bytes', 400, 'invalid_request')
+  }
+
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const wrapped = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(userId) },
+    await getKeyEncryptionKey(),
+    dataKey
+  )
+
+  const combined = new Uint8Array(iv.length + wrapped.byteLength)
+  combined.set(iv, 0)
+  combined.set(new Uint8Array(wrapped), iv.length)
+  return toBase64(combined)
+}
+
+export async function unwrapDataKey(wrappedKey: string, userId: string): Promise<Uint8Array> {
+  try {
+    const combined = fromBase64(wrappedKey)
+    const dataKey = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: combined.slice(0, 12), additionalData: new TextEncoder().encode(userId) },
+      await getKeyEncryptionKey(),
+      combined.slice(12)
+    )
+    return new Uint8Array(dataKey)
+  } catch (error) {
+    if (error instanceof KeyEnvelopeError) throw error
+    throw new KeyEnvelopeError('Failed to unwrap data key', 400, 'unwrap_failed')
+  }
+}
+
+// Encrypt a secret as a v2:srv blob
+export async function encryptSecret(plaintext: string, userId: string): Promise<string> {
+  const dataKey = crypto.getRandomValues(new Uint8Array(32))
+  const key = await crypto.subtle.importKey('raw', dataKey, { name: 'AES-GCM' }, false, ['encrypt'])
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(userId) },
+    key,
+    new TextEncoder().encode(plaintext)
+  )
+
+  const wrappedKey = await wrapDataKey(dataKey, userId)
+  return [VERSION, 'srv', wrappedKey, toBase64(iv), toBase64(new Uint8Array(ciphertext))].join(':')
+}
+
+// v1 scheme: AES-256-GCM with a key derived from the user ID, IV prefix, base64 fallback
+async function decryptLegacy(blob: string, userId: string): Promise<string> {
+  const encoder = new TextEncoder()
+
+  try {
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(userId + '_promptingit_secure_2024'),
+      { name: 'PBKDF2' },
+      false,
+      ['deriveKey']
+    )
+    const key = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: encoder.encode('promptingit_salt_v1'), iterations: 100000, hash: 'SHA-256' },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['decrypt']
+    )
+
+    const combined = fromBase64(blob)
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: combined.slice(0, 12) },
+      key,
+      combined.slice(12)
+    )
+    return new TextDecoder().decode(decrypted)
+  } catch (_error) {
+    // Keys saved before encryption was added are plain base64
+    try {
+      return atob(blob)
+    } catch (_e) {
+      throw new KeyEnvelopeError('Failed to decrypt API key', 400, 'decrypt_failed')
+    }
+  }
+}
+
+// Decrypt any stored blob; legacy is true when it should be re-encrypted with encryptSecret()
+export async function decryptSecret(blob: string, userId: string): Promise<{ plaintext: string, legacy: boolean }> {
+  if (!blob.startsWith(VERSION + ':')) {
+    return { plaintext: await decryptLegacy(blob, userId), legacy: true }
+  }
+
+  const [, scheme, wrappedKey, iv, ciphertext] = blob.split(':')
+  if (scheme === 'pwd') {
+    throw new KeyEnvelopeError(
+      'This API key is protected with a passphrase and can only be used from the browser.',
+      400,
+      'passphrase_required'
+    )
+  }
+  if (scheme !== 'srv' || !wrappedKey || !iv || !ciphertext) {
+    throw new KeyEnvelopeError('Unrecognized API key format', 400, 'decrypt_failed')
+  }
+
+  const dataKey = await unwrapDataKey(wrappedKey, userId)
+  try {
+    const key = await crypto.subtle.importKey('raw', dataKey, { name: 'AES-GCM' }, false, ['decrypt'])
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(iv), additionalData: new TextEncoder().encode(userId) },
+      key,
+      fromBase64(ciphertext)
+    )
+    return { plaintext: new TextDecoder().decode(decrypted), legacy: false }
+  } catch (_error) {
+    throw new KeyEnvelopeError('Failed to decrypt API key', 400, 'decrypt_failed')
+  }
+}
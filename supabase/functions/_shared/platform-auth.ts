@@ -0,0 +1,139 @@
+// Authenticates requests made with platform API keys (created in api-console.html)
+// Keys look like pk_live_<40 chars> or pk_test_<40 chars>; api_keys stores only the
+// SHA-256 hex digest plus a short visible prefix. permissions holds the key's scopes.
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+export const API_KEY_SCOPES = ['prompts:read', 'prompts:write', 'prompts:run', 'marketplace:read']
+
+const KEY_PATTERN = /^pk_(live|test)_[A-Za-z0-9]{32,64}$/
+
+export class ApiAuthError extends Error {
+  status: number
+  code: string
+  // Set for insufficient_scope and rate_limited, where the key itself was valid (so the request can be logged)
+  key?: ApiKeyContext
+  // Seconds until a rate-limited key can be used again
+  retryAfter?: number
+
+  constructor(message: string, status: number, code: string, key?: ApiKeyContext, retryAfter?: number) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.key = key
+    this.retryAfter = retryAfter
+  }
+}
+
+export interface ApiKeyContext {
+  keyId: string
+  userId: string
+  name: string
+  scopes: string[]
+  environment: 'live' | 'test'
+  expiresAt: string | null
+  rateLimit: number
+}
+
+export async function hashApiKey(apiKey: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey))
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Read the key from "Authorization: Bearer pk_..." or "x-api-key: pk_..."
+export function readApiKey(req: Request): string | null {
+  const bearer = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '').trim()
+  if (bearer.startsWith('pk_')) return bearer
+
+  const header = (req.headers.get('x-api-key') || '').trim()
+  return header || null
+}
+
+// Look up and check the request's key; throws ApiAuthError (401/403/429) when it can't be used.
+// requiredScope is checked when given, then the call is counted against the key's per-minute
+// rate_limit (consume_api_key_call also records last_used_at and calls_used).
+export async function authenticateApiKey(
+  req: Request,
+  supabase: SupabaseClient,
+  requiredScope?: string
+): Promise<ApiKeyContext> {
+  const apiKey = readApiKey(req)
+  if (!apiKey) {
+    throw new ApiAuthError('API key required. Send it as "Authorization: Bearer pk_..."', 401, 'missing_api_key')
+  }
+  if (!KEY_PATTERN.test(apiKey)) {
+    throw new ApiAuthError('Invalid API key', 401, 'invalid_api_key')
+  }
+
+  const { data: key, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id, name, key_prefix, permissions, rate_limit, expires_at, is_active')
+    .eq('key_type', 'platform')
+    .eq('key_hash', await hashApiKey(apiKey))
+    .maybeSingle()
+
+  if (error) throw error
+  if (!key || !key.is_active) {
+    throw new ApiAuthError('Invalid API key', 401, 'invalid_api_key')
+  }
+  if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) {
+    throw new ApiAuthError('This API key has expired', 401, 'api_key_expired')
+  }
+
+  const scopes: string[] = key.permissions || []
+  const context: ApiKeyContext = {
+    keyId: key.id,
+    userId: key.user_id,
+    name: key.name,
+    scopes,
+    environment: apiKey.startsWith('pk_live_') ? 'live' : 'test',
+    expiresAt: key.expires_at,
+    rateLimit: key.rate_limit,
+  }
+
+  if (requiredScope && !scopes.includes(requiredScope)) {
+    throw new ApiAuthError(`This API key is missing the ${requiredScope} scope`, 403, 'insufficient_scope', context)
+  }
+
+  const { data: usage, error: usageError } = await supabase.rpc('consume_api_key_call', { p_key_id: key.id })
+  if (usageError) throw usageError
+  if (!usage.allowed) {
+    const retryAfter = Math.max(1, Math.ceil((new Date(usage.resetAt).getTime() - Date.now()) / 1000))
+    throw new ApiAuthError(
+      `Rate limit of ${usage.limit} requests per minute exceeded for this API key`,
+      429,
+      'rate_limited',
+      context,
+      retryAfter
+    )
+  }
+
+  return context
+}
+
+export interface ApiRequestLog {
+  method: string
+  route: string
+  status: number
+  latencyMs: number
+  inputTokens?: number
+  outputTokens?: number
+  errorCode?: string | null
+}
+
+// Record one authenticated request in api_request_logs (a trigger rolls it into
+// api_usage_daily for the API Console). Failures are logged, never thrown.
+export async function logApiRequest(supabase: SupabaseClient, key: ApiKeyContext, entry: ApiRequestLog) {
+  const { error } = await supabase.from('api_request_logs').insert({
+    user_id: key.userId,
+    key_id: key.keyId,
+    method: entry.method,
+    route: entry.route,
+    status: entry.status,
+    latency_ms: Math.round(entry.latencyMs),
+    input_tokens: entry.inputTokens || 0,
+    output_tokens: entry.outputTokens || 0,
+    error_code: entry.errorCode || null,
+  })
+  if (error) console.error('Failed to log API request:', error)
+}
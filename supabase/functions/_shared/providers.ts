@@ -0,0 +1,485 @@
+// Provider plumbing shared by llm-proxy and the public API (api function):
+// provider endpoints, stored-key lookup with rotation fallback, monthly quota and
+// the prompt_runs usage ledger.
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { decryptSecret, encryptSecret } from './key-envelope.ts'
+
+// keyName matches the row name in api_keys; endpoints match ModelCatalog.ENDPOINTS
+export const PROVIDERS: Record<string, { keyName: string, endpoints: string[] }> = {
+  claude: { keyName: 'Claude API Key', endpoints: ['messages'] },
+  openai: { keyName: 'OpenAI API Key', endpoints: ['responses', 'chat'] },
+  gemini: { keyName: 'Gemini API Key', endpoints: ['generateContent'] },
+}
+
+// Monthly run limits per tier (mirrors SUBSCRIPTION_TIERS limits.apiCalls in paywall.js, -1 = unlimited)
+export const API_CALL_LIMITS: Record<string, number> = {
+  free: 100,
+  pro: 1000,
+  enterprise: -1,
+}
+
+export class ProviderError extends Error {
+  status: number
+  code: string
+
+  constructor(message: string, status: number, code: string) {
+    super(message)
+    this.status = status
+    this.code = code
+  }
+}
+
+// Decrypt a stored provider key, re-encrypting keys stored in a pre-envelope format
+async function loadApiKey(supabase: SupabaseClient, keyRow: { id: string, key_hash: string }, userId: string) {
+  const { plaintext, legacy } = await decryptSecret(keyRow.key_hash, userId)
+
+  if (legacy) {
+    // The run goes ahead if this fails
+    try {
+      const { error } = await supabase
+        .from('api_keys')
+        .update({ key_hash: await encryptSecret(plaintext, userId) })
+        .eq('id', keyRow.id)
+      if (error) throw error
+    } catch (error) {
+      console.error('Failed to re-encrypt legacy API key:', error)
+    }
+  }
+
+  return plaintext
+}
+
+// Build the upstream URL and headers for a provider endpoint
+export function providerRequest(provider: string, endpoint: string, model: string, apiKey: string, stream: boolean) {
+  switch (provider) {
+    case 'claude':
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+      }
+    case 'openai':
+      return {
+        url: endpoint === 'responses'
+          ? 'https://api.openai.com/v1/responses'
+          : 'https://api.openai.com/v1/chat/completions',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+      }
+    case 'gemini': {
+      const method = stream ? 'streamGenerateContent' : 'generateContent'
+      const query = stream ? `alt=sse&key=${apiKey}` : `key=${apiKey}`
+      return {
+        url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}?${query}`,
+        headers: { 'Content-Type': 'application/json' },
+      }
+    }
+    default:
+      throw new ProviderError(`Unknown AI provider: ${provider}`, 400, 'invalid_request')
+  }
+}
+
+// Pull token usage out of a provider response body or stream event
+export function extractUsage(data: any, usage: { inputTokens: number, outputTokens: number }) {
+  if (!data || typeof data !== 'object') return usage
+
+  // Anthropic: message body, message_start and message_delta events
+  const anthropic = data.message?.usage || (data.type === 'message_delta' ? data.usage : null) ||
+    (data.type === 'message' ? data.usage : null)
+  if (anthropic) {
+    return {
+      inputTokens: anthropic.input_tokens || usage.inputTokens,
+      outputTokens: anthropic.output_tokens || usage.outputTokens,
+    }
+  }
+
+  // OpenAI: Responses (response.completed) and Chat Completions (final chunk / body)
+  const openai = data.response?.usage || (data.object ? data.usage : null)
+  if (openai) {
+    return {
+      inputTokens: openai.input_tokens || openai.prompt_tokens || usage.inputTokens,
+      outputTokens: openai.output_tokens || openai.completion_tokens || usage.outputTokens,
+    }
+  }
+
+  // Gemini: usageMetadata on the body and on each streamed chunk
+  if (data.usageMetadata) {
+    return {
+      inputTokens: data.usageMetadata.promptTokenCount || usage.inputTokens,
+      outputTokens: data.usageMetadata.candidatesTokenCount || usage.outputTokens,
+    }
+  }
+
+  return usage
+}
+
+export interface StreamOutcome {
+  usage: { inputTokens: number, outputTokens: number }
+  status: 'success' | 'error' | 'cancelled'
+  error?: string
+}
+
+// Pass an SSE stream through to the client while collecting its usage numbers. outcome
+// resolves once the stream is over: 'cancelled' when the client disconnects first, 'error'
+// when the upstream stream fails or sends an error event.
+export function scanStreamUsage(body: ReadableStream<Uint8Array>) {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let usage = { inputTokens: 0, outputTokens: 0 }
+  let streamError: string | null = null
+
+  let settle!: (outcome: StreamOutcome) => void
+  const outcome = new Promise<StreamOutcome>(resolve => { settle = resolve })
+
+  const scan = (text: string) => {
+    buffer += text
+    const lines = buffer.split(/\r?\n/)
+    buffer = lines.pop() || ''
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue
+      try {
+        const event = JSON.parse(line.slice(5).trim())
+        usage = extractUsage(event, usage)
+
+        // Anthropic "error" events, OpenAI response.failed and error chunks, Gemini error bodies
+        const failure = event.type === 'response.failed' ? event.response?.error : event.error
+        if (failure && !streamError) {
+          streamError = String(failure.message || JSON.stringify(failure)).slice(0, 500)
+        }
+      } catch (_error) {
+        // "[DONE]" sentinel and partial lines
+      }
+    }
+  }
+
+  const stream = new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { value, done } = await reader.read()
+        if (done) {
+          scan(decoder.decode() + '\n')
+          settle(streamError ? { usage, status: 'error', error: streamError } : { usage, status: 'success' })
+          controller.close()
+          return
+        }
+        scan(decoder.decode(value, { stream: true }))
+        controller.enqueue(value)
+      } catch (error) {
+        settle({ usage, status: 'error', error: `Stream failed: ${error.message || error}` })
+        controller.error(error)
+      }
+    },
+    async cancel(reason) {
+      settle({ usage, status: 'cancelled' })
+      await reader.cancel(reason)
+    },
+  })
+
+  return { stream, outcome }
+}
+
+export interface CatalogEntry {
+  id: string
+  provider: string
+  apiId: string
+  endpoint: string
+  pricing?: { input: number, output: number } | null
+}
+
+// Look a model up in the owner-managed model catalog (settings.model_catalog)
+export async function loadCatalogEntry(supabase: SupabaseClient, model: string): Promise<CatalogEntry | null> {
+  const { data } = await supabase
+    .from('settings')
+    .select('value')
+    .eq('key', 'model_catalog')
+    .maybeSingle()
+
+  try {
+    const catalog = data?.value ? JSON.parse(data.value) : []
+    return catalog.find((m: any) =>
+      m.id === model || m.apiId === model || (m.aliases || []).includes(model)
+    ) || null
+  } catch (_error) {
+    return null
+  }
+}
+
+// Per-1M-token pricing from the model catalog
+export async function loadPricing(supabase: SupabaseClient, model: string) {
+  return (await loadCatalogEntry(supabase, model))?.pricing || null
+}
+
+// Resolve a model ID to its provider and endpoint. Models missing from the saved catalog
+// are matched by name and sent as-is (mirrors ModelCatalog.resolve in model-catalog.js).
+export async function resolveModel(supabase: SupabaseClient, model: string): Promise<CatalogEntry> {
+  const entry = await loadCatalogEntry(supabase, model)
+  if (entry) return entry
+
+  if (/^claude/.test(model)) return { id: model, provider: 'claude', apiId: model, endpoint: 'messages' }
+  if (/^gemini/.test(model)) return { id: model, provider: 'gemini', apiId: model, endpoint: 'generateContent' }
+  if (/^(gpt|o\d|chatgpt)/.test(model)) return { id: model, provider: 'openai', apiId: model, endpoint: 'responses' }
+
+  throw new ProviderError(`Unknown model: ${model}`, 400, 'invalid_model')
+}
+
+interface PromptRequest {
+  prompt: string
+  system?: string
+  maxTokens?: number
+  temperature?: number
+}
+
+// Request body for a single-turn, non-streaming run of a prompt
+export function buildPromptBody(entry: CatalogEntry, request: PromptRequest) {
+  const { prompt, system, maxTokens = 4096, temperature } = request
+
+  switch (entry.provider) {
+    case 'claude':
+      return {
+        model: entry.apiId,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+        ...(system ? { system } : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+      }
+    case 'openai':
+      if (entry.endpoint === 'responses') {
+        return {
+          model: entry.apiId,
+          input: prompt,
+          max_output_tokens: maxTokens,
+          ...(system ? { instructions: system } : {}),
+          ...(temperature !== undefined ? { temperature } : {}),
+        }
+      }
+      return {
+        model: entry.apiId,
+        messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        ...(temperature !== undefined ? { temperature } : {}),
+      }
+    case 'gemini':
+      return {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          ...(temperature !== undefined ? { temperature } : {}),
+        },
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      }
+    default:
+      throw new ProviderError(`Unknown AI provider: ${entry.provider}`, 400, 'invalid_request')
+  }
+}
+
+// Reply text and finish reason from a non-streaming provider response
+export function extractReply(provider: string, data: any): { text: string, finishReason: string | null } {
+  switch (provider) {
+    case 'claude':
+      return {
+        text: (data.content || []).filter((block: any) => block.type === 'text').map((block: any) => block.text).join(''),
+        finishReason: data.stop_reason || null,
+      }
+    case 'openai':
+      if (Array.isArray(data.output)) {
+        const text = data.output
+          .filter((item: any) => item.type === 'message')
+          .flatMap((item: any) => item.content || [])
+          .filter((part: any) => part.type === 'output_text')
+          .map((part: any) => part.text)
+          .join('')
+        return { text, finishReason: data.status || null }
+      }
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        finishReason: data.choices?.[0]?.finish_reason || null,
+      }
+    case 'gemini': {
+      const candidate = data.candidates?.[0]
+      return {
+        text: (candidate?.content?.parts || []).map((part: any) => part.text || '').join(''),
+        finishReason: candidate?.finishReason || null,
+      }
+    }
+    default:
+      return { text: '', finishReason: null }
+  }
+}
+
+export async function enforceQuota(supabase: SupabaseClient, userId: string) {
+  // Owners and admins aren't metered
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', userId)
+    .maybeSingle()
+  if (profile && ['owner', 'admin'].includes(profile.role)) return
+
+  const { data: subscription } = await supabase
+    .from('subscriptions')
+    .select('tier, status')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  const tier = subscription && ['active', 'trialing'].includes(subscription.status)
+    ? subscription.tier
+    : 'free'
+  const limit = API_CALL_LIMITS[tier] ?? API_CALL_LIMITS.free
+  if (limit === -1) return
+
+  const monthStart = new Date()
+  monthStart.setUTCDate(1)
+  monthStart.setUTCHours(0, 0, 0, 0)
+
+  // Failed runs don't count against the limit
+  const { count, error } = await supabase
+    .from('prompt_runs')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .neq('status', 'error')
+    .gte('created_at', monthStart.toISOString())
+
+  if (error) throw error
+
+  if ((count || 0) >= limit) {
+    throw new ProviderError(
+      `Monthly limit of ${limit} AI runs reached for the ${tier} plan. Upgrade to keep running prompts.`,
+      402,
+      'quota_exceeded'
+    )
+  }
+}
+
+export interface RunRecord {
+  provider: string
+  model: string
+  promptId?: string | null
+  usage: { inputTokens: number, outputTokens: number }
+  latency: number
+  status: 'success' | 'error' | 'cancelled'
+  error?: string | null
+  source?: 'proxy' | 'api'
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// The prompt a run is attributed to, if the caller can see it: their own personal
+// prompt or one in an organization they belong to. Anything else (local-only IDs,
+// samples, other users' prompts) becomes null, so the run is still recorded.
+export async function resolvePromptId(supabase: SupabaseClient, userId: string, promptId: unknown): Promise<string | null> {
+  if (typeof promptId !== 'string' || !UUID_PATTERN.test(promptId)) return null
+
+  const { data: prompt } = await supabase
+    .from('prompts')
+    .select('id, user_id, organization_id')
+    .eq('id', promptId)
+    .maybeSingle()
+
+  if (!prompt) return null
+  if (!prompt.organization_id) return prompt.user_id === userId ? prompt.id : null
+
+  const { data: member } = await supabase
+    .from('organization_members')
+    .select('role')
+    .eq('organization_id', prompt.organization_id)
+    .eq('user_id', userId)
+    .maybeSingle()
+  return member ? prompt.id : null
+}
+
+// Write one row to the prompt_runs usage ledger; returns the run's cost (null when unpriced)
+export async function recordRun(supabase: SupabaseClient, userId: string, run: RunRecord): Promise<number | null> {
+  const pricing = await loadPricing(supabase, run.model)
+  const cost = pricing
+    ? (run.usage.inputTokens / 1000000) * pricing.input + (run.usage.outputTokens / 1000000) * pricing.output
+    : null
+
+  const row = {
+    user_id: userId,
+    prompt_id: run.promptId || null,
+    provider: run.provider,
+    model: run.model,
+    input_tokens: run.usage.inputTokens,
+    output_tokens: run.usage.outputTokens,
+    cost,
+    latency_ms: run.latency,
+    status: run.status,
+    error: run.error || null,
+    source: run.source || 'proxy',
+  }
+
+  let { error } = await supabase.from('prompt_runs').insert(row)
+
+  // The ledger row counts toward the quota, so a prompt deleted mid-run mustn't drop it
+  if (error && row.prompt_id && (error.code === '23503' || error.code === '22P02')) {
+    ({ error } = await supabase.from('prompt_runs').insert({ ...row, prompt_id: null }))
+  }
+
+  if (error) console.error('Failed to record prompt run:', error)
+  return cost
+}
+
+// Call a provider with the user's stored key. Uses the active key, falling back to the
+// key it replaced (while that is in its rotation grace period) if the provider rejects it.
+export async function fetchProvider(
+  supabase: SupabaseClient,
+  userId: string,
+  provider: string,
+  request: { endpoint: string, model: string, body: unknown, stream?: boolean }
+): Promise<Response> {
+  const config = PROVIDERS[provider]
+  if (!config) {
+    throw new ProviderError(`Unknown AI provider: ${provider}`, 400, 'invalid_request')
+  }
+
+  const { data: keyRows } = await supabase
+    .from('api_keys')
+    .select('id, key_hash, is_active')
+    .eq('user_id', userId)
+    .eq('key_type', 'provider')
+    .eq('name', config.keyName)
+    .or(`is_active.eq.true,expires_at.gt.${new Date().toISOString()}`)
+
+  const activeKey = keyRows?.find(row => row.is_active && row.key_hash)
+  const graceKey = keyRows?.find(row => !row.is_active && row.key_hash)
+
+  if (!activeKey) {
+    throw new ProviderError(
+      `${config.keyName.replace(' API Key', '')} API key not configured. Please add your API key in Settings.`,
+      400,
+      'key_not_configured'
+    )
+  }
+
+  // The model that is priced and counted is the one that runs: Claude and OpenAI read it
+  // from the body, Gemini from the URL built by providerRequest()
+  const body = provider === 'gemini' ? request.body : { ...(request.body as object), model: request.model }
+
+  const callProvider = async (keyRow: { id: string, key_hash: string }) => {
+    const apiKey = await loadApiKey(supabase, keyRow, userId)
+    const upstream = providerRequest(provider, request.endpoint, request.model, apiKey, !!request.stream)
+    return fetch(upstream.url, {
+      method: 'POST',
+      headers: upstream.headers,
+      body: JSON.stringify(body),
+    })
+  }
+
+  let usedKey = activeKey
+  let response = await callProvider(activeKey)
+
+  // If the provider rejects a newly rotated key, keep serving with the previous one
+  if ((response.status === 401 || response.status === 403) && graceKey) {
+    await response.body?.cancel()
+    usedKey = graceKey
+    response = await callProvider(graceKey)
+  }
+
+  await supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', usedKey.id)
+
+  return response
+}
@@ -0,0 +1,157 @@
+// Supabase Edge Function: Public REST API
+// Prompt CRUD, version history, runs and marketplace browsing for callers authenticated with a platform
+// API key (see _shared/platform-auth.ts). Routes, scopes and schemas live in routes.ts;
+// GET /v1/openapi.json describes them.
+// Deploy with: supabase functions deploy api --no-verify-jwt
+//
+// Base URL: https://<project>.supabase.co/functions/v1/api
+// Errors always have the shape { error: { code, message, status, details? } }.
+// Every request made with a known key is logged to api_request_logs.
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { ApiKeyContext, authenticateApiKey, logApiRequest } from '../_shared/platform-auth.ts'
+import { buildOpenApi } from './openapi.ts'
+import { ApiError, PATH_PARAMS, ROUTES, Route } from './routes.ts'
+import { parseQuery, validate } from './validate.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-api-key, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Expose-Headers': 'retry-after',
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+function errorResponse(error: { message: string, status?: number, code?: string, details?: unknown, retryAfter?: number }) {
+  const status = error.status || 500
+  const response = jsonResponse({
+    error: {
+      code: error.code || 'server_error',
+      message: error.message,
+      status,
+      ...(error.details !== undefined ? { details: error.details } : {}),
+    },
+  }, status)
+  if (error.retryAfter) response.headers.set('retry-after', String(error.retryAfter))
+  return response
+}
+
+// Match /v1/prompts/{id}/run style templates against a request path
+const MATCHERS = ROUTES.map(route => ({
+  route,
+  pattern: new RegExp('^' + route.path.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)') + '/?$'),
+}))
+
+function matchRoute(method: string, path: string): { route: Route, params: Record<string, string> } | null {
+  let pathMatched = false
+
+  for (const { route, pattern } of MATCHERS) {
+    const match = pattern.exec(path)
+    if (!match) continue
+    pathMatched = true
+    if (route.method === method) {
+      return { route, params: { ...(match.groups || {}) } }
+    }
+  }
+
+  if (pathMatched) throw new ApiError(`${method} is not supported on ${path}`, 405, 'method_not_allowed')
+  return null
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  // Set once the key is known, so the request can be logged for the API Console
+  const startTime = Date.now()
+  let supabase: SupabaseClient | null = null
+  let key: ApiKeyContext | null = null
+  let route: Route | null = null
+
+  const finish = async (response: Response, usage?: { inputTokens?: number, outputTokens?: number }, errorCode?: string) => {
+    if (supabase && key && route) {
+      await logApiRequest(supabase, key, {
+        method: route.method,
+        route: route.path,
+        status: response.status,
+        latencyMs: Date.now() - startTime,
+        inputTokens: usage?.inputTokens,
+        outputTokens: usage?.outputTokens,
+        errorCode,
+      })
+    }
+    return response
+  }
+
+  try {
+    const url = new URL(req.url)
+    // The function is mounted at /functions/v1/api (or /api when served locally)
+    const path = url.pathname.replace(/^(\/functions\/v1)?\/api/, '') || '/'
+
+    if (req.method === 'GET' && path === '/v1/openapi.json') {
+      return jsonResponse(buildOpenApi(ROUTES, `${Deno.env.get('SUPABASE_URL')}/functions/v1/api`))
+    }
+
+    const matched = matchRoute(req.method, path)
+    if (!matched) {
+      throw new ApiError(`No route for ${req.method} ${path}`, 404, 'not_found')
+    }
+    route = matched.route
+    const params = matched.params
+
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    supabase = createClient(supabaseUrl, supabaseKey)
+
+    const apiKey = await authenticateApiKey(req, supabase, route.scope).catch(error => {
+      // A valid key that lacks the route's scope or is over its rate limit is still logged
+      key = error.key || null
+      throw error
+    })
+    key = apiKey
+
+    for (const [name, value] of Object.entries(params)) {
+      if (validate(value, PATH_PARAMS[name] || {}).length > 0) {
+        throw new ApiError('Not found', 404, 'not_found')
+      }
+    }
+
+    const { query, problems: queryProblems } = parseQuery(url.searchParams, route.query)
+    if (queryProblems.length > 0) {
+      throw new ApiError('Invalid query parameters', 422, 'validation_failed', queryProblems)
+    }
+
+    let body = {}
+    if (route.body) {
+      try {
+        body = await req.json()
+      } catch (_error) {
+        throw new ApiError('Request body must be JSON', 400, 'invalid_json')
+      }
+      const problems = validate(body, route.body)
+      if (problems.length > 0) {
+        throw new ApiError('Request body failed validation', 422, 'validation_failed', problems)
+      }
+    }
+
+    // deno-lint-ignore no-explicit-any
+    const result: any = await route.handler({ supabase, key: apiKey, params, query, body })
+
+    if (route.response.status === 204) {
+      return finish(new Response(null, { headers: corsHeaders, status: 204 }))
+    }
+    return finish(jsonResponse(result, route.response.status), result?.usage)
+  } catch (error) {
+    // ApiError, ApiAuthError and ProviderError all carry status and code
+    if (!error.status) console.error('API error:', error)
+    return finish(errorResponse(error.status ? error : { message: 'Internal server error' }), undefined, error.code || 'server_error')
+  }
+})
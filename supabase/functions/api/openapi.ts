@@ -0,0 +1,79 @@
+// Builds the OpenAPI 3.0 document for the public API from ROUTES (routes.ts)
+// Served at GET /v1/openapi.json.
+
+import { API_KEY_SCOPES } from '../_shared/platform-auth.ts'
+import { PATH_PARAMS, Route, SCHEMAS } from './routes.ts'
+
+const ERROR_RESPONSES: Record<string, string> = {
+  '401': 'Missing, invalid or expired API key',
+  '403': 'The API key is missing the required scope, or the key owner\'s organization role doesn\'t allow the change',
+  '404': 'Not found',
+  '422': 'The request failed validation',
+}
+
+export function buildOpenApi(routes: Route[], serverUrl: string) {
+  const paths: Record<string, Record<string, unknown>> = {}
+
+  for (const route of routes) {
+    const pathParams = Array.from(route.path.matchAll(/\{(\w+)\}/g)).map(match => ({
+      name: match[1],
+      in: 'path',
+      required: true,
+      schema: PATH_PARAMS[match[1]] || { type: 'string' },
+    }))
+    const queryParams = Object.entries(route.query || {}).map(([name, schema]) => {
+      const { description, ...rest } = schema
+      return { name, in: 'query', required: false, description, schema: rest }
+    })
+
+    const errorResponses = Object.fromEntries(
+      Object.entries(ERROR_RESPONSES)
+        .filter(([status]) => status !== '404' || route.path.includes('{'))
+        .filter(([status]) => status !== '422' || route.body || route.query)
+        .map(([status, description]) => [status, {
+          description,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+        }])
+    )
+
+    paths[route.path] = paths[route.path] || {}
+    paths[route.path][route.method.toLowerCase()] = {
+      operationId: route.operationId,
+      summary: route.summary,
+      tags: [route.tag],
+      description: `Requires the \`${route.scope}\` scope.`,
+      ...(route.deprecated ? { deprecated: true } : {}),
+      security: [{ apiKey: [] }],
+      parameters: [...pathParams, ...queryParams],
+      ...(route.body ? {
+        requestBody: { required: true, content: { 'application/json': { schema: route.body } } },
+      } : {}),
+      responses: {
+        [route.response.status]: {
+          description: route.response.description,
+          ...(route.response.schema ? {
+            content: { 'application/json': { schema: route.response.schema } },
+          } : {}),
+        },
+        ...errorResponses,
+      },
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Prompting It API',
+      version: '1.0.0',
+      description: `Manage and run your prompts and browse the marketplace. Authenticate with a platform API key from the API Console: \`Authorization: Bearer pk_live_...\`. Scopes: ${API_KEY_SCOPES.join(', ')}.`,
+    },
+    servers: [{ url: serverUrl }],
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', bearerFormat: 'pk_live_... / pk_test_...' },
+      },
+      schemas: SCHEMAS,
+    },
+    paths,
+  }
+}
@@ -0,0 +1,1160 @@
+// Route definitions for the public REST API
+// Each route carries its scope, parameters and JSON schemas alongside its handler;
+// index.ts dispatches and validates with them and openapi.ts documents them, so the
+// OpenAPI document can't drift from what the API actually does.
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { ApiKeyContext } from '../_shared/platform-auth.ts'
+import {
+  buildPromptBody,
+  enforceQuota,
+  extractReply,
+  extractUsage,
+  fetchProvider,
+  recordRun,
+  resolveModel,
+} from '../_shared/providers.ts'
+
+// deno-lint-ignore no-explicit-any
+export type JsonSchema = Record<string, any>
+
+export class ApiError extends Error {
+  status: number
+  code: string
+  details?: unknown
+
+  constructor(message: string, status: number, code: string, details?: unknown) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+export interface RouteContext {
+  supabase: SupabaseClient
+  key: ApiKeyContext
+  params: Record<string, string>
+  query: Record<string, string | number>
+  // deno-lint-ignore no-explicit-any
+  body: any
+}
+
+export interface Route {
+  method: 'GET' | 'POST' | 'PUT' | 'DELETE'
+  path: string
+  operationId: string
+  summary: string
+  tag: string
+  scope: string
+  query?: Record<string, JsonSchema>
+  body?: JsonSchema
+  response: { status: number, description: string, schema?: JsonSchema }
+  deprecated?: boolean
+  handler: (context: RouteContext) => Promise<unknown>
+}
+
+// ============================================
+// Schemas
+// ============================================
+
+const STATUSES = ['active', 'draft', 'archived']
+const ENVIRONMENTS = ['dev', 'staging', 'production']
+const VARIABLE_TYPES = ['string', 'text', 'number', 'boolean', 'enum']
+
+export const SCHEMAS: Record<string, JsonSchema> = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message', 'status'],
+        properties: {
+          code: { type: 'string', example: 'not_found' },
+          message: { type: 'string' },
+          status: { type: 'integer' },
+          details: { description: 'Extra context, e.g. the failing fields for validation_failed' },
+        },
+      },
+    },
+  },
+  Variable: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    description: 'Declaration of a {{placeholder}}; placeholders without one are required strings',
+    properties: {
+      name: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+      type: { type: 'string', enum: VARIABLE_TYPES, default: 'string', description: 'text is a multi-line string; enum takes one of the enum values' },
+      required: { type: 'boolean', default: true },
+      default: { type: ['string', 'number', 'boolean'], description: 'Used by /run when no value is given' },
+      enum: { type: 'array', items: { type: 'string', maxLength: 200 }, maxItems: 100 },
+      description: { type: 'string', maxLength: 500 },
+      maxLength: { type: 'integer', minimum: 1, description: 'For string and text' },
+    },
+  },
+  Prompt: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      title: { type: 'string' },
+      content: { type: 'string', description: 'Template text; {{variable}} placeholders are filled in by /run' },
+      description: { type: 'string', nullable: true },
+      category: { type: 'string', nullable: true },
+      tags: { type: 'array', items: { type: 'string' } },
+      model: { type: 'string' },
+      status: { type: 'string', enum: STATUSES },
+      folderId: { type: 'string', format: 'uuid', nullable: true },
+      variables: { type: 'array', items: { $ref: '#/components/schemas/Variable' } },
+      version: { type: 'string' },
+      runCount: { type: 'integer' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  PromptInput: {
+    type: 'object',
+    required: ['title', 'content'],
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      content: { type: 'string', minLength: 1, maxLength: 100000 },
+      description: { type: 'string', maxLength: 2000, nullable: true },
+      category: { type: 'string', maxLength: 100, nullable: true },
+      tags: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 20 },
+      model: { type: 'string' },
+      status: { type: 'string', enum: STATUSES },
+      folderId: { type: 'string', format: 'uuid', nullable: true },
+      variables: { type: 'array', items: { $ref: '#/components/schemas/Variable' }, maxItems: 100 },
+    },
+  },
+  PromptUpdate: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      content: { type: 'string', minLength: 1, maxLength: 100000 },
+      description: { type: 'string', maxLength: 2000, nullable: true },
+      category: { type: 'string', maxLength: 100, nullable: true },
+      tags: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 20 },
+      model: { type: 'string' },
+      status: { type: 'string', enum: STATUSES },
+      folderId: { type: 'string', format: 'uuid', nullable: true },
+      variables: { type: 'array', items: { $ref: '#/components/schemas/Variable' }, maxItems: 100 },
+      version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$', description: 'Version for a content change, greater than the current one (default: bumped automatically - major when placeholders are removed, minor when added, patch otherwise)' },
+      changeNotes: { type: 'string', maxLength: 2000 },
+    },
+  },
+  PromptList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/Prompt' } },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+    },
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      total: { type: 'integer' },
+      hasMore: { type: 'boolean' },
+    },
+  },
+  PromptVersion: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      version: { type: 'string' },
+      content: { type: 'string' },
+      changeNotes: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  PromptVersionList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/PromptVersion' } },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+    },
+  },
+  Deployment: {
+    type: 'object',
+    properties: {
+      environment: { type: 'string', enum: ENVIRONMENTS },
+      versionId: { type: 'string', format: 'uuid' },
+      version: { type: 'string' },
+      approvals: { type: 'integer', description: 'Reviewers who approved this version' },
+      promotedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  DeploymentList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/Deployment' } },
+      requiredApprovals: { type: 'integer', description: 'Approvals a version needs before it can be promoted to production' },
+    },
+  },
+  PromotionInput: {
+    type: 'object',
+    required: ['environment', 'version'],
+    additionalProperties: false,
+    properties: {
+      environment: { type: 'string', enum: ENVIRONMENTS },
+      version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$', description: 'Version to promote, e.g. 1.2.0' },
+      note: { type: 'string', maxLength: 2000 },
+    },
+  },
+  Promotion: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      environment: { type: 'string', enum: ENVIRONMENTS },
+      versionId: { type: 'string', format: 'uuid' },
+      previousVersionId: { type: 'string', format: 'uuid', nullable: true },
+      approvals: { type: 'integer', description: 'Approvals the version had when it was promoted' },
+      requiredApprovals: { type: 'integer' },
+      note: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  PromotionList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/Promotion' } },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+    },
+  },
+  MarketplaceListing: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      title: { type: 'string' },
+      description: { type: 'string', nullable: true },
+      category: { type: 'string', nullable: true },
+      tags: { type: 'array', items: { type: 'string' } },
+      model: { type: 'string' },
+      version: { type: 'string' },
+      price: { type: 'number', description: 'USD; 0 for free prompts' },
+      rating: { type: 'number' },
+      salesCount: { type: 'integer' },
+      hasAccess: { type: 'boolean', description: 'Whether the key\'s owner created, bought or can freely use this prompt' },
+      content: { type: 'string', nullable: true, description: 'Only returned by GET /v1/marketplace/{id}, and only when hasAccess is true' },
+      createdAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  MarketplaceList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/MarketplaceListing' } },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+    },
+  },
+  RunInput: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      variables: {
+        type: 'object',
+        additionalProperties: { type: ['string', 'number', 'boolean'] },
+        description: 'Values for the prompt\'s {{variable}} placeholders, checked against its declared variables',
+      },
+      model: { type: 'string', description: 'Model ID (default: the prompt\'s model)' },
+      system: { type: 'string', maxLength: 100000 },
+      maxTokens: { type: 'integer', minimum: 1, maximum: 128000 },
+      temperature: { type: 'number', minimum: 0, maximum: 2 },
+      environment: {
+        type: 'string',
+        enum: ENVIRONMENTS,
+        description: 'Run the version promoted to this environment (default: production when the prompt has been promoted, otherwise its current content)',
+      },
+    },
+  },
+  RunResult: {
+    type: 'object',
+    properties: {
+      promptId: { type: 'string', format: 'uuid' },
+      version: { type: 'string', description: 'The prompt version that was run' },
+      environment: { type: 'string', enum: ENVIRONMENTS, nullable: true, description: 'Null when the prompt has no deployments' },
+      model: { type: 'string' },
+      provider: { type: 'string', enum: ['claude', 'openai', 'gemini'] },
+      output: { type: 'string' },
+      finishReason: { type: 'string', nullable: true },
+      usage: {
+        type: 'object',
+        properties: { inputTokens: { type: 'integer' }, outputTokens: { type: 'integer' } },
+      },
+      cost: { type: 'number', nullable: true, description: 'USD, from the model catalog pricing' },
+      latencyMs: { type: 'integer' },
+    },
+  },
+}
+
+const ref = (name: string) => ({ $ref: `#/components/schemas/${name}` })
+
+// Path parameters, checked by index.ts before the handler runs (a bad value is a 404)
+export const PATH_PARAMS: Record<string, JsonSchema> = {
+  id: { type: 'string', format: 'uuid' },
+  version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$', description: 'Semantic version, e.g. 1.2.0' },
+}
+
+const PAGINATION_QUERY: Record<string, JsonSchema> = {
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Page size' },
+  offset: { type: 'integer', minimum: 0, default: 0, description: 'Items to skip' },
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+const PROMPT_COLUMNS = 'id, title, content, description, category, tags, model, status, folder_id, variables, version, run_count, created_at, updated_at'
+
+// deno-lint-ignore no-explicit-any
+function toPrompt(row: any) {
+  return {
+    id: row.id,
+    title: row.title,
+    content: row.content,
+    description: row.description,
+    category: row.category,
+    tags: row.tags || [],
+    model: row.model,
+    status: row.status,
+    folderId: row.folder_id,
+    variables: row.variables || [],
+    version: row.version,
+    runCount: row.run_count || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  }
+}
+
+// deno-lint-ignore no-explicit-any
+function toColumns(input: any) {
+  const columns: Record<string, unknown> = {}
+  const mapping: Record<string, string> = {
+    title: 'title',
+    content: 'content',
+    description: 'description',
+    category: 'category',
+    tags: 'tags',
+    model: 'model',
+    status: 'status',
+    folderId: 'folder_id',
+    variables: 'variables',
+  }
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (input[field] !== undefined) columns[column] = input[field]
+  })
+  return columns
+}
+
+// deno-lint-ignore no-explicit-any
+function toVersion(row: any) {
+  return {
+    id: row.id,
+    version: row.version,
+    content: row.content,
+    changeNotes: row.change_notes,
+    createdAt: row.created_at,
+  }
+}
+
+// deno-lint-ignore no-explicit-any
+function toPromotion(row: any) {
+  return {
+    id: row.id,
+    environment: row.environment,
+    versionId: row.version_id,
+    previousVersionId: row.previous_version_id,
+    approvals: row.approvals,
+    requiredApprovals: row.required_approvals,
+    note: row.note,
+    createdAt: row.created_at,
+  }
+}
+
+function pagination(limit: number, offset: number, total: number | null) {
+  return { limit, offset, total: total || 0, hasMore: offset + limit < (total || 0) }
+}
+
+// Organization roles allowed each kind of access (mirrors the prompts and folders policies)
+const ACCESS_ROLES = {
+  read: ['owner', 'admin', 'editor', 'viewer'],
+  write: ['owner', 'admin', 'editor'],
+  delete: ['owner', 'admin'],
+}
+
+type Access = keyof typeof ACCESS_ROLES
+
+// The key owner's current role in an organization, or null when they aren't a member
+async function organizationRole(context: RouteContext, organizationId: string): Promise<string | null> {
+  const { data, error } = await context.supabase
+    .from('organization_members')
+    .select('role')
+    .eq('organization_id', organizationId)
+    .eq('user_id', context.key.userId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data?.role || null
+}
+
+// The service role bypasses RLS, so a prompt the key owner wrote for an organization
+// is checked against their current role there: members read, editors and up write,
+// owners and admins delete. Removed members get a 404.
+async function loadPrompt(context: RouteContext, columns = PROMPT_COLUMNS, access: Access = 'read') {
+  const { data, error } = await context.supabase
+    .from('prompts')
+    .select(`${columns}, organization_id`)
+    .eq('id', context.params.id)
+    .eq('user_id', context.key.userId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw new ApiError('Prompt not found', 404, 'not_found')
+
+  if (data.organization_id) {
+    const role = await organizationRole(context, data.organization_id)
+    if (!role) throw new ApiError('Prompt not found', 404, 'not_found')
+    if (!ACCESS_ROLES[access].includes(role)) {
+      throw new ApiError(
+        `Your ${role} role in this prompt's organization can't ${access === 'delete' ? 'delete' : 'change'} it`,
+        403,
+        'forbidden'
+      )
+    }
+  }
+  return data
+}
+
+async function checkFolder(context: RouteContext, folderId: string | null | undefined) {
+  if (!folderId) return
+
+  const { data } = await context.supabase
+    .from('folders')
+    .select('id, organization_id')
+    .eq('id', folderId)
+    .eq('user_id', context.key.userId)
+    .maybeSingle()
+
+  const role = data?.organization_id ? await organizationRole(context, data.organization_id) : null
+  if (!data || (data.organization_id && !ACCESS_ROLES.write.includes(role || ''))) {
+    throw new ApiError('Folder not found', 422, 'validation_failed', [{ path: 'folderId', message: 'folder not found' }])
+  }
+}
+
+async function findVersion(context: RouteContext, promptId: string, version: string) {
+  const { data, error } = await context.supabase
+    .from('prompt_versions')
+    .select('id, version, content, change_notes, created_at')
+    .eq('prompt_id', promptId)
+    .eq('version', version)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+// The version an environment serves. Without an environment this is production,
+// falling back to the prompt's current content until it has been promoted.
+// deno-lint-ignore no-explicit-any
+async function resolveDeployment(context: RouteContext, prompt: any, environment?: string) {
+  const { data, error } = await context.supabase
+    .from('prompt_deployments')
+    .select('prompt_versions(version, content)')
+    .eq('prompt_id', prompt.id)
+    .eq('environment', environment || 'production')
+    .maybeSingle()
+
+  if (error) throw error
+  if (data?.prompt_versions) {
+    return { ...data.prompt_versions, environment: environment || 'production' }
+  }
+  if (environment) {
+    throw new ApiError(`No version of this prompt has been promoted to ${environment}`, 409, 'not_deployed', { environment })
+  }
+  return { version: prompt.version, content: prompt.content, environment: null }
+}
+
+// Versions are recorded by a trigger on prompts; this adds the change notes to
+// the one it just wrote (the newest row with that version, as findVersion reads)
+async function annotateVersion(context: RouteContext, promptId: string, version: string, notes: string) {
+  const target = await findVersion(context, promptId, version)
+  if (!target) return
+
+  const { error } = await context.supabase
+    .from('prompt_versions')
+    .update({ change_notes: notes })
+    .eq('id', target.id)
+    .is('change_notes', null)
+
+  if (error) throw error
+}
+
+// Compare two x.y.z versions; versions that don't parse count as 0.0.0
+function compareVersions(a: string, b: string) {
+  const parts = (version: string) => (/^v?(\d+)\.(\d+)\.(\d+)/.exec(version || '') || ['', '0', '0', '0']).slice(1).map(Number)
+  const [left, right] = [parts(a), parts(b)]
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i]
+  }
+  return 0
+}
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g
+
+// Fill {{variable}} placeholders; reports the names that have no value
+export function renderTemplate(template: string, variables: Record<string, unknown>) {
+  const missing = new Set<string>()
+  const text = template.replace(PLACEHOLDER, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      missing.add(name)
+      return placeholder
+    }
+    return String(variables[name])
+  })
+  return { text, missing: Array.from(missing) }
+}
+
+// deno-lint-ignore no-explicit-any
+type VariableDefinition = Record<string, any>
+
+// A value as its declared type, or what's wrong with it (same rules as prompt-variables.js)
+function coerceVariable(variable: VariableDefinition, raw: unknown): { value?: unknown, problem?: string } {
+  if (raw === undefined || raw === null || raw === '') return {}
+
+  if (variable.type === 'number') {
+    const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN)
+    return Number.isFinite(value) ? { value } : { problem: 'must be a number' }
+  }
+  if (variable.type === 'boolean') {
+    if (raw === true || raw === 'true') return { value: true }
+    if (raw === false || raw === 'false') return { value: false }
+    return { problem: 'must be true or false' }
+  }
+
+  const value = String(raw)
+  if (variable.type === 'enum' && !(variable.enum || []).includes(value)) {
+    return { problem: `must be one of ${(variable.enum || []).join(', ')}` }
+  }
+  if (variable.maxLength && value.length > variable.maxLength) {
+    return { problem: `must be at most ${variable.maxLength} characters` }
+  }
+  return { value }
+}
+
+// Declarations that can't be satisfied as written
+function checkDefinitions(definitions: VariableDefinition[] | undefined) {
+  const problems: { path: string, message: string }[] = []
+  const seen = new Set<string>()
+  for (const [index, variable] of (definitions || []).entries()) {
+    const path = `variables[${index}]`
+    if (seen.has(variable.name)) problems.push({ path: `${path}.name`, message: `declares ${variable.name} twice` })
+    seen.add(variable.name)
+    if (variable.type === 'enum' && !variable.enum?.length) problems.push({ path: `${path}.enum`, message: 'is required for enum variables' })
+    const problem = coerceVariable(variable, variable.default).problem
+    if (problem) problems.push({ path: `${path}.default`, message: problem })
+  }
+  if (problems.length > 0) {
+    throw new ApiError('Request body failed validation', 422, 'validation_failed', problems)
+  }
+}
+
+// Check run values against the declarations of the placeholders the template
+// uses, filling in defaults; undeclared placeholders are left to renderTemplate
+export function resolveVariables(definitions: VariableDefinition[], template: string, values: Record<string, unknown>) {
+  const resolved: Record<string, unknown> = { ...values }
+  const problems: { path: string, message: string }[] = []
+  const used = new Set(Array.from(template.matchAll(PLACEHOLDER), match => match[1]))
+
+  for (const variable of definitions) {
+    if (!used.has(variable.name)) continue
+
+    const { value, problem } = coerceVariable(variable, values[variable.name])
+    if (problem) {
+      problems.push({ path: `variables.${variable.name}`, message: problem })
+    } else if (value !== undefined) {
+      resolved[variable.name] = value
+    } else if (variable.default !== undefined) {
+      resolved[variable.name] = variable.default
+    } else if (variable.required === false) {
+      resolved[variable.name] = ''
+    } else {
+      // Reported as missing by renderTemplate
+      delete resolved[variable.name]
+    }
+  }
+  return { values: resolved, problems }
+}
+
+// ============================================
+// Handlers
+// ============================================
+
+async function listPrompts(context: RouteContext) {
+  const limit = context.query.limit as number
+  const offset = context.query.offset as number
+
+  // Prompts written for an organization are listed only while the key owner is a member
+  const { data: memberships, error: membershipError } = await context.supabase
+    .from('organization_members')
+    .select('organization_id')
+    .eq('user_id', context.key.userId)
+  if (membershipError) throw membershipError
+
+  const organizationIds = (memberships || []).map(row => row.organization_id)
+  let query = context.supabase
+    .from('prompts')
+    .select(PROMPT_COLUMNS, { count: 'exact' })
+    .eq('user_id', context.key.userId)
+    .or(organizationIds.length > 0 ? `organization_id.is.null,organization_id.in.(${organizationIds.join(',')})` : 'organization_id.is.null')
+
+  if (context.query.folder) query = query.eq('folder_id', context.query.folder)
+  if (context.query.tag) query = query.contains('tags', [context.query.tag])
+  if (context.query.status) query = query.eq('status', context.query.status)
+
+  const { data, count, error } = await query
+    .order('updated_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+  return { data: (data || []).map(toPrompt), pagination: pagination(limit, offset, count) }
+}
+
+async function createPrompt(context: RouteContext) {
+  checkDefinitions(context.body.variables)
+  await checkFolder(context, context.body.folderId)
+
+  const { data, error } = await context.supabase
+    .from('prompts')
+    .insert({ ...toColumns(context.body), user_id: context.key.userId })
+    .select(PROMPT_COLUMNS)
+    .single()
+
+  if (error) throw error
+
+  await annotateVersion(context, data.id, data.version, 'Created via API')
+
+  return toPrompt(data)
+}
+
+async function getPrompt(context: RouteContext) {
+  return toPrompt(await loadPrompt(context))
+}
+
+async function updatePrompt(context: RouteContext) {
+  const body = context.body
+  const updates = toColumns(body)
+  if (Object.keys(updates).length === 0) {
+    throw new ApiError('No fields to update', 422, 'validation_failed')
+  }
+
+  checkDefinitions(body.variables)
+  const current = await loadPrompt(context, 'id, content, version', 'write')
+  await checkFolder(context, body.folderId)
+
+  // A content change is a new version, bumped automatically unless one is given
+  const contentChanged = body.content !== undefined && body.content !== current.content
+  if (contentChanged && body.version) {
+    // The prompts trigger enforces this too; checking here gives a readable error
+    if (compareVersions(body.version, current.version) <= 0) {
+      throw new ApiError(
+        `Version ${body.version} must be greater than the current version ${current.version}`,
+        422,
+        'validation_failed',
+        [{ path: 'version', message: `must be greater than ${current.version}` }]
+      )
+    }
+    updates.version = body.version
+  }
+
+  const { data, error } = await context.supabase
+    .from('prompts')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', current.id)
+    .select(PROMPT_COLUMNS)
+    .single()
+
+  if (error) throw error
+
+  if (contentChanged && body.changeNotes) {
+    await annotateVersion(context, current.id, data.version, body.changeNotes)
+  }
+
+  return toPrompt(data)
+}
+
+async function deletePrompt(context: RouteContext) {
+  const prompt = await loadPrompt(context, 'id', 'delete')
+
+  const { error } = await context.supabase.from('prompts').delete().eq('id', prompt.id)
+  if (error) throw error
+  return null
+}
+
+async function listVersions(context: RouteContext) {
+  const prompt = await loadPrompt(context, 'id')
+  const limit = context.query.limit as number
+  const offset = context.query.offset as number
+
+  const { data, count, error } = await context.supabase
+    .from('prompt_versions')
+    .select('id, version, content, change_notes, created_at', { count: 'exact' })
+    .eq('prompt_id', prompt.id)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+  return { data: (data || []).map(toVersion), pagination: pagination(limit, offset, count) }
+}
+
+async function getVersion(context: RouteContext) {
+  const prompt = await loadPrompt(context, 'id')
+
+  const data = await findVersion(context, prompt.id, context.params.version)
+  if (!data) throw new ApiError(`Version ${context.params.version} not found`, 404, 'not_found')
+  return toVersion(data)
+}
+
+async function listDeployments(context: RouteContext) {
+  const prompt = await loadPrompt(context, 'id')
+
+  const [deployments, required] = await Promise.all([
+    context.supabase
+      .from('prompt_deployments')
+      .select('environment, version_id, promoted_at, prompt_versions(version)')
+      .eq('prompt_id', prompt.id),
+    context.supabase.rpc('prompt_required_approvals', { p_prompt_id: prompt.id }),
+  ])
+  if (deployments.error) throw deployments.error
+  if (required.error) throw required.error
+
+  const rows = deployments.data || []
+  const { data: approvals, error } = await context.supabase
+    .from('prompt_version_approvals')
+    .select('version_id')
+    .in('version_id', rows.map(row => row.version_id))
+  if (error) throw error
+
+  const order = (environment: string) => ENVIRONMENTS.indexOf(environment)
+  return {
+    data: rows
+      .sort((a, b) => order(a.environment) - order(b.environment))
+      .map(row => ({
+        environment: row.environment,
+        versionId: row.version_id,
+        // deno-lint-ignore no-explicit-any
+        version: (row.prompt_versions as any)?.version,
+        approvals: (approvals || []).filter(approval => approval.version_id === row.version_id).length,
+        promotedAt: row.promoted_at,
+      })),
+    requiredApprovals: required.data || 0,
+  }
+}
+
+async function promoteVersion(context: RouteContext) {
+  const prompt = await loadPrompt(context, 'id', 'write')
+  const { environment, version, note } = context.body
+
+  const target = await findVersion(context, prompt.id, version)
+  if (!target) throw new ApiError(`Version ${version} not found`, 404, 'not_found')
+
+  // The service role has no auth.uid(); the function acts as the key's owner
+  const { data, error } = await context.supabase.rpc('promote_prompt_version', {
+    p_version_id: target.id,
+    p_environment: environment,
+    p_note: note || null,
+    p_actor_id: context.key.userId,
+  })
+
+  if (error) {
+    if (error.hint === 'approvals_required') {
+      throw new ApiError(error.message, 409, 'approvals_required')
+    }
+    if (error.code === 'P0002') {
+      throw new ApiError('You don\'t have permission to promote this prompt', 403, 'forbidden')
+    }
+    throw error
+  }
+  return toPromotion(data)
+}
+
+async function listPromotions(context: RouteContext) {
+  const prompt = await loadPrompt(context, 'id')
+  const limit = context.query.limit as number
+  const offset = context.query.offset as number
+
+  let query = context.supabase
+    .from('prompt_promotions')
+    .select('*', { count: 'exact' })
+    .eq('prompt_id', prompt.id)
+
+  if (context.query.environment) query = query.eq('environment', context.query.environment)
+
+  const { data, count, error } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+  return { data: (data || []).map(toPromotion), pagination: pagination(limit, offset, count) }
+}
+
+const LISTING_COLUMNS = 'id, user_id, title, description, category, tags, model, version, price, rating, sales_count, created_at'
+
+const MARKETPLACE_ORDER: Record<string, { column: string, ascending: boolean }> = {
+  newest: { column: 'created_at', ascending: false },
+  popular: { column: 'sales_count', ascending: false },
+  rating: { column: 'rating', ascending: false },
+}
+
+// deno-lint-ignore no-explicit-any
+function toListing(row: any, hasAccess: boolean, content?: string) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    category: row.category,
+    tags: row.tags || [],
+    model: row.model,
+    version: row.version,
+    price: Number(row.price) || 0,
+    rating: Number(row.rating) || 0,
+    salesCount: row.sales_count || 0,
+    hasAccess,
+    content: hasAccess && content !== undefined ? content : null,
+    createdAt: row.created_at,
+  }
+}
+
+// Free prompts, the caller's own listings and completed purchases are accessible
+async function accessibleIds(context: RouteContext, rows: { id: string, user_id: string, price: number }[]) {
+  const ids = new Set(rows.filter(row => !(Number(row.price) > 0) || row.user_id === context.key.userId).map(row => row.id))
+  const paid = rows.filter(row => !ids.has(row.id)).map(row => row.id)
+  if (paid.length === 0) return ids
+
+  const { data, error } = await context.supabase
+    .from('purchases')
+    .select('prompt_id')
+    .eq('buyer_id', context.key.userId)
+    .eq('status', 'completed')
+    .in('prompt_id', paid)
+
+  if (error) throw error
+  for (const purchase of data || []) ids.add(purchase.prompt_id)
+  return ids
+}
+
+async function listMarketplace(context: RouteContext) {
+  const limit = context.query.limit as number
+  const offset = context.query.offset as number
+  const order = MARKETPLACE_ORDER[context.query.sort as string] || MARKETPLACE_ORDER.newest
+
+  let query = context.supabase
+    .from('prompts')
+    .select(LISTING_COLUMNS, { count: 'exact' })
+    .eq('is_marketplace', true)
+
+  if (context.query.category) query = query.eq('category', context.query.category)
+  if (context.query.tag) query = query.contains('tags', [context.query.tag])
+  if (context.query.q) {
+    const term = String(context.query.q).replace(/[%_,()]/g, ' ')
+    query = query.or(`title.ilike.%${term}%,description.ilike.%${term}%`)
+  }
+
+  const { data, count, error } = await query
+    .order(order.column, { ascending: order.ascending })
+    .range(offset, offset + limit - 1)
+
+  if (error) throw error
+  const rows = data || []
+  const access = await accessibleIds(context, rows)
+  return {
+    data: rows.map(row => toListing(row, access.has(row.id))),
+    pagination: pagination(limit, offset, count),
+  }
+}
+
+async function getListing(context: RouteContext) {
+  const { data, error } = await context.supabase
+    .from('prompts')
+    .select(`${LISTING_COLUMNS}, content`)
+    .eq('id', context.params.id)
+    .eq('is_marketplace', true)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw new ApiError('Listing not found', 404, 'not_found')
+
+  const access = await accessibleIds(context, [data])
+  return toListing(data, access.has(data.id), data.content)
+}
+
+async function runPrompt(context: RouteContext) {
+  const { supabase, key, body } = context
+  const prompt = await loadPrompt(context, 'id, content, version, model, variables')
+  const deployment = await resolveDeployment(context, prompt, body.environment)
+
+  const { values, problems } = resolveVariables(prompt.variables || [], deployment.content, body.variables || {})
+  if (problems.length > 0) {
+    throw new ApiError('Some variables have invalid values', 422, 'invalid_variables', problems)
+  }
+
+  const { text, missing } = renderTemplate(deployment.content, values)
+  if (missing.length > 0) {
+    throw new ApiError(
+      `Missing values for ${missing.map(name => `{{${name}}}`).join(', ')}`,
+      422,
+      'missing_variables',
+      { missing }
+    )
+  }
+
+  const entry = await resolveModel(supabase, body.model || prompt.model)
+  await enforceQuota(supabase, key.userId)
+
+  const startTime = Date.now()
+  const response = await fetchProvider(supabase, key.userId, entry.provider, {
+    endpoint: entry.endpoint,
+    model: entry.apiId,
+    body: buildPromptBody(entry, {
+      prompt: text,
+      system: body.system,
+      maxTokens: body.maxTokens,
+      temperature: body.temperature,
+    }),
+  })
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    await recordRun(supabase, key.userId, {
+      provider: entry.provider,
+      model: entry.apiId,
+      promptId: prompt.id,
+      usage: { inputTokens: 0, outputTokens: 0 },
+      latency: Date.now() - startTime,
+      status: 'error',
+      error: `${response.status} ${errorText.slice(0, 500)}`,
+      source: 'api',
+    })
+
+    let message = errorText
+    try {
+      const parsed = JSON.parse(errorText)
+      message = parsed.error?.message || parsed.error || errorText
+    } catch (_error) {
+      // Not JSON
+    }
+    throw new ApiError(
+      `${entry.provider} returned ${response.status}: ${String(message).slice(0, 300)}`,
+      response.status === 429 ? 429 : 502,
+      'provider_error',
+      { providerStatus: response.status }
+    )
+  }
+
+  const data = await response.json()
+  const latency = Date.now() - startTime
+  const usage = extractUsage(data, { inputTokens: 0, outputTokens: 0 })
+  const reply = extractReply(entry.provider, data)
+
+  const cost = await recordRun(supabase, key.userId, {
+    provider: entry.provider,
+    model: entry.apiId,
+    promptId: prompt.id,
+    usage,
+    latency,
+    status: 'success',
+    source: 'api',
+  })
+
+  // The run is already metered, so a failed counter update is logged rather than failing the response
+  const { error } = await supabase.rpc('increment_prompt_run_count', { p_prompt_id: prompt.id })
+  if (error) console.error('Failed to increment run count:', error)
+
+  return {
+    promptId: prompt.id,
+    version: deployment.version,
+    environment: deployment.environment,
+    model: entry.id,
+    provider: entry.provider,
+    output: reply.text,
+    finishReason: reply.finishReason,
+    usage,
+    cost,
+    latencyMs: latency,
+  }
+}
+
+// ============================================
+// Routes
+// ============================================
+
+const RUN_ROUTE = {
+  method: 'POST' as const,
+  tag: 'Runs',
+  scope: 'prompts:run',
+  body: ref('RunInput'),
+  response: { status: 200, description: 'The model\'s reply', schema: ref('RunResult') },
+  handler: runPrompt,
+}
+
+export const ROUTES: Route[] = [
+  {
+    method: 'GET',
+    path: '/v1/prompts',
+    operationId: 'listPrompts',
+    summary: 'List prompts',
+    tag: 'Prompts',
+    scope: 'prompts:read',
+    query: {
+      ...PAGINATION_QUERY,
+      folder: { type: 'string', format: 'uuid', description: 'Only prompts in this folder' },
+      tag: { type: 'string', description: 'Only prompts with this tag' },
+      status: { type: 'string', enum: STATUSES, description: 'Only prompts with this status' },
+    },
+    response: { status: 200, description: 'A page of prompts, most recently updated first', schema: ref('PromptList') },
+    handler: listPrompts,
+  },
+  {
+    method: 'POST',
+    path: '/v1/prompts',
+    operationId: 'createPrompt',
+    summary: 'Create a prompt',
+    tag: 'Prompts',
+    scope: 'prompts:write',
+    body: ref('PromptInput'),
+    response: { status: 201, description: 'The created prompt', schema: ref('Prompt') },
+    handler: createPrompt,
+  },
+  {
+    method: 'GET',
+    path: '/v1/prompts/{id}',
+    operationId: 'getPrompt',
+    summary: 'Get a prompt',
+    tag: 'Prompts',
+    scope: 'prompts:read',
+    response: { status: 200, description: 'The prompt', schema: ref('Prompt') },
+    handler: getPrompt,
+  },
+  {
+    method: 'PUT',
+    path: '/v1/prompts/{id}',
+    operationId: 'updatePrompt',
+    summary: 'Update a prompt',
+    tag: 'Prompts',
+    scope: 'prompts:write',
+    body: ref('PromptUpdate'),
+    response: { status: 200, description: 'The updated prompt. Content changes add a version.', schema: ref('Prompt') },
+    handler: updatePrompt,
+  },
+  {
+    method: 'DELETE',
+    path: '/v1/prompts/{id}',
+    operationId: 'deletePrompt',
+    summary: 'Delete a prompt',
+    tag: 'Prompts',
+    scope: 'prompts:write',
+    response: { status: 204, description: 'Deleted' },
+    handler: deletePrompt,
+  },
+  {
+    method: 'GET',
+    path: '/v1/prompts/{id}/versions',
+    operationId: 'listPromptVersions',
+    summary: 'List a prompt\'s versions',
+    tag: 'Prompts',
+    scope: 'prompts:read',
+    query: PAGINATION_QUERY,
+    response: { status: 200, description: 'Versions, newest first', schema: ref('PromptVersionList') },
+    handler: listVersions,
+  },
+  {
+    method: 'GET',
+    path: '/v1/prompts/{id}/versions/{version}',
+    operationId: 'getPromptVersion',
+    summary: 'Get one version of a prompt',
+    tag: 'Prompts',
+    scope: 'prompts:read',
+    response: { status: 200, description: 'The version', schema: ref('PromptVersion') },
+    handler: getVersion,
+  },
+  {
+    method: 'GET',
+    path: '/v1/prompts/{id}/deployments',
+    operationId: 'listPromptDeployments',
+    summary: 'List the versions each environment serves',
+    tag: 'Deployments',
+    scope: 'prompts:read',
+    response: { status: 200, description: 'Deployments in dev, staging, production order', schema: ref('DeploymentList') },
+    handler: listDeployments,
+  },
+  {
+    method: 'POST',
+    path: '/v1/prompts/{id}/deployments',
+    operationId: 'promotePromptVersion',
+    summary: 'Promote a version to an environment',
+    tag: 'Deployments',
+    scope: 'prompts:write',
+    body: ref('PromotionInput'),
+    response: { status: 201, description: 'The recorded promotion. Production needs the required approvals.', schema: ref('Promotion') },
+    handler: promoteVersion,
+  },
+  {
+    method: 'GET',
+    path: '/v1/prompts/{id}/promotions',
+    operationId: 'listPromptPromotions',
+    summary: 'List a prompt\'s promotion history',
+    tag: 'Deployments',
+    scope: 'prompts:read',
+    query: {
+      ...PAGINATION_QUERY,
+      environment: { type: 'string', enum: ENVIRONMENTS, description: 'Only promotions to this environment' },
+    },
+    response: { status: 200, description: 'Promotions, newest first', schema: ref('PromotionList') },
+    handler: listPromotions,
+  },
+  {
+    ...RUN_ROUTE,
+    path: '/v1/prompts/{id}/run',
+    operationId: 'runPrompt',
+    summary: 'Run a prompt',
+  },
+  {
+    ...RUN_ROUTE,
+    path: '/v1/prompts/{id}/execute',
+    operationId: 'executePrompt',
+    summary: 'Run a prompt (alias of /run)',
+    deprecated: true,
+  },
+  {
+    method: 'GET',
+    path: '/v1/marketplace',
+    operationId: 'listMarketplace',
+    summary: 'Browse marketplace prompts',
+    tag: 'Marketplace',
+    scope: 'marketplace:read',
+    query: {
+      ...PAGINATION_QUERY,
+      q: { type: 'string', maxLength: 100, description: 'Search titles and descriptions' },
+      category: { type: 'string', description: 'Only listings in this category' },
+      tag: { type: 'string', description: 'Only listings with this tag' },
+      sort: { type: 'string', enum: Object.keys(MARKETPLACE_ORDER), default: 'newest', description: 'Sort order' },
+    },
+    response: { status: 200, description: 'A page of listings (without content)', schema: ref('MarketplaceList') },
+    handler: listMarketplace,
+  },
+  {
+    method: 'GET',
+    path: '/v1/marketplace/{id}',
+    operationId: 'getMarketplaceListing',
+    summary: 'Get a marketplace listing',
+    tag: 'Marketplace',
+    scope: 'marketplace:read',
+    response: { status: 200, description: 'The listing; content is included when hasAccess is true', schema: ref('MarketplaceListing') },
+    handler: getListing,
+  },
+]
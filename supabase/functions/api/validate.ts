@@ -0,0 +1,107 @@
+// Request validation against the JSON schemas in routes.ts
+// Covers the keywords those schemas use: $ref, type, nullable, enum, required,
+// properties, additionalProperties, items, min/maxLength, maxItems, minimum/maximum,
+// pattern and format: uuid.
+
+import { JsonSchema, SCHEMAS } from './routes.ts'
+
+export interface ValidationProblem {
+  path: string
+  message: string
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// deno-lint-ignore no-explicit-any
+const TYPES: Record<string, (value: any) => boolean> = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+}
+
+function resolve(schema: JsonSchema): JsonSchema {
+  if (schema.$ref) {
+    return SCHEMAS[schema.$ref.replace('#/components/schemas/', '')] || {}
+  }
+  return schema
+}
+
+export function validate(value: unknown, schemaOrRef: JsonSchema, path = '', problems: ValidationProblem[] = []) {
+  const schema = resolve(schemaOrRef)
+  const fail = (message: string) => problems.push({ path: path || '(body)', message })
+
+  if (value === null && schema.nullable) return problems
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some((type: string) => TYPES[type]?.(value))) {
+      fail(`must be ${types.join(' or ')}`)
+      return problems
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')}`)
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`)
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`)
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`)
+    if (schema.format === 'uuid' && !UUID_PATTERN.test(value)) fail('must be a UUID')
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`)
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`)
+    if (schema.items) value.forEach((item, index) => validate(item, schema.items, `${path}[${index}]`, problems))
+  }
+
+  if (TYPES.object(value)) {
+    const object = value as Record<string, unknown>
+    const properties = schema.properties || {}
+
+    for (const name of schema.required || []) {
+      if (object[name] === undefined) problems.push({ path: path ? `${path}.${name}` : name, message: 'is required' })
+    }
+
+    for (const [name, item] of Object.entries(object)) {
+      const itemPath = path ? `${path}.${name}` : name
+      if (properties[name]) {
+        validate(item, properties[name], itemPath, problems)
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: itemPath, message: 'is not a known field' })
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(item, schema.additionalProperties, itemPath, problems)
+      }
+    }
+  }
+
+  return problems
+}
+
+// Read query parameters, converting integers and filling defaults
+export function parseQuery(params: URLSearchParams, definitions: Record<string, JsonSchema> = {}) {
+  const query: Record<string, string | number> = {}
+  const problems: ValidationProblem[] = []
+
+  for (const [name, schema] of Object.entries(definitions)) {
+    const raw = params.get(name)
+    if (raw === null || raw === '') {
+      if (schema.default !== undefined) query[name] = schema.default
+      continue
+    }
+
+    const value = schema.type === 'integer' && /^-?\d+$/.test(raw) ? Number(raw) : raw
+    const before = problems.length
+    validate(value, schema, name, problems)
+    if (problems.length === before) query[name] = value
+  }
+
+  return { query, problems }
+}
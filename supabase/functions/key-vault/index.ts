@@ -0,0 +1,60 @@
+// Supabase Edge Function: Key Vault
+// Wraps the per-secret data keys that SecurityCrypto (security-crypto.js) uses to
+// encrypt provider keys. The key-encryption key never leaves the server, and wrapped
+// keys are bound to the caller's user ID. There is deliberately no unwrap action:
+// data keys are only unwrapped inside server functions (decryptSecret in
+// _shared/key-envelope.ts), so a provider key is never decrypted in the browser.
+// Deploy with: supabase functions deploy key-vault
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { fromBase64, wrapDataKey } from '../_shared/key-envelope.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+    const { data: { user } } = await supabase.auth.getUser(token)
+    if (!user) {
+      return jsonResponse({ error: 'Authentication required', code: 'unauthorized' }, 401)
+    }
+
+    const { action, dataKey } = await req.json()
+
+    switch (action) {
+      case 'wrap': {
+        if (typeof dataKey !== 'string') {
+          return jsonResponse({ error: 'dataKey is required', code: 'invalid_request' }, 400)
+        }
+        return jsonResponse({ wrappedKey: await wrapDataKey(fromBase64(dataKey), user.id) })
+      }
+      default:
+        return jsonResponse({ error: `Unknown action: ${action}`, code: 'invalid_request' }, 400)
+    }
+  } catch (error) {
+    console.error('Key vault error:', error)
+    return jsonResponse(
+      { error: error.message, code: error.code || 'key_vault_error' },
+      error.status || 400
+    )
+  }
+})
@@ -0,0 +1,143 @@
+// Supabase Edge Function: LLM Proxy
+// Runs prompt requests against Claude, OpenAI and Gemini using the caller's stored
+// provider key, so decrypted keys never reach the browser. Enforces the monthly
+// run quota for the caller's tier and records every run in the prompt_runs ledger.
+// Deploy with: supabase functions deploy llm-proxy
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import {
+  PROVIDERS,
+  enforceQuota,
+  extractUsage,
+  fetchProvider,
+  recordRun,
+  resolvePromptId,
+  scanStreamUsage,
+} from '../_shared/providers.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Expose-Headers': 'retry-after',
+}
+
+class ProxyError extends Error {
+  status: number
+  code: string
+
+  constructor(message: string, status: number, code: string) {
+    super(message)
+    this.status = status
+    this.code = code
+  }
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    // Identify the caller from their session token
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+    const { data: { user } } = await supabase.auth.getUser(token)
+    if (!user) {
+      throw new ProxyError('Authentication required', 401, 'unauthorized')
+    }
+
+    const { provider, model, endpoint, body, stream = false, promptId: requestedPromptId = null } = await req.json()
+
+    const config = PROVIDERS[provider]
+    if (!config) {
+      throw new ProxyError(`Unknown AI provider: ${provider}`, 400, 'invalid_request')
+    }
+    if (!model || typeof model !== 'string') {
+      throw new ProxyError('Model is required', 400, 'invalid_request')
+    }
+    if (!config.endpoints.includes(endpoint)) {
+      throw new ProxyError(`Unsupported ${provider} endpoint: ${endpoint}`, 400, 'invalid_request')
+    }
+    if (!body || typeof body !== 'object') {
+      throw new ProxyError('Request body is required', 400, 'invalid_request')
+    }
+
+    // Runs of prompts that aren't on the server yet (or aren't the caller's) are recorded unattributed
+    const promptId = await resolvePromptId(supabase, user.id, requestedPromptId)
+
+    await enforceQuota(supabase, user.id)
+
+    const startTime = Date.now()
+    const response = await fetchProvider(supabase, user.id, provider, { endpoint, model, body, stream })
+
+    // Provider errors pass through unchanged so clients can read the provider's message
+    if (!response.ok) {
+      const errorText = await response.text()
+      await recordRun(supabase, user.id, {
+        provider, model, promptId,
+        usage: { inputTokens: 0, outputTokens: 0 },
+        latency: Date.now() - startTime,
+        status: 'error',
+        error: `${response.status} ${errorText.slice(0, 500)}`,
+      })
+
+      const headers: Record<string, string> = { ...corsHeaders, 'Content-Type': 'application/json' }
+      const retryAfter = response.headers.get('retry-after')
+      if (retryAfter) headers['retry-after'] = retryAfter
+      return new Response(errorText, { status: response.status, headers })
+    }
+
+    if (stream && response.body) {
+      // Usage is collected as the stream passes through; the run is recorded with how it
+      // ended (finished, failed upstream, or cancelled by the browser)
+      const { stream: clientBody, outcome } = scanStreamUsage(response.body)
+      const recording = outcome
+        .then(({ usage, status, error }) => recordRun(supabase, user.id, {
+          provider, model, promptId, usage, latency: Date.now() - startTime, status, error,
+        }))
+        .catch(error => console.error('Failed to record streamed LLM usage:', error))
+
+      // Keep the function alive until usage is recorded
+      // deno-lint-ignore no-explicit-any
+      ;(globalThis as any).EdgeRuntime?.waitUntil?.(recording)
+
+      return new Response(clientBody, {
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+        },
+        status: 200,
+      })
+    }
+
+    const data = await response.json()
+    await recordRun(supabase, user.id, {
+      provider,
+      model,
+      promptId,
+      usage: extractUsage(data, { inputTokens: 0, outputTokens: 0 }),
+      latency: Date.now() - startTime,
+      status: 'success',
+    })
+
+    return jsonResponse(data)
+  } catch (error) {
+    console.error('LLM proxy error:', error)
+    return jsonResponse(
+      { error: error.message, code: error.code || 'proxy_error' },
+      error.status || 400
+    )
+  }
+})
@@ -0,0 +1,92 @@
+// Supabase Edge Function: MFA Recovery
+// Redeems a recovery code for a user who has lost their authenticator app. A valid,
+// unused code removes all of the caller's TOTP factors (so the aal1 session from their
+// password is enough again) and deletes their remaining codes; they are asked to
+// enroll a new authenticator afterwards. Codes are generated by Auth.generateRecoveryCodes()
+// in auth.js and stored as SHA-256 hashes in mfa_recovery_codes.
+// Deploy with: supabase functions deploy mfa-recovery
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+// Same normalisation as auth.js: case-insensitive, dashes and spaces ignored
+async function hashRecoveryCode(code: string): Promise<string> {
+  const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '')
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized))
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+    const { data: { user } } = await supabase.auth.getUser(token)
+    if (!user) {
+      return jsonResponse({ error: 'Authentication required', code: 'unauthorized' }, 401)
+    }
+
+    const { code } = await req.json()
+    if (typeof code !== 'string' || !code.trim()) {
+      return jsonResponse({ error: 'code is required', code: 'invalid_request' }, 400)
+    }
+
+    const logActivity = (action: string, metadata: Record<string, unknown> = {}) =>
+      supabase.from('activity_log').insert({
+        user_id: user.id,
+        action,
+        metadata: { ...metadata, timestamp: new Date().toISOString() },
+        user_agent: req.headers.get('user-agent'),
+      })
+
+    // Claim the code atomically so it can't be redeemed twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('mfa_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .eq('code_hash', await hashRecoveryCode(code))
+      .is('used_at', null)
+      .select('id')
+
+    if (claimError) throw claimError
+    if (!claimed || claimed.length === 0) {
+      await logActivity('auth.mfa.recovery_failed')
+      return jsonResponse({ error: 'Invalid or already used recovery code', code: 'invalid_recovery_code' }, 400)
+    }
+
+    const { data: factorData, error: listError } = await supabase.auth.admin.mfa.listFactors({ userId: user.id })
+    if (listError) throw listError
+
+    const totpFactors = (factorData?.factors || []).filter(factor => factor.factor_type === 'totp')
+    for (const factor of totpFactors) {
+      const { error } = await supabase.auth.admin.mfa.deleteFactor({ id: factor.id, userId: user.id })
+      if (error) throw error
+    }
+
+    await supabase.from('mfa_recovery_codes').delete().eq('user_id', user.id)
+    await logActivity('auth.mfa.recovery_used', { factorsRemoved: totpFactors.length })
+
+    return jsonResponse({ recovered: true, factorsRemoved: totpFactors.length })
+  } catch (error) {
+    console.error('MFA recovery error:', error)
+    return jsonResponse({ error: 'Failed to redeem recovery code', code: 'server_error' }, 500)
+  }
+})
@@ -0,0 +1,138 @@
+// Supabase Edge Function: Organization Invite
+// Invites someone to an organization by email. Owners can invite any role and
+// admins can invite editors and viewers. The invitation takes a seat straight away;
+// the seat-limit trigger on organization_invitations refuses it once the owner's plan is full.
+// People without an account get Supabase's invite email; existing users see the
+// invitation in Settings → Team and accept it there.
+// Deploy with: supabase functions deploy organization-invite
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const INVITABLE_ROLES: Record<string, string[]> = {
+  owner: ['admin', 'editor', 'viewer'],
+  admin: ['editor', 'viewer'],
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    const supabase = createClient(supabaseUrl, supabaseKey)
+
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+    const { data: { user } } = await supabase.auth.getUser(token)
+    if (!user) {
+      return jsonResponse({ error: 'Authentication required', code: 'unauthorized' }, 401)
+    }
+
+    const { organizationId, email: rawEmail, role = 'viewer', redirectTo } = await req.json()
+    const email = typeof rawEmail === 'string' ? rawEmail.trim().toLowerCase() : ''
+    if (typeof organizationId !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return jsonResponse({ error: 'organizationId and a valid email are required', code: 'invalid_request' }, 400)
+    }
+
+    const { data: membership } = await supabase
+      .from('organization_members')
+      .select('role')
+      .eq('organization_id', organizationId)
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (!membership || !INVITABLE_ROLES[membership.role]) {
+      return jsonResponse({ error: 'Only owners and admins can invite members', code: 'forbidden' }, 403)
+    }
+    if (!INVITABLE_ROLES[membership.role].includes(role)) {
+      return jsonResponse({ error: `You can't invite someone as ${role}`, code: 'forbidden' }, 403)
+    }
+
+    const { data: existingProfile } = await supabase
+      .from('profiles')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle()
+
+    if (existingProfile) {
+      const { data: existingMember } = await supabase
+        .from('organization_members')
+        .select('user_id')
+        .eq('organization_id', organizationId)
+        .eq('user_id', existingProfile.id)
+        .maybeSingle()
+      if (existingMember) {
+        return jsonResponse({ error: `${email} is already a member`, code: 'already_member' }, 409)
+      }
+    }
+
+    // Let an expired invitation be replaced
+    await supabase
+      .from('organization_invitations')
+      .update({ status: 'revoked' })
+      .eq('organization_id', organizationId)
+      .eq('email', email)
+      .eq('status', 'pending')
+      .lte('expires_at', new Date().toISOString())
+
+    const { data: invitation, error: insertError } = await supabase
+      .from('organization_invitations')
+      .insert({ organization_id: organizationId, email, role, invited_by: user.id })
+      .select('id, email, role, status, expires_at, created_at')
+      .single()
+
+    if (insertError) {
+      if (insertError.hint === 'seat_limit_reached') {
+        return jsonResponse({ error: insertError.message, code: 'seat_limit_reached' }, 403)
+      }
+      if (insertError.code === '23505') {
+        return jsonResponse({ error: `${email} already has a pending invitation`, code: 'already_invited' }, 409)
+      }
+      throw insertError
+    }
+
+    // Supabase only emails people without an account
+    let emailSent = false
+    if (!existingProfile) {
+      const { error: inviteError } = await supabase.auth.admin.inviteUserByEmail(email, {
+        redirectTo: typeof redirectTo === 'string' ? redirectTo : undefined,
+        data: { invited_to_organization: organizationId },
+      })
+      if (inviteError) {
+        console.error('Invite email failed:', inviteError)
+      } else {
+        emailSent = true
+      }
+    }
+
+    await supabase.from('activity_log').insert({
+      user_id: user.id,
+      action: 'organization.member_invited',
+      resource_type: 'organization',
+      resource_id: organizationId,
+      metadata: { email, role, emailSent, timestamp: new Date().toISOString() },
+      user_agent: req.headers.get('user-agent'),
+    })
+
+    return jsonResponse({ invitation, emailSent })
+  } catch (error) {
+    console.error('Organization invite error:', error)
+    return jsonResponse({ error: 'Failed to send invitation', code: 'server_error' }, 500)
+  }
+})
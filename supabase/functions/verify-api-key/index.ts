@@ -0,0 +1,68 @@
+// Supabase Edge Function: Verify API Key
+// Checks a platform API key (pk_live_... / pk_test_...) and reports what it can do.
+// Other API functions authenticate with the same helper (_shared/platform-auth.ts).
+// Deploy with: supabase functions deploy verify-api-key --no-verify-jwt
+//
+//   GET/POST /verify-api-key            Authorization: Bearer pk_live_...
+//   GET/POST /verify-api-key?scope=prompts:run   also requires that scope (403 without it)
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { API_KEY_SCOPES, ApiAuthError, ApiKeyContext, authenticateApiKey, logApiRequest } from '../_shared/platform-auth.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-api-key, x-client-info, apikey, content-type',
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const startTime = Date.now()
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+  const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+  const supabase = createClient(supabaseUrl, supabaseKey)
+  const logRequest = (key: ApiKeyContext, status: number, errorCode: string | null = null) =>
+    logApiRequest(supabase, key, {
+      method: req.method,
+      route: '/verify-api-key',
+      status,
+      latencyMs: Date.now() - startTime,
+      errorCode,
+    })
+
+  try {
+    const scope = new URL(req.url).searchParams.get('scope') || undefined
+    if (scope && !API_KEY_SCOPES.includes(scope)) {
+      return jsonResponse({ valid: false, error: `Unknown scope: ${scope}`, code: 'invalid_request' }, 400)
+    }
+
+    const key = await authenticateApiKey(req, supabase, scope)
+    await logRequest(key, 200)
+
+    return jsonResponse({
+      valid: true,
+      keyId: key.keyId,
+      name: key.name,
+      scopes: key.scopes,
+      environment: key.environment,
+      expiresAt: key.expiresAt,
+    })
+  } catch (error) {
+    if (error instanceof ApiAuthError) {
+      if (error.key) await logRequest(error.key, error.status, error.code)
+      return jsonResponse({ valid: false, error: error.message, code: error.code }, error.status)
+    }
+    console.error('Verify API key error:', error)
+    return jsonResponse({ valid: false, error: 'Failed to verify API key', code: 'server_error' }, 500)
+  }
+})
@@ -0,0 +1,18 @@
+-- ============================================
+-- MODEL CATALOG
+-- The AI model catalog (model-catalog.js) is stored as JSON in the
+-- settings table under key 'model_catalog'. Owners edit it from the
+-- owner dashboard; every signed-in user needs to read it to run prompts.
+-- ============================================
+
+ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+DROP POLICY IF EXISTS "Admins can manage settings" ON public.settings;
+CREATE POLICY "Admins can manage settings" ON public.settings FOR ALL USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role IN ('admin', 'owner'))
+);
+
+DROP POLICY IF EXISTS "Authenticated users can view model catalog" ON public.settings;
+CREATE POLICY "Authenticated users can view model catalog" ON public.settings FOR SELECT USING (
+    key = 'model_catalog' AND auth.uid() IS NOT NULL
+);
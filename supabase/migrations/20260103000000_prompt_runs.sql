@@ -0,0 +1,39 @@
+-- ============================================
+-- PROMPT_RUNS TABLE
+-- Usage ledger: one row per provider call. Written by the llm-proxy edge
+-- function (source 'proxy') or by the browser when the proxy is disabled
+-- (source 'direct'). Monthly apiCalls limits are counted from this table.
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_runs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE SET NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    cost NUMERIC(12, 6),
+    latency_ms INTEGER,
+    status TEXT DEFAULT 'success' CHECK (status IN ('success', 'error', 'cancelled')),
+    error TEXT,
+    source TEXT DEFAULT 'proxy' CHECK (source IN ('proxy', 'direct')),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.prompt_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own runs" ON public.prompt_runs;
+CREATE POLICY "Users can view their own runs" ON public.prompt_runs FOR SELECT USING (auth.uid() = user_id);
+
+-- Proxy rows are written with the service role; browsers may only log their own direct calls
+DROP POLICY IF EXISTS "Users can record their own direct runs" ON public.prompt_runs;
+CREATE POLICY "Users can record their own direct runs" ON public.prompt_runs FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND source = 'direct'
+);
+
+DROP POLICY IF EXISTS "Admins can view all runs" ON public.prompt_runs;
+CREATE POLICY "Admins can view all runs" ON public.prompt_runs FOR SELECT USING (
+    EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role IN ('admin', 'owner'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_runs_user_created ON public.prompt_runs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_prompt_runs_prompt ON public.prompt_runs(prompt_id);
@@ -0,0 +1,69 @@
+-- ============================================
+-- PLATFORM API KEYS
+-- api_keys holds two kinds of rows:
+--   provider - the user's own Claude/OpenAI/Gemini keys (key_hash is an encrypted blob,
+--              see security-crypto.js), one row per provider name
+--   platform - keys for calling the Prompting It API (api-console.html). key_hash is the
+--              SHA-256 hex digest of the full key; only key_prefix is kept in clear.
+--              permissions holds the key's scopes.
+-- ============================================
+ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS key_type TEXT DEFAULT 'provider';
+
+ALTER TABLE public.api_keys DROP CONSTRAINT IF EXISTS api_keys_key_type_check;
+ALTER TABLE public.api_keys ADD CONSTRAINT api_keys_key_type_check
+    CHECK (key_type IN ('provider', 'platform'));
+
+ALTER TABLE public.api_keys DROP CONSTRAINT IF EXISTS api_keys_platform_scopes_check;
+ALTER TABLE public.api_keys ADD CONSTRAINT api_keys_platform_scopes_check CHECK (
+    key_type <> 'platform' OR permissions <@ ARRAY['prompts:read', 'prompts:run', 'marketplace:read']
+);
+
+-- Platform keys are looked up by hash when a request comes in
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_platform_hash
+    ON public.api_keys(key_hash) WHERE key_type = 'platform';
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_type ON public.api_keys(user_id, key_type);
+
+-- Per-minute request counters for platform keys; api_keys.rate_limit is requests/minute.
+-- Written only through consume_api_key_call().
+CREATE TABLE IF NOT EXISTS public.api_key_rate_windows (
+    key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    window_start TIMESTAMPTZ NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, window_start)
+);
+
+ALTER TABLE public.api_key_rate_windows ENABLE ROW LEVEL SECURITY;
+
+-- Count one request against a platform key's rate limit. Requests within the limit also
+-- bump calls_used and last_used_at; returns { allowed, limit, resetAt }.
+CREATE OR REPLACE FUNCTION public.consume_api_key_call(p_key_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_window TIMESTAMPTZ := date_trunc('minute', NOW());
+    v_limit INTEGER;
+    v_requests INTEGER;
+BEGIN
+    SELECT rate_limit INTO v_limit FROM public.api_keys WHERE id = p_key_id;
+
+    INSERT INTO public.api_key_rate_windows (key_id, window_start, requests)
+    VALUES (p_key_id, v_window, 1)
+    ON CONFLICT (key_id, window_start) DO UPDATE SET requests = api_key_rate_windows.requests + 1
+    RETURNING requests INTO v_requests;
+
+    -- Earlier windows are no longer needed
+    DELETE FROM public.api_key_rate_windows WHERE key_id = p_key_id AND window_start < v_window;
+
+    IF v_limit IS NOT NULL AND v_requests > v_limit THEN
+        RETURN jsonb_build_object('allowed', FALSE, 'limit', v_limit, 'resetAt', v_window + INTERVAL '1 minute');
+    END IF;
+
+    UPDATE public.api_keys
+    SET calls_used = COALESCE(calls_used, 0) + 1,
+        last_used_at = NOW()
+    WHERE id = p_key_id;
+
+    RETURN jsonb_build_object('allowed', TRUE, 'limit', v_limit, 'resetAt', v_window + INTERVAL '1 minute');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.consume_api_key_call(UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,35 @@
+-- ============================================
+-- PUBLIC API
+-- Runs made through the public REST API (supabase/functions/api) are recorded
+-- in prompt_runs with source 'api'. Platform keys gain a prompts:write scope
+-- for creating, updating and deleting prompts.
+-- ============================================
+ALTER TABLE public.prompt_runs DROP CONSTRAINT IF EXISTS prompt_runs_source_check;
+ALTER TABLE public.prompt_runs ADD CONSTRAINT prompt_runs_source_check
+    CHECK (source IN ('proxy', 'direct', 'api'));
+
+ALTER TABLE public.api_keys DROP CONSTRAINT IF EXISTS api_keys_platform_scopes_check;
+ALTER TABLE public.api_keys ADD CONSTRAINT api_keys_platform_scopes_check CHECK (
+    key_type <> 'platform'
+    OR permissions <@ ARRAY['prompts:read', 'prompts:write', 'prompts:run', 'marketplace:read']
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompts_user_updated ON public.prompts(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_prompt ON public.prompt_versions(prompt_id, created_at DESC);
+
+-- Count one API run against a prompt. A single UPDATE so concurrent runs don't lose increments.
+CREATE OR REPLACE FUNCTION public.increment_prompt_run_count(p_prompt_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    v_run_count INTEGER;
+BEGIN
+    UPDATE public.prompts
+    SET run_count = COALESCE(run_count, 0) + 1
+    WHERE id = p_prompt_id
+    RETURNING run_count INTO v_run_count;
+
+    RETURN v_run_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.increment_prompt_run_count(UUID) FROM PUBLIC, anon, authenticated;
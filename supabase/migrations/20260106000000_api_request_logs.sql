@@ -0,0 +1,167 @@
+-- ============================================
+-- API_REQUEST_LOGS TABLE
+-- One row per public API request made with a platform key, written by the api
+-- and verify-api-key edge functions with the service role. Kept for 90 days
+-- (purge_api_request_logs); api_usage_daily keeps the per-day totals.
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.api_request_logs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    method TEXT NOT NULL,
+    route TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    latency_ms INTEGER NOT NULL DEFAULT 0,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    error_code TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.api_request_logs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own API requests" ON public.api_request_logs;
+CREATE POLICY "Users can view their own API requests" ON public.api_request_logs FOR SELECT USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_api_request_logs_user_created ON public.api_request_logs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_request_logs_key_created ON public.api_request_logs(key_id, created_at);
+
+-- ============================================
+-- API_USAGE_DAILY TABLE
+-- Per key, per UTC day, per route totals, maintained by a trigger on api_request_logs
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.api_usage_daily (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE NOT NULL,
+    day DATE NOT NULL,
+    method TEXT NOT NULL,
+    route TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    total_latency_ms BIGINT NOT NULL DEFAULT 0,
+    input_tokens BIGINT NOT NULL DEFAULT 0,
+    output_tokens BIGINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day, method, route)
+);
+ALTER TABLE public.api_usage_daily ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own API usage" ON public.api_usage_daily;
+CREATE POLICY "Users can view their own API usage" ON public.api_usage_daily FOR SELECT USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_daily_user_day ON public.api_usage_daily(user_id, day);
+
+CREATE OR REPLACE FUNCTION public.record_api_usage_daily()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.api_usage_daily (
+        user_id, key_id, day, method, route, requests, errors, total_latency_ms, input_tokens, output_tokens
+    ) VALUES (
+        NEW.user_id, NEW.key_id, (NEW.created_at AT TIME ZONE 'UTC')::date, NEW.method, NEW.route,
+        1, CASE WHEN NEW.status >= 400 THEN 1 ELSE 0 END, NEW.latency_ms,
+        COALESCE(NEW.input_tokens, 0), COALESCE(NEW.output_tokens, 0)
+    )
+    ON CONFLICT (key_id, day, method, route) DO UPDATE SET
+        requests = api_usage_daily.requests + 1,
+        errors = api_usage_daily.errors + EXCLUDED.errors,
+        total_latency_ms = api_usage_daily.total_latency_ms + EXCLUDED.total_latency_ms,
+        input_tokens = api_usage_daily.input_tokens + EXCLUDED.input_tokens,
+        output_tokens = api_usage_daily.output_tokens + EXCLUDED.output_tokens;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS on_api_request_logged ON public.api_request_logs;
+CREATE TRIGGER on_api_request_logged
+    AFTER INSERT ON public.api_request_logs
+    FOR EACH ROW EXECUTE FUNCTION public.record_api_usage_daily();
+
+-- Usage summary for the API Console, for the calling user's keys (or one key)
+-- between two UTC dates inclusive. Totals, the daily series and top endpoints come
+-- from api_usage_daily; latency percentiles need the raw logs, so they cover the
+-- last 90 days only. "previous" is the same-length period just before p_from.
+CREATE OR REPLACE FUNCTION public.get_api_usage(p_from DATE, p_to DATE, p_key_id UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+    WITH usage AS (
+        SELECT * FROM public.api_usage_daily
+        WHERE user_id = auth.uid()
+          AND (p_key_id IS NULL OR key_id = p_key_id)
+          AND day BETWEEN p_from - (p_to - p_from + 1) AND p_to
+    ),
+    current_usage AS (
+        SELECT * FROM usage WHERE day >= p_from
+    ),
+    latency AS (
+        SELECT
+            created_at >= (p_from::timestamp AT TIME ZONE 'UTC') AS is_current,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms) AS p50,
+            percentile_cont(0.95) WITHIN GROUP (ORDER BY latency_ms) AS p95
+        FROM public.api_request_logs
+        WHERE user_id = auth.uid()
+          AND (p_key_id IS NULL OR key_id = p_key_id)
+          AND created_at >= ((p_from - (p_to - p_from + 1))::timestamp AT TIME ZONE 'UTC')
+          AND created_at < ((p_to + 1)::timestamp AT TIME ZONE 'UTC')
+        GROUP BY 1
+    )
+    SELECT jsonb_build_object(
+        'totals', (
+            SELECT jsonb_build_object(
+                'requests', COALESCE(SUM(requests), 0),
+                'errors', COALESCE(SUM(errors), 0),
+                'inputTokens', COALESCE(SUM(input_tokens), 0),
+                'outputTokens', COALESCE(SUM(output_tokens), 0),
+                'p50', (SELECT ROUND(p50) FROM latency WHERE is_current),
+                'p95', (SELECT ROUND(p95) FROM latency WHERE is_current)
+            ) FROM current_usage
+        ),
+        'previous', (
+            SELECT jsonb_build_object(
+                'requests', COALESCE(SUM(requests), 0),
+                'errors', COALESCE(SUM(errors), 0),
+                'p50', (SELECT ROUND(p50) FROM latency WHERE NOT is_current),
+                'p95', (SELECT ROUND(p95) FROM latency WHERE NOT is_current)
+            ) FROM usage WHERE day < p_from
+        ),
+        'daily', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'day', day, 'requests', requests, 'errors', errors
+            ) ORDER BY day), '[]'::jsonb)
+            FROM (
+                SELECT day, SUM(requests) AS requests, SUM(errors) AS errors
+                FROM current_usage GROUP BY day
+            ) days
+        ),
+        'endpoints', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'method', method, 'route', route, 'requests', requests, 'errors', errors,
+                'avgLatency', ROUND(total_latency_ms::numeric / GREATEST(requests, 1))
+            ) ORDER BY requests DESC), '[]'::jsonb)
+            FROM (
+                SELECT method, route, SUM(requests) AS requests, SUM(errors) AS errors,
+                    SUM(total_latency_ms) AS total_latency_ms
+                FROM current_usage GROUP BY method, route
+                ORDER BY requests DESC LIMIT 10
+            ) routes
+        )
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Drop raw request logs older than 90 days (daily totals are kept)
+CREATE OR REPLACE FUNCTION public.purge_api_request_logs()
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM public.api_request_logs WHERE created_at < NOW() - INTERVAL '90 days';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the database owner and pg_cron run the purge
+REVOKE EXECUTE ON FUNCTION public.purge_api_request_logs() FROM PUBLIC, anon, authenticated;
+
+-- Purge daily when pg_cron is enabled (Database -> Extensions); without it, schedule
+-- SELECT public.purge_api_request_logs() some other way
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+        PERFORM cron.schedule('purge-api-request-logs', '30 3 * * *', 'SELECT public.purge_api_request_logs()');
+    END IF;
+END;
+$$;
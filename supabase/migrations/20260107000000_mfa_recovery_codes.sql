@@ -0,0 +1,53 @@
+-- ============================================
+-- MFA_RECOVERY_CODES TABLE
+-- One-time codes that remove a user's TOTP factors when they lose their
+-- authenticator (see the mfa-recovery edge function). Only SHA-256 hashes are
+-- stored. Codes can only be created or deleted from an aal2 (MFA-verified)
+-- session; they are redeemed with the service role.
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.mfa_recovery_codes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own recovery codes" ON public.mfa_recovery_codes;
+CREATE POLICY "Users can view their own recovery codes" ON public.mfa_recovery_codes FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create recovery codes after MFA" ON public.mfa_recovery_codes;
+CREATE POLICY "Users can create recovery codes after MFA" ON public.mfa_recovery_codes FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND (auth.jwt() ->> 'aal') = 'aal2'
+);
+
+DROP POLICY IF EXISTS "Users can delete recovery codes after MFA" ON public.mfa_recovery_codes;
+CREATE POLICY "Users can delete recovery codes after MFA" ON public.mfa_recovery_codes FOR DELETE USING (
+    auth.uid() = user_id AND (auth.jwt() ->> 'aal') = 'aal2'
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_hash ON public.mfa_recovery_codes(user_id, code_hash);
+
+-- Swap the caller's recovery codes for a new set in one transaction, so a failed
+-- insert can't leave them with none. Needs an aal2 session like the table policies.
+CREATE OR REPLACE FUNCTION public.replace_mfa_recovery_codes(p_code_hashes TEXT[])
+RETURNS INTEGER AS $$
+BEGIN
+    IF auth.uid() IS NULL OR (auth.jwt() ->> 'aal') IS DISTINCT FROM 'aal2' THEN
+        RAISE EXCEPTION 'Verify your authenticator before changing recovery codes'
+            USING ERRCODE = 'insufficient_privilege', HINT = 'mfa_required';
+    END IF;
+
+    IF COALESCE(array_length(p_code_hashes, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'No recovery codes given' USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    DELETE FROM public.mfa_recovery_codes WHERE user_id = auth.uid();
+
+    INSERT INTO public.mfa_recovery_codes (user_id, code_hash)
+    SELECT auth.uid(), code_hash FROM unnest(p_code_hashes) AS code_hash;
+
+    RETURN array_length(p_code_hashes, 1);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,291 @@
+-- ============================================
+-- ORGANIZATIONS TABLE
+-- Team accounts. Billing is shared: seats come from the owner's subscription tier
+-- (organization_seat_limit mirrors SUBSCRIPTION_TIERS limits.teamMembers in paywall.js).
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.organizations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT UNIQUE NOT NULL CHECK (slug ~ '^[a-z0-9][a-z0-9-]{1,47}$'),
+    owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.organizations ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- ORGANIZATION_MEMBERS TABLE
+-- owner - billing, deleting the organization, managing admins
+-- admin - inviting and removing editors and viewers
+-- editor - creating and editing organization prompts and folders
+-- viewer - read-only
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.organization_members (
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (organization_id, user_id)
+);
+ALTER TABLE public.organization_members ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- ORGANIZATION_INVITATIONS TABLE
+-- Pending invitations hold a seat until they are accepted, revoked or expire.
+-- Created by the organization-invite edge function, accepted with
+-- accept_organization_invitation().
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.organization_invitations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE NOT NULL,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('admin', 'editor', 'viewer')),
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+    accepted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.organization_invitations ENABLE ROW LEVEL SECURITY;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invitations_pending_email
+    ON public.organization_invitations(organization_id, lower(email)) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_organization_members_user ON public.organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_email ON public.organization_invitations(lower(email));
+
+-- Organization-owned prompts and folders. user_id stays the author; deleting the
+-- organization hands its prompts back to their authors.
+ALTER TABLE public.prompts ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE SET NULL;
+ALTER TABLE public.folders ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_prompts_organization ON public.prompts(organization_id) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_folders_organization ON public.folders(organization_id) WHERE organization_id IS NOT NULL;
+
+-- ============================================
+-- ROLE AND SEAT FUNCTIONS
+-- SECURITY DEFINER so policies can check membership without recursing into
+-- organization_members' own policies.
+-- ============================================
+
+-- The calling user's role in an organization, or NULL
+CREATE OR REPLACE FUNCTION public.organization_role(p_organization_id UUID)
+RETURNS TEXT AS $$
+    SELECT role FROM public.organization_members
+    WHERE organization_id = p_organization_id AND user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.has_organization_role(p_organization_id UUID, p_roles TEXT[])
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(public.organization_role(p_organization_id) = ANY(p_roles), FALSE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Seats included in the owner's plan (-1 = unlimited)
+CREATE OR REPLACE FUNCTION public.organization_seat_limit(p_organization_id UUID)
+RETURNS INTEGER AS $$
+    SELECT CASE COALESCE((
+        SELECT s.tier FROM public.subscriptions s
+        JOIN public.organizations o ON o.owner_id = s.user_id
+        WHERE o.id = p_organization_id AND s.status IN ('active', 'trialing')
+    ), 'free')
+        WHEN 'enterprise' THEN -1
+        WHEN 'pro' THEN 5
+        ELSE 1
+    END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Members plus unexpired pending invitations
+CREATE OR REPLACE FUNCTION public.organization_seats_used(p_organization_id UUID)
+RETURNS INTEGER AS $$
+    SELECT (
+        SELECT COUNT(*) FROM public.organization_members WHERE organization_id = p_organization_id
+    )::integer + (
+        SELECT COUNT(*) FROM public.organization_invitations
+        WHERE organization_id = p_organization_id AND status = 'pending' AND expires_at > NOW()
+    )::integer;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Refuse new members and invitations once every seat is taken
+CREATE OR REPLACE FUNCTION public.enforce_organization_seat_limit()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_limit INTEGER;
+BEGIN
+    IF TG_TABLE_NAME = 'organization_invitations' AND NEW.status <> 'pending' THEN
+        RETURN NEW;
+    END IF;
+
+    -- Serialize seat checks per organization
+    PERFORM 1 FROM public.organizations WHERE id = NEW.organization_id FOR UPDATE;
+
+    v_limit := public.organization_seat_limit(NEW.organization_id);
+    IF v_limit <> -1 AND public.organization_seats_used(NEW.organization_id) >= v_limit THEN
+        RAISE EXCEPTION 'All % seats on this plan are in use', v_limit
+            USING ERRCODE = 'check_violation', HINT = 'seat_limit_reached';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_member_seat_limit ON public.organization_members;
+CREATE TRIGGER enforce_member_seat_limit
+    BEFORE INSERT ON public.organization_members
+    FOR EACH ROW EXECUTE FUNCTION public.enforce_organization_seat_limit();
+
+DROP TRIGGER IF EXISTS enforce_invitation_seat_limit ON public.organization_invitations;
+CREATE TRIGGER enforce_invitation_seat_limit
+    BEFORE INSERT ON public.organization_invitations
+    FOR EACH ROW EXECUTE FUNCTION public.enforce_organization_seat_limit();
+
+-- The creator becomes the owner
+CREATE OR REPLACE FUNCTION public.handle_new_organization()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.organization_members (organization_id, user_id, role)
+    VALUES (NEW.id, NEW.owner_id, 'owner');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS on_organization_created ON public.organizations;
+CREATE TRIGGER on_organization_created
+    AFTER INSERT ON public.organizations
+    FOR EACH ROW EXECUTE FUNCTION public.handle_new_organization();
+
+-- Organization prompts stay put for editors: only owners and admins may move one
+-- out of the organization or hand it to another author
+CREATE OR REPLACE FUNCTION public.protect_organization_prompt()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.organization_id IS NOT NULL
+        AND auth.uid() IS NOT NULL
+        AND (NEW.organization_id IS DISTINCT FROM OLD.organization_id OR NEW.user_id IS DISTINCT FROM OLD.user_id)
+        AND NOT public.has_organization_role(OLD.organization_id, ARRAY['owner', 'admin'])
+        -- Deleting the organization detaches its prompts through ON DELETE SET NULL
+        AND EXISTS (SELECT 1 FROM public.organizations WHERE id = OLD.organization_id) THEN
+        RAISE EXCEPTION 'Only owners and admins can move organization prompts'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_organization_prompt ON public.prompts;
+CREATE TRIGGER protect_organization_prompt
+    BEFORE UPDATE OF organization_id, user_id ON public.prompts
+    FOR EACH ROW EXECUTE FUNCTION public.protect_organization_prompt();
+
+-- Accept an invitation addressed to the caller's email; returns the organization ID
+CREATE OR REPLACE FUNCTION public.accept_organization_invitation(p_invitation_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    v_invitation public.organization_invitations%ROWTYPE;
+BEGIN
+    SELECT * INTO v_invitation FROM public.organization_invitations
+    WHERE id = p_invitation_id
+      AND status = 'pending'
+      AND lower(email) = lower(auth.jwt() ->> 'email')
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_invitation.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'This invitation is invalid or has expired' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    -- Free the invitation's seat before the member takes it
+    UPDATE public.organization_invitations
+    SET status = 'accepted', accepted_at = NOW()
+    WHERE id = p_invitation_id;
+
+    INSERT INTO public.organization_members (organization_id, user_id, role, invited_by)
+    VALUES (v_invitation.organization_id, auth.uid(), v_invitation.role, v_invitation.invited_by)
+    ON CONFLICT (organization_id, user_id) DO NOTHING;
+
+    RETURN v_invitation.organization_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Members with their profile details (profiles are otherwise private to their owner)
+CREATE OR REPLACE FUNCTION public.get_organization_members(p_organization_id UUID)
+RETURNS TABLE (
+    user_id UUID, role TEXT, email TEXT, first_name TEXT, last_name TEXT,
+    avatar_url TEXT, joined_at TIMESTAMPTZ
+) AS $$
+    SELECT m.user_id, m.role, p.email, p.first_name, p.last_name, p.avatar_url, m.created_at
+    FROM public.organization_members m
+    LEFT JOIN public.profiles p ON p.id = m.user_id
+    WHERE m.organization_id = p_organization_id
+      AND public.organization_role(p_organization_id) IS NOT NULL
+    ORDER BY array_position(ARRAY['owner', 'admin', 'editor', 'viewer'], m.role), m.created_at;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- POLICIES
+-- ============================================
+DROP POLICY IF EXISTS "Members can view their organizations" ON public.organizations;
+CREATE POLICY "Members can view their organizations" ON public.organizations FOR SELECT USING (auth.uid() = owner_id OR public.organization_role(id) IS NOT NULL);
+DROP POLICY IF EXISTS "Invitees can view organizations they are invited to" ON public.organizations;
+CREATE POLICY "Invitees can view organizations they are invited to" ON public.organizations FOR SELECT USING (EXISTS (SELECT 1 FROM public.organization_invitations i WHERE i.organization_id = organizations.id AND i.status = 'pending' AND lower(i.email) = lower(auth.jwt() ->> 'email')));
+DROP POLICY IF EXISTS "Users can create organizations" ON public.organizations;
+CREATE POLICY "Users can create organizations" ON public.organizations FOR INSERT WITH CHECK (auth.uid() = owner_id);
+DROP POLICY IF EXISTS "Owners and admins can update organizations" ON public.organizations;
+CREATE POLICY "Owners and admins can update organizations" ON public.organizations FOR UPDATE USING (public.has_organization_role(id, ARRAY['owner', 'admin'])) WITH CHECK (owner_id = (SELECT o.owner_id FROM public.organizations o WHERE o.id = organizations.id));
+DROP POLICY IF EXISTS "Owners can delete organizations" ON public.organizations;
+CREATE POLICY "Owners can delete organizations" ON public.organizations FOR DELETE USING (auth.uid() = owner_id);
+
+-- Only the owner manages admins; admins manage editors and viewers. The owner row
+-- never changes here (ownership follows organizations.owner_id).
+DROP POLICY IF EXISTS "Members can view their organization's members" ON public.organization_members;
+CREATE POLICY "Members can view their organization's members" ON public.organization_members FOR SELECT USING (public.organization_role(organization_id) IS NOT NULL);
+DROP POLICY IF EXISTS "Owners and admins can change member roles" ON public.organization_members;
+CREATE POLICY "Owners and admins can change member roles" ON public.organization_members FOR UPDATE USING (role <> 'owner' AND (public.organization_role(organization_id) = 'owner' OR (public.organization_role(organization_id) = 'admin' AND role IN ('editor', 'viewer')))) WITH CHECK (role <> 'owner' AND (public.organization_role(organization_id) = 'owner' OR (public.organization_role(organization_id) = 'admin' AND role IN ('editor', 'viewer'))));
+DROP POLICY IF EXISTS "Owners and admins can remove members" ON public.organization_members;
+CREATE POLICY "Owners and admins can remove members" ON public.organization_members FOR DELETE USING (role <> 'owner' AND (public.organization_role(organization_id) = 'owner' OR (public.organization_role(organization_id) = 'admin' AND role IN ('editor', 'viewer'))));
+DROP POLICY IF EXISTS "Members can leave organizations" ON public.organization_members;
+CREATE POLICY "Members can leave organizations" ON public.organization_members FOR DELETE USING (auth.uid() = user_id AND role <> 'owner');
+
+DROP POLICY IF EXISTS "Owners and admins can view invitations" ON public.organization_invitations;
+CREATE POLICY "Owners and admins can view invitations" ON public.organization_invitations FOR SELECT USING (public.has_organization_role(organization_id, ARRAY['owner', 'admin']));
+DROP POLICY IF EXISTS "Invitees can view their invitations" ON public.organization_invitations;
+CREATE POLICY "Invitees can view their invitations" ON public.organization_invitations FOR SELECT USING (lower(email) = lower(auth.jwt() ->> 'email'));
+DROP POLICY IF EXISTS "Owners and admins can revoke invitations" ON public.organization_invitations;
+CREATE POLICY "Owners and admins can revoke invitations" ON public.organization_invitations FOR UPDATE USING (public.has_organization_role(organization_id, ARRAY['owner', 'admin'])) WITH CHECK (status = 'revoked');
+
+-- Organization prompts: every member can read, editors and up can write, owners
+-- and admins can delete. Author policies cover personal prompts only, so a demoted
+-- or removed author loses access to what they wrote for the organization. The same
+-- goes for versions and folders. Personal prompts and folders can only be moved into
+-- an organization the author can edit.
+DROP POLICY IF EXISTS "Users can view their own prompts" ON public.prompts;
+CREATE POLICY "Users can view their own prompts" ON public.prompts FOR SELECT USING (auth.uid() = user_id AND organization_id IS NULL);
+DROP POLICY IF EXISTS "Users can insert their own prompts" ON public.prompts;
+CREATE POLICY "Users can insert their own prompts" ON public.prompts FOR INSERT WITH CHECK (auth.uid() = user_id AND (organization_id IS NULL OR public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor'])));
+DROP POLICY IF EXISTS "Users can update their own prompts" ON public.prompts;
+CREATE POLICY "Users can update their own prompts" ON public.prompts FOR UPDATE USING (auth.uid() = user_id AND organization_id IS NULL) WITH CHECK (auth.uid() = user_id AND (organization_id IS NULL OR public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor'])));
+DROP POLICY IF EXISTS "Users can delete their own prompts" ON public.prompts;
+CREATE POLICY "Users can delete their own prompts" ON public.prompts FOR DELETE USING (auth.uid() = user_id AND organization_id IS NULL);
+DROP POLICY IF EXISTS "Members can view organization prompts" ON public.prompts;
+CREATE POLICY "Members can view organization prompts" ON public.prompts FOR SELECT USING (organization_id IS NOT NULL AND public.organization_role(organization_id) IS NOT NULL);
+DROP POLICY IF EXISTS "Editors can update organization prompts" ON public.prompts;
+CREATE POLICY "Editors can update organization prompts" ON public.prompts FOR UPDATE USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor'])) WITH CHECK (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']));
+DROP POLICY IF EXISTS "Admins can delete organization prompts" ON public.prompts;
+CREATE POLICY "Admins can delete organization prompts" ON public.prompts FOR DELETE USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin']));
+
+DROP POLICY IF EXISTS "Users can view versions of their prompts" ON public.prompt_versions;
+CREATE POLICY "Users can view versions of their prompts" ON public.prompt_versions FOR SELECT USING (EXISTS (SELECT 1 FROM public.prompts WHERE id = prompt_id AND user_id = auth.uid() AND organization_id IS NULL));
+DROP POLICY IF EXISTS "Users can insert versions of their prompts" ON public.prompt_versions;
+CREATE POLICY "Users can insert versions of their prompts" ON public.prompt_versions FOR INSERT WITH CHECK (EXISTS (SELECT 1 FROM public.prompts WHERE id = prompt_id AND user_id = auth.uid() AND organization_id IS NULL));
+DROP POLICY IF EXISTS "Members can view versions of organization prompts" ON public.prompt_versions;
+CREATE POLICY "Members can view versions of organization prompts" ON public.prompt_versions FOR SELECT USING (EXISTS (SELECT 1 FROM public.prompts WHERE id = prompt_id AND organization_id IS NOT NULL AND public.organization_role(organization_id) IS NOT NULL));
+DROP POLICY IF EXISTS "Editors can insert versions of organization prompts" ON public.prompt_versions;
+CREATE POLICY "Editors can insert versions of organization prompts" ON public.prompt_versions FOR INSERT WITH CHECK (EXISTS (SELECT 1 FROM public.prompts WHERE id = prompt_id AND organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor'])));
+
+DROP POLICY IF EXISTS "Users can view their own folders" ON public.folders;
+CREATE POLICY "Users can view their own folders" ON public.folders FOR SELECT USING (auth.uid() = user_id AND organization_id IS NULL);
+DROP POLICY IF EXISTS "Users can manage their own folders" ON public.folders;
+CREATE POLICY "Users can manage their own folders" ON public.folders FOR ALL USING (auth.uid() = user_id AND organization_id IS NULL) WITH CHECK (auth.uid() = user_id AND (organization_id IS NULL OR public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor'])));
+DROP POLICY IF EXISTS "Members can view organization folders" ON public.folders;
+CREATE POLICY "Members can view organization folders" ON public.folders FOR SELECT USING (organization_id IS NOT NULL AND public.organization_role(organization_id) IS NOT NULL);
+DROP POLICY IF EXISTS "Editors can manage organization folders" ON public.folders;
+CREATE POLICY "Editors can manage organization folders" ON public.folders FOR ALL USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor'])) WITH CHECK (organization_id IS NOT NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']));
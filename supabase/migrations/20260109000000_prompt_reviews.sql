@@ -0,0 +1,152 @@
+-- ============================================
+-- PROMPT_REVIEWS TABLE
+-- Review queue for team prompts. An editor asks teammates to review one version
+-- of a prompt shared with their organization; another editor, admin or owner
+-- approves it or requests changes with decide_prompt_review().
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_reviews (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    requested_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'changes_requested', 'cancelled')),
+    priority TEXT NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+    note TEXT CHECK (char_length(note) <= 2000),
+    decided_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.prompt_reviews ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- PROMPT_VERSION_COMMENTS TABLE
+-- Discussion on a single prompt version, visible to the prompt's organization
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_version_comments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 4000),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.prompt_version_comments ENABLE ROW LEVEL SECURITY;
+
+-- One open review per version
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_reviews_pending_version
+    ON public.prompt_reviews(version_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_prompt_reviews_organization ON public.prompt_reviews(organization_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prompt_version_comments_version ON public.prompt_version_comments(version_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_prompt_version_comments_organization ON public.prompt_version_comments(organization_id, created_at DESC);
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Reviews and comments belong to the version's prompt and that prompt's
+-- organization; callers only pass version_id. Personal prompts have to be shared
+-- with a team first.
+CREATE OR REPLACE FUNCTION public.set_prompt_collaboration_scope()
+RETURNS TRIGGER AS $$
+BEGIN
+    SELECT v.prompt_id, p.organization_id INTO NEW.prompt_id, NEW.organization_id
+    FROM public.prompt_versions v
+    JOIN public.prompts p ON p.id = v.prompt_id
+    WHERE v.id = NEW.version_id;
+
+    IF NEW.organization_id IS NULL THEN
+        RAISE EXCEPTION 'Share this prompt with a team first' USING ERRCODE = 'check_violation', HINT = 'prompt_not_shared';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS set_prompt_review_scope ON public.prompt_reviews;
+CREATE TRIGGER set_prompt_review_scope
+    BEFORE INSERT ON public.prompt_reviews
+    FOR EACH ROW EXECUTE FUNCTION public.set_prompt_collaboration_scope();
+
+DROP TRIGGER IF EXISTS set_prompt_version_comment_scope ON public.prompt_version_comments;
+CREATE TRIGGER set_prompt_version_comment_scope
+    BEFORE INSERT ON public.prompt_version_comments
+    FOR EACH ROW EXECUTE FUNCTION public.set_prompt_collaboration_scope();
+
+-- Approve a pending review or request changes, optionally leaving a comment on
+-- the version. Reviewers are editors, admins and owners other than the requester.
+CREATE OR REPLACE FUNCTION public.decide_prompt_review(p_review_id UUID, p_status TEXT, p_comment TEXT DEFAULT NULL)
+RETURNS public.prompt_reviews AS $$
+DECLARE
+    v_review public.prompt_reviews%ROWTYPE;
+BEGIN
+    IF p_status NOT IN ('approved', 'changes_requested') THEN
+        RAISE EXCEPTION 'Invalid review decision: %', p_status USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    SELECT * INTO v_review FROM public.prompt_reviews WHERE id = p_review_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT public.has_organization_role(v_review.organization_id, ARRAY['owner', 'admin', 'editor']) THEN
+        RAISE EXCEPTION 'Review not found' USING ERRCODE = 'no_data_found';
+    END IF;
+    IF v_review.requested_by = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t review your own changes' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    IF v_review.status <> 'pending' THEN
+        RAISE EXCEPTION 'This review has already been closed' USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NULLIF(trim(p_comment), '') IS NOT NULL THEN
+        INSERT INTO public.prompt_version_comments (version_id, user_id, body)
+        VALUES (v_review.version_id, auth.uid(), trim(p_comment));
+    END IF;
+
+    UPDATE public.prompt_reviews
+    SET status = p_status, decided_by = auth.uid(), decided_at = NOW(), updated_at = NOW()
+    WHERE id = p_review_id
+    RETURNING * INTO v_review;
+
+    RETURN v_review;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- POLICIES
+-- ============================================
+DROP POLICY IF EXISTS "Members can view reviews" ON public.prompt_reviews;
+CREATE POLICY "Members can view reviews" ON public.prompt_reviews FOR SELECT USING (public.organization_role(organization_id) IS NOT NULL);
+DROP POLICY IF EXISTS "Editors can request reviews" ON public.prompt_reviews;
+CREATE POLICY "Editors can request reviews" ON public.prompt_reviews FOR INSERT WITH CHECK (auth.uid() = requested_by AND status = 'pending' AND decided_by IS NULL AND public.has_organization_role(organization_id, ARRAY['owner', 'admin', 'editor']));
+DROP POLICY IF EXISTS "Requesters can cancel reviews" ON public.prompt_reviews;
+CREATE POLICY "Requesters can cancel reviews" ON public.prompt_reviews FOR UPDATE USING (auth.uid() = requested_by AND status = 'pending') WITH CHECK (auth.uid() = requested_by AND status = 'cancelled' AND decided_by IS NULL);
+
+DROP POLICY IF EXISTS "Members can view version comments" ON public.prompt_version_comments;
+CREATE POLICY "Members can view version comments" ON public.prompt_version_comments FOR SELECT USING (public.organization_role(organization_id) IS NOT NULL);
+DROP POLICY IF EXISTS "Members can comment on versions" ON public.prompt_version_comments;
+CREATE POLICY "Members can comment on versions" ON public.prompt_version_comments FOR INSERT WITH CHECK (auth.uid() = user_id AND public.organization_role(organization_id) IS NOT NULL);
+DROP POLICY IF EXISTS "Users can delete their own comments" ON public.prompt_version_comments;
+CREATE POLICY "Users can delete their own comments" ON public.prompt_version_comments FOR DELETE USING (auth.uid() = user_id);
+
+-- ============================================
+-- REALTIME
+-- workspace.html listens for changes to these tables. Realtime applies the
+-- SELECT policies above, so members only receive their own teams' rows.
+-- ============================================
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        FOREACH v_table IN ARRAY ARRAY['prompts', 'prompt_reviews', 'prompt_version_comments'] LOOP
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_publication_tables
+                WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = v_table
+            ) THEN
+                EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', v_table);
+            END IF;
+        END LOOP;
+    END IF;
+END;
+$$;
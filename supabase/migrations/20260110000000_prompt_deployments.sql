@@ -0,0 +1,267 @@
+-- ============================================
+-- APPROVAL POLICY
+-- Approvals a version needs before it can be promoted to production. A folder can
+-- require more approvals than its organization, never fewer. Personal prompts
+-- have no reviewers, so the policy only applies to prompts shared with a team.
+-- ============================================
+ALTER TABLE public.organizations ADD COLUMN IF NOT EXISTS required_approvals INTEGER NOT NULL DEFAULT 0 CHECK (required_approvals BETWEEN 0 AND 10);
+ALTER TABLE public.folders ADD COLUMN IF NOT EXISTS required_approvals INTEGER CHECK (required_approvals BETWEEN 0 AND 10);
+
+-- ============================================
+-- PROMPT_VERSION_APPROVALS TABLE
+-- One row per reviewer who approved a version (recorded by decide_prompt_review)
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_version_approvals (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+    review_id UUID REFERENCES public.prompt_reviews(id) ON DELETE SET NULL,
+    approved_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (version_id, approved_by)
+);
+ALTER TABLE public.prompt_version_approvals ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- PROMPT_DEPLOYMENTS TABLE
+-- The version each environment serves; the API's run endpoint reads it
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_deployments (
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    environment TEXT NOT NULL CHECK (environment IN ('dev', 'staging', 'production')),
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    promoted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    promoted_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (prompt_id, environment)
+);
+ALTER TABLE public.prompt_deployments ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- PROMPT_PROMOTIONS TABLE
+-- Audit trail of every promotion, including the approvals it was made with
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_promotions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    environment TEXT NOT NULL CHECK (environment IN ('dev', 'staging', 'production')),
+    version_id UUID REFERENCES public.prompt_versions(id) ON DELETE CASCADE NOT NULL,
+    previous_version_id UUID REFERENCES public.prompt_versions(id) ON DELETE SET NULL,
+    promoted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    approvals INTEGER NOT NULL DEFAULT 0,
+    required_approvals INTEGER NOT NULL DEFAULT 0,
+    note TEXT CHECK (char_length(note) <= 2000),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.prompt_promotions ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_prompt_version_approvals_prompt ON public.prompt_version_approvals(prompt_id);
+CREATE INDEX IF NOT EXISTS idx_prompt_deployments_version ON public.prompt_deployments(version_id);
+CREATE INDEX IF NOT EXISTS idx_prompt_promotions_prompt_created ON public.prompt_promotions(prompt_id, created_at DESC);
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Whether the calling user can see a prompt's versions, approvals and deployments
+CREATE OR REPLACE FUNCTION public.can_view_prompt(p_prompt_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.prompts
+        WHERE id = p_prompt_id
+          AND ((user_id = auth.uid() AND organization_id IS NULL) OR (organization_id IS NOT NULL AND public.organization_role(organization_id) IS NOT NULL))
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Only owners and admins set a team folder's approval policy; editors can still
+-- manage the folder otherwise
+CREATE OR REPLACE FUNCTION public.check_folder_approval_policy()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.organization_id IS NOT NULL
+       AND NEW.required_approvals IS DISTINCT FROM (CASE WHEN TG_OP = 'UPDATE' THEN OLD.required_approvals END)
+       AND NOT public.has_organization_role(NEW.organization_id, ARRAY['owner', 'admin']) THEN
+        RAISE EXCEPTION 'Only team owners and admins can change approval policies' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_folder_approval_policy ON public.folders;
+CREATE TRIGGER check_folder_approval_policy
+    BEFORE INSERT OR UPDATE OF required_approvals ON public.folders
+    FOR EACH ROW EXECUTE FUNCTION public.check_folder_approval_policy();
+
+-- Approvals needed to promote a prompt to production: the stricter of its
+-- folder's and its organization's policy
+CREATE OR REPLACE FUNCTION public.prompt_required_approvals(p_prompt_id UUID)
+RETURNS INTEGER AS $$
+    SELECT CASE WHEN p.organization_id IS NULL THEN 0
+                ELSE GREATEST(COALESCE(f.required_approvals, 0), COALESCE(o.required_approvals, 0))
+           END
+    FROM public.prompts p
+    LEFT JOIN public.folders f ON f.id = p.folder_id
+    LEFT JOIN public.organizations o ON o.id = p.organization_id
+    WHERE p.id = p_prompt_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Approve a pending review or request changes, optionally leaving a comment on
+-- the version. Reviewers are editors, admins and owners other than the requester.
+-- Each approval is recorded; the review closes as approved once the version has
+-- the approvals its prompt's policy requires (at least one).
+CREATE OR REPLACE FUNCTION public.decide_prompt_review(p_review_id UUID, p_status TEXT, p_comment TEXT DEFAULT NULL)
+RETURNS public.prompt_reviews AS $$
+DECLARE
+    v_review public.prompt_reviews%ROWTYPE;
+    v_approvals INTEGER;
+BEGIN
+    IF p_status NOT IN ('approved', 'changes_requested') THEN
+        RAISE EXCEPTION 'Invalid review decision: %', p_status USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    SELECT * INTO v_review FROM public.prompt_reviews WHERE id = p_review_id FOR UPDATE;
+
+    IF NOT FOUND OR NOT public.has_organization_role(v_review.organization_id, ARRAY['owner', 'admin', 'editor']) THEN
+        RAISE EXCEPTION 'Review not found' USING ERRCODE = 'no_data_found';
+    END IF;
+    IF v_review.requested_by = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t review your own changes' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    IF v_review.status <> 'pending' THEN
+        RAISE EXCEPTION 'This review has already been closed' USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NULLIF(trim(p_comment), '') IS NOT NULL THEN
+        INSERT INTO public.prompt_version_comments (version_id, user_id, body)
+        VALUES (v_review.version_id, auth.uid(), trim(p_comment));
+    END IF;
+
+    IF p_status = 'approved' THEN
+        INSERT INTO public.prompt_version_approvals (version_id, prompt_id, organization_id, review_id, approved_by)
+        VALUES (v_review.version_id, v_review.prompt_id, v_review.organization_id, v_review.id, auth.uid())
+        ON CONFLICT (version_id, approved_by) DO NOTHING;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'You have already approved this version' USING ERRCODE = 'unique_violation';
+        END IF;
+
+        SELECT count(*) INTO v_approvals FROM public.prompt_version_approvals WHERE version_id = v_review.version_id;
+
+        -- Wait for more reviewers
+        IF v_approvals < GREATEST(public.prompt_required_approvals(v_review.prompt_id), 1) THEN
+            UPDATE public.prompt_reviews SET updated_at = NOW()
+            WHERE id = p_review_id
+            RETURNING * INTO v_review;
+            RETURN v_review;
+        END IF;
+    END IF;
+
+    UPDATE public.prompt_reviews
+    SET status = p_status, decided_by = auth.uid(), decided_at = NOW(), updated_at = NOW()
+    WHERE id = p_review_id
+    RETURNING * INTO v_review;
+
+    RETURN v_review;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Point an environment at a version. Production needs the approvals required by
+-- the prompt's policy. Team prompts can be promoted by editors and up, personal
+-- prompts by their author. The public API (service role) passes the API key's
+-- owner as p_actor_id; signed-in callers always act as themselves.
+CREATE OR REPLACE FUNCTION public.promote_prompt_version(
+    p_version_id UUID, p_environment TEXT, p_note TEXT DEFAULT NULL, p_actor_id UUID DEFAULT NULL
+) RETURNS public.prompt_promotions AS $$
+DECLARE
+    v_actor UUID := COALESCE(auth.uid(), CASE WHEN auth.jwt() ->> 'role' = 'service_role' THEN p_actor_id END);
+    v_prompt public.prompts%ROWTYPE;
+    v_previous UUID;
+    v_approvals INTEGER := 0;
+    v_required INTEGER := 0;
+    v_promotion public.prompt_promotions%ROWTYPE;
+BEGIN
+    IF p_environment NOT IN ('dev', 'staging', 'production') THEN
+        RAISE EXCEPTION 'Unknown environment: %', p_environment USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    SELECT p.* INTO v_prompt
+    FROM public.prompt_versions v
+    JOIN public.prompts p ON p.id = v.prompt_id
+    WHERE v.id = p_version_id
+    FOR UPDATE OF p;
+
+    IF NOT FOUND OR v_actor IS NULL OR NOT (
+        (v_prompt.organization_id IS NULL AND v_prompt.user_id = v_actor)
+        OR (v_prompt.organization_id IS NOT NULL AND EXISTS (
+            SELECT 1 FROM public.organization_members
+            WHERE organization_id = v_prompt.organization_id AND user_id = v_actor
+              AND role IN ('owner', 'admin', 'editor')
+        ))
+    ) THEN
+        RAISE EXCEPTION 'Version not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    SELECT count(*) INTO v_approvals FROM public.prompt_version_approvals WHERE version_id = p_version_id;
+    IF p_environment = 'production' THEN
+        v_required := public.prompt_required_approvals(v_prompt.id);
+        IF v_approvals < v_required THEN
+            RAISE EXCEPTION 'This version needs % approval(s) before it can go to production; it has %', v_required, v_approvals
+                USING ERRCODE = 'check_violation', HINT = 'approvals_required';
+        END IF;
+    END IF;
+
+    SELECT version_id INTO v_previous FROM public.prompt_deployments
+    WHERE prompt_id = v_prompt.id AND environment = p_environment;
+
+    INSERT INTO public.prompt_deployments (prompt_id, environment, version_id, promoted_by, promoted_at)
+    VALUES (v_prompt.id, p_environment, p_version_id, v_actor, NOW())
+    ON CONFLICT (prompt_id, environment) DO UPDATE
+    SET version_id = EXCLUDED.version_id, promoted_by = EXCLUDED.promoted_by, promoted_at = EXCLUDED.promoted_at;
+
+    INSERT INTO public.prompt_promotions (prompt_id, environment, version_id, previous_version_id, promoted_by, approvals, required_approvals, note)
+    VALUES (v_prompt.id, p_environment, p_version_id, v_previous, v_actor, v_approvals, v_required, NULLIF(trim(p_note), ''))
+    RETURNING * INTO v_promotion;
+
+    IF p_environment = 'production' AND v_prompt.status = 'draft' THEN
+        UPDATE public.prompts SET status = 'active', updated_at = NOW() WHERE id = v_prompt.id;
+    END IF;
+
+    INSERT INTO public.activity_log (user_id, action, resource_type, resource_id, metadata)
+    VALUES (v_actor, 'prompt.promoted', 'prompt', v_prompt.id, jsonb_build_object(
+        'environment', p_environment,
+        'versionId', p_version_id,
+        'previousVersionId', v_previous,
+        'approvals', v_approvals,
+        'requiredApprovals', v_required,
+        'organizationId', v_prompt.organization_id
+    ));
+
+    RETURN v_promotion;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- POLICIES
+-- Approvals, deployments and promotions are written by the functions above
+-- ============================================
+DROP POLICY IF EXISTS "Users can view approvals of prompts they can see" ON public.prompt_version_approvals;
+CREATE POLICY "Users can view approvals of prompts they can see" ON public.prompt_version_approvals FOR SELECT USING (public.can_view_prompt(prompt_id));
+DROP POLICY IF EXISTS "Users can view deployments of prompts they can see" ON public.prompt_deployments;
+CREATE POLICY "Users can view deployments of prompts they can see" ON public.prompt_deployments FOR SELECT USING (public.can_view_prompt(prompt_id));
+DROP POLICY IF EXISTS "Users can view promotions of prompts they can see" ON public.prompt_promotions;
+CREATE POLICY "Users can view promotions of prompts they can see" ON public.prompt_promotions FOR SELECT USING (public.can_view_prompt(prompt_id));
+
+-- ============================================
+-- REALTIME
+-- workspace.html refreshes when a teammate approves a version
+-- ============================================
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') AND NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'prompt_version_approvals'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.prompt_version_approvals;
+    END IF;
+END;
+$$;
@@ -0,0 +1,162 @@
+-- ============================================
+-- PROMPT VERSION HISTORY
+-- Every content change to a prompt is saved as a prompt_versions row with an
+-- automatically bumped semantic version:
+--   major - a {{variable}} was removed or renamed, so callers must change
+--   minor - a {{variable}} was added
+--   patch - only the wording changed
+-- An explicit version set in the same update (e.g. PUT /v1/prompts/{id} with
+-- "version") is kept instead, as long as it is greater than the current one. restore_prompt_version() rolls a prompt back by
+-- saving an old version's content as a new version.
+-- ============================================
+ALTER TABLE public.prompt_versions ADD COLUMN IF NOT EXISTS bump TEXT CHECK (bump IN ('major', 'minor', 'patch'));
+ALTER TABLE public.prompt_versions ADD COLUMN IF NOT EXISTS restored_from UUID REFERENCES public.prompt_versions(id) ON DELETE SET NULL;
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- {{variable}} names in a template, sorted and without duplicates
+CREATE OR REPLACE FUNCTION public.prompt_template_variables(p_content TEXT)
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(DISTINCT m[1] ORDER BY m[1]), '{}')
+    FROM regexp_matches(COALESCE(p_content, ''), '\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}', 'g') AS m;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- How much a content change bumps the version (see the header comment)
+CREATE OR REPLACE FUNCTION public.prompt_version_bump(p_old_content TEXT, p_new_content TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_old TEXT[] := public.prompt_template_variables(p_old_content);
+    v_new TEXT[] := public.prompt_template_variables(p_new_content);
+BEGIN
+    IF NOT v_old <@ v_new THEN
+        RETURN 'major';
+    ELSIF NOT v_new <@ v_old THEN
+        RETURN 'minor';
+    END IF;
+    RETURN 'patch';
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Apply a bump to a version string; anything that isn't x.y.z starts from 1.0.0
+CREATE OR REPLACE FUNCTION public.next_prompt_version(p_version TEXT, p_bump TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_parts TEXT[] := regexp_match(COALESCE(p_version, ''), '^v?(\d+)\.(\d+)\.(\d+)');
+BEGIN
+    IF v_parts IS NULL THEN
+        v_parts := ARRAY['1', '0', '0'];
+    END IF;
+    RETURN CASE p_bump
+        WHEN 'major' THEN (v_parts[1]::INT + 1) || '.0.0'
+        WHEN 'minor' THEN v_parts[1] || '.' || (v_parts[2]::INT + 1) || '.0'
+        ELSE v_parts[1] || '.' || v_parts[2] || '.' || (v_parts[3]::INT + 1)
+    END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Picks the version for new content before the row is written
+CREATE OR REPLACE FUNCTION public.set_prompt_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        NEW.version := COALESCE(substring(NEW.version FROM '^v?(\d+\.\d+\.\d+)$'), '1.0.0');
+    ELSIF NEW.content IS DISTINCT FROM OLD.content THEN
+        IF NEW.version IS DISTINCT FROM OLD.version AND NEW.version ~ '^\d+\.\d+\.\d+$' THEN
+            -- An explicit version has to move forward, so version numbers stay unique
+            IF string_to_array(NEW.version, '.')::INT[] <= (regexp_match(COALESCE(OLD.version, ''), '^v?(\d+)\.(\d+)\.(\d+)'))::INT[] THEN
+                RAISE EXCEPTION 'Version % must be greater than the current version %', NEW.version, OLD.version
+                    USING ERRCODE = 'check_violation', HINT = 'version_not_increasing';
+            END IF;
+            RETURN NEW;
+        END IF;
+        NEW.version := public.next_prompt_version(OLD.version, public.prompt_version_bump(OLD.content, NEW.content));
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Saves the new content as a version. restore_prompt_version() passes its change
+-- notes and the restored version through transaction-local settings.
+CREATE OR REPLACE FUNCTION public.record_prompt_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.content IS NOT DISTINCT FROM OLD.content THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.prompt_versions (prompt_id, version, content, change_notes, created_by, bump, restored_from)
+    VALUES (
+        NEW.id,
+        NEW.version,
+        NEW.content,
+        NULLIF(current_setting('promptingit.change_notes', TRUE), ''),
+        COALESCE(auth.uid(), NEW.user_id),
+        CASE WHEN TG_OP = 'UPDATE' THEN public.prompt_version_bump(OLD.content, NEW.content) END,
+        NULLIF(current_setting('promptingit.restored_from', TRUE), '')::UUID
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS set_prompt_version ON public.prompts;
+CREATE TRIGGER set_prompt_version
+    BEFORE INSERT OR UPDATE OF content ON public.prompts
+    FOR EACH ROW EXECUTE FUNCTION public.set_prompt_version();
+
+DROP TRIGGER IF EXISTS record_prompt_version ON public.prompts;
+CREATE TRIGGER record_prompt_version
+    AFTER INSERT OR UPDATE OF content ON public.prompts
+    FOR EACH ROW EXECUTE FUNCTION public.record_prompt_version();
+
+-- Roll a prompt back to an older version. The old content is saved as a new
+-- version (history is never rewritten) that points at the one it restored.
+-- Authors can restore personal prompts; editors and up can restore team prompts.
+CREATE OR REPLACE FUNCTION public.restore_prompt_version(p_version_id UUID, p_note TEXT DEFAULT NULL)
+RETURNS public.prompt_versions AS $$
+DECLARE
+    v_source public.prompt_versions%ROWTYPE;
+    v_prompt public.prompts%ROWTYPE;
+    v_restored public.prompt_versions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_source FROM public.prompt_versions WHERE id = p_version_id;
+    SELECT * INTO v_prompt FROM public.prompts WHERE id = v_source.prompt_id FOR UPDATE;
+
+    IF v_source.id IS NULL OR v_prompt.id IS NULL OR NOT (
+        (v_prompt.organization_id IS NULL AND v_prompt.user_id = auth.uid())
+        OR (v_prompt.organization_id IS NOT NULL AND public.has_organization_role(v_prompt.organization_id, ARRAY['owner', 'admin', 'editor']))
+    ) THEN
+        RAISE EXCEPTION 'Version not found' USING ERRCODE = 'no_data_found';
+    END IF;
+    IF v_source.content = v_prompt.content THEN
+        RAISE EXCEPTION 'This version is already the current content' USING ERRCODE = 'check_violation', HINT = 'already_current';
+    END IF;
+
+    PERFORM set_config('promptingit.change_notes',
+        'Restored from v' || v_source.version || COALESCE(': ' || NULLIF(trim(p_note), ''), ''), TRUE);
+    PERFORM set_config('promptingit.restored_from', v_source.id::TEXT, TRUE);
+
+    UPDATE public.prompts SET content = v_source.content, updated_at = NOW() WHERE id = v_prompt.id;
+
+    PERFORM set_config('promptingit.change_notes', '', TRUE);
+    PERFORM set_config('promptingit.restored_from', '', TRUE);
+
+    SELECT * INTO v_restored FROM public.prompt_versions
+    WHERE prompt_id = v_prompt.id AND restored_from = v_source.id
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    INSERT INTO public.activity_log (user_id, action, resource_type, resource_id, metadata)
+    VALUES (auth.uid(), 'prompt.version_restored', 'prompt', v_prompt.id, jsonb_build_object(
+        'versionId', v_restored.id,
+        'version', v_restored.version,
+        'restoredFromId', v_source.id,
+        'restoredFrom', v_source.version,
+        'previousVersion', v_prompt.version,
+        'organizationId', v_prompt.organization_id
+    ));
+
+    RETURN v_restored;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
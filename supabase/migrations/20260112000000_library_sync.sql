@@ -0,0 +1,61 @@
+-- ============================================
+-- LIBRARY SYNC
+-- library.html keeps prompts, folders and favorites in IndexedDB and replays
+-- offline changes (see library-sync.js). A change only applies if the row's
+-- updated_at is still the one the device last saw, so updated_at is set by the
+-- server: a device with a wrong clock can't hide an edit from another device.
+-- ============================================
+
+-- ============================================
+-- PROMPT_FAVORITES TABLE
+-- Prompts a user starred in the library, shared across their devices
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_favorites (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, prompt_id)
+);
+ALTER TABLE public.prompt_favorites ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own favorites" ON public.prompt_favorites;
+CREATE POLICY "Users can view their own favorites" ON public.prompt_favorites FOR SELECT USING (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can add favorites" ON public.prompt_favorites;
+CREATE POLICY "Users can add favorites" ON public.prompt_favorites FOR INSERT WITH CHECK (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can remove favorites" ON public.prompt_favorites;
+CREATE POLICY "Users can remove favorites" ON public.prompt_favorites FOR DELETE USING (auth.uid() = user_id);
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Bumps updated_at only when one of the columns named in the trigger arguments
+-- (the ones library-sync.js syncs) changes. Run counts, annotations and the like
+-- leave it alone, so they don't look like edits to other devices.
+CREATE OR REPLACE FUNCTION public.touch_updated_at()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_old JSONB := to_jsonb(OLD);
+    v_new JSONB := to_jsonb(NEW);
+    v_column TEXT;
+BEGIN
+    NEW.updated_at := OLD.updated_at;
+    FOREACH v_column IN ARRAY TG_ARGV LOOP
+        IF v_new -> v_column IS DISTINCT FROM v_old -> v_column THEN
+            NEW.updated_at := NOW();
+            EXIT;
+        END IF;
+    END LOOP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS touch_prompts_updated_at ON public.prompts;
+CREATE TRIGGER touch_prompts_updated_at
+    BEFORE UPDATE ON public.prompts
+    FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at('title', 'description', 'content', 'category', 'tags', 'model', 'status', 'folder_id');
+
+DROP TRIGGER IF EXISTS touch_folders_updated_at ON public.folders;
+CREATE TRIGGER touch_folders_updated_at
+    BEFORE UPDATE ON public.folders
+    FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at('name', 'color', 'icon', 'parent_id');
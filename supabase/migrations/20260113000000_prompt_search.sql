@@ -0,0 +1,151 @@
+-- ============================================
+-- PROMPT SEARCH
+-- Full-text search over a user's prompts (search_prompts()) and near-duplicate
+-- detection with embeddings computed in the browser (prompt-search.js) and
+-- compared with pgvector (match_similar_prompts()).
+-- ============================================
+CREATE EXTENSION IF NOT EXISTS vector WITH SCHEMA extensions;
+
+-- Title ranks above tags and description, which rank above the template itself.
+-- array_to_string() isn't immutable, so the generated column goes through this.
+CREATE OR REPLACE FUNCTION public.prompt_search_document(p_title TEXT, p_description TEXT, p_content TEXT, p_tags TEXT[])
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(p_title, '')), 'A')
+        || setweight(to_tsvector('english', COALESCE(array_to_string(p_tags, ' '), '')), 'B')
+        || setweight(to_tsvector('english', COALESCE(p_description, '')), 'B')
+        || setweight(to_tsvector('english', COALESCE(p_content, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE public.prompts ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (public.prompt_search_document(title, description, content, tags)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_prompts_search ON public.prompts USING gin(search_vector);
+
+-- ============================================
+-- PROMPT_EMBEDDINGS TABLE
+-- One vector per prompt, written by the author's browser. content_hash tells
+-- the browser which prompts changed since their embedding was computed; model
+-- names the embedding scheme so vectors from different schemes aren't compared.
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.prompt_embeddings (
+    prompt_id UUID REFERENCES public.prompts(id) ON DELETE CASCADE PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    model TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    embedding vector(256) NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE public.prompt_embeddings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own embeddings" ON public.prompt_embeddings;
+CREATE POLICY "Users can view their own embeddings" ON public.prompt_embeddings FOR SELECT USING (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can add embeddings for their prompts" ON public.prompt_embeddings;
+CREATE POLICY "Users can add embeddings for their prompts" ON public.prompt_embeddings FOR INSERT WITH CHECK (auth.uid() = user_id AND EXISTS (SELECT 1 FROM public.prompts p WHERE p.id = prompt_id AND p.user_id = auth.uid()));
+DROP POLICY IF EXISTS "Users can update their own embeddings" ON public.prompt_embeddings;
+CREATE POLICY "Users can update their own embeddings" ON public.prompt_embeddings FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can delete their own embeddings" ON public.prompt_embeddings;
+CREATE POLICY "Users can delete their own embeddings" ON public.prompt_embeddings FOR DELETE USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_embeddings_user ON public.prompt_embeddings(user_id);
+CREATE INDEX IF NOT EXISTS idx_prompt_embeddings_vector ON public.prompt_embeddings USING hnsw (embedding vector_cosine_ops);
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Ranked search over the caller's prompts. p_query takes web search syntax
+-- ("exact phrase", or, -exclude); the other filters come from the library's
+-- tag:, model:, folder: and status: operators and their negated forms (-tag:). Matches in title and snippet are
+-- wrapped in chr(2) and chr(3) so the browser can escape the text before
+-- turning them into <mark> tags.
+DROP FUNCTION IF EXISTS public.search_prompts(TEXT, TEXT[], TEXT, TEXT, TEXT, INTEGER, INTEGER);
+CREATE OR REPLACE FUNCTION public.search_prompts(
+    p_query TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_model TEXT DEFAULT NULL,
+    p_folder TEXT DEFAULT NULL,
+    p_status TEXT DEFAULT NULL,
+    p_exclude_tags TEXT[] DEFAULT NULL,
+    p_exclude_models TEXT[] DEFAULT NULL,
+    p_exclude_folders TEXT[] DEFAULT NULL,
+    p_exclude_statuses TEXT[] DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    title_highlight TEXT,
+    description TEXT,
+    snippet TEXT,
+    tags TEXT[],
+    model TEXT,
+    status TEXT,
+    folder_id UUID,
+    updated_at TIMESTAMPTZ,
+    rank REAL
+) AS $$
+    WITH search AS (
+        SELECT CASE WHEN NULLIF(trim(p_query), '') IS NOT NULL THEN websearch_to_tsquery('english', p_query) END AS query
+    )
+    SELECT
+        p.id,
+        p.title,
+        CASE WHEN s.query IS NULL THEN p.title
+            ELSE ts_headline('english', p.title, s.query, 'HighlightAll=true, StartSel=' || chr(2) || ', StopSel=' || chr(3))
+        END AS title_highlight,
+        p.description,
+        CASE WHEN s.query IS NULL THEN left(COALESCE(NULLIF(p.description, ''), p.content), 200)
+            ELSE ts_headline('english', p.content, s.query,
+                'MaxFragments=2, MinWords=8, MaxWords=24, FragmentDelimiter=" ... ", StartSel=' || chr(2) || ', StopSel=' || chr(3))
+        END AS snippet,
+        p.tags,
+        p.model,
+        p.status,
+        p.folder_id,
+        p.updated_at,
+        (CASE WHEN s.query IS NULL THEN 0 ELSE ts_rank_cd(p.search_vector, s.query, 32) END)::REAL AS rank
+    FROM public.prompts p
+    CROSS JOIN search s
+    LEFT JOIN public.folders f ON f.id = p.folder_id
+    WHERE p.user_id = auth.uid()
+        AND (s.query IS NULL OR p.search_vector @@ s.query)
+        AND (p_status IS NULL OR p.status = lower(p_status))
+        AND (p_model IS NULL OR lower(p.model) = lower(p_model))
+        AND (p_folder IS NULL OR lower(f.name) = lower(p_folder))
+        AND (p_tags IS NULL OR NOT EXISTS (
+            SELECT 1 FROM unnest(p_tags) AS wanted
+            WHERE NOT EXISTS (SELECT 1 FROM unnest(p.tags) AS tag WHERE lower(tag) = lower(wanted))
+        ))
+        AND NOT EXISTS (SELECT 1 FROM unnest(p_exclude_statuses) AS unwanted WHERE p.status = lower(unwanted))
+        AND NOT EXISTS (SELECT 1 FROM unnest(p_exclude_models) AS unwanted WHERE lower(p.model) = lower(unwanted))
+        AND NOT EXISTS (SELECT 1 FROM unnest(p_exclude_folders) AS unwanted WHERE lower(f.name) = lower(unwanted))
+        AND NOT EXISTS (
+            SELECT 1 FROM unnest(p_exclude_tags) AS unwanted, unnest(p.tags) AS tag WHERE lower(tag) = lower(unwanted)
+        )
+    ORDER BY rank DESC, p.updated_at DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 100)
+    OFFSET GREATEST(p_offset, 0);
+$$ LANGUAGE sql STABLE;
+
+-- The caller's prompts whose embedding is closest to the given prompt's, by
+-- cosine similarity (1 = same wording)
+CREATE OR REPLACE FUNCTION public.match_similar_prompts(p_prompt_id UUID, p_threshold FLOAT DEFAULT 0.7, p_limit INTEGER DEFAULT 10)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    description TEXT,
+    status TEXT,
+    updated_at TIMESTAMPTZ,
+    similarity FLOAT
+) AS $$
+    SELECT p.id, p.title, p.description, p.status, p.updated_at, 1 - (e.embedding <=> source.embedding) AS similarity
+    FROM public.prompt_embeddings source
+    JOIN public.prompt_embeddings e ON e.prompt_id <> source.prompt_id AND e.model = source.model AND e.user_id = source.user_id
+    JOIN public.prompts p ON p.id = e.prompt_id
+    WHERE source.prompt_id = p_prompt_id
+        AND source.user_id = auth.uid()
+        AND 1 - (e.embedding <=> source.embedding) >= p_threshold
+    ORDER BY e.embedding <=> source.embedding
+    LIMIT LEAST(GREATEST(p_limit, 1), 50);
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,103 @@
+-- ============================================
+-- LIBRARY IMPORT
+-- Imports that carry version history (library exports, PromptLayer templates
+-- with several versions) go through import_prompts(), which creates the
+-- folders and prompts in one transaction and keeps each version's number,
+-- notes and date. Prompts without history can be saved like any other edit.
+-- ============================================
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- p_folders: [{ id, name, parentId, color, icon }], parents before children
+-- p_prompts: [{ id, folderId, title, description, content, category, tags,
+--              model, status, version, versions: [{ version, content,
+--              changeNotes, bump, createdAt }] }], versions oldest first
+-- Folder references that aren't the caller's own folders are dropped.
+CREATE OR REPLACE FUNCTION public.import_prompts(p_folders JSONB DEFAULT '[]', p_prompts JSONB DEFAULT '[]', p_source TEXT DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    v_user UUID := auth.uid();
+    v_folder JSONB;
+    v_item JSONB;
+    v_prompt public.prompts%ROWTYPE;
+    v_recorded UUID;
+    v_history JSONB;
+    v_count INTEGER := 0;
+BEGIN
+    IF v_user IS NULL THEN
+        RAISE EXCEPTION 'Sign in to import prompts' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    FOR v_folder IN SELECT value FROM jsonb_array_elements(COALESCE(p_folders, '[]')) LOOP
+        INSERT INTO public.folders (id, user_id, name, parent_id, color, icon)
+        VALUES (
+            (v_folder->>'id')::UUID,
+            v_user,
+            v_folder->>'name',
+            (SELECT f.id FROM public.folders f WHERE f.id = NULLIF(v_folder->>'parentId', '')::UUID AND f.user_id = v_user),
+            COALESCE(v_folder->>'color', '#67e8f9'),
+            COALESCE(v_folder->>'icon', 'folder')
+        );
+    END LOOP;
+
+    -- The version the prompts trigger records for each new prompt gets these notes
+    PERFORM set_config('promptingit.change_notes', 'Imported from ' || COALESCE(NULLIF(trim(p_source), ''), 'a file'), TRUE);
+
+    FOR v_item IN SELECT value FROM jsonb_array_elements(COALESCE(p_prompts, '[]')) LOOP
+        INSERT INTO public.prompts (id, user_id, folder_id, title, description, content, category, tags, model, status, version)
+        VALUES (
+            (v_item->>'id')::UUID,
+            v_user,
+            (SELECT f.id FROM public.folders f WHERE f.id = NULLIF(v_item->>'folderId', '')::UUID AND f.user_id = v_user),
+            v_item->>'title',
+            v_item->>'description',
+            v_item->>'content',
+            v_item->>'category',
+            ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_item->'tags', '[]'))),
+            COALESCE(v_item->>'model', 'gpt-4'),
+            COALESCE(v_item->>'status', 'draft'),
+            v_item->>'version'
+        )
+        RETURNING * INTO v_prompt;
+        v_count := v_count + 1;
+
+        SELECT COALESCE(jsonb_agg(h.value ORDER BY h.ordinality), '[]') INTO v_history
+        FROM jsonb_array_elements(COALESCE(v_item->'versions', '[]')) WITH ORDINALITY AS h
+        WHERE NULLIF(h.value->>'content', '') IS NOT NULL;
+
+        CONTINUE WHEN jsonb_array_length(v_history) = 0;
+
+        SELECT id INTO v_recorded FROM public.prompt_versions WHERE prompt_id = v_prompt.id;
+
+        INSERT INTO public.prompt_versions (prompt_id, version, content, change_notes, created_by, bump, created_at)
+        SELECT
+            v_prompt.id,
+            COALESCE(substring(h.value->>'version' FROM '^v?(\d+\.\d+\.\d+)$'), '1.0.0'),
+            h.value->>'content',
+            h.value->>'changeNotes',
+            v_user,
+            CASE WHEN h.value->>'bump' IN ('major', 'minor', 'patch') THEN h.value->>'bump' END,
+            COALESCE((h.value->>'createdAt')::TIMESTAMPTZ, NOW() - (jsonb_array_length(v_history) - h.ordinality + 1) * INTERVAL '1 second')
+        FROM jsonb_array_elements(v_history) WITH ORDINALITY AS h;
+
+        -- The recorded version only duplicates the newest imported one, unless the
+        -- prompt was edited after that version was saved
+        IF v_history->-1->>'content' = v_prompt.content THEN
+            DELETE FROM public.prompt_versions WHERE id = v_recorded;
+        END IF;
+    END LOOP;
+
+    PERFORM set_config('promptingit.change_notes', '', TRUE);
+
+    INSERT INTO public.activity_log (user_id, action, resource_type, metadata)
+    VALUES (v_user, 'library.imported', 'prompt', jsonb_build_object(
+        'source', p_source,
+        'prompts', v_count,
+        'folders', jsonb_array_length(COALESCE(p_folders, '[]'))
+    ));
+
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,119 @@
+/* ============================================
+   TOKENIZER
+   Prompting It - Local token count approximation
+   ============================================ */
+
+// Estimates how many tokens a provider will bill for a piece of text without
+// calling the provider. The real tokenizers (BPE for OpenAI and Claude,
+// SentencePiece for Gemini) are too large to ship to the browser, so text is
+// split the way a BPE pre-tokenizer would (words, 1-3 digit groups,
+// punctuation runs) and each piece is costed with per-family averages.
+// Counts are approximate - the provider's reported usage is what gets billed;
+// this is for pre-flight estimates.
+//
+// Usually called through LLM.countTokens() / LLM.estimate() (llm.js).
+
+(function() {
+  'use strict';
+
+  // Per provider family:
+  //   shortWord       - words up to this many characters (incl. leading space) are one token
+  //   charsPerToken   - average characters per token for longer Latin words
+  //   cjkPerToken     - Chinese/Japanese/Korean characters per token
+  //   messageOverhead - tokens added per message for role/turn markers
+  //   replyOverhead   - tokens added once to prime the assistant reply
+  const FAMILIES = {
+    openai: { shortWord: 7, charsPerToken: 5.5, cjkPerToken: 1.2, messageOverhead: 3, replyOverhead: 3 },
+    claude: { shortWord: 6, charsPerToken: 4.8, cjkPerToken: 0.9, messageOverhead: 4, replyOverhead: 3 },
+    gemini: { shortWord: 7, charsPerToken: 5.2, cjkPerToken: 1.0, messageOverhead: 2, replyOverhead: 0 }
+  };
+
+  const DEFAULT_FAMILY = 'openai';
+
+  // Pre-tokenizer: a word with its leading space, up to 3 digits, a punctuation run, or whitespace
+  const PIECE_PATTERN = /\s?[\p{L}\p{M}]+|\s?\p{N}{1,3}|\s?[^\s\p{L}\p{M}\p{N}]+|\s+/gu;
+  const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+  const LATIN_PATTERN = /^\s?[a-zA-Z]+$/;
+
+  /**
+   * Estimate the tokens in one pre-tokenized piece
+   * @param {string} piece - Piece from PIECE_PATTERN
+   * @param {Object} family - Entry from FAMILIES
+   * @returns {number}
+   */
+  function countPiece(piece, family) {
+    // Whitespace runs (indentation, blank lines) usually merge into one token
+    if (!piece.trim()) return 1;
+
+    if (LATIN_PATTERN.test(piece)) {
+      return piece.length <= family.shortWord ? 1 : Math.ceil(piece.length / family.charsPerToken);
+    }
+
+    // Digit groups are already split to at most 3 digits
+    if (/^\s?\p{N}+$/u.test(piece)) return 1;
+
+    // Symbols: common runs like "```", "{{" or "..." are single tokens
+    if (!/[\p{L}\p{M}]/u.test(piece)) return Math.ceil(piece.trim().length / 2);
+
+    // Non-Latin scripts: CJK is roughly per character, others split about twice as often as English
+    const cjk = (piece.match(CJK_PATTERN) || []).length;
+    const rest = piece.trim().length - cjk;
+    return Math.ceil(cjk / family.cjkPerToken) + Math.ceil(rest / (family.charsPerToken / 2));
+  }
+
+  const Tokenizer = {
+    FAMILIES: FAMILIES,
+
+    /**
+     * Tokenizer family for a provider (unknown providers use OpenAI's)
+     * @param {string} provider - Provider ID
+     * @returns {string} Family key
+     */
+    familyFor(provider) {
+      return FAMILIES[provider] ? provider : DEFAULT_FAMILY;
+    },
+
+    /**
+     * Estimate the tokens in a string
+     * @param {string} text - Text to count
+     * @param {string} family - Family key (default: 'openai')
+     * @returns {number} Approximate token count
+     */
+    count(text, family = DEFAULT_FAMILY) {
+      if (!text) return 0;
+
+      const config = FAMILIES[family] || FAMILIES[DEFAULT_FAMILY];
+      let tokens = 0;
+      for (const piece of String(text).match(PIECE_PATTERN) || []) {
+        tokens += countPiece(piece, config);
+      }
+      return tokens;
+    },
+
+    /**
+     * Estimate the input tokens for a conversation, including per-message overhead
+     * @param {Object} conversation - { system, messages } as built by LLM.buildConversation()
+     * @param {string} family - Family key
+     * @returns {number} Approximate input token count
+     */
+    countMessages(conversation, family = DEFAULT_FAMILY) {
+      const config = FAMILIES[family] || FAMILIES[DEFAULT_FAMILY];
+      const { system, messages = [] } = conversation;
+
+      let tokens = config.replyOverhead;
+      if (system) {
+        tokens += this.count(system, family) + config.messageOverhead;
+      }
+      messages.forEach(message => {
+        tokens += this.count(message.content, family) + config.messageOverhead;
+        if (message.toolCalls) {
+          tokens += this.count(JSON.stringify(message.toolCalls), family);
+        }
+      });
+      return tokens;
+    }
+  };
+
+  window.Tokenizer = Tokenizer;
+
+})();
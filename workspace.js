@@ -0,0 +1,648 @@
+/* ============================================
+   TEAM WORKSPACE
+   Prompting It - Shared prompts, reviews and comments
+   ============================================ */
+
+// Sharing a prompt moves it into an organization (prompts.organization_id), so
+// every member can open it and editors can change it. Before a version goes to
+// production an editor requests a review; teammates other than the requester
+// approve it or request changes. Members discuss each version in its comments.
+//
+// Each approval is recorded per version. A review closes as approved once the
+// version has the approvals the team (or its folder) requires, and only then can
+// it be promoted to production. Promotions point an environment (dev, staging,
+// production) at a version; the API's run endpoint serves that version.
+//
+// Reviews and comments carry the prompt's organization_id (set by a trigger from
+// the version) so the workspace can list and subscribe to them per team. The
+// rules live in RLS policies and decide_prompt_review() in supabase-schema.sql.
+//
+// Load order: supabase-config.js -> auth.js -> security.js -> organizations.js
+//   -> realtime.js -> workspace.js
+
+(function() {
+  'use strict';
+
+  const CURRENT_ORGANIZATION_KEY = 'promptingit_workspace_organization';
+
+  const REVIEW_PRIORITIES = ['low', 'medium', 'high'];
+  const REVIEW_DECISIONS = ['approved', 'changes_requested'];
+  const ENVIRONMENTS = ['dev', 'staging', 'production'];
+
+  const REVIEW_SELECT = 'id, organization_id, prompt_id, version_id, requested_by, status, priority, note, ' +
+    'decided_by, decided_at, created_at, prompts(title), prompt_versions(version)';
+
+  function requireSession() {
+    const supabase = window.PromptingItSupabase?.getClient();
+    const user = window.Auth?.getUser();
+    if (!supabase || !user) {
+      throw new Error('Please sign in to use the team workspace');
+    }
+    return { supabase, user };
+  }
+
+  // action is a key of Security.AuditLog.ACTIONS
+  function audit(action, resourceId, metadata = {}) {
+    const auditLog = window.Security?.AuditLog;
+    if (auditLog) {
+      auditLog.log(auditLog.ACTIONS[action], { resourceType: 'prompt', resourceId, ...metadata });
+    }
+  }
+
+  function toSharedPrompt(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      category: row.category,
+      version: row.version,
+      status: row.status,
+      authorId: row.user_id,
+      updatedAt: row.updated_at,
+      // { dev: '1.2.0', production: '1.1.0' }
+      deployments: Object.fromEntries((row.prompt_deployments || [])
+        .map(deployment => [deployment.environment, deployment.prompt_versions?.version || null]))
+    };
+  }
+
+  function toPromotion(row) {
+    return {
+      id: row.id,
+      environment: row.environment,
+      versionId: row.version_id,
+      version: row.prompt_versions?.version || null,
+      previousVersionId: row.previous_version_id,
+      promotedBy: row.promoted_by,
+      approvals: row.approvals,
+      requiredApprovals: row.required_approvals,
+      note: row.note,
+      createdAt: row.created_at
+    };
+  }
+
+  function toReview(row) {
+    return {
+      id: row.id,
+      organizationId: row.organization_id,
+      promptId: row.prompt_id,
+      promptTitle: row.prompts?.title || 'Untitled prompt',
+      versionId: row.version_id,
+      version: row.prompt_versions?.version || null,
+      requestedBy: row.requested_by,
+      status: row.status,
+      priority: row.priority,
+      note: row.note,
+      decidedBy: row.decided_by,
+      decidedAt: row.decided_at,
+      createdAt: row.created_at
+    };
+  }
+
+  function toComment(row) {
+    return {
+      id: row.id,
+      versionId: row.version_id,
+      promptId: row.prompt_id,
+      userId: row.user_id,
+      body: row.body,
+      createdAt: row.created_at
+    };
+  }
+
+  async function latestVersion(supabase, promptId) {
+    const { data, error } = await supabase
+      .from('prompt_versions')
+      .select('id, version')
+      .eq('prompt_id', promptId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('This prompt has no saved versions yet');
+    return data;
+  }
+
+  const Workspace = {
+    REVIEW_PRIORITIES: REVIEW_PRIORITIES,
+    ENVIRONMENTS: ENVIRONMENTS,
+
+    /**
+     * The team last opened in the workspace, if any
+     * @returns {string|null} Organization ID
+     */
+    getCurrentOrganizationId() {
+      return localStorage.getItem(CURRENT_ORGANIZATION_KEY);
+    },
+
+    /**
+     * Remember which team the workspace shows
+     * @param {string} organizationId
+     */
+    setCurrentOrganizationId(organizationId) {
+      localStorage.setItem(CURRENT_ORGANIZATION_KEY, organizationId);
+    },
+
+    /**
+     * Prompts shared with a team, most recently updated first
+     * @param {string} organizationId
+     * @returns {Promise<Array<Object>>} [{ id, title, description, category, version, status, authorId, updatedAt, deployments }]
+     */
+    async listSharedPrompts(organizationId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('prompts')
+        .select('id, title, description, category, version, status, user_id, updated_at, prompt_deployments(environment, prompt_versions(version))')
+        .eq('organization_id', organizationId)
+        .order('updated_at', { ascending: false });
+
+      if (error) throw error;
+      return (data || []).map(toSharedPrompt);
+    },
+
+    /**
+     * Share a prompt with a team (editors and up), or pass null to make it
+     * personal again. Only the prompt's author can move it between teams.
+     * @param {string} promptId
+     * @param {string|null} organizationId
+     * @returns {Promise<void>}
+     */
+    async sharePrompt(promptId, organizationId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('prompts')
+        .update({ organization_id: organizationId, updated_at: new Date().toISOString() })
+        .eq('id', promptId)
+        .select('id');
+
+      if (error) {
+        throw error.code === '42501' ? new Error("Viewers can't share prompts with this team") : error;
+      }
+      if (!data || data.length === 0) {
+        throw new Error("Only the prompt's author can change who it is shared with");
+      }
+
+      if (organizationId) {
+        audit('PROMPT_SHARED', promptId, { organizationId });
+      } else {
+        audit('PROMPT_UNSHARED', promptId);
+      }
+    },
+
+    /**
+     * Ask teammates to review a shared prompt as it is now. Reuses the latest
+     * version when its content matches the prompt, otherwise saves a new one.
+     * @param {string} promptId
+     * @param {Object} options - { priority: 'low'|'medium'|'high', note }
+     * @returns {Promise<Object>} The review
+     */
+    async requestReview(promptId, { priority = 'medium', note = '' } = {}) {
+      const { supabase, user } = requireSession();
+      if (!REVIEW_PRIORITIES.includes(priority)) {
+        throw new Error(`Invalid priority: ${priority}`);
+      }
+
+      const { data: prompt, error: promptError } = await supabase
+        .from('prompts')
+        .select('id, content, version, organization_id')
+        .eq('id', promptId)
+        .single();
+      if (promptError) throw promptError;
+      if (!prompt.organization_id) {
+        throw new Error('Share this prompt with a team first');
+      }
+
+      const { data: latest, error: versionError } = await supabase
+        .from('prompt_versions')
+        .select('id, content')
+        .eq('prompt_id', promptId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (versionError) throw versionError;
+
+      let versionId = latest?.id;
+      if (!latest || latest.content !== prompt.content) {
+        const { data: created, error } = await supabase
+          .from('prompt_versions')
+          .insert({
+            prompt_id: promptId,
+            version: prompt.version || '1.0.0',
+            content: prompt.content,
+            change_notes: 'Submitted for review',
+            created_by: user.id
+          })
+          .select('id')
+          .single();
+        if (error) throw error;
+        versionId = created.id;
+      }
+
+      // organization_id and prompt_id are filled in from the version by a trigger
+      const { data, error } = await supabase
+        .from('prompt_reviews')
+        .insert({
+          version_id: versionId,
+          requested_by: user.id,
+          priority,
+          note: note.trim() || null
+        })
+        .select(REVIEW_SELECT)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') throw new Error('This version is already waiting for review');
+        if (error.code === '42501') throw new Error("Viewers can't request reviews");
+        throw error;
+      }
+
+      audit('PROMPT_REVIEW_REQUESTED', promptId, { reviewId: data.id, organizationId: data.organization_id });
+      return toReview(data);
+    },
+
+    /**
+     * A team's reviews, newest first
+     * @param {string} organizationId
+     * @param {Object} options - { status: one status or an array, limit }
+     * @returns {Promise<Array<Object>>}
+     */
+    async listReviews(organizationId, { status = null, limit = 50 } = {}) {
+      const { supabase } = requireSession();
+
+      let query = supabase
+        .from('prompt_reviews')
+        .select(REVIEW_SELECT)
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (Array.isArray(status)) query = query.in('status', status);
+      else if (status) query = query.eq('status', status);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).map(toReview);
+    },
+
+    /**
+     * A review with the content of the version under review and its approvals
+     * @param {string} reviewId
+     * @returns {Promise<Object>} The review plus { content, changeNotes, approvals, requiredApprovals }
+     *   - approvals is [{ userId, createdAt }]; requiredApprovals is at least 1
+     */
+    async getReview(reviewId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('prompt_reviews')
+        .select(REVIEW_SELECT.replace('prompt_versions(version)', 'prompt_versions(version, content, change_notes)'))
+        .eq('id', reviewId)
+        .single();
+      if (error) throw error;
+
+      const [approvals, required] = await Promise.all([
+        this.listApprovals(data.version_id),
+        supabase.rpc('prompt_required_approvals', { p_prompt_id: data.prompt_id })
+      ]);
+      if (required.error) throw required.error;
+
+      return {
+        ...toReview(data),
+        content: data.prompt_versions?.content || '',
+        changeNotes: data.prompt_versions?.change_notes || null,
+        approvals,
+        // A review always needs one approval, even when production needs none
+        requiredApprovals: Math.max(required.data || 0, 1)
+      };
+    },
+
+    /**
+     * Who approved a version, oldest first
+     * @param {string} versionId
+     * @returns {Promise<Array<Object>>} [{ userId, createdAt }]
+     */
+    async listApprovals(versionId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('prompt_version_approvals')
+        .select('approved_by, created_at')
+        .eq('version_id', versionId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return (data || []).map(row => ({ userId: row.approved_by, createdAt: row.created_at }));
+    },
+
+    /**
+     * Approve a review or request changes (editors and up, not the requester).
+     * An approval leaves the review pending until the version has the approvals
+     * its prompt requires.
+     * @param {string} reviewId
+     * @param {string} decision - 'approved' or 'changes_requested'
+     * @param {string} comment - Optional comment added to the version
+     * @returns {Promise<Object>} The updated review
+     */
+    async decideReview(reviewId, decision, comment = '') {
+      const { supabase } = requireSession();
+      if (!REVIEW_DECISIONS.includes(decision)) {
+        throw new Error(`Invalid decision: ${decision}`);
+      }
+
+      const { data, error } = await supabase.rpc('decide_prompt_review', {
+        p_review_id: reviewId,
+        p_status: decision,
+        p_comment: comment || null
+      });
+      if (error) {
+        throw error.code === '23505' ? new Error('You have already approved this version') : error;
+      }
+
+      audit('PROMPT_REVIEW_DECIDED', data.prompt_id, { reviewId, decision });
+      return toReview(data);
+    },
+
+    /**
+     * Withdraw a pending review you requested
+     * @param {string} reviewId
+     * @returns {Promise<void>}
+     */
+    async cancelReview(reviewId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('prompt_reviews')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('id', reviewId)
+        .select('prompt_id');
+
+      if (error) throw error;
+      if (!data || data.length === 0) {
+        throw new Error('Only the person who requested a review can cancel it');
+      }
+
+      audit('PROMPT_REVIEW_CANCELLED', data[0].prompt_id, { reviewId });
+    },
+
+    /**
+     * Comments on a prompt version, oldest first
+     * @param {string} versionId
+     * @returns {Promise<Array<Object>>} [{ id, versionId, promptId, userId, body, createdAt }]
+     */
+    async listComments(versionId) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('prompt_version_comments')
+        .select('id, version_id, prompt_id, user_id, body, created_at')
+        .eq('version_id', versionId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return (data || []).map(toComment);
+    },
+
+    /**
+     * Comment on a prompt version (any member)
+     * @param {string} versionId
+     * @param {string} body
+     * @returns {Promise<Object>} The comment
+     */
+    async addComment(versionId, body) {
+      const { supabase, user } = requireSession();
+      const trimmed = (body || '').trim();
+      if (!trimmed) {
+        throw new Error('Write a comment first');
+      }
+
+      // organization_id and prompt_id are filled in from the version by a trigger
+      const { data, error } = await supabase
+        .from('prompt_version_comments')
+        .insert({ version_id: versionId, user_id: user.id, body: trimmed })
+        .select('id, version_id, prompt_id, user_id, body, created_at')
+        .single();
+
+      if (error) throw error;
+      return toComment(data);
+    },
+
+    /**
+     * Delete one of your own comments
+     * @param {string} commentId
+     * @returns {Promise<void>}
+     */
+    async deleteComment(commentId) {
+      const { supabase } = requireSession();
+
+      const { error } = await supabase.from('prompt_version_comments').delete().eq('id', commentId);
+      if (error) throw error;
+    },
+
+    /**
+     * Headline numbers for a team
+     * @param {string} organizationId
+     * @returns {Promise<Object>} { members, sharedPrompts, pendingReviews, approvedThisWeek }
+     */
+    async getStats(organizationId) {
+      const { supabase } = requireSession();
+      const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+
+      const count = (table) => supabase
+        .from(table)
+        .select('*', { count: 'exact', head: true })
+        .eq('organization_id', organizationId);
+
+      const results = await Promise.all([
+        count('organization_members'),
+        count('prompts'),
+        count('prompt_reviews').eq('status', 'pending'),
+        count('prompt_reviews').eq('status', 'approved').gte('decided_at', weekAgo)
+      ]);
+      const failed = results.find(result => result.error);
+      if (failed) throw failed.error;
+
+      const [members, sharedPrompts, pendingReviews, approvedThisWeek] = results.map(result => result.count || 0);
+      return { members, sharedPrompts, pendingReviews, approvedThisWeek };
+    },
+
+    /**
+     * Recent review requests, decisions, comments and promotions, newest first
+     * @param {string} organizationId
+     * @param {number} limit
+     * @returns {Promise<Array<Object>>} [{ type, userId, promptId, promptTitle, version, at }]
+     *   type is 'review_requested', 'approved', 'changes_requested', 'commented' or
+     *   'promoted' (which also has environment)
+     */
+    async listActivity(organizationId, limit = 10) {
+      const { supabase } = requireSession();
+
+      const [reviews, approvals, comments, promotions] = await Promise.all([
+        this.listReviews(organizationId, { limit }),
+        supabase
+          .from('prompt_version_approvals')
+          .select('approved_by, prompt_id, created_at, prompts(title), prompt_versions(version)')
+          .eq('organization_id', organizationId)
+          .order('created_at', { ascending: false })
+          .limit(limit),
+        supabase
+          .from('prompt_version_comments')
+          .select('user_id, prompt_id, created_at, prompts(title), prompt_versions(version)')
+          .eq('organization_id', organizationId)
+          .order('created_at', { ascending: false })
+          .limit(limit),
+        supabase
+          .from('prompt_promotions')
+          .select('promoted_by, prompt_id, environment, created_at, prompts!inner(title, organization_id), prompt_versions!prompt_promotions_version_id_fkey(version)')
+          .eq('prompts.organization_id', organizationId)
+          .order('created_at', { ascending: false })
+          .limit(limit)
+      ]);
+      if (approvals.error) throw approvals.error;
+      if (comments.error) throw comments.error;
+      if (promotions.error) throw promotions.error;
+
+      const events = [];
+      reviews.forEach(review => {
+        const base = { promptId: review.promptId, promptTitle: review.promptTitle, version: review.version };
+        events.push({ ...base, type: 'review_requested', userId: review.requestedBy, at: review.createdAt });
+        // Approvals are listed one per reviewer below
+        if (review.status === 'changes_requested' && review.decidedAt) {
+          events.push({ ...base, type: review.status, userId: review.decidedBy, at: review.decidedAt });
+        }
+      });
+      (approvals.data || []).forEach(row => {
+        events.push({
+          type: 'approved',
+          userId: row.approved_by,
+          promptId: row.prompt_id,
+          promptTitle: row.prompts?.title || 'Untitled prompt',
+          version: row.prompt_versions?.version || null,
+          at: row.created_at
+        });
+      });
+      (comments.data || []).forEach(row => {
+        events.push({
+          type: 'commented',
+          userId: row.user_id,
+          promptId: row.prompt_id,
+          promptTitle: row.prompts?.title || 'Untitled prompt',
+          version: row.prompt_versions?.version || null,
+          at: row.created_at
+        });
+      });
+      (promotions.data || []).forEach(row => {
+        events.push({
+          type: 'promoted',
+          userId: row.promoted_by,
+          promptId: row.prompt_id,
+          promptTitle: row.prompts?.title || 'Untitled prompt',
+          version: row.prompt_versions?.version || null,
+          environment: row.environment,
+          at: row.created_at
+        });
+      });
+
+      return events
+        .sort((a, b) => new Date(b.at) - new Date(a.at))
+        .slice(0, limit);
+    },
+
+    /**
+     * The version promote() uses by default, with its approvals against the
+     * prompt's production policy
+     * @param {string} promptId
+     * @returns {Promise<Object>} { versionId, version, approvals, requiredApprovals }
+     */
+    async getLatestVersion(promptId) {
+      const { supabase } = requireSession();
+
+      const latest = await latestVersion(supabase, promptId);
+      const [approvals, required] = await Promise.all([
+        this.listApprovals(latest.id),
+        supabase.rpc('prompt_required_approvals', { p_prompt_id: promptId })
+      ]);
+      if (required.error) throw required.error;
+
+      return {
+        versionId: latest.id,
+        version: latest.version,
+        approvals: approvals.length,
+        requiredApprovals: required.data || 0
+      };
+    },
+
+    /**
+     * Point an environment at a version of a shared prompt (editors and up).
+     * Production needs the approvals the team's policy requires.
+     * @param {string} promptId
+     * @param {string} environment - 'dev', 'staging' or 'production'
+     * @param {Object} options - { versionId (default: the latest version), note }
+     * @returns {Promise<Object>} The promotion
+     */
+    async promote(promptId, environment, { versionId = null, note = '' } = {}) {
+      const { supabase } = requireSession();
+      if (!ENVIRONMENTS.includes(environment)) {
+        throw new Error(`Unknown environment: ${environment}`);
+      }
+
+      if (!versionId) {
+        versionId = (await latestVersion(supabase, promptId)).id;
+      }
+
+      // promote_prompt_version() writes the audit log entry
+      const { data, error } = await supabase.rpc('promote_prompt_version', {
+        p_version_id: versionId,
+        p_environment: environment,
+        p_note: note || null
+      });
+      if (error) {
+        if (error.hint === 'approvals_required') throw new Error(error.message);
+        throw error.code === 'P0002' ? new Error("You don't have permission to promote this prompt") : error;
+      }
+
+      return toPromotion(data);
+    },
+
+    /**
+     * A prompt's promotions, newest first
+     * @param {string} promptId
+     * @param {number} limit
+     * @returns {Promise<Array<Object>>} [{ id, environment, versionId, version, previousVersionId, promotedBy, approvals, requiredApprovals, note, createdAt }]
+     */
+    async listPromotions(promptId, limit = 20) {
+      const { supabase } = requireSession();
+
+      const { data, error } = await supabase
+        .from('prompt_promotions')
+        .select('*, prompt_versions!prompt_promotions_version_id_fkey(version)')
+        .eq('prompt_id', promptId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return (data || []).map(toPromotion);
+    },
+
+    /**
+     * Listen for changes to a team's shared prompts, reviews, approvals and comments
+     * @param {string} organizationId
+     * @param {Function} onChange - Called with (table, payload)
+     * @returns {Function} Stops listening
+     */
+    subscribe(organizationId, onChange) {
+      const realtime = window.Realtime;
+      if (!realtime) return () => {};
+
+      const filter = `organization_id=eq.${organizationId}`;
+      const ids = ['prompts', 'prompt_reviews', 'prompt_version_approvals', 'prompt_version_comments']
+        .map(table => realtime.subscribe(table, payload => onChange(table, payload), { filter }))
+        .filter(Boolean);
+
+      return () => ids.forEach(id => realtime.unsubscribe(id));
+    }
+  };
+
+  window.Workspace = Workspace;
+
+})();